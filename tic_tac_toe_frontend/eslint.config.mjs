@@ -1,5 +1,6 @@
 import pluginJs from "@eslint/js";
 import pluginReact from "eslint-plugin-react";
+import globals from "globals";
 
 export default [
   { files: ["**/*.{js,mjs,cjs,jsx}"] },
@@ -13,8 +14,25 @@ export default [
       globals: {
         document: true,
         window: true,
+        process: true,
+        setTimeout: true,
+        clearTimeout: true,
+        setInterval: true,
+        clearInterval: true,
+        AbortController: true,
+        Blob: true,
+        URL: true,
+        URLSearchParams: true,
+        FileReader: true,
+        Intl: true,
+        HTMLElement: true,
+        CustomEvent: true,
+        MessageEvent: true,
         test: true,
-        expect: true
+        expect: true,
+        beforeEach: true,
+        afterEach: true,
+        jest: true
       }
     },
     rules: {
@@ -23,6 +41,32 @@ export default [
 
     }
   },
+  {
+    // The AI move server and the scripts run on Node
+    files: ["server/**/*.mjs", "scripts/**/*.mjs"],
+    languageOptions: {
+      globals: {
+        console: true,
+        process: true,
+        performance: true,
+        Buffer: true,
+        URL: true,
+        fetch: true,
+        setInterval: true,
+        clearInterval: true
+      }
+    }
+  },
+  {
+    // The offline shell runs as a service worker, outside the page
+    files: ["public/service-worker.js"],
+    languageOptions: { globals: globals.serviceworker }
+  },
+  {
+    // The entry picks its build target's modules with require (see the file)
+    files: ["src/index.js"],
+    languageOptions: { globals: { require: true } }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
@@ -0,0 +1,81 @@
+/*
+  OFFLINE APP SHELL
+  -----------------
+
+  - On install, caches the page, the manifest and icons, and every file of the build listed in
+    asset-manifest.json (written by `npm run build`), so the app starts and plays offline.
+  - Pages: network first, so a new build shows up as soon as it is deployed; the cached page
+    when offline.
+  - Everything else from this origin: cache first (build files have hashed names and never
+    change), and whatever is fetched is cached for next time.
+  - This file is the same in every build, so the browser doesn't reinstall it when a new build
+    is deployed. Instead, whenever a page comes from the network (and on activation), the cache
+    is brought in line with the build's asset-manifest.json: the new build's files are fetched
+    and any other build's are deleted, so old bundles don't pile up.
+  - Other origins (the AI move server, online play, web fonts) always go to the network.
+  - Bump CACHE_NAME to throw away every cached file on the next activation.
+*/
+
+const CACHE_NAME = "ttt-shell-v2";
+const SHELL = ["./", "./index.html", "./manifest.json", "./favicon.ico", "./logo192.png", "./logo512.png"];
+
+// Every file of the build being served: the shell and what asset-manifest.json lists
+async function buildFiles() {
+  const res = await fetch("./asset-manifest.json", { cache: "no-store" });
+  const { files } = await res.json();
+  return [...SHELL, ...Object.values(files).filter((file) => !file.endsWith(".map"))];
+}
+
+async function cacheShell() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(await buildFiles());
+}
+
+// Cached is what the build being served has: its missing files are fetched, the rest deleted
+async function syncWithBuild() {
+  const files = await buildFiles();
+  const current = new Set(files.map((file) => new URL(file, self.location).href));
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.keys();
+  const have = new Set(cached.map((request) => request.url));
+  await Promise.all(cached.filter((request) => !current.has(request.url)).map((request) => cache.delete(request)));
+  await cache.addAll(files.filter((file) => !have.has(new URL(file, self.location).href)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+      .then(() => syncWithBuild().catch(() => {}))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The network's answer, kept in the cache under `key` when it worked
+async function fetchAndCache(request, key = request) {
+  const res = await fetch(request);
+  if (res.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(key, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    const page = fetchAndCache(request, "./index.html");
+    event.respondWith(page.catch(() => caches.match("./index.html")));
+    // Online, the page may come from a newer build than the cached files; offline, keep them
+    event.waitUntil(page.then(() => syncWithBuild()).catch(() => {}));
+    return;
+  }
+  event.respondWith(caches.match(request).then((hit) => hit || fetchAndCache(request)));
+});
@@ -0,0 +1,77 @@
+/*
+  Mock OpenAI-compatible chat model for the tournament runner: answers /v1/chat/completions
+  locally, so the LLM provider (src/ai/providers/openAIProvider.js) can be measured end to end,
+  HTTP and prompt parsing included, without a key or the network.
+
+  - It reads the board out of the move prompt and answers a random empty cell.
+  - With probability `mistakeRate` it answers a taken cell instead, like a real model sometimes
+    does; the provider's repair prompt lists the empty cells, and the mock then picks one of them.
+  - `latencyMs` delays every answer, to stand in for a remote model.
+*/
+
+import http from "node:http";
+
+// Board rows from the move prompt: the lines made only of X, O and '-'
+function boardFromPrompt(prompt) {
+  return prompt
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => /^[XO-]+$/.test(line) && line.length >= 3)
+    .map((line) => [...line]);
+}
+
+// Answer for the last user message: a JSON [row, col], maybe deliberately wrong
+function answer(messages, { mistakeRate, random }) {
+  const prompt = messages[messages.length - 1].content;
+  const listed = prompt.match(/The empty cells are: ([^.]*)\./);
+  if (listed) {
+    const cells = listed[1].split(", ");
+    return cells[Math.floor(random() * cells.length)];
+  }
+  const board = boardFromPrompt(prompt);
+  const cells = [];
+  board.forEach((row, r) => row.forEach((cell, c) => cells.push({ move: [r, c], empty: cell === "-" })));
+  const wrong = random() < mistakeRate;
+  const choices = cells.filter(({ empty }) => empty !== wrong);
+  const pick = (choices.length ? choices : cells)[Math.floor(random() * (choices.length || cells.length))];
+  return pick ? JSON.stringify(pick.move) : "I don't see a board.";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Start the mock on a free local port.
+ * Options: { mistakeRate = 0.1, latencyMs = 0, random = Math.random }
+ * Resolves to { baseURL, requests() (how many completions were asked for), close() }.
+ */
+export async function startMockModel({ mistakeRate = 0.1, latencyMs = 0, random = Math.random } = {}) {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests += 1;
+      const { messages } = JSON.parse(body);
+      const content = answer(messages, { mistakeRate, random });
+      setTimeout(() => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            id: `mock-${requests}`,
+            object: "chat.completion",
+            choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }]
+          })
+        );
+      }, latencyMs);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+    requests: () => requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })
+  };
+}
@@ -0,0 +1,101 @@
+/*
+  Headless bot tournament: plays N games between two move providers and prints wins, draws,
+  losses and average move time for each.
+
+    npm run tournament -- <bot> <bot> [--games 100] [--size 3] [--win-length 3] [--variant classic]
+
+  Bots: random, first-empty, minimax (perfect), minimax-easy, minimax-medium, minimax-hard,
+  and llm. The llm bot is the OpenAI provider talking to a local mock model (scripts/mockModel.mjs)
+  unless --llm-url points it at a real OpenAI-compatible endpoint; the key then comes from
+  OPENAI_API_KEY and the model from --llm-model.
+
+  Variants: classic, misere, wild, notakto, ultimate (always 9x9, so --size is ignored).
+  Mock options: --llm-mistakes 0.1 (share of illegal first answers), --llm-latency 0 (ms).
+*/
+
+import { parseArgs } from "node:util";
+import { createGame, VARIANTS } from "../src/game/engine.js";
+import { BOTS, createBot } from "../src/ai/bots.js";
+import { createOpenAIProvider } from "../src/ai/providers/index.js";
+import { runTournament, formatReport } from "../src/ai/tournament.js";
+import { startMockModel } from "./mockModel.mjs";
+
+const USAGE = `Usage: npm run tournament -- <bot> <bot> [--games N] [--size N] [--win-length N] [--variant NAME]
+                              [--llm-url URL] [--llm-model NAME] [--llm-mistakes 0..1] [--llm-latency MS]
+Bots: ${[...Object.keys(BOTS), "llm"].join(", ")}
+Variants: ${Object.keys(VARIANTS).join(", ")}`;
+
+// Whole number option, or a usage error
+function count(value, name, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`--${name} must be a whole number of at least ${min}`);
+  return n;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      games: { type: "string", default: "100" },
+      size: { type: "string", default: "3" },
+      "win-length": { type: "string" },
+      variant: { type: "string", default: "classic" },
+      "llm-url": { type: "string" },
+      "llm-model": { type: "string" },
+      "llm-mistakes": { type: "string", default: "0.1" },
+      "llm-latency": { type: "string", default: "0" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  if (values.help || positionals.length !== 2) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  const games = count(values.games, "games", 1);
+  const requestedSize = count(values.size, "size", 3);
+  // createGame checks the board options and fills in a variant's fixed board
+  const { size, winLength, variant } = createGame({
+    size: requestedSize,
+    winLength: count(values["win-length"] ?? Math.min(requestedSize, 5), "win-length", 3),
+    variant: values.variant
+  });
+
+  // The mock only starts if a bot needs it
+  let mock = null;
+  async function provider(id) {
+    if (id !== "llm") return createBot(id);
+    if (values["llm-url"]) {
+      return createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: values["llm-url"],
+        model: values["llm-model"],
+        label: "LLM"
+      });
+    }
+    mock = mock || (await startMockModel({ mistakeRate: Number(values["llm-mistakes"]), latencyMs: Number(values["llm-latency"]) }));
+    return createOpenAIProvider({ apiKey: "mock", baseURL: mock.baseURL, maxRetries: 0, label: "LLM (mock)" });
+  }
+
+  try {
+    const [first, second] = [await provider(positionals[0]), await provider(positionals[1])];
+    const report = await runTournament(first, second, {
+      games,
+      boardOptions: { size, winLength, variant },
+      now: () => performance.now(),
+      onGame: (game, i) => {
+        if (game.error) console.error(`Game ${i + 1}: ${game.forfeit} forfeits: ${game.error.message}`);
+      }
+    });
+    console.log(`${VARIANTS[variant].label}, ${size}x${size}${VARIANTS[variant].cube ? `x${size}` : ""}, ${winLength} in a row`);
+    console.log(formatReport(report));
+  } finally {
+    if (mock) await mock.close();
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,245 @@
+/*
+  AI MOVE SERVER
+  --------------
+
+  Keeps the OpenAI key on the server so it never ships in the browser bundle.
+
+    POST /api/move   { board: [[cell]], winLength? }  ->  200 { move: [row, col], provider }
+    POST /api/coach  { size, winLength, variant, moves, kind, locale, timeout? }
+                                                       ->  200 { text, provider }
+                     (timeout: in a review, the player whose clock ran out)
+    GET  /api/health                                   ->  200 { ok: true }
+
+  Without a provider (no OPENAI_API_KEY) /api/move and /api/coach answer 503, so the same
+  server can still host online play (see onlineServer.mjs).
+
+  - The board is checked with the game engine before the model sees it (400 if impossible).
+  - The model's answer is validated (and repaired) by the OpenAI provider, then checked
+    again here before it is returned.
+  - Each client (by IP address) is rate limited; over the limit answers 429 with Retry-After.
+  - /api/coach replays the moves with the engine (400 if one is illegal) and has the coach
+    (src/ai/coach) explain the last move (kind "move") or the game ("review"). The coach works
+    the facts out with the local solver here, never taking them from the request; boards too
+    big for it to do that quickly (see canCoach) answer 400 before any search.
+  - A client that disconnects mid-request cancels the upstream model call.
+*/
+
+import http from "node:http";
+import {
+  gameFromBoard,
+  gameHistory,
+  loseOnTime,
+  isLegalMove,
+  IllegalMoveError,
+  InvalidPositionError,
+  PLAYERS
+} from "../src/game/engine.js";
+import { canCoach, COACH_MAX_SIZE } from "../src/ai/coach/facts.js";
+import { createRateLimiter } from "./rateLimiter.mjs";
+
+// Requests bigger than this can't be a board of at most 15x15
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Explanations the coach gives, and the languages it may be asked for ("en", "pt-BR")
+const COACH_KINDS = ["move", "review"];
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// Provider failures and the HTTP status they are reported with
+const STATUS_BY_CODE = {
+  timeout: 504,
+  invalid: 502,
+  failed: 502
+};
+
+// Error with the HTTP status it should be answered with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Reads and parses a JSON request body, refusing oversized input
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        reject(new HttpError(400, "Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Create the (not yet listening) HTTP server.
+ * Options:
+ *   provider        move provider used for /api/move (see src/ai/providers)
+ *   coach           coach used for /api/coach (see src/ai/coach)
+ *   rateLimit       { limit, windowMs } per client (default 30 per minute)
+ *   allowedOrigin   value for Access-Control-Allow-Origin (default "*")
+ *   trustProxy      take the client address from X-Forwarded-For (behind a reverse proxy)
+ *   now             clock, injectable for tests
+ */
+export function createMoveServer({
+  provider,
+  coach,
+  rateLimit = {},
+  allowedOrigin = "*",
+  trustProxy = false,
+  now = Date.now
+}) {
+  const limiter = createRateLimiter({ ...rateLimit, now });
+  const corsHeaders = {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  };
+
+  function clientId(req) {
+    const forwarded = trustProxy && req.headers["x-forwarded-for"];
+    return forwarded ? forwarded.split(",")[0].trim() : req.socket.remoteAddress;
+  }
+
+  // Answers 429 and returns false if the client is over its limit
+  function takeRequest(req, res) {
+    const { allowed, retryAfterMs } = limiter.take(clientId(req));
+    if (!allowed) {
+      sendJson(res, 429, { error: "Too many AI requests, slow down." }, {
+        ...corsHeaders,
+        "Retry-After": String(Math.ceil(retryAfterMs / 1000))
+      });
+    }
+    return allowed;
+  }
+
+  // An AbortSignal that fires if the client goes away before the answer is sent
+  function closeSignal(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+  }
+
+  async function handleMove(req, res) {
+    if (!provider) {
+      throw new HttpError(503, "AI moves are not configured on this server");
+    }
+    if (!takeRequest(req, res)) return;
+
+    const body = await readJsonBody(req);
+    let game;
+    try {
+      game = gameFromBoard(body && body.board, { winLength: body && body.winLength });
+    } catch (e) {
+      if (e instanceof InvalidPositionError) throw new HttpError(400, e.message);
+      throw e;
+    }
+    if (game.result) {
+      throw new HttpError(400, "The game is already over");
+    }
+
+    let move;
+    try {
+      // Stop paying for the model call if the player has gone away
+      move = await provider.getMove(game, { signal: closeSignal(res) });
+    } catch (e) {
+      if (e.code === "aborted") return;
+      throw new HttpError(STATUS_BY_CODE[e.code] || 502, e.message);
+    }
+    if (!isLegalMove(game, move)) {
+      throw new HttpError(502, "AI gave an invalid move");
+    }
+    sendJson(res, 200, { move, provider: provider.id }, corsHeaders);
+  }
+
+  async function handleCoach(req, res) {
+    if (!coach) {
+      throw new HttpError(503, "The AI coach is not configured on this server");
+    }
+    if (!takeRequest(req, res)) return;
+
+    const body = (await readJsonBody(req)) || {};
+    const { size, winLength, variant, moves, timeout, kind = "move", locale = "en" } = body;
+    if (!COACH_KINDS.includes(kind)) throw new HttpError(400, `kind must be one of ${COACH_KINDS.join(", ")}`);
+    if (typeof locale !== "string" || !LOCALE_PATTERN.test(locale)) throw new HttpError(400, "locale must be a language code");
+    if (!Array.isArray(moves)) throw new HttpError(400, "moves must be an array");
+    let states;
+    try {
+      states = gameHistory(moves, { size, winLength, variant });
+      if (kind === "review" && timeout !== undefined) {
+        if (!PLAYERS.includes(timeout)) throw new HttpError(400, 'timeout must be "X" or "O"');
+        // As the app keeps it: the last position, with the game lost on time
+        states[states.length - 1] = loseOnTime(states[states.length - 1], timeout);
+      }
+    } catch (e) {
+      if (e instanceof IllegalMoveError || e instanceof RangeError) throw new HttpError(400, e.message);
+      throw e;
+    }
+    if (kind === "move" && moves.length === 0) throw new HttpError(400, "There is no move to explain");
+    // The solver would hold up the server for seconds, or minutes for a review
+    if (!canCoach(states[0])) {
+      throw new HttpError(400, `The coach only analyses boards up to ${COACH_MAX_SIZE}x${COACH_MAX_SIZE}`);
+    }
+
+    let text;
+    try {
+      text = await coach.explain(states, { kind, locale, signal: closeSignal(res) });
+    } catch (e) {
+      if (e.code === "aborted") return;
+      throw new HttpError(STATUS_BY_CODE[e.code] || 502, e.message);
+    }
+    sendJson(res, 200, { text, provider: coach.id }, corsHeaders);
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, corsHeaders);
+      res.end();
+      return;
+    }
+    if (req.method === "GET" && pathname === "/api/health") {
+      sendJson(res, 200, { ok: true }, corsHeaders);
+      return;
+    }
+    const handler = req.method === "POST" && { "/api/move": handleMove, "/api/coach": handleCoach }[pathname];
+    if (handler) {
+      handler(req, res).catch(e => {
+        if (res.headersSent || res.destroyed) return;
+        const status = e instanceof HttpError ? e.status : 500;
+        sendJson(res, status, { error: status === 500 ? "Internal server error" : e.message }, corsHeaders);
+      });
+      return;
+    }
+    sendJson(res, 404, { error: "Not found" }, corsHeaders);
+  });
+
+  // Forget idle clients now and then so the limiter doesn't grow forever
+  const pruneTimer = setInterval(() => limiter.prune(), 60000);
+  pruneTimer.unref();
+  server.on("close", () => clearInterval(pruneTimer));
+
+  return server;
+}
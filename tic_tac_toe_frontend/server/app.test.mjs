@@ -0,0 +1,218 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createOpenAIProvider } from "../src/ai/providers/index.js";
+import { createOpenAICoach } from "../src/ai/coach/index.js";
+import { createMoveServer } from "./app.mjs";
+
+const EMPTY = [
+  [null, null, null],
+  [null, null, null],
+  [null, null, null]
+];
+
+// Stub OpenAI-compatible backend: answers chat completions from `replies` in order
+async function startModelStub(replies) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      calls.push(JSON.parse(body));
+      const reply = replies.shift() || { content: "[0,0]" };
+      if (reply.status) {
+        res.writeHead(reply.status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { message: "stub failure" } }));
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          id: "stub",
+          object: "chat.completion",
+          choices: [{ index: 0, message: { role: "assistant", content: reply.content }, finish_reason: "stop" }]
+        })
+      );
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { server, calls, baseURL: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+// Move server wired to the stub, listening on a random port
+async function startMoveServer(stub, options = {}) {
+  const provider = createOpenAIProvider({ apiKey: "server-side-key", baseURL: stub.baseURL, maxRetries: 0 });
+  const coach = createOpenAICoach({ apiKey: "server-side-key", baseURL: stub.baseURL, maxRetries: 0 });
+  const server = createMoveServer({ provider, coach, ...options });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function stopAll(...servers) {
+  for (const server of servers) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function post(path, url, body) {
+  return fetch(`${url}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body)
+  });
+}
+
+const postMove = (url, body) => post("/api/move", url, body);
+const postCoach = (url, body) => post("/api/coach", url, body);
+
+// X: corner, O: centre, X: opposite corner, O: corner (a blunder)
+const BLUNDER = { size: 3, winLength: 3, variant: "classic", moves: [[0, 0], [1, 1], [2, 2], [0, 2]] };
+
+test("returns the model's move for a valid board", async () => {
+  const stub = await startModelStub([{ content: "[1,1]" }]);
+  const app = await startMoveServer(stub);
+  try {
+    const res = await postMove(app.url, { board: EMPTY });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { move: [1, 1], provider: "openai" });
+    assert.match(stub.calls[0].messages[0].content, /You play as "X"/);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("repairs an illegal model answer before replying", async () => {
+  const stub = await startModelStub([{ content: "[0,0]" }, { content: "[2,0]" }]);
+  const app = await startMoveServer(stub);
+  try {
+    const board = [["X", null, null], [null, null, null], [null, null, null]];
+    const res = await postMove(app.url, { board });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).move, [2, 0]);
+    assert.equal(stub.calls.length, 2);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("rejects impossible boards and bad JSON without calling the model", async () => {
+  const stub = await startModelStub([]);
+  const app = await startMoveServer(stub);
+  try {
+    const twoXs = [["X", "X", null], [null, null, null], [null, null, null]];
+    assert.equal((await postMove(app.url, { board: twoXs })).status, 400);
+    assert.equal((await postMove(app.url, "{not json")).status, 400);
+    assert.equal((await postMove(app.url, { board: "nope" })).status, 400);
+    assert.equal(stub.calls.length, 0);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("reports upstream failures as 502", async () => {
+  const stub = await startModelStub([{ status: 500 }]);
+  const app = await startMoveServer(stub);
+  try {
+    const res = await postMove(app.url, { board: EMPTY });
+    assert.equal(res.status, 502);
+    assert.ok((await res.json()).error);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("rate limits each client", async () => {
+  const stub = await startModelStub([]);
+  const app = await startMoveServer(stub, { rateLimit: { limit: 2, windowMs: 60000 } });
+  try {
+    assert.equal((await postMove(app.url, { board: EMPTY })).status, 200);
+    assert.equal((await postMove(app.url, { board: EMPTY })).status, 200);
+    const limited = await postMove(app.url, { board: EMPTY });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.equal(stub.calls.length, 2);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("never exposes the API key to the client", async () => {
+  const stub = await startModelStub([{ status: 401 }]);
+  const app = await startMoveServer(stub);
+  try {
+    const res = await postMove(app.url, { board: EMPTY });
+    assert.doesNotMatch(await res.text(), /server-side-key/);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("the coach explains the solver's facts about the last move", async () => {
+  const stub = await startModelStub([{ content: "O should have played (1,2); now X blocks at (3,1) and wins." }]);
+  const app = await startMoveServer(stub);
+  try {
+    const res = await postCoach(app.url, { ...BLUNDER, locale: "es" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { text: "O should have played (1,2); now X blocks at (3,1) and wins.", provider: "openai" });
+    assert.match(stub.calls[0].messages[0].content, /in Spanish/);
+    assert.match(stub.calls[0].messages[1].content, /a blunder: \(1,2\) held the draw for O/);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("refuses a coach reply that names cells the solver didn't", async () => {
+  const stub = await startModelStub([{ content: "X should now take (2,2)." }]);
+  const app = await startMoveServer(stub);
+  try {
+    const res = await postCoach(app.url, BLUNDER);
+    assert.equal(res.status, 502);
+    assert.match((await res.json()).error, /names \(2,2\)/);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("rejects games that can't be coached without calling the model", async () => {
+  const stub = await startModelStub([]);
+  const app = await startMoveServer(stub);
+  try {
+    assert.equal((await postCoach(app.url, { ...BLUNDER, moves: [[0, 0], [0, 0]] })).status, 400);
+    assert.equal((await postCoach(app.url, { ...BLUNDER, moves: [] })).status, 400);
+    assert.equal((await postCoach(app.url, { ...BLUNDER, kind: "hint" })).status, 400);
+    assert.equal((await postCoach(app.url, { ...BLUNDER, kind: "review", timeout: "Z" })).status, 400);
+    assert.equal(stub.calls.length, 0);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("rejects a review of a big board at once instead of solving it", async () => {
+  const stub = await startModelStub([]);
+  const app = await startMoveServer(stub);
+  // 60 moves on 15x15: the solver would take minutes over this review
+  const moves = Array.from({ length: 60 }, (_, i) => [Math.floor(i / 15) * 3 + (i % 2), i % 15]);
+  try {
+    const started = Date.now();
+    const res = await postCoach(app.url, { size: 15, winLength: 5, variant: "classic", moves, kind: "review" });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /up to 7x7/);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(stub.calls.length, 0);
+  } finally {
+    await stopAll(app.server, stub.server);
+  }
+});
+
+test("answers 503 for coaching when no coach is configured", async () => {
+  const provider = createOpenAIProvider({ apiKey: "server-side-key", baseURL: "http://127.0.0.1:9/v1", maxRetries: 0 });
+  const server = createMoveServer({ provider });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const res = await postCoach(`http://127.0.0.1:${server.address().port}`, BLUNDER);
+    assert.equal(res.status, 503);
+  } finally {
+    await stopAll(server);
+  }
+});
@@ -0,0 +1,54 @@
+/*
+  Entry point for the game server: AI moves and coaching over HTTP, online play over WebSockets (/ws).
+  Configuration comes from the environment:
+
+    OPENAI_API_KEY     needed for AI moves and the AI coach; never sent to the browser
+    OPENAI_BASE_URL    optional OpenAI-compatible endpoint
+    OPENAI_MODEL       optional model name (default gpt-3.5-turbo)
+    PORT               listen port (default 3001)
+    ALLOWED_ORIGIN     CORS origin allowed to call the API (default *)
+    RATE_LIMIT         move and coach requests per client per minute (default 30)
+    TRUST_PROXY        "1" to rate limit by X-Forwarded-For behind a reverse proxy
+*/
+
+import { createOpenAIProvider } from "../src/ai/providers/index.js";
+import { createOpenAICoach } from "../src/ai/coach/index.js";
+import { createMoveServer } from "./app.mjs";
+import { attachOnlineServer } from "./onlineServer.mjs";
+
+const apiKey = process.env.OPENAI_API_KEY;
+if (!apiKey) {
+  console.warn("OPENAI_API_KEY is not set; /api/move and /api/coach are disabled, online play still works.");
+}
+
+const provider = apiKey
+  ? createOpenAIProvider({
+      apiKey,
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+      model: process.env.OPENAI_MODEL || undefined
+    })
+  : null;
+
+// The coach explains the solver's facts with the same model
+const coach = apiKey
+  ? createOpenAICoach({
+      apiKey,
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+      model: process.env.OPENAI_MODEL || undefined
+    })
+  : null;
+
+const port = Number(process.env.PORT) || 3001;
+const server = createMoveServer({
+  provider,
+  coach,
+  allowedOrigin: process.env.ALLOWED_ORIGIN || "*",
+  rateLimit: { limit: Number(process.env.RATE_LIMIT) || 30, windowMs: 60000 },
+  trustProxy: process.env.TRUST_PROXY === "1"
+});
+
+attachOnlineServer({ server });
+
+server.listen(port, () => {
+  console.log(`Game server listening on http://localhost:${port} (online play on ws://localhost:${port}/ws)`);
+});
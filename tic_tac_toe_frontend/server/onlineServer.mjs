@@ -0,0 +1,225 @@
+/*
+  ONLINE PLAY: WebSocket rooms
+  ----------------------------
+
+  - A player creates a room and gets a short shareable code; they play X. The first
+    player to join with the code plays O.
+  - The server owns the game. Every move is checked with the game engine (right player,
+    legal cell, game not over) before it is applied and broadcast to both players.
+  - Each seat has a secret token. A player who drops (closed tab, flaky network) can
+    rejoin the same seat with code + token; the room is kept for `roomTtlMs` after the
+    last player leaves.
+
+  Messages are JSON objects with a `type`:
+
+    client -> server
+      { type: "create", options: { size, winLength } }
+      { type: "join", code }
+      { type: "rejoin", code, token }
+      { type: "move", move: [row, col] }
+      { type: "rematch" }                  new game in the same room, once it is over
+
+    server -> client
+      { type: "joined", code, player, token }
+      { type: "state", code, game: { size, winLength, moves }, players: { X, O } }
+                                           X/O: "connected" | "disconnected" | null (seat free)
+      { type: "error", message, code? }    code "room-gone": the room or seat no longer exists
+*/
+
+import crypto from "node:crypto";
+import { WebSocketServer } from "ws";
+import { createGame, applyMove, IllegalMoveError } from "../src/game/engine.js";
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+// What a room can be created with: online games are always classic (the client replays them so)
+const ROOM_OPTIONS = ["size", "winLength"];
+
+// Error that is reported back to the client that caused it
+class RoomError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Attach online play to an existing HTTP server, on `path` (default "/ws").
+ * Options: { server, path, roomTtlMs = 5 minutes }
+ * Returns { wss, rooms, close() }; `rooms` is exposed for tests and monitoring.
+ */
+export function attachOnlineServer({ server, path = "/ws", roomTtlMs = 5 * 60000 }) {
+  const wss = new WebSocketServer({ server, path });
+  const rooms = new Map();
+
+  function newCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+    } while (rooms.has(code));
+    return code;
+  }
+
+  function seatState(seat) {
+    if (!seat) return null;
+    return seat.socket ? "connected" : "disconnected";
+  }
+
+  function broadcast(room) {
+    const message = {
+      type: "state",
+      code: room.code,
+      game: { size: room.game.size, winLength: room.game.winLength, moves: room.game.moves },
+      players: { X: seatState(room.seats.X), O: seatState(room.seats.O) }
+    };
+    send(room.seats.X && room.seats.X.socket, message);
+    send(room.seats.O && room.seats.O.socket, message);
+  }
+
+  // Puts `socket` in a seat and tells everyone
+  function seat(room, player, socket, token = crypto.randomUUID()) {
+    const previous = room.seats[player] && room.seats[player].socket;
+    if (previous && previous !== socket) {
+      // Same player opened a second connection; the newest one wins
+      previous.session = null;
+      previous.close(4000, "Replaced by a newer connection");
+    }
+    room.seats[player] = { token, socket };
+    clearTimeout(room.expiry);
+    socket.session = { room, player };
+    send(socket, { type: "joined", code: room.code, player, token });
+    broadcast(room);
+  }
+
+  function findRoom(code) {
+    const room = rooms.get(String(code || "").toUpperCase());
+    if (!room) throw new RoomError("No game with that code", "room-gone");
+    return room;
+  }
+
+  const handlers = {
+    create(socket, { options = {} }) {
+      if (typeof options !== "object" || options === null || Array.isArray(options)) {
+        throw new RoomError("options must be an object");
+      }
+      const unknown = Object.keys(options).find(key => !ROOM_OPTIONS.includes(key));
+      if (unknown) throw new RoomError(`Online games only take ${ROOM_OPTIONS.join(" and ")}, not "${unknown}"`);
+      let game;
+      try {
+        game = createGame({ size: options.size, winLength: options.winLength });
+      } catch (e) {
+        throw new RoomError(e.message);
+      }
+      const room = { code: newCode(), game, seats: { X: null, O: null }, expiry: null };
+      rooms.set(room.code, room);
+      seat(room, "X", socket);
+    },
+
+    join(socket, { code }) {
+      const room = findRoom(code);
+      if (room.seats.O) throw new RoomError("That game already has two players");
+      seat(room, "O", socket);
+    },
+
+    rejoin(socket, { code, token }) {
+      const room = findRoom(code);
+      const player = ["X", "O"].find(p => room.seats[p] && room.seats[p].token === token);
+      if (!player) throw new RoomError("Your seat in that game is no longer available", "room-gone");
+      seat(room, player, socket, token);
+    },
+
+    move(socket, { move }) {
+      const { room, player } = requireSession(socket);
+      if (!room.seats.O) throw new RoomError("Wait for an opponent to join");
+      if (room.game.result) throw new RoomError("The game is already over");
+      if (room.game.turn !== player) throw new RoomError("It's not your turn");
+      try {
+        room.game = applyMove(room.game, move);
+      } catch (e) {
+        if (e instanceof IllegalMoveError) throw new RoomError(e.message);
+        throw e;
+      }
+      broadcast(room);
+    },
+
+    rematch(socket) {
+      const { room } = requireSession(socket);
+      if (!room.game.result) throw new RoomError("Finish this game first");
+      room.game = createGame({ size: room.game.size, winLength: room.game.winLength });
+      broadcast(room);
+    }
+  };
+
+  function requireSession(socket) {
+    if (!socket.session) throw new RoomError("Create or join a game first");
+    return socket.session;
+  }
+
+  // Called when a connection goes away: free the socket but keep the seat for rejoining
+  function leave(socket) {
+    const session = socket.session;
+    if (!session) return;
+    socket.session = null;
+    const { room, player } = session;
+    if (room.seats[player] && room.seats[player].socket === socket) {
+      room.seats[player].socket = null;
+    }
+    broadcast(room);
+    const anyoneLeft = ["X", "O"].some(p => room.seats[p] && room.seats[p].socket);
+    if (!anyoneLeft) {
+      room.expiry = setTimeout(() => rooms.delete(room.code), roomTtlMs);
+      room.expiry.unref();
+    }
+  }
+
+  wss.on("connection", socket => {
+    socket.session = null;
+    socket.on("message", data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        send(socket, { type: "error", message: "Messages must be JSON" });
+        return;
+      }
+      const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type) && handlers[message.type];
+      if (!handler) {
+        send(socket, { type: "error", message: "Unknown message type" });
+        return;
+      }
+      if (socket.session && ["create", "join", "rejoin"].includes(message.type)) {
+        // Switching games: give up the current seat first
+        leave(socket);
+      }
+      try {
+        handler(socket, message);
+      } catch (e) {
+        if (!(e instanceof RoomError)) {
+          console.error("Online play handler failed:", e);
+        }
+        send(socket, e instanceof RoomError
+          ? { type: "error", message: e.message, code: e.code }
+          : { type: "error", message: "Internal server error" });
+      }
+    });
+    socket.on("close", () => leave(socket));
+  });
+
+  return {
+    wss,
+    rooms,
+    close() {
+      rooms.forEach(room => clearTimeout(room.expiry));
+      wss.clients.forEach(client => client.terminate());
+      return new Promise(resolve => wss.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,181 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import WebSocket from "ws";
+import { attachOnlineServer } from "./onlineServer.mjs";
+
+async function startServer() {
+  const server = http.createServer();
+  const online = attachOnlineServer({ server });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    online,
+    url: `ws://127.0.0.1:${server.address().port}/ws`,
+    async stop() {
+      await online.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Test client: queues incoming messages so tests can await the next one of a type
+async function connect(url) {
+  const socket = new WebSocket(url);
+  const inbox = [];
+  const waiting = [];
+  socket.on("message", data => {
+    const message = JSON.parse(data.toString());
+    const index = waiting.findIndex(w => w.type === message.type);
+    if (index >= 0) waiting.splice(index, 1)[0].resolve(message);
+    else inbox.push(message);
+  });
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+  return {
+    socket,
+    send: message => socket.send(JSON.stringify(message)),
+    next(type) {
+      const index = inbox.findIndex(m => m.type === type);
+      if (index >= 0) return Promise.resolve(inbox.splice(index, 1)[0]);
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    close: () => socket.close()
+  };
+}
+
+// Creates a room with two connected players; drains the setup messages
+async function startRoom(url) {
+  const x = await connect(url);
+  x.send({ type: "create", options: { size: 3, winLength: 3 } });
+  const created = await x.next("joined");
+  await x.next("state");
+  const o = await connect(url);
+  o.send({ type: "join", code: created.code.toLowerCase() });
+  const joined = await o.next("joined");
+  await o.next("state");
+  await x.next("state");
+  return { x, o, code: created.code, xToken: created.token, oToken: joined.token };
+}
+
+test("creates a room with a code and seats X then O", async () => {
+  const srv = await startServer();
+  try {
+    const { x, o, code } = await startRoom(srv.url);
+    assert.match(code, /^[A-Z2-9]{5}$/);
+    x.send({ type: "move", move: [1, 1] });
+    const seenByO = await o.next("state");
+    const seenByX = await x.next("state");
+    assert.deepEqual(seenByO.game.moves, [[1, 1]]);
+    assert.deepEqual(seenByX.players, { X: "connected", O: "connected" });
+    x.close();
+    o.close();
+  } finally {
+    await srv.stop();
+  }
+});
+
+test("rejects out-of-turn and illegal moves", async () => {
+  const srv = await startServer();
+  try {
+    const { x, o } = await startRoom(srv.url);
+    o.send({ type: "move", move: [0, 0] });
+    assert.equal((await o.next("error")).message, "It's not your turn");
+    x.send({ type: "move", move: [0, 0] });
+    await o.next("state");
+    await x.next("state");
+    o.send({ type: "move", move: [0, 0] });
+    assert.match((await o.next("error")).message, /already taken/);
+    o.send({ type: "move", move: [5, 5] });
+    assert.match((await o.next("error")).message, /off the board/);
+    x.close();
+    o.close();
+  } finally {
+    await srv.stop();
+  }
+});
+
+test("rooms only take a board size and win length", async () => {
+  const srv = await startServer();
+  try {
+    const x = await connect(srv.url);
+    x.send({ type: "create", options: { size: 3, winLength: 3, variant: "wild" } });
+    assert.equal((await x.next("error")).message, 'Online games only take size and winLength, not "variant"');
+    x.send({ type: "create", options: "big" });
+    assert.equal((await x.next("error")).message, "options must be an object");
+    assert.equal(srv.online.rooms.size, 0);
+
+    x.send({ type: "create", options: { size: 4, winLength: 3 } });
+    await x.next("joined");
+    const { game } = await x.next("state");
+    assert.deepEqual(game, { size: 4, winLength: 3, moves: [] });
+    x.close();
+  } finally {
+    await srv.stop();
+  }
+});
+
+test("a third player can't take a seat", async () => {
+  const srv = await startServer();
+  try {
+    const { x, o, code } = await startRoom(srv.url);
+    const extra = await connect(srv.url);
+    extra.send({ type: "join", code });
+    assert.equal((await extra.next("error")).message, "That game already has two players");
+    extra.close();
+    x.close();
+    o.close();
+  } finally {
+    await srv.stop();
+  }
+});
+
+test("a dropped player rejoins the same seat and game", async () => {
+  const srv = await startServer();
+  try {
+    const { x, o, code, oToken } = await startRoom(srv.url);
+    x.send({ type: "move", move: [2, 2] });
+    await o.next("state");
+    await x.next("state");
+
+    o.close();
+    const afterDrop = await x.next("state");
+    assert.equal(afterDrop.players.O, "disconnected");
+
+    const back = await connect(srv.url);
+    back.send({ type: "rejoin", code, token: oToken });
+    const rejoined = await back.next("joined");
+    assert.equal(rejoined.player, "O");
+    const state = await back.next("state");
+    assert.deepEqual(state.game.moves, [[2, 2]]);
+    assert.equal((await x.next("state")).players.O, "connected");
+
+    back.send({ type: "rejoin", code, token: "not-the-token" });
+    assert.match((await back.next("error")).message, /no longer available/);
+    back.close();
+    x.close();
+  } finally {
+    await srv.stop();
+  }
+});
+
+test("rematch starts a fresh board once the game is over", async () => {
+  const srv = await startServer();
+  try {
+    const { x, o } = await startRoom(srv.url);
+    x.send({ type: "rematch" });
+    assert.equal((await x.next("error")).message, "Finish this game first");
+    for (const [player, move] of [[x, [0, 0]], [o, [1, 0]], [x, [0, 1]], [o, [1, 1]], [x, [0, 2]]]) {
+      player.send({ type: "move", move });
+      await x.next("state");
+      await o.next("state");
+    }
+    o.send({ type: "rematch" });
+    assert.deepEqual((await x.next("state")).game.moves, []);
+    x.close();
+    o.close();
+  } finally {
+    await srv.stop();
+  }
+});
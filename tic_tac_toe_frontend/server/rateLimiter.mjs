@@ -0,0 +1,40 @@
+/*
+  Per-client rate limiting with a token bucket.
+  Each client gets `limit` requests, refilled evenly over `windowMs`.
+*/
+
+// PUBLIC_INTERFACE
+/**
+ * Create a limiter. `take(clientId)` returns { allowed, retryAfterMs }.
+ * `now` is injectable so tests can control time.
+ */
+export function createRateLimiter({ limit = 30, windowMs = 60000, now = Date.now } = {}) {
+  const buckets = new Map();
+  const refillPerMs = limit / windowMs;
+
+  function take(clientId) {
+    const time = now();
+    const bucket = buckets.get(clientId) || { tokens: limit, updated: time };
+    bucket.tokens = Math.min(limit, bucket.tokens + (time - bucket.updated) * refillPerMs);
+    bucket.updated = time;
+    buckets.set(clientId, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+  }
+
+  // Drop clients whose bucket has filled back up; they behave exactly like new clients
+  function prune() {
+    const time = now();
+    for (const [clientId, bucket] of buckets) {
+      if (bucket.tokens + (time - bucket.updated) * refillPerMs >= limit) {
+        buckets.delete(clientId);
+      }
+    }
+  }
+
+  return { take, prune };
+}
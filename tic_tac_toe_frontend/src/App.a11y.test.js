@@ -0,0 +1,81 @@
+import { render, screen, fireEvent, within, waitFor } from "@testing-library/react";
+import App from "./App";
+import { cell } from "./testUtils";
+
+function cells() {
+  return screen.getAllByRole("gridcell");
+}
+
+function narration() {
+  return screen.getByRole("status").textContent;
+}
+
+test("the board is an ARIA grid of rows and cells with a single tab stop", () => {
+  render(<App />);
+  const grid = screen.getByRole("grid", { name: "Board, 3 by 3, 3 in a row wins" });
+  expect(within(grid).getAllByRole("row")).toHaveLength(3);
+  expect(cells()).toHaveLength(9);
+  expect(cells().filter(c => c.tabIndex === 0)).toEqual([cell(1, 1)]);
+  expect(cell(2, 3)).toHaveAccessibleName("Row 2, column 3: empty");
+});
+
+test("arrow keys move focus and the tab stop around the board", () => {
+  render(<App />);
+  cell(1, 1).focus();
+  fireEvent.keyDown(cell(1, 1), { key: "ArrowRight" });
+  expect(cell(1, 2)).toHaveFocus();
+  fireEvent.keyDown(cell(1, 2), { key: "ArrowDown" });
+  expect(cell(2, 2)).toHaveFocus();
+  expect(cell(2, 2).tabIndex).toBe(0);
+  expect(cell(1, 1).tabIndex).toBe(-1);
+  fireEvent.keyDown(cell(2, 2), { key: "End" });
+  expect(cell(2, 3)).toHaveFocus();
+  fireEvent.keyDown(cell(2, 3), { key: "End", ctrlKey: true });
+  expect(cell(3, 3)).toHaveFocus();
+
+  // Occupied cells stay focusable so the whole board can be explored
+  fireEvent.click(cell(3, 3));
+  expect(cell(3, 3)).toHaveAttribute("aria-disabled", "true");
+  fireEvent.keyDown(cell(3, 3), { key: "ArrowUp" });
+  expect(cell(2, 3)).toHaveFocus();
+});
+
+test("every move, the result and the winning line are announced", () => {
+  render(<App />);
+  expect(narration()).toBe("New game on a 3 by 3 board, 3 in a row wins. Next: Player 1 (X).");
+  fireEvent.click(cell(1, 1));
+  expect(narration()).toBe("Player 1 (X) played row 1, column 1. Next: Player 2 (O).");
+  [[2, 1], [1, 2], [2, 2], [1, 3]].forEach(([r, c]) => fireEvent.click(cell(r, c)));
+  expect(narration()).toBe(
+    "Player 1 (X) played row 1, column 3. Player 1 (X) wins: 3 in a row from row 1, column 1 to row 1, column 3."
+  );
+  expect(cell(1, 2)).toHaveAccessibleName("Row 1, column 2: X, winning line");
+});
+
+test("the computer's move is announced", async () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "pvc" } });
+  fireEvent.click(cell(2, 2));
+  await waitFor(() => expect(narration()).toMatch(/^Computer \(O\) played row \d, column \d\. Next: You \(X\)\.$/));
+});
+
+test("shortcuts undo, reset and switch mode", async () => {
+  render(<App />);
+  fireEvent.click(cell(1, 1));
+  fireEvent.click(cell(2, 2));
+  fireEvent.keyDown(document.body, { key: "u" });
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: empty");
+  expect(narration()).toMatch(/^Move 1 of 2\./);
+  fireEvent.keyDown(document.body, { key: "z", ctrlKey: true });
+  expect(cell(1, 1)).toHaveAccessibleName("Row 1, column 1: empty");
+
+  fireEvent.click(cell(3, 3));
+  fireEvent.keyDown(document.body, { key: "r" });
+  expect(cell(3, 3)).toHaveAccessibleName("Row 3, column 3: empty");
+
+  fireEvent.keyDown(document.body, { key: "m" });
+  expect(screen.getByLabelText("Game mode select")).toHaveValue("pvc");
+  // Typing in a form field is not a shortcut
+  fireEvent.keyDown(screen.getByLabelText("Game mode select"), { key: "m" });
+  expect(screen.getByLabelText("Game mode select")).toHaveValue("pvc");
+});
@@ -0,0 +1,68 @@
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import App from "./App";
+import { play } from "./testUtils";
+
+function coachPanel() {
+  return within(screen.getByRole("complementary", { name: "Coach" }));
+}
+
+// The coach is off until asked for
+function renderWithCoach() {
+  render(<App />);
+  expect(coachPanel().queryByText("Play a move and the coach explains it.")).not.toBeInTheDocument();
+  fireEvent.click(coachPanel().getByLabelText("Explain moves"));
+}
+
+test("the coach explains the last move from the solver's facts", async () => {
+  renderWithCoach();
+  expect(coachPanel().getByText("Play a move and the coach explains it.")).toBeInTheDocument();
+
+  // X: corner, O: centre, X: opposite corner, O: corner, a blunder
+  play([1, 1], [2, 2], [3, 3], [1, 3]);
+  // The solver works after the move is on the board
+  expect(coachPanel().getByText("The solver is looking at it…")).toBeInTheDocument();
+  expect(await coachPanel().findByText("Move 4: O at (1,3)")).toBeInTheDocument();
+  expect(coachPanel().getByText(/^\(1,3\) is a blunder: \(1,2\) held the draw\. O threatens to win at \(3,1\)\./)).toBeInTheDocument();
+  // No AI server here: the template is all there is
+  expect(coachPanel().getByText("From the solver's analysis")).toBeInTheDocument();
+
+  play([3, 1]);
+  expect(await coachPanel().findByText(/It's a fork: X threatens to win at \(2,1\) and \(3,2\)/)).toBeInTheDocument();
+
+  fireEvent.click(coachPanel().getByLabelText("Explain moves"));
+  expect(coachPanel().queryByText(/fork/)).not.toBeInTheDocument();
+});
+
+test("a finished game can be reviewed as a whole", async () => {
+  renderWithCoach();
+  expect(coachPanel().queryByRole("button", { name: "Review the game" })).not.toBeInTheDocument();
+  play([1, 1], [2, 2], [3, 3], [1, 3], [3, 1], [2, 1], [3, 2]);
+  expect(await coachPanel().findByText("X completes a line at (3,2) and wins.")).toBeInTheDocument();
+
+  fireEvent.click(coachPanel().getByRole("button", { name: "Review the game" }));
+  expect(await coachPanel().findByText("Game review")).toBeInTheDocument();
+  expect(coachPanel().getByText(/^X won after 7 moves\. The turning point was move 4: O played \(1,3\)/)).toBeInTheDocument();
+
+  fireEvent.click(coachPanel().getByRole("button", { name: "Back to the moves" }));
+  expect(await coachPanel().findByText("Move 7: X at (3,2)")).toBeInTheDocument();
+
+  // The next game starts back on its moves
+  fireEvent.click(screen.getByRole("button", { name: "Next game" }));
+  expect(coachPanel().getByText("Play a move and the coach explains it.")).toBeInTheDocument();
+});
+
+test("against the computer, the coach explains the human's moves", async () => {
+  renderWithCoach();
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "pvc" } });
+  play([2, 2]);
+  await waitFor(() => expect(screen.getAllByRole("gridcell").filter((c) => c.textContent === "O")).toHaveLength(1));
+  expect(await coachPanel().findByText("Move 1: X at (2,2)")).toBeInTheDocument();
+});
+
+test("on a board too big for the solver, the coach says so instead of analysing", () => {
+  renderWithCoach();
+  fireEvent.change(screen.getByLabelText("Board size select"), { target: { value: "9" } });
+  play([5, 5]);
+  expect(coachPanel().getByText("The solver only analyses boards up to 7x7, so the coach can't explain this game.")).toBeInTheDocument();
+  expect(coachPanel().queryByText("The solver is looking at it…")).not.toBeInTheDocument();
+});
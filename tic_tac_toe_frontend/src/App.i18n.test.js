@@ -0,0 +1,44 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "./App";
+
+beforeEach(() => window.localStorage.clear());
+
+test("the picked language is shown everywhere and remembered", () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText("Language select"), { target: { value: "es" } });
+  expect(screen.getByRole("heading", { level: 1 })).toHaveTextContent("Tres en raya");
+  expect(screen.getByText("Turno: X")).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("gridcell", { name: /^Fila 2, columna 2: vacía/ }));
+  expect(screen.getByRole("gridcell", { name: /^Fila 2, columna 2: X/ })).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Ir a la jugada 1" })).toHaveTextContent("#1: Jugador X en (2,2)");
+  expect(document.documentElement.lang).toBe("es");
+  unmount();
+
+  render(<App />);
+  expect(screen.getByLabelText("Selector de idioma")).toHaveValue("es");
+  expect(screen.getByRole("button", { name: "Deshacer" })).toBeInTheDocument();
+});
+
+test("Arabic lays the page out right to left but keeps the board left to right", () => {
+  const { container } = render(<App />);
+  fireEvent.change(screen.getByLabelText("Language select"), { target: { value: "ar" } });
+  expect(container.querySelector(".ttt-app-wrapper")).toHaveAttribute("dir", "rtl");
+  expect(document.documentElement.dir).toBe("rtl");
+  expect(screen.getByRole("grid")).toHaveAttribute("dir", "ltr");
+  expect(screen.getByText("الدور: X")).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("اختيار اللغة"), { target: { value: "en" } });
+  expect(document.documentElement.dir).toBe("ltr");
+  expect(screen.getByText("Next: X")).toBeInTheDocument();
+});
+
+test("the browser's language is used until one is picked", () => {
+  const languages = jest.spyOn(window.navigator, "languages", "get").mockReturnValue(["de-DE", "en"]);
+  try {
+    render(<App />);
+    expect(screen.getByLabelText("Sprachauswahl")).toHaveValue("de");
+    expect(screen.getByText("Am Zug: X")).toBeInTheDocument();
+  } finally {
+    languages.mockRestore();
+  }
+});
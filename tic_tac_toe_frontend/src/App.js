@@ -2,111 +2,205 @@
   TIC TAC TOE APP: AI Move Fallback/Error Handling
   ------------------------------------------------
 
-  - If REACT_APP_OPENAI_API_KEY (from .env) is set, attempts GPT-powered move for computer.
-  - If an error occurs (API/network/response/invalid move), a fallback AI picks the first available cell.
-  - User is notified via UI if fallback is used, with meaningful messages.
-  - If .env is missing or API key not supplied, always uses fallback AI with message.
+  - The computer's moves come from a move provider (src/ai/providers): the AI move server when
+    REACT_APP_AI_SERVER_URL (from .env) is set, which holds the OpenAI key so it never reaches
+    the browser, else the local minimax engine at the chosen difficulty.
+  - If the server fails (network/timeout/invalid move) or the device is offline, the local engine
+    moves instead, and the user is told why unless they are simply offline.
+  - Game state lives in one reducer behind the useGame hook (src/state); App wires it to the
+    components (src/components) and the features around the board, each documented in its own
+    module: online play, archive and replays, profiles, puzzles, analysis and the coach, themes,
+    languages, game links, the offline app and embedding.
   - All error/fallback strategies are clearly documented near their logic in the code.
 
   Requirements: 
-    - Do not hardcode sensitive values. Read REACT_APP_OPENAI_API_KEY from process.env.
+    - Do not hardcode sensitive values. The OpenAI key is read by the server only (OPENAI_API_KEY).
     - Do not block the user if AI fails; always provide a next step/fallback.
     - Keep user notified if AI is not "smart" or if OpenAI service is failing.
 
 */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef, useCallback } from "react";
 import "./App.css";
-/* Import OpenAI SDK v4+ (uses 'OpenAI' class, no Configuration/OpenAIApi) */
-import OpenAI from "openai";
+import { isLegalMove, otherPlayer, sameMove, VARIANTS } from "./game/engine";
+import { matchStatus } from "./game/match";
+import { formatGame } from "./game/notation";
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from "./ai/minimax";
+import { analyzeGame, canAnalyze, createAnalysisMemo } from "./ai/analysis";
+import { createBot, SERVER_BOT } from "./ai/bots";
+import { createProxyCoach } from "./ai/coach/proxyCoach";
+import {
+  createLocalProvider,
+  createProxyProvider,
+  withFallback
+} from "./ai/providers";
+import { useOnlineGame } from "./online/useOnlineGame";
+import OnlinePanel from "./online/OnlinePanel";
+import { listGames, saveGame, deleteGame, resultLabel } from "./archive/gameArchive";
+import ArchiveScreen from "./archive/ArchiveScreen";
+import { narrate } from "./a11y/narration";
+import { useGame } from "./state/useGame";
+import { useGameLink, linkAction } from "./state/useGameLink";
+import { useEmbed } from "./embed/useEmbed";
+import { createMemoryStorage } from "./embed/memoryStorage";
+import { useCoach } from "./state/useCoach";
+import { saveSession, loadSession } from "./pwa/session";
+import { useNetworkStatus } from "./pwa/useNetworkStatus";
+import { useInstallPrompt } from "./pwa/useInstallPrompt";
+import { HUMAN, COMPUTER } from "./state/gameReducer";
+import { useProfiles } from "./profiles/useProfiles";
+import ProfilesScreen from "./profiles/ProfilesScreen";
+import { generatePuzzle, puzzleGoal, attemptMessage } from "./puzzles/puzzles";
+import { nextPuzzleIndex } from "./puzzles/progress";
+import { usePuzzleProgress } from "./puzzles/usePuzzleProgress";
+import PuzzlePanel from "./puzzles/PuzzlePanel";
+import { useTheme } from "./theme/useTheme";
+import { useLocale } from "./i18n/useLocale";
+import LanguagePicker from "./i18n/LanguagePicker";
+import { cssVariables } from "./theme/themes";
+import Board from "./components/Board";
+import StatusBar from "./components/StatusBar";
+import Controls from "./components/Controls";
+import MoveHistory from "./components/MoveHistory";
+import CoachPanel from "./components/CoachPanel";
+import Scoreboard from "./components/Scoreboard";
+import ReplayControls from "./components/ReplayControls";
+import Clocks from "./components/Clocks";
+import MarkPicker from "./components/MarkPicker";
 
 /**
- * Color palette from requirements:
- * primary:   #3498db
- * secondary: #2ecc71
- * accent:    #e74c3c
- * 
- * Modern minimimalistic style, light theme by default. 
+ * Modern minimalistic style. Colors and board symbols come from the player's theme
+ * (src/theme): light, dark or high contrast, following the OS by default.
  */
 
-// Returns a 3x3 grid for initializing the board state
-function createEmptyBoard() {
-  return Array(3)
-    .fill(null)
-    .map(() => Array(3).fill(null));
-}
-
-// Checks if a player has won and returns info
-function calculateWinner(board) {
-  const lines = [
-    // rows
-    [ [0,0], [0,1], [0,2] ],
-    [ [1,0], [1,1], [1,2] ],
-    [ [2,0], [2,1], [2,2] ],
-    // columns
-    [ [0,0], [1,0], [2,0] ],
-    [ [0,1], [1,1], [2,1] ],
-    [ [0,2], [1,2], [2,2] ],
-    // diagonals
-    [ [0,0], [1,1], [2,2] ],
-    [ [0,2], [1,1], [2,0] ]
-  ];
-  for (let line of lines) {
-    const [[a,b],[c,d],[e,f]] = line;
-    if (
-      board[a][b] &&
-      board[a][b] === board[c][d] &&
-      board[a][b] === board[e][f]
-    ) {
-      return {winner: board[a][b], line};
+// PUBLIC_INTERFACE
+/**
+ * Props:
+ *   embed  set when App runs inside the <tic-tac-toe> element (src/embed/useEmbed.js):
+ *          { command, onEvent }; omitted on the app's own page
+ */
+function App({ embed = null }) {
+  // Embedded, nothing is kept in the host page's localStorage (see memoryStorage.js)
+  const [storage] = useState(() => (embed ? createMemoryStorage() : window.localStorage));
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY); // local opponent strength
+  const [isMobile, setIsMobile] = useState(window.innerWidth < 700);
+  const [screen, setScreen] = useState("play"); // play, archive or profiles
+  const [archiveGames, setArchiveGames] = useState([]);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [showCoach, setShowCoach] = useState(false); // the coach explains moves (its search costs time: off until asked for)
+  const [coachReview, setCoachReview] = useState(false); // the coach reviews the finished game instead
+  const [placeMark, setPlaceMark] = useState("X"); // mark placed by Wild moves
+  const [puzzleLevel, setPuzzleLevel] = useState("easy"); // difficulty of the puzzles set
+  const puzzleProgress = usePuzzleProgress(storage);
+  const profiles = useProfiles(storage); // named players, their seats and results
+  const theme = useTheme(profiles.seats[0] || undefined, storage); // colors and board symbols, saved per player 1's profile
+  const offline = useNetworkStatus();
+  const installPrompt = useInstallPrompt();
+  const { locale, setLocale, t } = useLocale({ applyToDocument: !embed, storage }); // language of everything shown
+  const wrapperRef = useRef(null);
+
+  // AI move server URL from environment (.env), e.g. http://localhost:3001. If missing, the local engine is used.
+  // The OpenAI key itself stays on that server and is never part of this bundle.
+  const aiServerURL = process.env.REACT_APP_AI_SERVER_URL;
+
+  // Move provider for the computer: the local engine, or the AI server with the local engine as fallback.
+  // Offline, the local engine plays without trying the server. Rebuilt only when these change, not every render.
+  const moveProvider = useMemo(() => {
+    const local = createLocalProvider({ difficulty });
+    if (!aiServerURL || offline) {
+      return local;
     }
-  }
-  // Check for a draw
-  if (board.every(row => row.every(cell => cell))) {
-    return {winner: null, line: null, draw: true};
-  }
-  return null;
-}
+    return withFallback(createProxyProvider({ baseURL: aiServerURL.replace(/\/$/, "") }), local);
+  }, [difficulty, aiServerURL, offline]);
+
+  // Coach with a language model, through the same server; without one, the coach uses its templates.
+  // Offline the request fails at once and the template stays, without a message.
+  const coachModel = useMemo(
+    () => (aiServerURL ? createProxyCoach({ baseURL: aiServerURL.replace(/\/$/, "") }) : null),
+    [aiServerURL]
+  );
 
-// Picks the first available cell (easy AI)
-function findBestMove(board) {
-  for (let i=0;i<3;i++) {
-    for (let j=0;j<3;j++) {
-      if (!board[i][j]) {
-        return [i,j];
-      }
-    }
-  }
-  return null;
-}
+  // AI vs AI bots. The server bot falls back to the perfect local engine like the PvC opponent.
+  const botProvider = useCallback(
+    (id) =>
+      id === SERVER_BOT.id
+        ? withFallback(createProxyProvider({ baseURL: aiServerURL.replace(/\/$/, "") }), createLocalProvider())
+        : createBot(id),
+    [aiServerURL]
+  );
 
-// PUBLIC_INTERFACE
-function App() {
-  // Game state
-  const [board, setBoard] = useState(createEmptyBoard());
-  const [isXNext, setIsXNext] = useState(true);
-  const [history, setHistory] = useState([
-    { board: createEmptyBoard(), move: null, player: "X" }
-  ]);
-  const [step, setStep] = useState(0);
-  const [mode, setMode] = useState("pvp"); // pvp or pvc
-  const [status, setStatus] = useState("");
-  const [winningLine, setWinningLine] = useState(null);
-  const [isMobile, setIsMobile] = useState(window.innerWidth < 700);
-  const [error, setError] = useState(""); // OpenAI error state
-  const [aiThinking, setAiThinking] = useState(false);
-
-  // OpenAI API key from environment (.env). If missing, fallback AI is used.
-  // IMPORTANT: Do not hardcode this! This value must be set in the .env file as REACT_APP_OPENAI_API_KEY
-  const openAIApiKey = process.env.REACT_APP_OPENAI_API_KEY;
-
-  // Setup OpenAI client if key is available (OpenAI SDK v4+)
-  // The client is created only if the key exists, otherwise fallback is always used.
-  let openai = null;
-  if (openAIApiKey) {
-    openai = new OpenAI({ apiKey: openAIApiKey, dangerouslyAllowBrowser: true });
-    // 'dangerouslyAllowBrowser' is required for client-side usage (not recommended for production).
-  }
+  // A game link in the URL opens on its position; without one, the game saved when the app was
+  // last used comes back. Embedded, the element's attributes say. Read once, for the first state.
+  const [openWith] = useState(() => {
+    if (embed) return embed.command && embed.command.action;
+    const saved = loadSession();
+    return linkAction() || (saved && { type: "openLink", link: saved });
+  });
+
+  // Game state: a tree of immutable engine states, the match and any replay (src/state)
+  const {
+    dispatch,
+    mode,
+    boardOptions,
+    match,
+    tree,
+    keepVariations,
+    gameId,
+    replay,
+    aiThinking,
+    error,
+    timeControl,
+    countComputerTime,
+    clock,
+    bots,
+    botSpeed,
+    botsPaused,
+    line,
+    history,
+    step,
+    lastStep,
+    game,
+    seats,
+    computerMark,
+    finishedResult,
+    liveMatch,
+    canUndo,
+    canRedo,
+    hintMove,
+    puzzle,
+    jumpTo
+  } = useGame({ moveProvider, botProvider, openWith });
+
+  // The URL follows the position shown, and back/forward move through it. Embedded, the URL is
+  // the host's: the position is only reported in events.
+  const link =
+    replay || mode === "online" || mode === "puzzle"
+      ? null
+      : { mode, humanSide: computerMark === "X" ? "O" : "X", boardOptions, moves: history[lastStep].moves, step };
+  const linkURL = useGameLink({ link: embed ? null : link, dispatch, jumpTo });
+
+  // Saved for the next time the app starts, when the position's link changes (never embedded:
+  // there is no link then)
+  const sessionLink = useRef(link);
+  sessionLink.current = link;
+  useEffect(() => {
+    if (linkURL) saveSession(sessionLink.current);
+  }, [linkURL]);
+
+  // Seated profiles name the match players
+  const [seatName1, seatName2] = profiles.seats.map((id) => (profiles.profiles.find((p) => p.id === id) || {}).name || null);
+  useEffect(() => {
+    dispatch({ type: "setPlayerNames", names: [seatName1, seatName2] });
+  }, [seatName1, seatName2, dispatch]);
+
+  // Online play server from environment (.env), e.g. ws://localhost:3001/ws. If missing, online mode is hidden.
+  const onlineServerURL = process.env.REACT_APP_ONLINE_SERVER_URL;
+  const online = useOnlineGame({ url: onlineServerURL, enabled: mode === "online", storage });
+
+  // Online: the server's copy is the truth; rebuild the local timeline whenever it changes
+  useEffect(() => {
+    if (online.game) dispatch({ type: "sync", game: online.game });
+  }, [mode, online.game, replay, dispatch]);
 
   // Responsive check
   useEffect(() => {
@@ -117,296 +211,287 @@ function App() {
     return () => window.removeEventListener("resize", handleResize);
   }, []);
 
-  // Winner detection
+  // Everything shown on the board is derived from the engine state at `step`
+  const variant = VARIANTS[game.variant];
+  const puzzleOver = puzzle && puzzle.status !== "playing";
+  const status = puzzleOver
+    ? attemptMessage(puzzle.puzzle, puzzle.status, t)
+    : game.result
+    ? game.result.timeout
+      ? t("status.winnerOnTime", { player: game.result.winner, loser: game.result.timeout })
+      : game.result.winner && variant.lineLoses
+      ? t("status.winnerLineLoses", { player: game.result.winner, loser: otherPlayer(game.result.winner) })
+      : game.result.winner
+      ? t("status.winner", { player: game.result.winner })
+      : t("status.draw")
+    : t("status.next", { player: game.turn });
+  // How the status is colored: a win, a draw, or neither (play goes on, or a puzzle is over)
+  const statusTone = puzzleOver || !game.result ? null : game.result.winner ? "win" : "draw";
+  const rules = puzzle
+    ? t("status.puzzle", { goal: puzzleGoal(puzzle.puzzle, t) })
+    : game.variant === "classic"
+    ? null
+    : t("status.rules", { variant: t(`variant.${game.variant}`), rule: t(`variant.${game.variant}.rule`) });
+  // The last AI error or fallback, in words; a provider's missing reason is "Unknown error"
+  const errorText = error ? t(error.id, { ...error.values, reason: (error.values && error.values.reason) || t("error.unknown") }) : "";
+
+  // Embedded: the host's commands in, events out
+  useEmbed({ embed, dispatch, gameId, game, replay, aiThinking, error, errorText, link });
+
+  // A Wild hint names a mark as well as a cell: have the next click place it
   useEffect(() => {
-    const winnerInfo = calculateWinner(board);
-    if (winnerInfo) {
-      if (winnerInfo.winner) {
-        setStatus(`Winner: ${winnerInfo.winner}`);
-        setWinningLine(winnerInfo.line);
-      } else if (winnerInfo.draw) {
-        setStatus("Draw!");
-        setWinningLine(null);
-      }
-    } else {
-      setStatus(`Next: ${isXNext ? "X" : "O"}`);
-      setWinningLine(null);
-    }
-  }, [board, isXNext]);
-
-  // If it's PvC mode, O is computer, let computer play after human X move
+    if (hintMove && variant.chooseMark) setPlaceMark(hintMove[2]);
+  }, [hintMove, variant.chooseMark]);
+
+  // Solver analysis of every position in the history, only while it is switched on and the board
+  // isn't too big for it. One memo per game, so each move only has the new position searched.
+  const analysisMemo = useRef({ start: null, memo: null });
+  const analysis = useMemo(() => {
+    if (!showAnalysis || !canAnalyze(history[0])) return null;
+    if (analysisMemo.current.start !== history[0]) analysisMemo.current = { start: history[0], memo: createAnalysisMemo() };
+    return analyzeGame(history, analysisMemo.current.memo);
+  }, [showAnalysis, history]);
+
+  // The coach explains the human's moves against the computer, everyone's otherwise; between
+  // bots there are no human moves, so only the finished game is reviewed
+  const coachOn = showCoach && mode !== "puzzle" && mode !== "online" && (mode !== "cvc" || coachReview);
+  const coach = useCoach({
+    enabled: coachOn,
+    history,
+    step,
+    humanMark: mode === "pvc" && !replay ? otherPlayer(computerMark) : null,
+    review: coachReview,
+    coach: coachModel,
+    locale,
+    t
+  });
+  // A new game starts back on its moves
   useEffect(() => {
-    async function doAIMove() {
-      setAiThinking(true);
-      setError(""); // Clear any previous error
-
-      // If OpenAI API key is set, use GPT, else fallback
-      if (openai) {
-        try {
-          const move = await getOpenAIMove(board);
-          // If GPT gave invalid move, fallback to random
-          if (
-            !move ||
-            move.length !== 2 ||
-            board[move[0]][move[1]]
-          ) {
-            setError("AI gave an invalid move, using fallback.");
-            let fallback = findBestMove(board);
-            if (fallback) {
-              handleCellClick(fallback[0], fallback[1], true);
-            } else {
-              setError("No moves available for AI."); // Should not happen if the UI is correct
-            }
-          } else {
-            handleCellClick(move[0], move[1], true);
-          }
-        } catch (e) {
-          // Graceful fallback: if OpenAI fails, fallback AI is used, show message
-          setError("AI move failed, using fallback. (" + (e?.message || "Unknown error") + ")");
-          let fallback = findBestMove(board);
-          if (fallback) {
-            handleCellClick(fallback[0], fallback[1], true);
-          } else {
-            setError("No fallback moves available for AI.");
-          }
-        }
-      } else {
-        // Fallback: pick first move if no API key, show message if the key is truly missing
-        if (!openAIApiKey) {
-          setError("OpenAI key not found: using fallback computer AI.");
-        }
-        let fallback = findBestMove(board);
-        if (fallback) {
-          handleCellClick(fallback[0], fallback[1], true);
-        } else {
-          setError("No fallback moves available for AI.");
-        }
-      }
-      setAiThinking(false);
-    }
+    setCoachReview(false);
+  }, [gameId]);
 
-    if (
-      mode === "pvc" &&
-      !calculateWinner(board) &&
-      !isXNext // O's turn, computer's turn
-    ) {
-      doAIMove();
-    }
-    // eslint-disable-next-line
-  }, [isXNext, board, mode]);
+  const canHint =
+    !game.result &&
+    !replay &&
+    mode !== "cvc" &&
+    mode !== "puzzle" &&
+    (mode === "pvc" ? game.turn !== computerMark : mode === "online" ? game.turn === online.player : true);
+
+  // Modes offered, in the order the M shortcut cycles through them
+  const modes = onlineServerURL ? ["pvp", "pvc", "cvc", "puzzle", "online"] : ["pvp", "pvc", "cvc", "puzzle"];
 
   // PUBLIC_INTERFACE
-  function handleCellClick(row, col, computerMove = false) {
-    // Block if game over, or if cell occupied, or if computer is about to play
-    if (
-      calculateWinner(board) ||
-      board[row][col] ||
-      (mode === "pvc" && !isXNext && !computerMove)
-    )
+  /** Switch modes; puzzle mode starts on the first unsolved puzzle of the chosen difficulty. */
+  function changeMode(nextMode) {
+    if (nextMode === "puzzle") startPuzzle(puzzleLevel);
+    else dispatch({ type: "setMode", mode: nextMode });
+  }
+
+  // PUBLIC_INTERFACE
+  /** Set the next unsolved puzzle of a difficulty (after puzzle number `after`, if given). */
+  function startPuzzle(level, after) {
+    setPuzzleLevel(level);
+    dispatch({ type: "startPuzzle", puzzle: generatePuzzle(level, nextPuzzleIndex(puzzleProgress, level, after)) });
+  }
+
+  // Global shortcuts: U or Ctrl+Z undo, Y or Ctrl+Y redo, R reset, M next mode, H hint. The
+  // listener is registered once and always calls the latest handler.
+  const shortcutHandler = useRef(null);
+  shortcutHandler.current = (e) => {
+    const tag = e.target && e.target.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.altKey) return;
+    // Embedded, only keys pressed inside the game are ours
+    if (embed && !(wrapperRef.current && wrapperRef.current.contains(e.target))) return;
+    const key = e.key.toLowerCase();
+    if (screen !== "play") return;
+    if (e.ctrlKey || e.metaKey) {
+      if (key === "z" || key === "y") {
+        e.preventDefault();
+        dispatch({ type: key === "y" || e.shiftKey ? "redo" : "undo" });
+      }
       return;
+    }
+    if (key === "u") dispatch({ type: "undo" });
+    else if (key === "y") dispatch({ type: "redo" });
+    else if (key === "r" && !replay) handleReset();
+    else if (key === "m" && !replay) changeMode(modes[(modes.indexOf(mode) + 1) % modes.length]);
+    else if (key === "h" && canHint) dispatch({ type: "hint" });
+  };
+  useEffect(() => {
+    const listener = (e) => shortcutHandler.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
 
-    const player = isXNext ? "X" : "O";
-    const nextBoard = board.map((r, i) =>
-      r.map((cell, j) => (i === row && j === col ? player : cell))
-    );
+  // What the record keeping below (archive, profiles, puzzle progress) reads when it runs: it runs
+  // when the game moves on or ends, not whenever one of these changes
+  const recording = useRef(null);
+  recording.current = { replay, mode, players: playerNames(), computerMark, difficulty, profiles, match, seats, puzzle, puzzleProgress };
 
-    const nextHistory = history
-      .slice(0, step + 1)
-      .concat([{ board: nextBoard, move: [row, col], player }]);
-    setBoard(nextBoard);
-    setHistory(nextHistory);
-    setStep(nextHistory.length - 1);
-    setIsXNext(!isXNext);
-    // Status and winningLine will be updated by useEffect
-  }
+  // Archive: save the line being played after every move, finished or not
+  useEffect(() => {
+    const { replay, mode, players } = recording.current;
+    const latest = history[history.length - 1];
+    if (replay || mode === "puzzle" || latest.moves.length === 0) return;
+    saveGame({
+      id: gameId,
+      mode,
+      players,
+      size: latest.size,
+      winLength: latest.winLength,
+      variant: latest.variant,
+      moves: latest.moves,
+      result: resultLabel(latest.result),
+      termination: latest.result && latest.result.timeout ? "time" : undefined
+    }, storage);
+  }, [history, gameId, storage]);
+
+  // Profiles: record each finished local game once, when the result comes in
+  useEffect(() => {
+    const { mode, computerMark, difficulty, profiles, match, seats } = recording.current;
+    if (!finishedResult || (mode !== "pvp" && mode !== "pvc")) return;
+    const side = (mark) => {
+      if (mark === computerMark) return { ai: difficulty };
+      const id = profiles.seats[match.players.indexOf(seats[mark])];
+      return id ? { profile: id } : null;
+    };
+    profiles.record({ gameId, mode, X: side("X"), O: side("O"), result: finishedResult });
+  }, [finishedResult, gameId]);
+
+  // Puzzle progress: each attempt counts once, when it is solved or missed
+  const puzzleStatus = puzzle && puzzle.status;
+  useEffect(() => {
+    const { puzzle, puzzleProgress } = recording.current;
+    if (puzzleStatus && puzzleStatus !== "playing") puzzleProgress.record(puzzle.puzzle.id, puzzleStatus === "solved");
+  }, [puzzleStatus, gameId]);
 
   // PUBLIC_INTERFACE
-  function jumpTo(stepIdx) {
-    setStep(stepIdx);
-    setBoard(history[stepIdx].board);
-    setIsXNext(stepIdx % 2 === 0);
-    setWinningLine(null);
+  function handleCellClick(cell) {
+    if (mode === "online") {
+      // Only on our turn, on the live position; the server applies the move and echoes it to both players
+      if (!replay && online.player === game.turn && step === lastStep && isLegalMove(game, cell)) {
+        online.move(cell);
+      }
+      return;
+    }
+    // The reducer ignores moves during a replay, on the computer's turn and on taken cells
+    dispatch({ type: "play", move: variant.chooseMark ? [...cell, placeMark] : cell });
   }
 
   // PUBLIC_INTERFACE
   function handleReset() {
-    setBoard(createEmptyBoard());
-    setIsXNext(true);
-    setHistory([{ board: createEmptyBoard(), move: null, player: "X" }]);
-    setStep(0);
-    setStatus("Next: X");
-    setWinningLine(null);
-    setError("");
-    setAiThinking(false);
+    if (mode === "online" && online.code) {
+      // The server decides: a rematch is only allowed once the game is over
+      online.rematch();
+      return;
+    }
+    dispatch({ type: "reset" });
+  }
+
+  // Display names stored with archived games
+  function playerNames() {
+    if (mode === "pvc") {
+      return { ...seats, [computerMark]: `${COMPUTER} (${DIFFICULTIES[difficulty].label})` };
+    }
+    if (mode === "online") {
+      return online.player === "O"
+        ? { X: "Opponent", O: "You" }
+        : { X: "You", O: "Opponent" };
+    }
+    return seats;
   }
 
   // PUBLIC_INTERFACE
-  function handleModeChange(e) {
-    setMode(e.target.value);
-    handleReset();
+  function openArchive() {
+    setArchiveGames(listGames(storage));
+    setScreen("archive");
   }
 
-  // Styling for the winning cell
-  function isWinningCell(row, col) {
-    return winningLine && winningLine.some(([r, c]) => r === row && c === col);
+  // PUBLIC_INTERFACE
+  function handleDeleteArchivedGame(id) {
+    deleteGame(id, storage);
+    setArchiveGames(listGames(storage));
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Get move from OpenAI by sending current board state.
-   * Returns a Promise that resolves to [row, col] or null.
+   * Load a saved game onto the board for review.
+   * Uses the normal history/step timeline, so jumpTo and the move list work as usual.
+   * Archived games play back from the start; imported ones open paused on the final position.
    */
-  async function getOpenAIMove(currentBoard) {
-    // Prepare prompt to tell GPT to act as an unbeatable Tic Tac Toe player
-    // Give the board as a string, ask for [row, col]
-    const displayBoard = (b) => b.map(r => r.map(c => c || "-").join("")).join("\n");
-    const prompt = `
-You are a perfect Tic Tac Toe player called "AI". You play as "O". The board is a 3x3 grid, indexed from 0 (top-left) to 2 (bottom-right).
-Given the board state, output the next best move as a JSON array [row, col] that refers to an empty cell.
-Do not output anything else.
-Board state (X=human, O=you, '-'=empty):
-
-${displayBoard(currentBoard)}
-
-It is your turn. Output only the next move as JSON array [row, col].
-`;
-
-    const completion = await openai.createChatCompletion({
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 10,
-      temperature: 0.2,
-    });
-    if (
-      completion &&
-      completion.data &&
-      completion.data.choices &&
-      completion.data.choices[0] &&
-      completion.data.choices[0].message &&
-      typeof completion.data.choices[0].message.content === "string"
-    ) {
-      // Extract move from response, expected: [row,col]
-      let raw = completion.data.choices[0].message.content.trim();
-      try {
-        // Sometimes model outputs text before the json, try to extract JSON array [row, col]
-        const match = raw.match(/\[ *\d+ *, *\d+ *\]/);
-        if (match) {
-          return JSON.parse(match[0]);
-        }
-        if (raw.startsWith("[")) {
-          return JSON.parse(raw);
-        }
-      } catch (_e) {
-        return null;
-      }
+  function startReplay(record, source = "archive") {
+    dispatch({ type: "startReplay", record, source });
+    setScreen("play");
+  }
+
+  // PUBLIC_INTERFACE
+  function exitReplay() {
+    dispatch({ type: "exitReplay" });
+    if (replay.source === "archive") {
+      openArchive();
     }
-    return null;
   }
 
-  // Colors
-  const COLORS = {
-    primary: "#3498db",
-    secondary: "#2ecc71",
-    accent: "#e74c3c",
-    bg: "#fff",
-    border: "#ececec",
-    text: "#282c34"
-  };
+  // PUBLIC_INTERFACE
+  /** Download the game on the board (the whole line, not just up to `step`) as notation text. */
+  function exportGame() {
+    const latest = history[history.length - 1];
+    const record = replay
+      ? replay.record
+      : {
+          mode,
+          players: playerNames(),
+          size: latest.size,
+          winLength: latest.winLength,
+          variant: latest.variant,
+          moves: latest.moves,
+          termination: latest.result && latest.result.timeout ? "time" : undefined
+        };
+    const blob = new Blob([formatGame(record)], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `tic-tac-toe-${new Date().toISOString().slice(0, 10)}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
 
-  // Minimal CSS-in-JS (overrides)
-  const minBoardStyle = (isMobile
-    ? {
-        width: "90vw",
-        maxWidth: "350px"
-      }
-    : {
-        width: "350px"
-      });
+  // PUBLIC_INTERFACE
+  /** Put the link to the position shown on the clipboard. Rejects where the clipboard can't be written. */
+  function copyLink() {
+    if (!window.navigator.clipboard) return Promise.reject(new Error("Clipboard not available"));
+    return window.navigator.clipboard.writeText(linkURL);
+  }
 
-  // Move history as list
-  function renderMoveHistory() {
-    return (
-      <ol className="move-history-list">
-        {history.map((item, idx) => {
-          let desc =
-            idx === 0
-              ? "Game start"
-              : `#${idx}: Player ${item.player} at (${item.move[0] + 1},${
-                  item.move[1] + 1
-                })`;
-          return (
-            <li key={idx}>
-              <button
-                className={`move-history-btn${
-                  idx === step ? " selected" : ""
-                }`}
-                onClick={() => jumpTo(idx)}
-                aria-label={`Go to move ${idx}`}
-              >
-                {desc}
-              </button>
-            </li>
-          );
-        })}
-      </ol>
-    );
+  // Names used when narrating moves for screen readers
+  function narrationNames() {
+    if (replay) return replay.record.players;
+    if (puzzle) return { [puzzle.puzzle.player]: HUMAN, [computerMark]: COMPUTER };
+    return mode === "pvc" ? seats : playerNames();
   }
 
-  // Board rendering
-  function renderBoardGrid() {
-    return (
-      <div
-        className="ttt-board"
-        style={{
-          ...minBoardStyle,
-          aspectRatio: "1",
-          background: COLORS.bg,
-          borderRadius: "18px",
-          boxShadow: "0 4px 16px rgba(52,152,219,0.06)",
-          display: "grid",
-          gridTemplateRows: "repeat(3, 1fr)",
-          gridTemplateColumns: "repeat(3, 1fr)"
-        }}
-      >
-        {board.map((row, rIdx) =>
-          row.map((cell, cIdx) => {
-            return (
-              <button
-                className="ttt-cell"
-                key={`${rIdx}-${cIdx}`}
-                onClick={() => handleCellClick(rIdx, cIdx)}
-                style={{
-                  border:
-                    isWinningCell(rIdx, cIdx)
-                      ? `2px solid ${COLORS.accent}`
-                      : `1px solid ${COLORS.primary}33`,
-                  color:
-                    cell === "X"
-                      ? COLORS.primary
-                      : cell === "O"
-                      ? COLORS.secondary
-                      : COLORS.text,
-                  background: isWinningCell(rIdx, cIdx)
-                    ? "#e74c3c11"
-                    : "transparent",
-                  transition: "background 0.2s, box-shadow 0.2s, color 0.13s",
-                  borderRadius: "12px",
-                  fontWeight: 700,
-                  fontSize: isMobile ? "2.2rem" : "2.8rem",
-                  userSelect: "none"
-                }}
-                disabled={!!cell || !!calculateWinner(board)}
-                aria-label={`Cell ${rIdx + 1},${cIdx + 1}${cell ? `: ${cell}` : ""}`}
-              >
-                {cell}
-              </button>
-            );
-          })
-        )}
-      </div>
-    );
+  // Reviewing an earlier position says so first
+  const narration = `${step < lastStep ? `${t("narration.reviewing", { step, last: lastStep })} ` : ""}${narrate(game, narrationNames(), t)}`;
+
+  // Solver evaluation of an empty cell for the player to move: short label and a tooltip
+  function cellEvaluation(at) {
+    // Wild cells are evaluated once per mark: show the one the next click would place
+    const wanted = variant.chooseMark ? [...at, placeMark] : at;
+    const cell = analysis && analysis[step].cells.find(({ move }) => sameMove(move, wanted));
+    if (!cell) return null;
+    const { outcome, plies } = cell;
+    const values = { player: game.turn, count: plies };
+    if (outcome === "win") return { outcome, label: t("eval.winLabel", values), title: t("eval.win", values) };
+    if (outcome === "loss") return { outcome, label: t("eval.lossLabel", values), title: t("eval.loss", values) };
+    if (outcome === "draw") return { outcome, label: t("eval.drawLabel"), title: t("eval.draw", values) };
+    return { outcome: null, label: t("eval.unknownLabel"), title: t("eval.unknown") };
   }
 
+  // Colors come from the current theme's tokens (src/theme/themes.js); no hex values below
+  const COLORS = theme.colors;
+
   // Header title
   function renderHeader() {
     return (
@@ -429,7 +514,7 @@ It is your turn. Output only the next move as JSON array [row, col].
             marginBottom: "10px"
           }}
         >
-          Tic Tac Toe
+          {t("app.title")}
         </h1>
         <span
           style={{
@@ -439,142 +524,70 @@ It is your turn. Output only the next move as JSON array [row, col].
             marginBottom: "0px"
           }}
         >
-          {mode === "pvp"
-            ? "Two Player Mode"
-            : "Player vs Computer Mode"}
+          {replay
+            ? t("app.replay", { X: t.playerName(replay.record.players.X), O: t.playerName(replay.record.players.O) })
+            : t(`app.mode.${mode}`)}
         </span>
-      </header>
-    );
-  }
-
-  function renderStatusBar() {
-    return (
-      <>
-        <div
-          className="ttt-status"
-          style={{
-            textAlign: "center",
-            margin: isMobile ? "14px 0 2vw 0" : "18px 0 20px 0",
-            minHeight: "1.5rem",
-            fontWeight: 600,
-            color:
-              status === "Draw!"
-                ? COLORS.accent
-                : status.startsWith("Winner")
-                ? COLORS.secondary
-                : COLORS.primary,
-            fontSize: isMobile ? "1.22rem" : "1.39rem",
-            letterSpacing: "0.3px"
-          }}
-          aria-live="assertive"
-        >
-          {status}
-          {aiThinking && mode === "pvc" && !calculateWinner(board) ? (
-            <span style={{ marginLeft: 12, color: COLORS.accent, fontSize: "1rem" }}>
-              AI Thinking...
-            </span>
-          ) : null}
-        </div>
-        {error && (
-          <div style={{ color: COLORS.accent, fontWeight: 500, fontSize: isMobile ? "1rem" : "1.07rem" }}>
-            {error}
-          </div>
-        )}
-      </>
-    );
-  }
-
-  function renderControls() {
-    return (
-      <div
-        className="ttt-controls"
-        style={{
-          marginTop: isMobile ? "7vw" : "34px",
-          display: "flex",
-          flexDirection: isMobile ? "column" : "row",
-          alignItems: "center",
-          justifyContent: "center",
-          gap: isMobile ? "12px" : "26px"
-        }}
-      >
-        <label style={{ fontWeight: 500, color: COLORS.text }}>
-          <span style={{paddingRight: "7px"}}>Mode:</span>
-          <select
-            className="ttt-mode-select"
-            onChange={handleModeChange}
-            value={mode}
+        {installPrompt.canInstall && !embed && (
+          <button
+            type="button"
+            onClick={installPrompt.install}
             style={{
-              fontWeight: 700,
-              fontSize: isMobile ? "1rem" : "1.13rem",
-              borderRadius: "6px",
-              background: "#fff",
-              border: `1.5px solid ${COLORS.primary}66`,
+              marginTop: "10px",
+              background: "transparent",
               color: COLORS.primary,
-              padding: "6px 14px",
-              outline: "none"
+              border: `1.5px solid ${COLORS.primary}`,
+              borderRadius: "7px",
+              padding: "4px 12px",
+              fontWeight: 600,
+              cursor: "pointer"
             }}
-            aria-label="Game mode select"
           >
-            <option value="pvp">Two Player</option>
-            <option value="pvc">Player vs Computer</option>
-          </select>
-        </label>
-        <button
-          type="button"
-          className="ttt-reset-btn"
-          onClick={handleReset}
-          style={{
-            background: COLORS.primary,
-            color: "#fff",
-            border: "none",
-            fontWeight: 700,
-            fontSize: isMobile ? "1.07rem" : "1.16rem",
-            borderRadius: "7px",
-            padding: isMobile ? "10px 20px" : "12px 32px",
-            minWidth: isMobile ? "90px" : "110px",
-            cursor: "pointer",
-            boxShadow: `0 2px 8px ${COLORS.primary}19`,
-            transition: "all 0.18s"
-          }}
-        >
-          Reset
-        </button>
-      </div>
+            {t("app.install")}
+          </button>
+        )}
+        <LanguagePicker colors={COLORS} t={t} locale={locale} onChange={setLocale} />
+      </header>
     );
   }
 
-  // Move history panel
   function renderHistoryPanel() {
+    const moves = (
+      <MoveHistory
+        colors={COLORS}
+        t={t}
+        isMobile={isMobile}
+        tree={tree}
+        line={line}
+        step={step}
+        analysis={analysis}
+        showAnalysis={showAnalysis}
+        keepVariations={keepVariations}
+        onShowAnalysisChange={setShowAnalysis}
+        onKeepVariationsChange={(value) => dispatch({ type: "setKeepVariations", value })}
+        onJump={jumpTo}
+        onGoTo={(id) => dispatch({ type: "goTo", id })}
+        onExport={exportGame}
+        onCopyLink={linkURL ? copyLink : null}
+        onImport={(record) => startReplay(record, "import")}
+      />
+    );
+    if (mode === "puzzle" || mode === "online") return moves;
     return (
-      <aside
-        className="ttt-move-history"
-        style={{
-          width: isMobile ? "94vw" : "210px",
-          maxWidth: isMobile ? "94vw" : "210px",
-          minHeight: isMobile ? "60px" : "134px",
-          background: "#fff",
-          border: `1px solid ${COLORS.primary}19`,
-          boxShadow: "0 1px 8px #3498db07",
-          borderRadius: "18px",
-          margin: isMobile ? "32px auto 0 auto" : "0 0 0 44px",
-          padding: isMobile ? "16px 8px" : "16px 10px",
-          textAlign: "left",
-          overflowX: "auto",
-          zIndex: 1
-        }}
-      >
-        <div
-          style={{
-            fontWeight: 600,
-            color: COLORS.primary,
-            fontSize: isMobile ? "1.07rem" : "1.13rem",
-            marginBottom: "9px"
-          }}
-        >
-          Move History
-        </div>
-        {renderMoveHistory()}
-      </aside>
+      <div style={{ display: "flex", flexDirection: "column" }}>
+        {moves}
+        <CoachPanel
+          colors={COLORS}
+          t={t}
+          isMobile={isMobile}
+          enabled={showCoach}
+          onEnabledChange={setShowCoach}
+          coach={coachOn ? coach : null}
+          canReview={!!history[history.length - 1].result}
+          review={coachReview}
+          onReviewChange={setCoachReview}
+        />
+      </div>
     );
   }
 
@@ -582,11 +595,17 @@ It is your turn. Output only the next move as JSON array [row, col].
   return (
     <div
       className="ttt-app-wrapper"
+      ref={wrapperRef}
+      lang={locale}
+      dir={t.dir}
       style={{
         fontFamily:
           "system-ui, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Helvetica Neue', Arial, sans-serif",
-        background: "#f8fafc",
-        minHeight: "100vh"
+        ...cssVariables(COLORS),
+        background: COLORS.bg,
+        color: COLORS.text,
+        colorScheme: theme.scheme,
+        minHeight: embed ? undefined : "100vh"
       }}
     >
       {renderHeader()}
@@ -609,13 +628,156 @@ It is your turn. Output only the next move as JSON array [row, col].
             alignItems: "center"
           }}
         >
-          {renderStatusBar()}
-          {renderBoardGrid()}
-          {renderControls()}
+          {screen === "profiles" ? (
+            <ProfilesScreen profiles={profiles} colors={COLORS} t={t} onClose={() => setScreen("play")} />
+          ) : screen === "archive" ? (
+            <ArchiveScreen
+              games={archiveGames}
+              colors={COLORS}
+              t={t}
+              onReplay={startReplay}
+              onDelete={handleDeleteArchivedGame}
+              onClose={() => setScreen("play")}
+            />
+          ) : (
+            <>
+              <StatusBar
+                status={status}
+                tone={statusTone}
+                colors={COLORS}
+                t={t}
+                isMobile={isMobile}
+                thinking={aiThinking && (mode === "pvc" || mode === "cvc") && !game.result}
+                rules={rules}
+                offline={offline}
+                narration={narration}
+                error={errorText}
+                onlineError={mode === "online" ? online.error : ""}
+              />
+              {clock && (
+                <Clocks
+                  clock={clock}
+                  colors={COLORS}
+                  t={t}
+                  isMobile={isMobile}
+                  names={narrationNames()}
+                  // The player to move once the clock has started, if their clock is stopped
+                  paused={
+                    !clock.running && !history[lastStep].result && lastStep > 0 ? history[lastStep].turn : null
+                  }
+                />
+              )}
+              {mode === "online" && !replay && (
+                <OnlinePanel colors={COLORS} t={t} isMobile={isMobile} online={online} boardOptions={boardOptions} />
+              )}
+              {puzzle && !replay && (
+                <PuzzlePanel
+                  colors={COLORS}
+                  t={t}
+                  isMobile={isMobile}
+                  puzzle={puzzle.puzzle}
+                  status={puzzle.status}
+                  progress={puzzleProgress}
+                  onDifficultyChange={(level) => startPuzzle(level)}
+                  onNext={() => startPuzzle(puzzle.puzzle.difficulty, puzzle.puzzle.index)}
+                />
+              )}
+              {mode !== "online" && mode !== "puzzle" && !replay && (
+                <Scoreboard colors={COLORS} t={t} isMobile={isMobile} match={match} liveMatch={liveMatch} seats={seats} />
+              )}
+              {variant.chooseMark && !replay && !game.result && mode !== "cvc" && (
+                <MarkPicker
+                  mark={placeMark}
+                  colors={COLORS}
+                  t={t}
+                  symbols={theme.symbols}
+                  isMobile={isMobile}
+                  onChange={setPlaceMark}
+                />
+              )}
+              <Board
+                game={game}
+                colors={COLORS}
+                t={t}
+                symbols={theme.symbols}
+                isMobile={isMobile}
+                hintMove={hintMove}
+                evaluate={cellEvaluation}
+                onCellClick={handleCellClick}
+              />
+              {replay ? (
+                <ReplayControls
+                  colors={COLORS}
+                  t={t}
+                  isMobile={isMobile}
+                  replay={replay}
+                  step={step}
+                  lastStep={lastStep}
+                  onJump={jumpTo}
+                  onChange={(changes) => dispatch({ type: "updateReplay", changes })}
+                  onExit={exitReplay}
+                />
+              ) : (
+                <Controls
+                  colors={COLORS}
+                  t={t}
+                  isMobile={isMobile}
+                  theme={theme}
+                  mode={mode}
+                  onlineAvailable={!!onlineServerURL}
+                  serverBotAvailable={!!aiServerURL}
+                  boardOptions={boardOptions}
+                  boardLocked={mode === "online" && !!online.code}
+                  bestOf={match.bestOf}
+                  humanSide={computerMark === "X" ? "O" : "X"}
+                  difficulty={difficulty}
+                  bots={bots}
+                  botSpeed={botSpeed}
+                  botsPaused={botsPaused}
+                  timeControl={timeControl}
+                  countComputerTime={countComputerTime}
+                  profiles={profiles.profiles}
+                  seatProfiles={profiles.seats}
+                  canUndo={canUndo}
+                  canRedo={canRedo}
+                  canHint={canHint}
+                  resetLabel={t(
+                    mode === "online"
+                      ? "controls.reset"
+                      : mode === "puzzle"
+                      ? "controls.tryAgain"
+                      : matchStatus(liveMatch).over
+                      ? "controls.newMatch"
+                      : finishedResult
+                      ? "controls.nextGame"
+                      : "controls.reset"
+                  )}
+                  onModeChange={changeMode}
+                  onBoardChange={(options) => dispatch({ type: "setBoard", options })}
+                  onMatchLengthChange={(bestOf) => dispatch({ type: "setMatchLength", bestOf })}
+                  onHumanSideChange={(side) => dispatch({ type: "setHumanSide", side })}
+                  // Takes effect from the computer's next move; the game in progress is kept
+                  onDifficultyChange={setDifficulty}
+                  onBotsChange={(nextBots) => dispatch({ type: "setBots", bots: nextBots })}
+                  onBotSpeedChange={(speed) => dispatch({ type: "setBotSpeed", speed })}
+                  onBotsPausedChange={(value) => dispatch({ type: "setBotsPaused", value })}
+                  onTimeControlChange={(control) => dispatch({ type: "setTimeControl", timeControl: control })}
+                  onCountComputerTimeChange={(value) => dispatch({ type: "setCountComputerTime", value })}
+                  onUndo={() => dispatch({ type: "undo" })}
+                  onRedo={() => dispatch({ type: "redo" })}
+                  onReset={handleReset}
+                  onHint={() => dispatch({ type: "hint" })}
+                  onOpenArchive={openArchive}
+                  onOpenProfiles={() => setScreen("profiles")}
+                  onSeatProfileChange={profiles.seat}
+                />
+              )}
+            </>
+          )}
         </section>
-        {!isMobile && renderHistoryPanel()}
+        {!isMobile && screen === "play" && renderHistoryPanel()}
       </main>
-      {isMobile && (
+      {isMobile && screen === "play" && (
         <footer
           style={{
             marginTop: "20vw",
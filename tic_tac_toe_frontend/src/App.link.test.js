@@ -0,0 +1,70 @@
+import { render, screen, fireEvent, waitFor, act } from "@testing-library/react";
+import App from "./App";
+import { cell } from "./testUtils";
+
+beforeEach(() => window.localStorage.clear());
+
+test("the URL follows the game: moves, the position shown and the mode", () => {
+  render(<App />);
+  expect(window.location.hash).toBe("#mode=pvp&size=3&win=3");
+  fireEvent.click(cell(2, 2));
+  fireEvent.click(cell(1, 1));
+  expect(window.location.hash).toBe("#mode=pvp&size=3&win=3&moves=b2.a1");
+  fireEvent.click(screen.getByRole("button", { name: /^Go to move 1/ }));
+  expect(window.location.hash).toBe("#mode=pvp&size=3&win=3&moves=b2.a1&step=1");
+  fireEvent.change(screen.getByLabelText("Rules variant select"), { target: { value: "misere" } });
+  expect(window.location.hash).toBe("#mode=pvp&size=3&win=3&rules=misere");
+});
+
+test("opening a link restores its position, with the later moves still in the history", () => {
+  window.history.replaceState(null, "", "/#mode=pvc&side=O&size=4&win=3&moves=b2.a1.c3&step=2");
+  render(<App />);
+  expect(screen.getByLabelText("Game mode select")).toHaveValue("pvc");
+  expect(screen.getByRole("grid")).toHaveAccessibleName(/^Board, 4 by 4/);
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: X/);
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: O/);
+  expect(cell(3, 3)).toHaveAccessibleName(/^Row 3, column 3: empty/);
+  expect(screen.getAllByRole("button", { name: /^Go to move/ })).toHaveLength(4);
+  expect(window.location.hash).toBe("#mode=pvc&side=O&size=4&win=3&moves=b2.a1.c3&step=2");
+});
+
+test("a broken link says why and starts a normal game", () => {
+  window.history.replaceState(null, "", "/#mode=pvp&moves=b2.b2");
+  render(<App />);
+  expect(screen.getByRole("alert")).toHaveTextContent(/^Couldn't open the link: Move 2 \(b2\) is illegal/);
+  expect(screen.getAllByRole("gridcell")).toHaveLength(9);
+  expect(window.location.hash).toBe("#mode=pvp&size=3&win=3");
+});
+
+test("browser back and forward step through the moves played", async () => {
+  render(<App />);
+  fireEvent.click(cell(2, 2));
+  fireEvent.click(cell(1, 1));
+  fireEvent.click(cell(3, 3));
+
+  act(() => window.history.back());
+  await waitFor(() => expect(cell(3, 3)).toHaveAccessibleName(/^Row 3, column 3: empty/));
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: O/);
+  // Still the same game: the last move waits in the history
+  expect(screen.getAllByRole("button", { name: /^Go to move/ })).toHaveLength(4);
+
+  act(() => window.history.forward());
+  await waitFor(() => expect(cell(3, 3)).toHaveAccessibleName(/^Row 3, column 3: X/));
+
+  // Back past a new game opens the game before it
+  fireEvent.click(screen.getByText("Reset"));
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: empty/);
+  act(() => window.history.back());
+  await waitFor(() => expect(cell(3, 3)).toHaveAccessibleName(/^Row 3, column 3: X/));
+});
+
+test("Copy link puts the position's URL on the clipboard", async () => {
+  const writeText = jest.fn(() => Promise.resolve());
+  Object.defineProperty(window.navigator, "clipboard", { value: { writeText }, configurable: true });
+  render(<App />);
+  fireEvent.click(cell(2, 2));
+  fireEvent.click(screen.getByText("Copy link"));
+  expect(await screen.findByText("Link copied")).toBeInTheDocument();
+  expect(writeText).toHaveBeenCalledWith("http://localhost/#mode=pvp&size=3&win=3&moves=b2");
+  delete window.navigator.clipboard;
+});
@@ -0,0 +1,55 @@
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import App from "./App";
+import { play } from "./testUtils";
+
+beforeEach(() => window.localStorage.clear());
+
+function addPlayer(name) {
+  fireEvent.change(screen.getByLabelText("New player name"), { target: { value: name } });
+  fireEvent.click(screen.getByRole("button", { name: "Add player" }));
+}
+
+test("seated profiles name the players, and their finished games reach the leaderboard and stats", () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole("button", { name: "Players" }));
+  addPlayer("Ann");
+  addPlayer("ann");
+  expect(screen.getByRole("alert")).toHaveTextContent('There is already a player called "ann"');
+  addPlayer("Bo");
+  fireEvent.click(screen.getByRole("button", { name: "Back to game" }));
+
+  const ids = within(screen.getByLabelText("Player 1 profile select"))
+    .getAllByRole("option")
+    .map((option) => option.value);
+  fireEvent.change(screen.getByLabelText("Player 1 profile select"), { target: { value: ids[1] } });
+  fireEvent.change(screen.getByLabelText("Player 2 profile select"), { target: { value: ids[2] } });
+  expect(within(screen.getByRole("table", { name: "Scoreboard" })).getByText("Ann")).toBeInTheDocument();
+
+  play([1, 1], [2, 1], [1, 2], [2, 2], [1, 3]);
+  fireEvent.click(screen.getByRole("button", { name: "Players" }));
+  const rows = within(screen.getByRole("table", { name: "Leaderboard" }))
+    .getAllByRole("row")
+    .slice(1)
+    .map((row) => within(row).getAllByRole("cell").map((cell) => cell.textContent));
+  expect(rows).toEqual([
+    ["1", "Ann", "1216", "1", "100%"],
+    ["2", "Bo", "1184", "1", "0%"]
+  ]);
+
+  fireEvent.click(screen.getByRole("button", { name: "Statistics for Ann" }));
+  const stats = screen.getByRole("region", { name: "Ann statistics" });
+  expect(within(stats).getByText("Win rate as X").nextSibling).toHaveTextContent("100% of 1");
+  expect(within(stats).getByText("Longest winning streak").nextSibling).toHaveTextContent("1");
+});
+
+test("against the computer the seated profile is the human player", () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole("button", { name: "Players" }));
+  addPlayer("Cy");
+  fireEvent.click(screen.getByRole("button", { name: "Back to game" }));
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "pvc" } });
+  const [, cy] = within(screen.getByLabelText("Player profile select")).getAllByRole("option");
+  fireEvent.change(screen.getByLabelText("Player profile select"), { target: { value: cy.value } });
+  expect(screen.getByLabelText("Player profile select")).toHaveValue(cy.value);
+  expect(within(screen.getByRole("table", { name: "Scoreboard" })).getByText("Cy")).toBeInTheDocument();
+});
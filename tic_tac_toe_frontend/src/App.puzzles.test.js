@@ -0,0 +1,68 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import App from "./App";
+import { generatePuzzle, puzzleGoal, puzzleStart, attemptStatus } from "./puzzles/puzzles";
+import { applyMove } from "./game/engine";
+import { emptyCells } from "./puzzles/solver";
+import { cell, marks } from "./testUtils";
+
+// Plays the position on the board: a winning move if there is one, else one that keeps the goal
+function playGoodMove(puzzle, game) {
+  const keeps = emptyCells(game.board).filter((move) => attemptStatus(puzzle, applyMove(game, move)) !== "failed");
+  const move = keeps.find((m) => applyMove(game, m).result) || keeps[0];
+  fireEvent.click(cell(move[0] + 1, move[1] + 1));
+  return applyMove(game, move);
+}
+
+function openPuzzles() {
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "puzzle" } });
+}
+
+test("puzzle mode sets the first easy puzzle with its goal, and hides the game setup", () => {
+  render(<App />);
+  openPuzzles();
+  const puzzle = generatePuzzle("easy", 0);
+  expect(screen.getByText(`Puzzle: ${puzzleGoal(puzzle)}`)).toBeInTheDocument();
+  expect(screen.getByText("Puzzle 1 · Easy")).toBeInTheDocument();
+  expect(marks()).toBe(puzzle.moves.length);
+  expect(screen.queryByLabelText("Board size select")).not.toBeInTheDocument();
+  expect(screen.queryByLabelText("Rules variant select")).not.toBeInTheDocument();
+  expect(screen.queryByLabelText("Match length select")).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Puzzle difficulty select"), { target: { value: "hard" } });
+  expect(screen.getByText("Puzzle 1 · Hard")).toBeInTheDocument();
+  expect(screen.getByText(`Puzzle: ${puzzleGoal(generatePuzzle("hard", 0))}`)).toBeInTheDocument();
+});
+
+test("solving a puzzle against the computer's defense counts it and moves on", async () => {
+  render(<App />);
+  openPuzzles();
+  const puzzle = generatePuzzle("easy", 0);
+  let game = puzzleStart(puzzle);
+  while (!game.result) {
+    game = playGoodMove(puzzle, game);
+    if (game.result) break;
+    const played = marks();
+    await waitFor(() => expect(marks()).toBe(played + 1));
+    // The computer's reply: the cell marked on the board that is still empty here
+    game = applyMove(game, emptyCells(game.board).find(([r, c]) => /: [XO]/.test(cell(r + 1, c + 1).getAttribute("aria-label"))));
+  }
+  expect(await screen.findByText(/1 of 1 easy solved · streak 1 \(best 1\)/)).toBeInTheDocument();
+  expect(screen.getByText("Solved!")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Next puzzle"));
+  expect(screen.getByText("Puzzle 2 · Easy")).toBeInTheDocument();
+});
+
+test("a miss fails the puzzle at once; Try again sets it up afresh", () => {
+  render(<App />);
+  openPuzzles();
+  const puzzle = generatePuzzle("easy", 0);
+  const miss = emptyCells(puzzleStart(puzzle).board).find(([r, c]) => !puzzle.solutions.some(([sr, sc]) => sr === r && sc === c));
+  fireEvent.click(cell(miss[0] + 1, miss[1] + 1));
+  expect(screen.getByText(/^Not solved: /)).toBeInTheDocument();
+  expect(screen.getByText(/0 of 1 easy solved · streak 0/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Try again"));
+  expect(marks()).toBe(puzzle.moves.length);
+  expect(screen.getByText(`Puzzle: ${puzzleGoal(puzzle)}`)).toBeInTheDocument();
+});
@@ -0,0 +1,54 @@
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import App from "./App";
+import { cell } from "./testUtils";
+
+function setOnline(value) {
+  Object.defineProperty(window.navigator, "onLine", { value, configurable: true });
+  act(() => {
+    window.dispatchEvent(new window.Event(value ? "online" : "offline"));
+  });
+}
+
+test("the status bar says when the device is offline", () => {
+  render(<App />);
+  expect(screen.queryByText(/^Offline/)).not.toBeInTheDocument();
+  setOnline(false);
+  expect(screen.getByText("Offline: the computer plays with the local engine")).toBeInTheDocument();
+  setOnline(true);
+  expect(screen.queryByText(/^Offline/)).not.toBeInTheDocument();
+});
+
+test("a relaunch without a link carries on with the game in progress", () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText("Board size select"), { target: { value: "4" } });
+  fireEvent.click(cell(2, 2));
+  fireEvent.click(cell(1, 1));
+  unmount();
+
+  // The installed app starts at its start URL, with no game in it
+  window.history.replaceState(null, "", "/");
+  render(<App />);
+  expect(screen.getAllByRole("gridcell")).toHaveLength(16);
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: X/);
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: O/);
+  expect(screen.getByText("Next: X")).toBeInTheDocument();
+});
+
+test("Install app shows the browser's install prompt once it is offered", async () => {
+  render(<App />);
+  expect(screen.queryByText("Install app")).not.toBeInTheDocument();
+
+  const offer = new window.Event("beforeinstallprompt", { cancelable: true });
+  offer.prompt = jest.fn();
+  offer.userChoice = Promise.resolve({ outcome: "accepted" });
+  act(() => {
+    window.dispatchEvent(offer);
+  });
+  expect(offer.defaultPrevented).toBe(true);
+
+  await act(async () => {
+    fireEvent.click(screen.getByText("Install app"));
+  });
+  expect(offer.prompt).toHaveBeenCalled();
+  expect(screen.queryByText("Install app")).not.toBeInTheDocument();
+});
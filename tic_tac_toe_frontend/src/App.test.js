@@ -1,8 +1,207 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import App from "./App";
+import { cell, play } from "./testUtils";
 
-test('renders learn react link', () => {
+// The computer's moves come from this provider instead of the local engine; each request
+// waits until the test answers it, so "thinking" can be observed and interrupted
+const mockRequests = [];
+jest.mock("./ai/providers", () => {
+  const actual = jest.requireActual("./ai/providers");
+  return {
+    ...actual,
+    createLocalProvider: () => ({
+      id: "mock",
+      label: "Mock",
+      getMove: (game, { signal }) =>
+        new Promise((resolve, reject) => {
+          const request = { game, resolve, aborted: false };
+          signal.addEventListener("abort", () => {
+            request.aborted = true;
+            reject(new actual.ProviderError("Cancelled", { code: "aborted" }));
+          });
+          mockRequests.push(request);
+        })
+    })
+  };
+});
+
+beforeEach(() => {
+  mockRequests.length = 0;
+  window.localStorage.clear();
+});
+
+function status() {
+  return document.querySelector(".ttt-status").textContent;
+}
+
+async function answer(move) {
+  await act(async () => {
+    mockRequests[mockRequests.length - 1].resolve(move);
+  });
+}
+
+function startVsComputer() {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "pvc" } });
+}
+
+test("a completed row wins, marks the line and locks the board", () => {
+  render(<App />);
+  play([1, 1], [2, 1], [1, 2], [2, 2], [1, 3]);
+  expect(status()).toBe("Winner: X");
+  expect(cell(1, 3)).toHaveAccessibleName("Row 1, column 3: X, winning line");
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: O");
+
+  play([3, 3]);
+  expect(cell(3, 3)).toHaveAccessibleName("Row 3, column 3: empty");
+  expect(cell(3, 3)).toHaveAttribute("aria-disabled", "true");
+});
+
+test("a full board without a line is a draw, counted on the scoreboard by Next game", () => {
+  render(<App />);
+  // X O X / X O O / O X X
+  play([1, 1], [1, 2], [1, 3], [2, 2], [2, 1], [2, 3], [3, 2], [3, 1], [3, 3]);
+  expect(status()).toBe("Draw!");
+  fireEvent.click(screen.getByRole("button", { name: "Next game" }));
+  expect(status()).toBe("Next: X");
+  expect(screen.getByText("Game 2")).toBeInTheDocument();
+});
+
+test("a taken cell can't be played again", () => {
+  render(<App />);
+  play([2, 2], [2, 2]);
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: X");
+  expect(status()).toBe("Next: O");
+});
+
+test("against the computer, its turn waits for the provider and blocks the human", async () => {
+  startVsComputer();
+  play([1, 1]);
+  expect(mockRequests).toHaveLength(1);
+  expect(mockRequests[0].game.moves).toEqual([[0, 0]]);
+  expect(screen.getByText("AI Thinking...")).toBeInTheDocument();
+
+  // Clicking while the computer thinks does nothing
+  play([3, 3]);
+  expect(cell(3, 3)).toHaveAccessibleName("Row 3, column 3: empty");
+
+  await answer([1, 1]);
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: O");
+  expect(screen.queryByText("AI Thinking...")).not.toBeInTheDocument();
+  expect(status()).toBe("Next: X");
+});
+
+test("the computer plays X when the human picks O", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "pvc" } });
+  fireEvent.change(screen.getByLabelText("Your side select"), { target: { value: "O" } });
+  expect(mockRequests.filter((r) => !r.aborted)).toHaveLength(1);
+  expect(mockRequests[mockRequests.length - 1].game.moves).toEqual([]);
+});
+
+test("time travel shows an earlier position, and the computer doesn't move from it", async () => {
+  startVsComputer();
+  play([1, 1]);
+  await answer([1, 1]);
+  play([3, 3]);
+  await answer([0, 2]);
+  expect(mockRequests).toHaveLength(2);
+
+  fireEvent.click(screen.getByRole("button", { name: "Go to move 1" }));
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: empty");
+  expect(screen.getByRole("status")).toHaveTextContent(/^Move 1 of 4\./);
+  expect(mockRequests).toHaveLength(2);
+
+  fireEvent.click(screen.getByRole("button", { name: "Go to move 4" }));
+  expect(cell(1, 3)).toHaveAccessibleName("Row 1, column 3: O");
+  expect(mockRequests).toHaveLength(2);
+});
+
+test("reset while the computer is thinking drops its answer", async () => {
+  startVsComputer();
+  play([1, 1]);
+  const request = mockRequests[0];
+  fireEvent.click(screen.getByRole("button", { name: "Reset" }));
+  expect(request.aborted).toBe(true);
+  expect(screen.queryByText("AI Thinking...")).not.toBeInTheDocument();
+
+  await act(async () => request.resolve([1, 1]));
+  expect(screen.getAllByRole("gridcell").every((c) => c.textContent === "")).toBe(true);
+  expect(status()).toBe("Next: X");
+});
+
+test("a timed game shows both clocks and ends when one runs out", () => {
+  jest.useFakeTimers();
+  try {
+    render(<App />);
+    fireEvent.change(screen.getByLabelText("Time control select"), { target: { value: "15+2" } });
+    const [clockX, clockO] = screen.getAllByRole("timer");
+    expect(clockX).toHaveTextContent(/^X · Player 10:15$/);
+    expect(clockO).toHaveTextContent(/^O · Player 20:15$/);
+
+    play([2, 2]);
+    act(() => {
+      jest.advanceTimersByTime(4000);
+    });
+    play([1, 1]);
+    expect(document.querySelectorAll(".move-time")[1]).toHaveTextContent("4.0s");
+    expect(screen.getByRole("button", { name: "Undo" })).toBeDisabled();
+
+    act(() => {
+      jest.advanceTimersByTime(17000);
+    });
+    expect(status()).toBe("Winner: O (X ran out of time)");
+    expect(screen.getByRole("status")).toHaveTextContent("Player 1 (X) ran out of time. Player 2 (O) wins.");
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test("AI vs AI: both sides are asked in turn after a pause, and the board is read-only", async () => {
+  jest.useFakeTimers();
+  try {
+    render(<App />);
+    fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "cvc" } });
+    fireEvent.change(screen.getByLabelText("Computer 2 select"), { target: { value: "minimax-easy" } });
+    expect(screen.getByText("AI vs AI Mode")).toBeInTheDocument();
+    play([1, 1]);
+    expect(cell(1, 1)).toHaveAccessibleName("Row 1, column 1: empty");
+    expect(mockRequests).toHaveLength(0);
+
+    act(() => {
+      jest.advanceTimersByTime(800);
+    });
+    expect(mockRequests).toHaveLength(1);
+    expect(screen.getByText("AI Thinking...")).toBeInTheDocument();
+    await answer([1, 1]);
+    expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: X");
+
+    // Paused: nothing is asked until it resumes
+    fireEvent.click(screen.getByRole("button", { name: "Pause" }));
+    act(() => {
+      jest.advanceTimersByTime(5000);
+    });
+    expect(mockRequests).toHaveLength(1);
+    fireEvent.click(screen.getByRole("button", { name: "Resume" }));
+    act(() => {
+      jest.advanceTimersByTime(800);
+    });
+    expect(mockRequests).toHaveLength(2);
+    expect(mockRequests[1].game.turn).toBe("O");
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test("analysis tags the moves, and says so when the board is too big for it", () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText("Show analysis"));
+  // An edge reply to the centre opening loses by force
+  play([2, 2], [1, 2]);
+  expect(document.querySelector(".move-tag-blunder")).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Board size select"), { target: { value: "9" } });
+  play([5, 5]);
+  expect(screen.getByText("Not analysed: the solver only analyses boards up to 7x7.")).toBeInTheDocument();
+  expect(document.querySelector(".move-tag")).not.toBeInTheDocument();
 });
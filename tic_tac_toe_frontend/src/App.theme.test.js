@@ -0,0 +1,33 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "./App";
+
+beforeEach(() => window.localStorage.clear());
+
+function openPicker() {
+  fireEvent.click(screen.getByRole("button", { name: "Appearance" }));
+}
+
+test("the picked theme is applied to the app and remembered", () => {
+  const { container, unmount } = render(<App />);
+  openPicker();
+  fireEvent.change(screen.getByLabelText("Theme select"), { target: { value: "dark" } });
+  const wrapper = container.querySelector(".ttt-app-wrapper");
+  expect(wrapper.style.getPropertyValue("--ttt-bg")).toBe("#14181f");
+  unmount();
+
+  const again = render(<App />);
+  expect(again.container.querySelector(".ttt-app-wrapper").style.getPropertyValue("--ttt-bg")).toBe("#14181f");
+});
+
+test("custom symbols are drawn on the board while cells are still announced as X and O", () => {
+  render(<App />);
+  openPicker();
+  fireEvent.change(screen.getByLabelText("X symbol"), { target: { value: "🐱" } });
+  fireEvent.click(screen.getByRole("gridcell", { name: /^Row 1, column 1:/ }));
+  const played = screen.getByRole("gridcell", { name: /^Row 1, column 1: X/ });
+  expect(played).toHaveTextContent("🐱");
+
+  fireEvent.click(screen.getByLabelText("Custom colors"));
+  fireEvent.change(screen.getByLabelText("X marks color"), { target: { value: "#123456" } });
+  expect(played).toHaveStyle({ color: "#123456" });
+});
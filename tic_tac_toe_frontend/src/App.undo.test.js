@@ -0,0 +1,63 @@
+import { render, screen, fireEvent, waitFor, act } from "@testing-library/react";
+import App from "./App";
+import { cell, marks } from "./testUtils";
+
+async function startVsComputer() {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Game mode select"), { target: { value: "pvc" } });
+  fireEvent.click(cell(2, 2));
+  await waitFor(() => expect(marks()).toBe(2));
+}
+
+test("undo takes back the human move and the computer's reply together; redo brings both back", async () => {
+  await startVsComputer();
+  fireEvent.click(screen.getByText("Undo"));
+  expect(marks()).toBe(0);
+  expect(screen.getByText("Undo")).toBeDisabled();
+
+  // Nothing is thinking: the computer doesn't move again on its own
+  await act(() => new Promise((resolve) => setTimeout(resolve, 50)));
+  expect(marks()).toBe(0);
+
+  fireEvent.click(screen.getByText("Redo"));
+  expect(marks()).toBe(2);
+  expect(screen.getByText("Redo")).toBeDisabled();
+});
+
+test("a new move clears the redo stack", async () => {
+  await startVsComputer();
+  fireEvent.click(screen.getByText("Undo"));
+  fireEvent.click(cell(1, 1));
+  expect(screen.getByText("Redo")).toBeDisabled();
+  await waitFor(() => expect(marks()).toBe(2));
+  expect(screen.getAllByRole("button", { name: /^Go to move/ })).toHaveLength(3);
+});
+
+test("reviewing a position where it is the computer's turn doesn't make it move", async () => {
+  await startVsComputer();
+  fireEvent.click(screen.getByLabelText("Go to move 1"));
+  await act(() => new Promise((resolve) => setTimeout(resolve, 50)));
+  expect(marks()).toBe(1);
+  expect(screen.getAllByRole("button", { name: /^Go to move/ })).toHaveLength(3);
+  expect(screen.queryByText("AI Thinking...")).not.toBeInTheDocument();
+});
+
+test("with variations kept, a different move starts a branch shown in the move history", () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText("Keep variations"));
+  fireEvent.click(cell(1, 1));
+  fireEvent.click(cell(2, 2));
+  fireEvent.click(cell(3, 3));
+  fireEvent.click(screen.getByLabelText("Go to move 1"));
+  fireEvent.click(cell(1, 3));
+
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: empty");
+  const variation = screen.getByRole("button", { name: /↳ #2: O at \(2,2\) \+1/ });
+  fireEvent.click(variation);
+  // Back on the first branch, at its move 2, with the rest of it ready to redo
+  expect(cell(2, 2)).toHaveAccessibleName("Row 2, column 2: O");
+  expect(cell(1, 3)).toHaveAccessibleName("Row 1, column 3: empty");
+  fireEvent.click(screen.getByText("Redo"));
+  expect(cell(3, 3)).toHaveAccessibleName("Row 3, column 3: X");
+  expect(screen.getByRole("button", { name: /↳ #2: O at \(1,3\)/ })).toBeInTheDocument();
+});
@@ -0,0 +1,58 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "./App";
+import { cell } from "./testUtils";
+
+test("Wild: the mark picker decides what a click places, and completing a line of it wins", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Rules variant select"), { target: { value: "wild" } });
+  expect(screen.getByText("Wild: Place X or O on every turn; whoever completes a line of either wins.")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "Place O" }));
+  expect(screen.getByRole("button", { name: "Place O" })).toHaveAttribute("aria-pressed", "true");
+  fireEvent.click(cell(1, 1));
+  fireEvent.click(cell(3, 3));
+  fireEvent.click(cell(1, 2));
+  expect(cell(1, 2)).toHaveAccessibleName(/^Row 1, column 2: O/);
+  // O's turn, but the top row has two O's: an O completes it and wins for O
+  fireEvent.click(cell(1, 3));
+  expect(screen.getByText("Winner: O")).toBeInTheDocument();
+  expect(screen.queryByRole("group", { name: "Mark to place" })).not.toBeInTheDocument();
+});
+
+test("Ultimate: a 9x9 board where only the small board you are sent to can be played", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Rules variant select"), { target: { value: "ultimate" } });
+  expect(screen.getByRole("grid")).toHaveAccessibleName(/^Board, 9 by 9, Ultimate:/);
+  expect(screen.getByLabelText("Board size select")).toBeDisabled();
+
+  // X's top-right cell of the top-left board sends O to the top-right board
+  fireEvent.click(cell(1, 3));
+  expect(cell(1, 7)).toHaveAttribute("aria-disabled", "false");
+  expect(cell(5, 5)).toHaveAttribute("aria-disabled", "true");
+  fireEvent.click(cell(5, 5));
+  expect(cell(5, 5)).toHaveAccessibleName(/^Row 5, column 5: empty/);
+  expect(screen.getByText("Next: O")).toBeInTheDocument();
+
+  // Back to classic rules on the usual 3x3 board
+  fireEvent.change(screen.getByLabelText("Rules variant select"), { target: { value: "classic" } });
+  expect(screen.getAllByRole("gridcell")).toHaveLength(9);
+});
+
+test("3D: three layers side by side, cells named by layer, and lines through the layers win", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Rules variant select"), { target: { value: "cube" } });
+  expect(screen.getByRole("grid")).toHaveAccessibleName(/^Board, 3 by 3 by 3, 3D:/);
+  expect(screen.getAllByRole("gridcell")).toHaveLength(27);
+  const layerCell = (layer, row, col) =>
+    screen.getByRole("gridcell", { name: new RegExp(`^Layer ${layer}, row ${row}, column ${col}:`) });
+
+  // X: the top-left corner of layer 1, the centre, then the opposite corner of layer 3
+  fireEvent.click(layerCell(1, 1, 1));
+  fireEvent.click(layerCell(1, 1, 2));
+  fireEvent.click(layerCell(2, 2, 2));
+  fireEvent.click(layerCell(1, 1, 3));
+  expect(layerCell(2, 2, 2)).toHaveAccessibleName(/^Layer 2, row 2, column 2: X/);
+  expect(screen.getByText("#4: Player O at (1,1,3)")).toBeInTheDocument();
+  fireEvent.click(layerCell(3, 3, 3));
+  expect(screen.getByText("Winner: X")).toBeInTheDocument();
+});
@@ -0,0 +1,44 @@
+/*
+  BOARD KEYBOARD NAVIGATION
+  -------------------------
+
+  Arrow-key movement for the board, following the WAI-ARIA grid pattern. The board keeps a
+  single tab stop (roving tabindex): only the focused cell has tabIndex 0, so Tab moves past
+  the board in one step and the arrow keys move inside it.
+
+    Arrow keys          one cell, stopping at the edges
+    Home / End          first / last cell of the row
+    Ctrl+Home / End     first / last cell of the board
+    PageUp / PageDown   top / bottom cell of the column
+*/
+
+// PUBLIC_INTERFACE
+/**
+ * Cell to move to for a keydown on [row, col] of a size x size board (size rows of `cols` cells
+ * when they differ, as with 3D layers shown side by side).
+ * Returns [row, col], or null if the key is not a navigation key.
+ */
+export function nextCell(key, [row, col], size, { ctrlKey = false, cols = size } = {}) {
+  const lastRow = size - 1;
+  const lastCol = cols - 1;
+  switch (key) {
+    case "ArrowUp":
+      return [Math.max(0, row - 1), col];
+    case "ArrowDown":
+      return [Math.min(lastRow, row + 1), col];
+    case "ArrowLeft":
+      return [row, Math.max(0, col - 1)];
+    case "ArrowRight":
+      return [row, Math.min(lastCol, col + 1)];
+    case "Home":
+      return ctrlKey ? [0, 0] : [row, 0];
+    case "End":
+      return ctrlKey ? [lastRow, lastCol] : [row, lastCol];
+    case "PageUp":
+      return [0, col];
+    case "PageDown":
+      return [lastRow, col];
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,87 @@
+/*
+  SCREEN READER NARRATION
+  -----------------------
+
+  Plain sentences describing a game state, for the board's aria-live region. Each state
+  narrates the move that led to it and what happens next, e.g.
+
+    "Computer (O) played row 1, column 3. Next: You (X)."
+    "You (X) played row 3, column 3. You (X) win: 3 in a row from row 1, column 1 to row 3, column 3."
+
+  Rule variants (src/game/engine.js) are named when a game starts, and their moves and endings
+  are told the way they work: the mark placed in Wild, a line that loses in misère and Notakto,
+  the small board to play in next in Ultimate, the layer of each cell in 3D.
+
+  The sentences come from the message catalogs (src/i18n), in the language the app is shown in.
+*/
+
+import { VARIANTS, movedBy, otherPlayer, isCube } from "../game/engine";
+import { translator } from "../i18n/i18n";
+
+// PUBLIC_INTERFACE
+/**
+ * "row 2, column 3" for [1, 2]; "layer 1, row 2, column 3" for the 3D cell [0, 1, 2].
+ * `t`: the translator to describe it with (src/i18n), English by default.
+ */
+export function describeCell(cell, t = translator()) {
+  if (typeof cell[2] === "number") {
+    const [layer, row, col] = cell;
+    return t("narration.cell3d", { layer: layer + 1, row: row + 1, col: col + 1 });
+  }
+  const [row, col] = cell;
+  return t("narration.cell", { row: row + 1, col: col + 1 });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Narration for an engine state, in the language of `t` (English by default).
+ * `names` optionally maps "X"/"O" to who plays them, e.g. { X: "You", O: "Computer" }; the
+ * app's own names are translated.
+ */
+export function narrate(game, names = null, t = translator()) {
+  const who = mark => (names && names[mark] ? t("narration.who", { name: t.playerName(names[mark]), mark }) : mark);
+  // "You win", everyone else "wins": the message to use for `player`
+  const said = (player, you, others, values) => t(names && names[player] === "You" ? you : others, { who: who(player), ...values });
+  const cell = c => describeCell(c, t);
+  const { variant } = game;
+  const dimensions = t(isCube(game) ? "board.dimensions3d" : "board.dimensions", { size: game.size });
+  const parts = [];
+  if (game.lastMove) {
+    const mark = VARIANTS[variant].chooseMark ? game.lastMove[2] : null;
+    const played = mark ? game.lastMove.slice(0, 2) : game.lastMove;
+    parts.push(t(mark ? "narration.playedMark" : "narration.played", { who: who(movedBy(game)), mark, cell: cell(played) }));
+  } else if (variant === "classic") {
+    parts.push(t("narration.start", { dimensions, count: game.winLength }));
+  } else {
+    const label = t(`variant.${variant}`);
+    const rule = t(`variant.${variant}.rule`);
+    parts.push(t("narration.startVariant", { variant: label, dimensions, count: game.winLength, rule }));
+  }
+
+  if (!game.result) {
+    parts.push(
+      game.nextBoard
+        ? t("narration.nextBoard", { who: who(game.turn), cell: cell(game.nextBoard) })
+        : t("narration.next", { who: who(game.turn) })
+    );
+  } else if (game.result.timeout) {
+    const { winner, timeout } = game.result;
+    parts.push(t("narration.ranOut", { who: who(timeout) }), said(winner, "narration.youWin", "narration.wins"));
+  } else if (game.result.winner && variant === "ultimate") {
+    parts.push(said(game.result.winner, "narration.youWinBoards", "narration.winsBoards"));
+  } else if (game.result.winner && VARIANTS[variant].lineLoses) {
+    const { winner, line } = game.result;
+    const ends = { count: line.length, from: cell(line[0]), to: cell(line[line.length - 1]) };
+    parts.push(
+      said(otherPlayer(winner), "narration.youCompleteLine", "narration.completesLine", ends),
+      said(winner, "narration.youWin", "narration.wins")
+    );
+  } else if (game.result.winner) {
+    const { winner, line } = game.result;
+    const ends = { count: line.length, from: cell(line[0]), to: cell(line[line.length - 1]) };
+    parts.push(said(winner, "narration.youWinLine", "narration.winsLine", ends));
+  } else {
+    parts.push(t(variant === "ultimate" ? "narration.drawBoards" : "narration.draw"));
+  }
+  return parts.join(" ");
+}
@@ -0,0 +1,56 @@
+import { replayMoves, createGame } from "../game/engine";
+import { narrate, describeCell } from "./narration";
+import { nextCell } from "./gridNavigation";
+
+test("cells are described by row and column from 1", () => {
+  expect(describeCell([0, 2])).toBe("row 1, column 3");
+  expect(describeCell([1, 0, 2])).toBe("layer 2, row 1, column 3");
+});
+
+test("narrates the start, each move and who is next", () => {
+  expect(narrate(createGame({ size: 4, winLength: 3 }))).toBe(
+    "New game on a 4 by 4 board, 3 in a row wins. Next: X."
+  );
+  const game = replayMoves([[1, 1], [0, 2]]);
+  expect(narrate(game, { X: "You", O: "Computer" })).toBe("Computer (O) played row 1, column 3. Next: You (X).");
+});
+
+test("narrates wins with the winning line, and draws", () => {
+  const won = replayMoves([[0, 0], [1, 0], [1, 1], [2, 0], [2, 2]]);
+  expect(narrate(won, { X: "You", O: "Computer" })).toBe(
+    "You (X) played row 3, column 3. You (X) win: 3 in a row from row 1, column 1 to row 3, column 3."
+  );
+  expect(narrate(won)).toMatch(/X wins: 3 in a row/);
+  const drawn = replayMoves([[0, 0], [1, 1], [2, 2], [0, 1], [2, 1], [2, 0], [0, 2], [1, 2], [1, 0]]);
+  expect(narrate(drawn)).toBe("X played row 2, column 1. Draw, the board is full.");
+});
+
+test("variants are named at the start and their moves and endings told their way", () => {
+  expect(narrate(createGame({ variant: "notakto" }))).toBe(
+    "New Notakto game on a 3 by 3 board, 3 in a row. Both players place X; whoever completes a line loses. Next: X."
+  );
+  const misere = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1], [2, 2], [2, 0], [0, 2]], { variant: "misere" });
+  expect(narrate(misere, { X: "You", O: "Computer" })).toBe(
+    "You (X) played row 1, column 3. You (X) complete 3 in a row from row 1, column 1 to row 1, column 3 and lose. Computer (O) wins."
+  );
+  expect(narrate(replayMoves([[1, 1, "O"]], { variant: "wild" }))).toBe("X played an O at row 2, column 2. Next: O.");
+  expect(narrate(replayMoves([[0, 5]], { variant: "ultimate" }))).toBe(
+    "X played row 1, column 6. Next: O, in the small board at row 1, column 3."
+  );
+  expect(narrate(createGame({ variant: "qubic" }))).toMatch(/^New Qubic game on a 4 by 4 by 4 board, 4 in a row\. /);
+  expect(narrate(replayMoves([[1, 1, 1]], { variant: "cube" }))).toBe("X played layer 2, row 2, column 2. Next: O.");
+});
+
+test("arrow keys move one cell and stop at the edges", () => {
+  expect(nextCell("ArrowRight", [0, 0], 3)).toEqual([0, 1]);
+  expect(nextCell("ArrowLeft", [0, 0], 3)).toEqual([0, 0]);
+  expect(nextCell("ArrowDown", [2, 1], 3)).toEqual([2, 1]);
+  expect(nextCell("ArrowUp", [2, 1], 3)).toEqual([1, 1]);
+  expect(nextCell("End", [1, 0], 5)).toEqual([1, 4]);
+  expect(nextCell("Home", [3, 3], 5, { ctrlKey: true })).toEqual([0, 0]);
+  expect(nextCell("PageDown", [0, 2], 4)).toEqual([3, 2]);
+  expect(nextCell("a", [0, 0], 3)).toBeNull();
+  // 3D layers side by side: 3 rows of 9 columns
+  expect(nextCell("ArrowRight", [0, 2], 3, { cols: 9 })).toEqual([0, 3]);
+  expect(nextCell("End", [2, 0], 3, { cols: 9 })).toEqual([2, 8]);
+});
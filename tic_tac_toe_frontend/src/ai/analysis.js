@@ -0,0 +1,135 @@
+/*
+  MOVE ANALYSIS AND HINTS
+  -----------------------
+
+  - Everything comes from the local minimax search (minimax.js); nothing goes over the network.
+  - A cell's evaluation is what the player to move gets by playing there: a win, a draw or a
+    loss, and in how many moves (both sides counted, this one included) the game ends.
+  - 3x3 is solved exactly. On bigger boards (and in 3D) the search only looks a few moves ahead:
+    wins and losses it finds are real, but anything else is unknown (outcome null) and only
+    carries the heuristic score.
+  - Each move played is tagged against the alternatives it had:
+      best         as good as any other move
+      inaccuracy   same outcome, but slower, or clearly weaker by the heuristic
+      blunder      gave away a forced win or walked into a forced loss
+    Moves that are nearly as good as the best by the heuristic are not tagged (null).
+  - Boards over ANALYSIS_MAX_SIZE aren't analysed (canAnalyze): a position there takes the
+    search seconds, and a whole game minutes.
+*/
+
+import { sameMove, isCube, VARIANTS } from "../game/engine.js";
+import { scoreMoves, scoreMove, searchDepth, WIN_SCORE, HEURISTIC_LIMIT } from "./minimax.js";
+
+// Heuristic drop that counts as an inaccuracy: about one open two-in-a-row
+const INACCURACY_MARGIN = 100;
+
+const OUTCOME_RANK = { loss: 0, draw: 1, win: 2 };
+
+// Largest board analysed; Ultimate and the 3D boards are quick enough at their fixed sizes
+export const ANALYSIS_MAX_SIZE = 7;
+
+export const MOVE_TAGS = {
+  best: { label: "Best move", symbol: "!" },
+  inaccuracy: { label: "Inaccuracy", symbol: "?!" },
+  blunder: { label: "Blunder", symbol: "??" }
+};
+
+// PUBLIC_INTERFACE
+/** Whether `game`'s board is small enough to analyse (see the header). */
+export function canAnalyze(game) {
+  return !!VARIANTS[game.variant].fixedBoard || game.size <= ANALYSIS_MAX_SIZE;
+}
+
+// Whether the search sees every line to its end from this position
+function isExact(game) {
+  if (isCube(game)) return false;
+  const empty = game.size * game.size - game.moves.length;
+  return game.size <= 4 && searchDepth(game) >= empty;
+}
+
+// Outcome and distance (moves until the game ends) of a move score from `game`
+function describeScore(game, score, exact) {
+  if (score > HEURISTIC_LIMIT) {
+    return { outcome: "win", plies: WIN_SCORE - score - game.moves.length };
+  }
+  if (score < -HEURISTIC_LIMIT) {
+    return { outcome: "loss", plies: WIN_SCORE + score - game.moves.length };
+  }
+  if (exact) {
+    // Only a full board is a draw
+    return { outcome: "draw", plies: game.size * game.size - game.moves.length };
+  }
+  return { outcome: null, plies: null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Evaluation of every candidate move for the player to move (in Wild, each cell once per mark):
+ * [{ move, score, outcome: "win" | "draw" | "loss" | null, plies }]. Empty once the game is over.
+ * Pass the same `table` for positions of one game to reuse the search.
+ */
+export function evaluateCells(game, table = new Map()) {
+  if (game.result) return [];
+  const exact = isExact(game);
+  return scoreMoves(game, table).map(({ move, score }) => ({ move, score, ...describeScore(game, score, exact) }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tag for `move` played from `game`: "best" | "inaccuracy" | "blunder" | null.
+ * `cells` is evaluateCells(game) if already computed.
+ */
+export function classifyMove(game, move, table = new Map(), cells = evaluateCells(game, table)) {
+  if (cells.length === 0) return null;
+  const best = cells.reduce((a, b) => (b.score > a.score ? b : a));
+  let played = cells.find(c => sameMove(c.move, move));
+  if (!played) {
+    // Far-off moves on big boards aren't among the candidates; score them on their own
+    const score = scoreMove(game, move, table);
+    played = { score, ...describeScore(game, score, isExact(game)) };
+  }
+
+  if (played.score >= best.score) return "best";
+  if (played.outcome && best.outcome && OUTCOME_RANK[played.outcome] < OUTCOME_RANK[best.outcome]) return "blunder";
+  if (best.outcome === "win" && played.outcome !== "win") return "blunder";
+  if (played.outcome === "loss" && best.outcome !== "loss") return "blunder";
+  if (played.outcome && played.outcome === best.outcome) return "inaccuracy";
+  return best.score - played.score >= INACCURACY_MARGIN ? "inaccuracy" : null;
+}
+
+// PUBLIC_INTERFACE
+/** Memo for analyzeGame: the search table and each position's entry, for one game. */
+export function createAnalysisMemo() {
+  return { table: new Map(), entries: new WeakMap() };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Analyse a game from its history (engine states, as kept by the UI).
+ * Returns one entry per state: { cells, tag }, where `cells` evaluates the position
+ * and `tag` rates the move that led to it (null for the start).
+ * Pass the same `memo` for one game's histories as it goes on: positions already analysed are
+ * looked up by their state, so only new ones are searched.
+ */
+export function analyzeGame(states, memo = createAnalysisMemo()) {
+  const { table, entries } = memo;
+  const analysis = [];
+  states.forEach((state, i) => {
+    let entry = entries.get(state);
+    if (!entry) {
+      const cells = evaluateCells(state, table);
+      entry = { cells, tag: i === 0 ? null : classifyMove(states[i - 1], state.lastMove, table, analysis[i - 1].cells) };
+      entries.set(state, entry);
+    }
+    analysis.push(entry);
+  });
+  return analysis;
+}
+
+// PUBLIC_INTERFACE
+/** Strongest move for the player to move, for hints: [row, col] (with the mark in Wild), or null if the game is over. */
+export function bestMove(game) {
+  const cells = evaluateCells(game);
+  if (cells.length === 0) return null;
+  return cells.reduce((a, b) => (b.score > a.score ? b : a)).move;
+}
@@ -0,0 +1,75 @@
+import { createGame, replayMoves, gameHistory } from "../game/engine";
+import { evaluateCells, classifyMove, analyzeGame, createAnalysisMemo, canAnalyze, bestMove } from "./analysis";
+
+function cellAt(cells, move) {
+  return cells.find(c => c.move[0] === move[0] && c.move[1] === move[1]);
+}
+
+test("the empty 3x3 board is a draw from every cell", () => {
+  const cells = evaluateCells(createGame());
+  expect(cells).toHaveLength(9);
+  cells.forEach(cell => {
+    expect(cell.outcome).toBe("draw");
+    expect(cell.plies).toBe(9);
+  });
+});
+
+test("cells show wins, losses and how soon the game ends", () => {
+  // X: a1 b1, O: a2 b2; X to move
+  const game = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1]]);
+  const cells = evaluateCells(game);
+  expect(cellAt(cells, [0, 2])).toMatchObject({ outcome: "win", plies: 1 });
+  // Not blocking lets O win on the next move
+  expect(cellAt(cells, [2, 2])).toMatchObject({ outcome: "loss", plies: 2 });
+  expect(bestMove(game)).toEqual([0, 2]);
+});
+
+test("moves are tagged best, inaccuracy or blunder", () => {
+  // X: corner, O: centre, X: opposite corner; O must now play an edge
+  const game = replayMoves([[0, 0], [1, 1], [2, 2]]);
+  expect(classifyMove(game, [0, 1])).toBe("best");
+  expect(classifyMove(game, [0, 2])).toBe("blunder");
+
+  // O can win at once in column b, or take a2 and win a move later
+  const winning = replayMoves([[0, 0], [0, 1], [0, 2], [1, 1], [2, 0]]);
+  expect(classifyMove(winning, [2, 1])).toBe("best");
+  expect(cellAt(evaluateCells(winning), [1, 0])).toMatchObject({ outcome: "win", plies: 3 });
+  expect(classifyMove(winning, [1, 0])).toBe("inaccuracy");
+});
+
+test("analyzeGame rates every move of a game", () => {
+  const states = gameHistory([[1, 1], [0, 1], [0, 0], [2, 2], [2, 0], [1, 0], [0, 2]]);
+  const analysis = analyzeGame(states);
+  expect(analysis).toHaveLength(8);
+  expect(analysis[0].tag).toBeNull();
+  expect(analysis[1].tag).toBe("best");
+  // An edge reply to the centre opening loses by force
+  expect(analysis[2].tag).toBe("blunder");
+  expect(analysis[7].tag).toBe("best");
+  expect(analysis[7].cells).toEqual([]);
+});
+
+test("a memo keeps analysed positions, so a longer history only searches its new ones", () => {
+  const states = gameHistory([[1, 1], [0, 1], [0, 0], [2, 2]]);
+  const memo = createAnalysisMemo();
+  const first = analyzeGame(states.slice(0, 3), memo);
+  const again = analyzeGame(states, memo);
+  first.forEach((entry, i) => expect(again[i]).toBe(entry));
+  expect(again).toEqual(analyzeGame(states));
+});
+
+test("only boards up to 7x7 and the fixed variants are analysed", () => {
+  expect(canAnalyze(createGame({ size: 7 }))).toBe(true);
+  expect(canAnalyze(createGame({ size: 8 }))).toBe(false);
+  expect(canAnalyze(createGame({ variant: "ultimate" }))).toBe(true);
+  expect(canAnalyze(createGame({ variant: "qubic" }))).toBe(true);
+});
+
+test("bigger boards report only what the search can see", () => {
+  const game = replayMoves([[7, 7], [7, 6], [7, 8], [0, 0], [7, 9], [0, 1], [7, 10]], { size: 15, winLength: 5 });
+  const cells = evaluateCells(game);
+  // O has to block the four or lose; past that the search can't tell
+  expect(cellAt(cells, [7, 11]).outcome).toBeNull();
+  expect(cells.filter(c => c.outcome !== "loss").map(c => c.move)).toEqual([[7, 11]]);
+  expect(classifyMove(game, [14, 14])).toBe("blunder");
+});
@@ -0,0 +1,53 @@
+/*
+  BOTS
+  ----
+
+  - Named move providers that need no configuration, for AI vs AI games and the tournament
+    runner (scripts/tournament.mjs). Anything needing a server or a key (the AI move server,
+    an LLM) is created by the caller, which knows where it lives; the app's AI move server
+    bot only has its id and name here (SERVER_BOT).
+  - Every bot is created fresh, so two seats never share a provider.
+*/
+
+import { DIFFICULTIES } from "./minimax.js";
+import { createLocalProvider, createRandomProvider, createFirstEmptyProvider } from "./providers/index.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Bots by id: { label, create({ random }) => provider }, the minimax ones also with their
+ * `difficulty` (src/ai/minimax.js). "minimax" is the perfect local engine.
+ */
+export const BOTS = {
+  random: { label: "Random", create: ({ random } = {}) => createRandomProvider({ random }) },
+  "first-empty": { label: "First empty cell", create: () => createFirstEmptyProvider() },
+  ...Object.fromEntries(
+    Object.entries(DIFFICULTIES).map(([difficulty, level]) => [
+      difficulty === "perfect" ? "minimax" : `minimax-${difficulty}`,
+      {
+        label: `Minimax (${level.label})`,
+        difficulty,
+        create: ({ random } = {}) => createLocalProvider({ difficulty, random })
+      }
+    ])
+  )
+};
+
+// PUBLIC_INTERFACE
+/** The AI move server as a bot, offered by the app when it has a server URL. */
+export const SERVER_BOT = { id: "server", label: "OpenAI (via server)" };
+
+// PUBLIC_INTERFACE
+/** Display name of a bot id, the server bot included. */
+export function botLabel(id) {
+  return id === SERVER_BOT.id ? SERVER_BOT.label : BOTS[id].label;
+}
+
+// PUBLIC_INTERFACE
+/** A new provider for bot `id`, labelled with the bot's name; throws RangeError for unknown ids. */
+export function createBot(id, options) {
+  const bot = BOTS[id];
+  if (!bot) {
+    throw new RangeError(`Unknown bot "${id}". Known bots: ${Object.keys(BOTS).join(", ")}`);
+  }
+  return { ...bot.create(options), label: bot.label };
+}
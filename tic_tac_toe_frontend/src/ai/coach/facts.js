@@ -0,0 +1,164 @@
+/*
+  COACH FACTS
+  -----------
+
+  What the coach may say about a move or a game, worked out by the local solver (analysis.js)
+  and the rules engine. Explanations, from the templates or a language model, are built from
+  these facts and nothing else.
+
+  - Cells are named as in the move history: "2,3" for row 2, column 3, counted from 1 at the
+    top left ("1,2,3" by layer, row and column in 3D). Wild moves are named by cell only.
+  - A threat is a cell where a player would complete a winning line with their next move.
+    Threats are found by trying every move, so each variant's rules apply (in misère and
+    Notakto a line never wins, so there are none); Ultimate's aren't listed.
+  - An outlook is what a player gets with best play from a position: { outcome: "win" | "draw"
+    | "loss", plies } with plies counting both sides' moves until the game ends, or null where
+    the search can't see that far (big boards, 3D).
+
+  Move facts, for the last move of a line of states:
+    { kind: "move", number, player, cell, tag, result, before, after,
+      missedWin, blocked, threats, allowed, best }
+      tag        analysis.js's: "best" | "inaccuracy" | "blunder" | null
+      result     the game's result, if the move ended it: { winner, draw, timeout, lineLoses } | null
+      before     the mover's outlook before the move; after: their outlook after it
+      missedWin  a cell where the mover could have won at once instead, or null
+      blocked    the move took a cell where the opponent threatened to win
+      threats    the mover's threats after the move (two or more: a fork)
+      allowed    the opponent's threats after the move: they can win at once
+      best       a stronger move, when the one played was tagged as weaker, or null
+  Review facts, for a whole game:
+    { kind: "review", moves, result, mistakes: [{ number, player, cell, tag, best, before }],
+      forks: [{ number, player, cell }] }
+
+  Facts are only worked out on boards the solver can analyse in good time (canCoach, which is
+  analysis.js's canAnalyze).
+*/
+
+import { applyMove, legalMoves, movedBy, otherPlayer, sameMove, isCube, VARIANTS } from "../../game/engine.js";
+import { evaluateCells, classifyMove, analyzeGame } from "../analysis.js";
+
+export { canAnalyze as canCoach, ANALYSIS_MAX_SIZE as COACH_MAX_SIZE } from "../analysis.js";
+
+// PUBLIC_INTERFACE
+/** Name of a move's cell: "2,3" (row, column from 1), "1,2,3" in 3D. */
+export function cellLabel(game, move) {
+  return move
+    .slice(0, isCube(game) ? 3 : 2)
+    .map(n => n + 1)
+    .join(",");
+}
+
+// The strongest of evaluateCells' cells, or null if there are none
+function strongest(cells) {
+  return cells.length === 0 ? null : cells.reduce((a, b) => (b.score > a.score ? b : a));
+}
+
+// Outlook of an evaluated cell, for the player to move
+function outlook(cell) {
+  if (!cell || !cell.outcome) return null;
+  return { outcome: cell.outcome, plies: cell.plies };
+}
+
+// Facts of a finished game's result, or null while it goes on
+function resultFacts(game) {
+  if (!game.result) return null;
+  const { winner, timeout } = game.result;
+  return {
+    winner: winner || null,
+    draw: !winner,
+    timeout: timeout || null,
+    lineLoses: !!winner && !timeout && !!VARIANTS[game.variant].lineLoses
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Cells where `player` would win with their next move in `game` (see the header). */
+export function threatsOf(game, player) {
+  if (game.result || game.variant === "ultimate") return [];
+  const asPlayer = { ...game, turn: player };
+  const cells = legalMoves(asPlayer)
+    .filter(move => applyMove(asPlayer, move).result?.winner === player)
+    .map(move => cellLabel(game, move));
+  // Wild lists each cell once per mark
+  return [...new Set(cells)];
+}
+
+// The mover's outlook once their move is on the board: what playing that cell got them, one
+// move nearer the end. Read off the position before, so the search runs once per move.
+function outlookAfter(cell) {
+  const seen = outlook(cell);
+  return seen && { ...seen, plies: seen.plies - 1 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Facts of the last move of `states` (engine states from the start, as the UI keeps them).
+ * Pass the same `table` for one game to reuse the search.
+ */
+export function moveFacts(states, table = new Map()) {
+  const game = states[states.length - 1];
+  const previous = states[states.length - 2];
+  const player = movedBy(game);
+  const opponent = otherPlayer(player);
+  const cell = cellLabel(game, game.lastMove);
+  const before = evaluateCells(previous, table);
+  const tag = classifyMove(previous, game.lastMove, table, before);
+  const wins = threatsOf(previous, player);
+  const best = strongest(before);
+  return {
+    kind: "move",
+    number: game.moves.length,
+    player,
+    cell,
+    tag,
+    // A clock that ran out after the move didn't end the game with it
+    result: game.result && game.result.timeout ? null : resultFacts(game),
+    before: outlook(best),
+    // A far-off move on a big board isn't among the candidates: no outlook
+    after: game.result ? null : outlookAfter(before.find(c => sameMove(c.move, game.lastMove))),
+    missedWin: game.result ? null : wins.find(c => c !== cell) || null,
+    blocked: threatsOf(previous, opponent).includes(cell),
+    threats: threatsOf(game, player),
+    allowed: threatsOf(game, opponent),
+    best: tag === "inaccuracy" || tag === "blunder" ? cellLabel(game, best.move) : null
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Facts of a whole game, from its states: how it ended, the weaker moves and the forks. */
+export function reviewFacts(states) {
+  const game = states[states.length - 1];
+  const analysis = analyzeGame(states);
+  const mistakes = [];
+  const forks = [];
+  states.forEach((state, i) => {
+    if (i === 0) return;
+    const player = movedBy(state);
+    const cell = cellLabel(state, state.lastMove);
+    const { tag } = analysis[i];
+    if (tag === "inaccuracy" || tag === "blunder") {
+      const best = strongest(analysis[i - 1].cells);
+      mistakes.push({ number: i, player, cell, tag, best: cellLabel(state, best.move), before: outlook(best) });
+    }
+    if (!state.result && threatsOf(state, player).length >= 2) forks.push({ number: i, player, cell });
+  });
+  return { kind: "review", moves: game.moves.length, result: resultFacts(game), mistakes, forks };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Facts for a coach request: kind "move" (the last move of `states`) or "review" (the game).
+ * `table` is moveFacts' search table, kept for one game.
+ */
+export function coachFacts(states, kind, table) {
+  return kind === "review" ? reviewFacts(states) : moveFacts(states, table);
+}
+
+// PUBLIC_INTERFACE
+/** Every cell the facts name, for checking that an explanation names no others. */
+export function factCells(facts) {
+  if (facts.kind === "review") {
+    return [...new Set([...facts.mistakes.flatMap(m => [m.cell, m.best]), ...facts.forks.map(f => f.cell)])];
+  }
+  return [...new Set([facts.cell, facts.missedWin, facts.best, ...facts.threats, ...facts.allowed].filter(Boolean))];
+}
@@ -0,0 +1,78 @@
+import { gameHistory, loseOnTime } from "../../game/engine";
+import { translator } from "../../i18n/i18n";
+import { cellLabel, threatsOf, moveFacts, reviewFacts, factCells } from "./facts";
+import { explainFacts } from "./templates";
+
+// X: corner, O: centre, X: opposite corner, O: corner (a blunder), X blocks with a fork and wins
+const FORK_GAME = [[0, 0], [1, 1], [2, 2], [0, 2], [2, 0], [1, 0], [2, 1]];
+const en = translator("en");
+
+test("cells are named by row and column from 1, with the layer first in 3D", () => {
+  const states = gameHistory([[1, 2]]);
+  expect(cellLabel(states[1], [1, 2])).toBe("2,3");
+  expect(cellLabel(gameHistory([], { variant: "cube" })[0], [0, 1, 2])).toBe("1,2,3");
+});
+
+test("threats are cells that win at once, under each variant's rules", () => {
+  const [, , , , x3] = gameHistory([[0, 0], [1, 1], [0, 1], [2, 2]]);
+  expect(threatsOf(x3, "X")).toEqual(["1,3"]);
+  expect(threatsOf(x3, "O")).toEqual([]);
+  const misere = gameHistory([[0, 0], [1, 1], [0, 1], [2, 2]], { variant: "misere" });
+  expect(threatsOf(misere[4], "X")).toEqual([]);
+});
+
+test("a blunder names the move that held and the threat it leaves", () => {
+  const facts = moveFacts(gameHistory(FORK_GAME.slice(0, 4)));
+  expect(facts).toMatchObject({ number: 4, player: "O", cell: "1,3", tag: "blunder", best: "1,2", threats: ["3,1"], allowed: [] });
+  expect(facts.before).toEqual({ outcome: "draw", plies: 6 });
+  expect(facts.after).toEqual({ outcome: "loss", plies: 3 });
+  expect(explainFacts(facts, en)).toBe(
+    "(1,3) is a blunder: (1,2) held the draw. O threatens to win at (3,1). With best play X wins, game over in 3 moves."
+  );
+});
+
+test("a block that forks is explained as both", () => {
+  const facts = moveFacts(gameHistory(FORK_GAME.slice(0, 5)));
+  expect(facts).toMatchObject({ tag: "best", blocked: true, threats: ["2,1", "3,2"] });
+  expect(explainFacts(facts, en)).toBe(
+    "(3,1) is the best move here. It blocks a win for O. It's a fork: X threatens to win at (2,1) and (3,2), and O can only block one. With best play X wins, game over in 2 moves."
+  );
+  expect(factCells(facts)).toEqual(["3,1", "2,1", "3,2"]);
+});
+
+test("a missed win and the move that ends the game", () => {
+  // X has a1 and b1 (row 1); playing elsewhere misses c1
+  const missed = moveFacts(gameHistory([[0, 0], [1, 1], [0, 1], [2, 2], [2, 0]]));
+  expect(missed.missedWin).toBe("1,3");
+  expect(explainFacts(missed, en)).toContain("X could have won at once at (1,3).");
+  const won = moveFacts(gameHistory(FORK_GAME));
+  expect(won.result).toMatchObject({ winner: "X", draw: false });
+  expect(explainFacts(won, en)).toBe("X completes a line at (3,2) and wins.");
+});
+
+test("a review finds the turning point and the winning fork", () => {
+  const facts = reviewFacts(gameHistory(FORK_GAME));
+  expect(facts.mistakes).toEqual([{ number: 4, player: "O", cell: "1,3", tag: "blunder", best: "1,2", before: { outcome: "draw", plies: 6 } }]);
+  expect(facts.forks).toEqual([{ number: 5, player: "X", cell: "3,1" }]);
+  expect(explainFacts(facts, en)).toBe(
+    "X won after 7 moves. The turning point was move 4: O played (1,3), where (1,2) held the draw. X set up the win with a fork at (3,1) on move 5."
+  );
+  expect(explainFacts(facts, translator("de"))).toMatch(/^X hat nach 7 Zügen gewonnen\./);
+});
+
+test("a review of a game lost on time doesn't credit a fork", () => {
+  const states = gameHistory(FORK_GAME.slice(0, 5));
+  states[states.length - 1] = loseOnTime(states[states.length - 1], "O");
+  const facts = reviewFacts(states);
+  expect(facts.result).toMatchObject({ winner: "X", timeout: "O" });
+  expect(explainFacts(facts, en)).toBe(
+    "X won on time after 5 moves. The turning point was move 4: O played (1,3), where (1,2) held the draw."
+  );
+});
+
+test("a clean draw says so", () => {
+  const draw = gameHistory([[0, 0], [1, 1], [0, 1], [0, 2], [2, 0], [1, 0], [1, 2], [2, 1], [2, 2]]);
+  const facts = reviewFacts(draw);
+  expect(facts.result).toMatchObject({ draw: true });
+  expect(explainFacts(facts, en)).toBe("A draw after 9 moves. Neither side made a mistake the solver could find.");
+});
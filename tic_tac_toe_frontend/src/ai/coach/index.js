@@ -0,0 +1,23 @@
+/*
+  AI COACH
+  --------
+
+  Explains moves and games in words. What there is to say always comes from the local solver
+  (facts.js); a coach only puts it into words:
+
+    {
+      id:    string                              short machine name ("openai", "server")
+      label: string                              human-readable name for the UI
+      explain(states, { kind, locale, signal }) => Promise<string>
+    }
+
+  `states` are the engine states of a game from its start; kind "move" explains the last move,
+  "review" the whole game. The explanation is in `locale`'s language. Failures reject with a
+  ProviderError, as move providers' do ("unsupported" on boards canCoach refuses). Without a
+  coach, or when it fails, the app explains the same facts with templates (templates.js).
+*/
+
+export { COACH_MAX_SIZE, canCoach, cellLabel, threatsOf, moveFacts, reviewFacts, coachFacts, factCells } from "./facts.js";
+export { explainMove, explainReview, explainFacts } from "./templates.js";
+export { createOpenAICoach, describeFacts, buildCoachMessages, parseCoachReply } from "./openAICoach.js";
+export { createProxyCoach } from "./proxyCoach.js";
@@ -0,0 +1,156 @@
+/*
+  OpenAI (and OpenAI-compatible) coach
+  ------------------------------------
+
+  - Runs on the AI server (server/app.mjs), next to the move provider, with the same key.
+  - The model is given the solver's facts (facts.js) as a list of plain statements and asked to
+    explain them, using nothing else. It never sees a board to analyse for itself.
+  - The reply is checked: a cell it names that isn't in the facts means it made something up,
+    and the explanation is refused (code "invalid"), so the app shows the template instead.
+  - Failures are ProviderErrors with the move providers' codes (aborted, timeout, invalid, failed),
+    and "unsupported" for boards too big to analyse (canCoach), before any search.
+*/
+
+import OpenAI from "openai";
+import { VARIANTS } from "../../game/engine.js";
+import { ProviderError, throwIfAborted, REQUEST_MESSAGES } from "../providers/providerError.js";
+import { toProviderError } from "../providers/openAIErrors.js";
+import { canCoach, coachFacts, factCells, COACH_MAX_SIZE } from "./facts.js";
+
+const TAG_WORDS = { best: "the best move", inaccuracy: "an inaccuracy", blunder: "a blunder" };
+
+// "X wins in 3 moves", for an outlook of `player`
+function describeOutlook(outlook, player) {
+  if (!outlook) return "the solver can't see to the end of the game";
+  if (outlook.outcome === "draw") return "a draw";
+  const moves = `${outlook.plies} move${outlook.plies === 1 ? "" : "s"} (both sides counted)`;
+  return `${player} ${outlook.outcome === "win" ? "wins" : "loses"} within ${moves}`;
+}
+
+function describeResult(result) {
+  if (!result) return "the game is not over";
+  if (result.draw) return "a draw";
+  if (result.timeout) return `${result.winner} won on time`;
+  return result.lineLoses ? `${result.winner} won: the other player completed a line, which loses` : `${result.winner} won`;
+}
+
+// What a weaker move gave away
+function describeMistake({ tag, best, before }, player) {
+  const kept = before && before.outcome === "win" ? "kept a forced win" : "held the draw";
+  return tag === "blunder" ? `a blunder: (${best}) ${kept} for ${player}` : `an inaccuracy: (${best}) was stronger`;
+}
+
+// PUBLIC_INTERFACE
+/** The facts as plain English statements, one per line. */
+export function describeFacts(facts) {
+  if (facts.kind === "review") {
+    const lines = [`The game lasted ${facts.moves} moves. Result: ${describeResult(facts.result)}.`];
+    facts.mistakes.forEach(m => lines.push(`Move ${m.number}: ${m.player} played (${m.cell}), ${describeMistake(m, m.player)}.`));
+    if (facts.mistakes.length === 0) lines.push("The solver found no inaccuracies or blunders.");
+    facts.forks.forEach(f => lines.push(`Move ${f.number}: ${f.player} made a fork at (${f.cell}): two threats to win at once.`));
+    return lines.join("\n");
+  }
+  const { number, player, cell, tag, result } = facts;
+  const opponent = player === "X" ? "O" : "X";
+  const lines = [`Move ${number}: ${player} played (${cell}).`];
+  if (result) {
+    lines.push(`This move ended the game: ${describeResult(result)}.`);
+    return lines.join("\n");
+  }
+  if (tag) lines.push(`The solver rates it ${tag === "best" ? TAG_WORDS.best : describeMistake(facts, player)}.`);
+  lines.push(`Before the move, with best play: ${describeOutlook(facts.before, player)}.`);
+  lines.push(`After the move, with best play: ${describeOutlook(facts.after, player)}.`);
+  if (facts.missedWin) lines.push(`${player} could have won immediately at (${facts.missedWin}).`);
+  if (facts.blocked) lines.push(`The move blocked a cell where ${opponent} would have won.`);
+  if (facts.threats.length > 0) {
+    const cells = facts.threats.map(c => `(${c})`).join(", ");
+    lines.push(`${player} now threatens to win at ${cells}.`);
+    if (facts.threats.length > 1) lines.push(`That is a fork: ${opponent} can only block one threat.`);
+  }
+  if (facts.allowed.length > 0) lines.push(`${opponent} can now win immediately at ${facts.allowed.map(c => `(${c})`).join(", ")}.`);
+  return lines.join("\n");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Chat messages asking for an explanation of `facts` about `game` (the last engine state), in
+ * the language of `locale` (e.g. "es").
+ */
+export function buildCoachMessages(facts, game, locale = "en") {
+  const language = new Intl.DisplayNames(["en"], { type: "language" }).of(locale) || "English";
+  const { label, rule } = VARIANTS[game.variant];
+  const board = VARIANTS[game.variant].cube ? `${game.size}x${game.size}x${game.size}` : `${game.size}x${game.size}`;
+  return [
+    {
+      role: "system",
+      content: `You are a friendly coach for a Tic Tac Toe game. Explain the facts you are given to the player, in ${language}, in at most three short sentences.
+Use only those facts: don't add moves, threats or evaluations of your own, and don't guess what else might happen.
+Name cells exactly as the facts do, like (2,3): row, then column, counted from 1 at the top left. The players are X and O.`
+    },
+    {
+      role: "user",
+      content: `Rules: ${label} on a ${board} board, ${game.winLength} in a row. ${rule}
+Facts from the solver:
+${describeFacts(facts)}`
+    }
+  ];
+}
+
+// PUBLIC_INTERFACE
+/** The explanation in a model reply, or { problem } if it is empty or names a cell the facts don't. */
+export function parseCoachReply(facts, content) {
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text) return { problem: "the reply was empty" };
+  const allowed = factCells(facts);
+  const named = [...text.matchAll(/\((\d+(?:\s*,\s*\d+){1,2})\)/g)].map(m => m[1].replace(/\s/g, ""));
+  const invented = named.find(cell => !allowed.includes(cell));
+  if (invented) return { problem: `it names (${invented}), which the solver said nothing about` };
+  return { text };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Coach that has an OpenAI chat model explain the solver's facts (see index.js for the interface).
+ * Options: apiKey, baseURL, model (default "gpt-3.5-turbo"), timeoutMs (default 15000),
+ * maxRetries (default 2), id, label, client (a prebuilt OpenAI client, for tests)
+ */
+export function createOpenAICoach({
+  apiKey,
+  baseURL,
+  model = "gpt-3.5-turbo",
+  timeoutMs = 15000,
+  maxRetries = 2,
+  id = "openai",
+  label = "OpenAI",
+  client
+} = {}) {
+  const openai = client || new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries });
+
+  return {
+    id,
+    label,
+    async explain(states, { kind = "move", locale = "en", signal } = {}) {
+      throwIfAborted(signal, id, REQUEST_MESSAGES.coach);
+      if (!canCoach(states[0])) {
+        throw new ProviderError(`The coach only analyses boards up to ${COACH_MAX_SIZE}x${COACH_MAX_SIZE}`, {
+          code: "unsupported",
+          provider: id
+        });
+      }
+      const facts = coachFacts(states, kind);
+      try {
+        const completion = await openai.chat.completions.create(
+          { model, messages: buildCoachMessages(facts, states[states.length - 1], locale), max_tokens: 200, temperature: 0.3 },
+          { signal, timeout: timeoutMs, maxRetries }
+        );
+        const { text, problem } = parseCoachReply(facts, completion?.choices?.[0]?.message?.content);
+        if (problem) {
+          throw new ProviderError(`The coach's explanation was refused: ${problem}`, { code: "invalid", provider: id });
+        }
+        return text;
+      } catch (e) {
+        throw toProviderError(e, id, REQUEST_MESSAGES.coach);
+      }
+    }
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+// Jest doesn't resolve the SDK's "node" export condition, so pick the Node fetch shim by hand
+import "openai/shims/node";
+import { gameHistory } from "../../game/engine";
+import { moveFacts } from "./facts";
+import { createOpenAICoach, describeFacts, parseCoachReply } from "./openAICoach";
+
+// X: corner, O: centre, X: opposite corner, O: corner (a blunder)
+const STATES = gameHistory([[0, 0], [1, 1], [2, 2], [0, 2]]);
+
+// Stands in for the SDK client: answers with `content`, recording the requests
+function fakeClient(content, requests = []) {
+  return {
+    chat: {
+      completions: {
+        create: async (body) => {
+          requests.push(body);
+          return { choices: [{ message: { role: "assistant", content } }] };
+        }
+      }
+    }
+  };
+}
+
+test("the model is given the solver's facts, not the board", async () => {
+  const requests = [];
+  const coach = createOpenAICoach({ client: fakeClient("O left (3,1) open. (1,2) held the draw.", requests) });
+  expect(await coach.explain(STATES, { locale: "de" })).toBe("O left (3,1) open. (1,2) held the draw.");
+  const [system, user] = requests[0].messages;
+  expect(system.content).toMatch(/in German/);
+  expect(user.content).toContain("Move 4: O played (1,3).");
+  expect(user.content).toContain("a blunder: (1,2) held the draw for O");
+  expect(user.content).toContain("O now threatens to win at (3,1).");
+});
+
+test("describes a review's mistakes and forks", () => {
+  const review = {
+    kind: "review",
+    moves: 7,
+    result: { winner: "X", draw: false, timeout: null, lineLoses: false },
+    mistakes: [],
+    forks: [{ number: 5, player: "X", cell: "3,1" }]
+  };
+  expect(describeFacts(review)).toBe(
+    "The game lasted 7 moves. Result: X won.\nThe solver found no inaccuracies or blunders.\nMove 5: X made a fork at (3,1): two threats to win at once."
+  );
+});
+
+test("replies naming cells the facts don't are refused", async () => {
+  const facts = moveFacts(STATES);
+  expect(parseCoachReply(facts, "  ")).toEqual({ problem: "the reply was empty" });
+  expect(parseCoachReply(facts, "Better was (2, 1).")).toEqual({ problem: "it names (2,1), which the solver said nothing about" });
+  await expect(createOpenAICoach({ client: fakeClient("Play (2,2) next.") }).explain(STATES)).rejects.toMatchObject({
+    code: "invalid",
+    provider: "openai"
+  });
+});
+
+test("boards too big to analyse are refused before any search", async () => {
+  const requests = [];
+  const big = gameHistory([[7, 7], [7, 8]], { size: 15, winLength: 5 });
+  await expect(createOpenAICoach({ client: fakeClient("Fine.", requests) }).explain(big, { kind: "review" })).rejects.toMatchObject({
+    code: "unsupported"
+  });
+  expect(requests).toHaveLength(0);
+});
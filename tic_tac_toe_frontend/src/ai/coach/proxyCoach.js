@@ -0,0 +1,50 @@
+/*
+  Coach that asks the AI server (server/app.mjs) over HTTP. The browser sends only the game:
+  its rules and moves. The server works the facts out again with the same solver before its
+  model sees them, so an explanation can't rest on anything the browser claims.
+*/
+
+import { ProviderError, throwIfAborted, REQUEST_MESSAGES } from "../providers/providerError.js";
+import { postJson, browserOnline } from "../providers/postJson.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Options:
+ *   baseURL    where the AI server runs, e.g. "http://localhost:3001" ("" for same origin)
+ *   timeoutMs  give up after this long (default 20000, a little above the server's own timeout)
+ *   fetchImpl  fetch implementation (tests)
+ *   isOnline   () => whether the network is up (default: navigator.onLine where there is one)
+ */
+export function createProxyCoach({ baseURL = "", timeoutMs = 20000, fetchImpl, isOnline = browserOnline } = {}) {
+  const id = "server";
+
+  return {
+    id,
+    label: "OpenAI (via server)",
+    async explain(states, { kind = "move", locale = "en", signal } = {}) {
+      throwIfAborted(signal, id, REQUEST_MESSAGES.coach);
+      if (!isOnline()) {
+        throw new ProviderError("You are offline", { code: "offline", provider: id });
+      }
+      const game = states[states.length - 1];
+      const data = await postJson(
+        `${baseURL}/api/coach`,
+        {
+          size: game.size,
+          winLength: game.winLength,
+          variant: game.variant,
+          moves: game.moves,
+          // Reviews say who ran out of time; the moves can't
+          timeout: (kind === "review" && game.result && game.result.timeout) || undefined,
+          kind,
+          locale
+        },
+        { provider: id, signal, timeoutMs, fetchImpl, messages: REQUEST_MESSAGES.coach }
+      );
+      if (typeof data.text !== "string" || !data.text.trim()) {
+        throw new ProviderError("The coach gave no explanation", { code: "invalid", provider: id });
+      }
+      return data.text;
+    }
+  };
+}
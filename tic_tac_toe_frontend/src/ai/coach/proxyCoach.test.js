@@ -0,0 +1,43 @@
+import { gameHistory } from "../../game/engine";
+import { createProxyCoach } from "./proxyCoach";
+
+const STATES = gameHistory([[0, 0], [1, 1]]);
+
+// Fake fetch answering with a fixed status and JSON body, recording what was sent
+function fakeFetch(status, body, calls = []) {
+  return async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+}
+
+test("posts the game's moves to /api/coach and returns the explanation", async () => {
+  const calls = [];
+  const coach = createProxyCoach({ baseURL: "http://ai.test", fetchImpl: fakeFetch(200, { text: "Good move.", provider: "openai" }, calls) });
+  expect(await coach.explain(STATES, { locale: "es" })).toBe("Good move.");
+  expect(calls[0].url).toBe("http://ai.test/api/coach");
+  expect(calls[0].body).toEqual({ size: 3, winLength: 3, variant: "classic", moves: [[0, 0], [1, 1]], kind: "move", locale: "es" });
+});
+
+test("maps server answers and the network to provider error codes", async () => {
+  await expect(createProxyCoach({ fetchImpl: fakeFetch(200, { text: " " }) }).explain(STATES)).rejects.toMatchObject({ code: "invalid" });
+  await expect(createProxyCoach({ fetchImpl: fakeFetch(504, { error: "slow" }) }).explain(STATES)).rejects.toMatchObject({ code: "timeout" });
+  await expect(createProxyCoach({ fetchImpl: fakeFetch(502, { error: "refused" }) }).explain(STATES)).rejects.toMatchObject({
+    code: "failed",
+    message: "refused"
+  });
+  const calls = [];
+  await expect(
+    createProxyCoach({ fetchImpl: fakeFetch(200, {}, calls), isOnline: () => false }).explain(STATES)
+  ).rejects.toMatchObject({ code: "offline" });
+  expect(calls).toHaveLength(0);
+});
+
+test("cancels when the caller aborts", async () => {
+  const hangingFetch = (url, init) =>
+    new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  const controller = new AbortController();
+  const pending = createProxyCoach({ fetchImpl: hangingFetch }).explain(STATES, { signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ code: "aborted" });
+});
@@ -0,0 +1,81 @@
+/*
+  Template explanations: the coach's facts (facts.js) in words, from the message catalogs
+  (src/i18n), for when no language model is configured or it can't answer. Every sentence
+  states one fact, so nothing is said that the solver didn't find.
+*/
+
+// "(1,3) and (3,1)", the locale's way
+function cellList(cells, t) {
+  const names = cells.map(cell => `(${cell})`);
+  return typeof Intl.ListFormat === "function" ? new Intl.ListFormat(t.locale).format(names) : names.join(", ");
+}
+
+// What best play gets the mover from here, if the solver can tell
+function outlookSentence({ after, player }, opponent, t) {
+  if (!after) return null;
+  if (after.outcome === "draw") return t("coach.outlook.draw");
+  return t(`coach.outlook.${after.outcome}`, { player, opponent, count: after.plies });
+}
+
+// The move's rating against the alternatives it had
+function tagSentence({ tag, cell, best, before }, t) {
+  if (tag === "best") return t("coach.best", { cell });
+  if (tag === "inaccuracy") return t("coach.inaccuracy", { cell, best });
+  if (tag === "blunder") return t(before && before.outcome === "win" ? "coach.blunder.win" : "coach.blunder.draw", { cell, best });
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/** Sentences explaining a move's facts (moveFacts). */
+export function explainMove(facts, t) {
+  const { player, cell, result } = facts;
+  const opponent = player === "X" ? "O" : "X";
+  if (result) {
+    if (result.draw) return [t("coach.draw", { cell })];
+    if (result.lineLoses) return [t("coach.lineLoses", { player, cell, winner: result.winner })];
+    return [t("coach.won", { player, cell })];
+  }
+  const sentences = [tagSentence(facts, t)];
+  if (facts.missedWin) sentences.push(t("coach.missedWin", { player, cell: facts.missedWin }));
+  if (facts.blocked) sentences.push(t("coach.blocked", { opponent }));
+  if (facts.threats.length > 1) sentences.push(t("coach.fork", { player, opponent, cells: cellList(facts.threats, t) }));
+  else if (facts.threats.length === 1) sentences.push(t("coach.threat", { player, cells: cellList(facts.threats, t) }));
+  if (facts.allowed.length > 0) sentences.push(t("coach.allows", { opponent, cells: cellList(facts.allowed, t) }));
+  sentences.push(outlookSentence(facts, opponent, t));
+  return sentences.filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/** Sentences reviewing a whole game's facts (reviewFacts). */
+export function explainReview(facts, t) {
+  const { moves, result, mistakes, forks } = facts;
+  const sentences = [
+    !result
+      ? t("coach.review.unfinished", { count: moves })
+      : result.draw
+      ? t("coach.review.draw", { count: moves })
+      : t(result.timeout ? "coach.review.wonOnTime" : "coach.review.won", { winner: result.winner, count: moves })
+  ];
+  const turningPoint = mistakes.find(m => m.tag === "blunder");
+  if (turningPoint) {
+    const { number, player, cell, best, before } = turningPoint;
+    const id = before && before.outcome === "win" ? "coach.review.turningPoint.win" : "coach.review.turningPoint.draw";
+    sentences.push(t(id, { number, player, cell, best }));
+  } else if (mistakes.length === 0) {
+    sentences.push(t("coach.review.clean"));
+  }
+  const others = mistakes.filter(m => m !== turningPoint);
+  if (others.length > 0) {
+    const list = others.map(({ number, player, cell }) => t("coach.review.moveRef", { number, player, cell })).join(", ");
+    sentences.push(t("coach.review.moreMistakes", { count: others.length, moves: list }));
+  }
+  const decisiveFork = result && result.winner && !result.timeout && forks.find(f => f.player === result.winner);
+  if (decisiveFork) sentences.push(t("coach.review.fork", decisiveFork));
+  return sentences;
+}
+
+// PUBLIC_INTERFACE
+/** The explanation of any coach facts, as one paragraph. */
+export function explainFacts(facts, t) {
+  return (facts.kind === "review" ? explainReview(facts, t) : explainMove(facts, t)).join(" ");
+}
@@ -0,0 +1,255 @@
+/*
+  3D COMPUTER OPPONENT: Threat search
+  -----------------------------------
+
+  - For the cube variants (3x3x3, and 4x4x4 Qubic), where minimax can't look far enough ahead:
+    Qubic has 64 cells and 76 lines, and games are decided by threats long before the board fills.
+  - A threat is a line where one player needs one more cell and the other has none. It must be
+    answered at once, so a run of threats can be searched deep: the attacker only tries moves
+    that make a threat and the defender's reply is forced. Two threats on different cells win.
+  - judgeCubeMove tells what a move leads to:
+      a win       it completes a line, or starts a run of threats that ends in a double threat
+      a loss      it leaves the opponent a line to complete, or a run of threats of their own
+      otherwise   a heuristic: every line still open to one player counts for them, more so
+                  the fuller it is (the same weights as minimax.js)
+    Wins and losses found are real; the search just doesn't see quiet wins that need moves
+    which threaten nothing.
+  - Runs of threats are searched up to FORCING_DEPTH attacker moves, memoized in the table given.
+*/
+
+import { legalMoves, otherPlayer } from "../game/engine.js";
+
+// Longest run of threats searched (attacker moves, the winning one included)
+const FORCING_DEPTH = 6;
+
+// Directions a line can run in through a cube (one of each opposite pair)
+const DIRECTIONS = [-1, 0, 1]
+  .flatMap(dl => [-1, 0, 1].flatMap(dr => [-1, 0, 1].map(dc => [dl, dr, dc])))
+  .filter(step => step.find(d => d !== 0) === 1);
+
+// Lines of a cube by size and win length: { lines: [[index]], linesThrough: [[line number]] },
+// cells numbered (layer * size + row) * size + col
+const lineCache = new Map();
+
+function cubeLines(size, winLength) {
+  const cacheKey = `${size}/${winLength}`;
+  if (lineCache.has(cacheKey)) return lineCache.get(cacheKey);
+  const inside = n => n >= 0 && n < size;
+  const lines = [];
+  for (let l = 0; l < size; l++) {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        for (const [dl, dr, dc] of DIRECTIONS) {
+          const end = [l + dl * (winLength - 1), r + dr * (winLength - 1), c + dc * (winLength - 1)];
+          if (!end.every(inside)) continue;
+          lines.push(Array.from({ length: winLength }, (_, i) => ((l + dl * i) * size + r + dr * i) * size + c + dc * i));
+        }
+      }
+    }
+  }
+  const linesThrough = Array.from({ length: size ** 3 }, () => []);
+  lines.forEach((line, n) => line.forEach(cell => linesThrough[cell].push(n)));
+  const found = { lines, linesThrough };
+  lineCache.set(cacheKey, found);
+  return found;
+}
+
+// Random 32-bit numbers per cell and player, XORed together into a position's hash
+// (fixed seed, so hashes agree between searches sharing a table)
+const hashCache = new Map();
+
+function cellHashes(cellCount) {
+  if (hashCache.has(cellCount)) return hashCache.get(cellCount);
+  let seed = 0x2545f491;
+  const next = () => {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return seed >>> 0;
+  };
+  const hashes = { X: [], O: [] };
+  for (let cell = 0; cell < cellCount; cell++) {
+    hashes.X.push([next(), next()]);
+    hashes.O.push([next(), next()]);
+  }
+  hashCache.set(cellCount, hashes);
+  return hashes;
+}
+
+// A search position: the flat cells, how many marks each player has in every line and a hash
+// of the position (two 32-bit halves), changed in place by play / undo
+function searchState(game) {
+  const state = {
+    cells: Array(game.size ** 3).fill(null),
+    counts: { X: [], O: [] },
+    hash: [0, 0],
+    hashes: cellHashes(game.size ** 3),
+    winLength: game.winLength,
+    ...cubeLines(game.size, game.winLength)
+  };
+  state.counts.X = state.lines.map(() => 0);
+  state.counts.O = state.lines.map(() => 0);
+  game.board.flat(2).forEach((mark, cell) => {
+    if (mark) play(state, cell, mark);
+  });
+  return state;
+}
+
+// Toggles `player`'s mark on `cell` in the hash
+function rehash(state, cell, player) {
+  const [low, high] = state.hashes[player][cell];
+  state.hash[0] ^= low;
+  state.hash[1] ^= high;
+}
+
+function play(state, cell, player) {
+  state.cells[cell] = player;
+  rehash(state, cell, player);
+  for (const n of state.linesThrough[cell]) state.counts[player][n]++;
+}
+
+function undo(state, cell) {
+  const player = state.cells[cell];
+  state.cells[cell] = null;
+  rehash(state, cell, player);
+  for (const n of state.linesThrough[cell]) state.counts[player][n]--;
+}
+
+// Empty cells of the lines where `player` has `marks` and the opponent none. Plain loops:
+// this is the inner loop of the search.
+function emptyCellsOfOpenLines(state, player, marks) {
+  const mine = state.counts[player];
+  const theirs = state.counts[otherPlayer(player)];
+  const found = new Set();
+  for (let n = 0; n < state.lines.length; n++) {
+    if (mine[n] !== marks || theirs[n] !== 0) continue;
+    for (const cell of state.lines[n]) {
+      if (!state.cells[cell]) found.add(cell);
+    }
+  }
+  return found;
+}
+
+// Cells where `player` would complete a line
+function threats(state, player) {
+  return emptyCellsOfOpenLines(state, player, state.winLength - 1);
+}
+
+// Empty cells where `player` would make a threat
+function threatMoves(state, player) {
+  return [...emptyCellsOfOpenLines(state, player, state.winLength - 2)];
+}
+
+function completesLine(state, cell) {
+  const counts = state.counts[state.cells[cell]];
+  return state.linesThrough[cell].some(n => counts[n] === state.winLength);
+}
+
+// Fewest attacker moves (the attacker to move) that win by a run of threats, or null
+function forcingWin(state, attacker, depth, table) {
+  if (threats(state, attacker).size > 0) return 1;
+  if (depth <= 1) return null;
+  const key = `cube:${attacker}${depth}:${state.hash[0]}:${state.hash[1]}`;
+  if (table.has(key)) return table.get(key);
+
+  const defender = otherPlayer(attacker);
+  const against = threats(state, defender);
+  // Two threats against the attacker can't both be answered; one must be
+  const candidates = against.size > 1 ? [] : against.size === 1 ? [...against] : threatMoves(state, attacker);
+  let best = null;
+  for (const move of candidates) {
+    play(state, move, attacker);
+    const made = threats(state, attacker);
+    let moves = null;
+    if (made.size > 1) {
+      moves = 2;
+    } else if (made.size === 1) {
+      // The defender's reply is forced
+      const [reply] = made;
+      play(state, reply, defender);
+      const rest = forcingWin(state, attacker, depth - 1, table);
+      undo(state, reply);
+      if (rest !== null) moves = rest + 1;
+    }
+    undo(state, move);
+    if (moves !== null && (best === null || moves < best)) best = moves;
+    if (best === 2) break;
+  }
+  table.set(key, best);
+  return best;
+}
+
+// Open lines for `player` minus open lines for the opponent, 10^marks each
+function heuristic(state, player) {
+  const opponent = otherPlayer(player);
+  let score = 0;
+  state.lines.forEach((line, n) => {
+    const mine = state.counts[player][n];
+    const theirs = state.counts[opponent][n];
+    if (mine && !theirs) score += 10 ** mine;
+    else if (theirs && !mine) score -= 10 ** theirs;
+  });
+  return score;
+}
+
+// judgeCubeMove on a search state. `threatened`: whether the opponent could force a win if the
+// player to move passed; if not, no move can give them one, so there is nothing to search.
+function judge(state, game, cell, threatened, table) {
+  const me = game.turn;
+  const opponent = otherPlayer(me);
+  play(state, cell, me);
+  try {
+    if (completesLine(state, cell)) return { outcome: "win", plies: 1, heuristic: 0 };
+    if (threats(state, opponent).size > 0) return { outcome: "loss", plies: 2, heuristic: 0 };
+
+    // My run of threats, if this move starts one: the opponent answers the threat it made
+    const made = threats(state, me);
+    let wins = null;
+    if (made.size > 1) {
+      wins = 2;
+    } else if (made.size === 1) {
+      const [reply] = made;
+      play(state, reply, opponent);
+      const rest = forcingWin(state, me, FORCING_DEPTH - 1, table);
+      undo(state, reply);
+      if (rest !== null) wins = rest + 1;
+    }
+    // I make `wins` moves with the opponent's in between
+    if (wins !== null) return { outcome: "win", plies: 2 * wins - 1, heuristic: 0 };
+
+    const loses = threatened ? forcingWin(state, opponent, FORCING_DEPTH, table) : null;
+    if (loses !== null) return { outcome: "loss", plies: 2 * loses, heuristic: 0 };
+    return { outcome: null, plies: null, heuristic: heuristic(state, me) };
+  } finally {
+    undo(state, cell);
+  }
+}
+
+function cellIndex(game, [layer, row, col]) {
+  return (layer * game.size + row) * game.size + col;
+}
+
+// Whether the opponent of the player to move could force a win given a free move
+function opponentThreatens(state, game, table) {
+  return forcingWin(state, otherPlayer(game.turn), FORCING_DEPTH, table) !== null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * What playing `move` ([layer, row, col]) leads to for the player to move:
+ * { outcome: "win" | "loss" | null, plies, heuristic }, where `plies` counts the moves until
+ * the game ends (this one included) for a win or a loss, and `heuristic` scores the rest.
+ * Pass the same `table` for positions of one game to reuse the search.
+ */
+export function judgeCubeMove(game, move, table = new Map()) {
+  const state = searchState(game);
+  return judge(state, game, cellIndex(game, move), opponentThreatens(state, game, table), table);
+}
+
+// PUBLIC_INTERFACE
+/** judgeCubeMove for every legal move: [{ move, outcome, plies, heuristic }], layer by layer. */
+export function judgeCubeMoves(game, table = new Map()) {
+  const state = searchState(game);
+  const threatened = opponentThreatens(state, game, table);
+  return legalMoves(game).map(move => ({ move, ...judge(state, game, cellIndex(game, move), threatened, table) }));
+}
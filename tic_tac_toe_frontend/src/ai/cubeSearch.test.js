@@ -0,0 +1,36 @@
+import { createGame, applyMove, replayMoves } from "../game/engine";
+import { judgeCubeMove, judgeCubeMoves } from "./cubeSearch";
+import { chooseMove } from "./minimax";
+
+const CUBE = { variant: "cube" };
+
+test("a move that completes a line wins; one that leaves the opponent a line loses", () => {
+  // X has the centre and (0,0,1), so (2,2,1) completes a line; O threatens (0,1,1)
+  const game = replayMoves([[1, 1, 1], [0, 0, 0], [0, 0, 1], [0, 2, 2]], CUBE);
+  expect(judgeCubeMove(game, [2, 2, 1])).toEqual({ outcome: "win", plies: 1, heuristic: 0 });
+  expect(judgeCubeMove(game, [2, 2, 2])).toEqual({ outcome: "loss", plies: 2, heuristic: 0 });
+
+  // O must block (2,2,1): anything else leaves X the line
+  const blocking = replayMoves([[1, 1, 1], [0, 0, 0], [0, 0, 1]], CUBE);
+  const judged = judgeCubeMoves(blocking);
+  expect(judged).toHaveLength(24);
+  expect(judged.find(({ move }) => move.join() === "0,2,2")).toMatchObject({ outcome: "loss", plies: 2 });
+});
+
+test("finds runs of threats that end in a double threat", () => {
+  // O blocked X's first threat; (0,1,1) threatens both (0,2,1) and (2,1,1) at once
+  const game = replayMoves([[1, 1, 1], [0, 0, 0], [0, 0, 1], [2, 2, 1]], CUBE);
+  expect(judgeCubeMove(game, [0, 1, 1])).toEqual({ outcome: "win", plies: 3, heuristic: 0 });
+  // With the centre taken, every reply O has loses to a run of threats
+  expect(judgeCubeMoves(replayMoves([[1, 1, 1]], CUBE)).every(({ outcome }) => outcome === "loss")).toBe(true);
+});
+
+test("the perfect AI wins 3x3x3 as X against itself, and blocks on a Qubic board", () => {
+  let game = createGame(CUBE);
+  while (!game.result) game = applyMove(game, chooseMove(game, "perfect", () => 0));
+  expect(game.result.winner).toBe("X");
+
+  // X has three of the first layer's top row; O must take the fourth
+  const qubic = replayMoves([[0, 0, 0], [3, 3, 3], [0, 0, 1], [3, 3, 2], [0, 0, 2]], { variant: "qubic" });
+  expect(chooseMove(qubic, "perfect", () => 0)).toEqual([0, 0, 3]);
+});
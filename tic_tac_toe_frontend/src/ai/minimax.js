@@ -0,0 +1,211 @@
+/*
+  LOCAL COMPUTER OPPONENT: Minimax search
+  ---------------------------------------
+
+  - Negamax with alpha-beta pruning over engine states, memoized in a transposition table.
+  - Scores are from the point of view of the player to move: a win is WIN_SCORE minus the
+    number of pieces on the board, so faster wins (and slower losses) are preferred. Because
+    the piece count is a property of the position, cached scores are valid whatever path led there.
+  - 3x3 is searched to the end, so it is exact. Larger boards are searched to a fixed depth,
+    only consider cells next to existing stones, and score the leaves by counting open lines.
+  - Every rule variant is searched the same way; only the leaf heuristic differs. In misère
+    lines count against their owner, Ultimate scores claimed small boards above lines inside
+    open ones, and Wild and Notakto (where marks don't say whose they are) rely on the search alone.
+  - The 3D variants are the exception: their moves are scored by the threat search in
+    cubeSearch.js, on the same scale.
+  - Difficulty levels make deliberate mistakes: with probability `mistakeRate` the opponent
+    plays a random move that is not among the best ones. "Perfect" never errs: on 3x3 it only
+    loses positions that are lost whatever it plays (Notakto's second player, for one).
+  - No network, no React: works offline and can run in Node.
+*/
+
+import { applyMove, legalMoves, smallBoard, isCube } from "../game/engine.js";
+import { judgeCubeMove, judgeCubeMoves } from "./cubeSearch.js";
+
+export const WIN_SCORE = 100000;
+// Heuristic scores stay well clear of real wins and losses
+export const HEURISTIC_LIMIT = WIN_SCORE / 2;
+
+// Directions a line can run in: horizontal, vertical, both diagonals
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+// Transposition table entry kinds
+const EXACT = 0;
+const LOWER = 1;
+const UPPER = 2;
+
+export const DIFFICULTIES = {
+  easy: { label: "Easy", mistakeRate: 0.75 },
+  medium: { label: "Medium", mistakeRate: 0.4 },
+  hard: { label: "Hard", mistakeRate: 0.1 },
+  perfect: { label: "Perfect", mistakeRate: 0 }
+};
+
+export const DEFAULT_DIFFICULTY = "perfect";
+
+// Identifies a position for the transposition table
+function positionKey(game) {
+  const next = game.nextBoard ? game.nextBoard.join("") : "";
+  return game.turn + next + game.board.map(row => row.map(c => c || "-").join("")).join("/");
+}
+
+// How many plies to look ahead: unlimited on 3x3, shallower as the board grows
+export function searchDepth(game) {
+  if (game.variant === "ultimate") return 3;
+  if (game.size <= 3) return Infinity;
+  if (game.size <= 4) return 5;
+  if (game.size <= 6) return 3;
+  return 2;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Moves worth searching: everything on boards up to 4x4 and in Ultimate (where the small board
+ * already narrows them down), else empty cells touching a stone.
+ */
+export function candidateMoves(game) {
+  const moves = legalMoves(game);
+  if (game.size <= 4 || game.variant === "ultimate") return moves;
+  if (game.moves.length === 0) {
+    const center = Math.floor(game.size / 2);
+    return [[center, center]];
+  }
+  const { board, size } = game;
+  return moves.filter(([r, c]) => {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const nr = r + dr;
+        const nc = c + dc;
+        if (nr >= 0 && nr < size && nc >= 0 && nc < size && board[nr][nc]) return true;
+      }
+    }
+    return false;
+  });
+}
+
+// Every window of winLength cells on `grid` that only one player occupies counts for that
+// player, more so the fuller it is. A "draw" cell (a drawn Ultimate board) blocks both.
+function scoreWindows(grid, winLength, turn) {
+  const size = grid.length;
+  let score = 0;
+  for (const [dr, dc] of DIRECTIONS) {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        const endR = r + dr * (winLength - 1);
+        const endC = c + dc * (winLength - 1);
+        if (endR < 0 || endR >= size || endC < 0 || endC >= size) continue;
+        let mine = 0;
+        let theirs = 0;
+        for (let i = 0; i < winLength; i++) {
+          const cell = grid[r + dr * i][c + dc * i];
+          if (cell === turn || cell === "draw") mine++;
+          if (cell && cell !== turn) theirs++;
+        }
+        if (mine && !theirs) score += 10 ** mine;
+        else if (theirs && !mine) score -= 10 ** theirs;
+      }
+    }
+  }
+  return score;
+}
+
+// Static score for the player to move
+function evaluate(game) {
+  const { board, winLength, turn, variant } = game;
+  let score = 0;
+  if (variant === "ultimate") {
+    // A claimed small board is worth a hundred times a line inside one
+    score = 100 * scoreWindows(game.boards, 3, turn);
+    game.boards.forEach((row, boardRow) =>
+      row.forEach((owner, boardCol) => {
+        if (!owner) score += scoreWindows(smallBoard(board, [boardRow, boardCol]), 3, turn);
+      })
+    );
+  } else if (variant === "misere") {
+    score = -scoreWindows(board, winLength, turn);
+  } else if (variant === "classic") {
+    score = scoreWindows(board, winLength, turn);
+  }
+  return Math.max(-HEURISTIC_LIMIT, Math.min(HEURISTIC_LIMIT, score));
+}
+
+// Negamax with alpha-beta; returns the score for the player to move
+function negamax(game, depth, alpha, beta, table) {
+  if (game.result) {
+    // The previous move ended the game: a win for one side (in misère and Notakto usually the
+    // player to move, since completing a line loses) or a draw
+    if (!game.result.winner) return 0;
+    const score = WIN_SCORE - game.moves.length;
+    return game.result.winner === game.turn ? score : -score;
+  }
+  if (depth <= 0) return evaluate(game);
+
+  const key = positionKey(game);
+  const alphaOrig = alpha;
+  const cached = table.get(key);
+  if (cached && cached.depth >= depth) {
+    if (cached.flag === EXACT) return cached.score;
+    if (cached.flag === LOWER) alpha = Math.max(alpha, cached.score);
+    else beta = Math.min(beta, cached.score);
+    if (alpha >= beta) return cached.score;
+  }
+
+  let best = -Infinity;
+  for (const move of candidateMoves(game)) {
+    const score = -negamax(applyMove(game, move), depth - 1, -beta, -alpha, table);
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+
+  const flag = best <= alphaOrig ? UPPER : best >= beta ? LOWER : EXACT;
+  table.set(key, { score: best, flag, depth });
+  return best;
+}
+
+// Score of a cubeSearch.js judgement: wins and losses as negamax scores them, else the heuristic
+function cubeScore(game, { outcome, plies, heuristic }) {
+  if (outcome === "win") return WIN_SCORE - (game.moves.length + plies);
+  if (outcome === "loss") return -(WIN_SCORE - (game.moves.length + plies));
+  return Math.max(-HEURISTIC_LIMIT, Math.min(HEURISTIC_LIMIT, heuristic));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Minimax score of every candidate move for the player to move (exact on 3x3).
+ * Returns [{ move: [row, col], score }] in board order (with the mark in Wild, [layer, row, col]
+ * in 3D); higher is better for that player.
+ */
+export function scoreMoves(game, table = new Map(), depth = searchDepth(game)) {
+  if (isCube(game)) {
+    return judgeCubeMoves(game, table).map(judged => ({ move: judged.move, score: cubeScore(game, judged) }));
+  }
+  return candidateMoves(game).map(move => ({ move, score: scoreMove(game, move, table, depth) }));
+}
+
+// PUBLIC_INTERFACE
+/** Minimax score of one legal move for the player to move, even one scoreMoves would skip. */
+export function scoreMove(game, move, table = new Map(), depth = searchDepth(game)) {
+  if (isCube(game)) return cubeScore(game, judgeCubeMove(game, move, table));
+  // `|| 0` turns the -0 that negating a draw produces into a plain 0
+  return -negamax(applyMove(game, move), depth - 1, -Infinity, Infinity, table) || 0;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pick a move for the player to move at the given difficulty.
+ * `random` is injectable so tests can make the choice deterministic.
+ * Returns the move (as scoreMoves gives it), or null if the game is over.
+ */
+export function chooseMove(game, difficulty = DEFAULT_DIFFICULTY, random = Math.random) {
+  const scored = scoreMoves(game);
+  if (scored.length === 0) return null;
+
+  const level = DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  const bestScore = Math.max(...scored.map(s => s.score));
+  const best = scored.filter(s => s.score === bestScore);
+  const others = scored.filter(s => s.score !== bestScore);
+
+  const pool = others.length > 0 && random() < level.mistakeRate ? others : best;
+  return pool[Math.floor(random() * pool.length)].move;
+}
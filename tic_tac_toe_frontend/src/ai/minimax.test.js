@@ -0,0 +1,99 @@
+import { createGame, applyMove, legalMoves, replayMoves } from "../game/engine";
+import { chooseMove, scoreMoves } from "./minimax";
+
+// Plays every possible human line against the perfect AI and collects the results
+function playAllLines(game, aiPlayer, results) {
+  if (game.result) {
+    results.push(game.result.winner);
+    return;
+  }
+  if (game.turn === aiPlayer) {
+    playAllLines(applyMove(game, chooseMove(game, "perfect", () => 0)), aiPlayer, results);
+    return;
+  }
+  for (const move of legalMoves(game)) {
+    playAllLines(applyMove(game, move), aiPlayer, results);
+  }
+}
+
+test("perfect AI never loses as O", () => {
+  const results = [];
+  playAllLines(createGame(), "O", results);
+  expect(results.length).toBeGreaterThan(0);
+  expect(results).not.toContain("X");
+});
+
+test("perfect AI never loses as X", () => {
+  const results = [];
+  playAllLines(createGame(), "X", results);
+  expect(results).not.toContain("O");
+});
+
+test("takes an immediate win over a block", () => {
+  // X: (0,0) (0,1)  O: (1,0) (1,1), O to move can win at (1,2)
+  const game = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1], [2, 2]]);
+  expect(chooseMove(game, "perfect")).toEqual([1, 2]);
+});
+
+test("blocks an immediate threat", () => {
+  const game = replayMoves([[0, 0], [1, 1], [0, 1]]);
+  expect(chooseMove(game, "perfect")).toEqual([0, 2]);
+});
+
+test("empty board is a draw with best play", () => {
+  const scores = scoreMoves(createGame()).map(s => s.score);
+  expect(Math.max(...scores)).toBe(0);
+});
+
+test("easy level plays a non-best move when it decides to err", () => {
+  const game = replayMoves([[0, 0], [1, 1], [0, 1]]);
+  // First random() call decides to make a mistake, second picks the first non-best move
+  expect(chooseMove(game, "easy", () => 0)).not.toEqual([0, 2]);
+});
+
+test("returns null once the game is over", () => {
+  const game = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+  expect(chooseMove(game)).toBeNull();
+});
+
+test("blocks a four on a Gomoku board", () => {
+  // X has (7,5)-(7,8) with O already on (7,4); O must take (7,9) or lose next move
+  const game = replayMoves(
+    [[7, 5], [7, 4], [7, 6], [0, 14], [7, 7], [14, 0], [7, 8]],
+    { size: 15, winLength: 5 }
+  );
+  expect(chooseMove(game, "perfect", () => 0)).toEqual([7, 9]);
+});
+
+test("completes four in a row on 4x4", () => {
+  const game = replayMoves([[0, 0], [3, 0], [0, 1], [3, 1], [0, 2], [2, 3]], { size: 4, winLength: 4 });
+  expect(chooseMove(game, "perfect")).toEqual([0, 3]);
+});
+
+test("misère: avoids completing its own line and is a draw with best play", () => {
+  // X has (0,0) (0,1); taking (0,2) would lose
+  const game = replayMoves([[0, 0], [1, 1], [0, 1], [2, 0]], { variant: "misere" });
+  expect(scoreMoves(game).find(({ move }) => move[0] === 0 && move[1] === 2).score).toBeLessThan(0);
+  expect(chooseMove(game, "perfect")).not.toEqual([0, 2]);
+  expect(Math.max(...scoreMoves(createGame({ variant: "misere" })).map(s => s.score))).toBe(0);
+});
+
+test("Notakto and Wild are first-player wins, and the AI finds them", () => {
+  for (const variant of ["notakto", "wild"]) {
+    const scores = scoreMoves(createGame({ variant })).map(s => s.score);
+    expect(Math.max(...scores)).toBeGreaterThan(0);
+  }
+  // Wild: two O's in the top row, so the player to move completes it with an O
+  // (or the bottom row with an X; `() => 0` picks the first win in board order)
+  const wild = replayMoves([[0, 0, "O"], [2, 2, "X"], [0, 1, "O"], [2, 0, "X"]], { variant: "wild" });
+  expect(chooseMove(wild, "perfect", () => 0)).toEqual([0, 2, "O"]);
+  expect(scoreMoves(wild).find(({ move }) => move[0] === 0 && move[1] === 2 && move[2] === "X").score).toBeLessThan(0);
+});
+
+test("Ultimate: only searches the small board it was sent to and takes a won board", () => {
+  // X holds (0,0) and (0,1) of the top-left board, O the centre, and X is sent back there
+  const game = replayMoves([[0, 1], [0, 3], [0, 0], [1, 1], [3, 5], [0, 6]], { variant: "ultimate" });
+  expect(game.nextBoard).toEqual([0, 0]);
+  expect(scoreMoves(game).every(({ move: [r, c] }) => r < 3 && c < 3)).toBe(true);
+  expect(chooseMove(game, "perfect")).toEqual([0, 2]);
+});
@@ -0,0 +1,22 @@
+import { legalMoves } from "../../game/engine.js";
+import { ProviderError, throwIfAborted } from "./providerError.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Move provider that plays the first empty cell, reading row by row (like the engine's findBestMove,
+ * but only where the rules allow, e.g. Ultimate's small board).
+ */
+export function createFirstEmptyProvider() {
+  return {
+    id: "first-empty",
+    label: "First empty cell",
+    async getMove(game, { signal } = {}) {
+      throwIfAborted(signal, "first-empty");
+      const move = game.result ? null : legalMoves(game)[0];
+      if (!move) {
+        throw new ProviderError("No moves available for AI.", { provider: "first-empty" });
+      }
+      return move;
+    }
+  };
+}
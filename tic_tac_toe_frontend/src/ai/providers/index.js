@@ -0,0 +1,23 @@
+/*
+  MOVE PROVIDERS
+  --------------
+
+  Anything that can choose a move for the computer implements one interface:
+
+    {
+      id:    string                              short machine name ("local", "openai", ...)
+      label: string                              human-readable name for the UI
+      getMove(game, { signal }) => Promise<[row, col]>
+    }
+
+  `game` is an engine state (src/game/engine.js); the move is for game.turn.
+  Failures reject with ProviderError; `signal` (an AbortSignal) cancels a pending request.
+*/
+
+export { ProviderError } from "./providerError.js";
+export { createLocalProvider } from "./localProvider.js";
+export { createRandomProvider } from "./randomProvider.js";
+export { createFirstEmptyProvider } from "./firstEmptyProvider.js";
+export { createOpenAIProvider, buildMovePrompt, parseMoveReply } from "./openAIProvider.js";
+export { createProxyProvider } from "./proxyProvider.js";
+export { withFallback } from "./withFallback.js";
@@ -0,0 +1,23 @@
+import { chooseMove, DIFFICULTIES, DEFAULT_DIFFICULTY } from "../minimax.js";
+import { ProviderError, throwIfAborted } from "./providerError.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Move provider backed by the local minimax search. Never touches the network.
+ * Options: { difficulty = "perfect", random = Math.random }
+ */
+export function createLocalProvider({ difficulty = DEFAULT_DIFFICULTY, random = Math.random } = {}) {
+  const level = DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  return {
+    id: "local",
+    label: `Local engine (${level.label})`,
+    async getMove(game, { signal } = {}) {
+      throwIfAborted(signal, "local");
+      const move = chooseMove(game, difficulty, random);
+      if (!move) {
+        throw new ProviderError("No moves available for AI.", { provider: "local" });
+      }
+      return move;
+    }
+  };
+}
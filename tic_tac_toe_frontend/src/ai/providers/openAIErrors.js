@@ -0,0 +1,22 @@
+/*
+  What the OpenAI SDK throws, as ProviderErrors: for the OpenAI move provider and the OpenAI coach.
+*/
+
+import { APIUserAbortError, APIConnectionTimeoutError } from "openai";
+import { ProviderError } from "./providerError.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Turns whatever the SDK threw into a ProviderError ("aborted", "timeout" or "failed").
+ * `messages` ({ timeout, aborted }) says what those errors say, in the caller's words.
+ */
+export function toProviderError(e, provider, messages) {
+  if (e instanceof ProviderError) return e;
+  if (e instanceof APIUserAbortError) {
+    return new ProviderError(messages.aborted, { code: "aborted", provider, cause: e });
+  }
+  if (e instanceof APIConnectionTimeoutError) {
+    return new ProviderError(messages.timeout, { code: "timeout", provider, cause: e });
+  }
+  return new ProviderError(e?.message || "Unknown error", { provider, cause: e });
+}
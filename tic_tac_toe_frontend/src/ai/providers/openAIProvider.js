@@ -0,0 +1,135 @@
+/*
+  OpenAI (and OpenAI-compatible) move provider
+  --------------------------------------------
+
+  - Uses the v4 SDK shape: client.chat.completions.create(), reply in completion.choices.
+  - `baseURL` points it at any OpenAI-compatible endpoint (local model servers, proxies, test mocks).
+  - Per-request timeout and retry count are passed to the SDK; an AbortSignal cancels the
+    request in flight and surfaces as a ProviderError with code "aborted".
+  - The reply is checked against the engine. If it is not a legal move, the model is shown
+    what was wrong and asked again, up to `repairAttempts` times.
+  - The prompt describes a flat board, so 3D games are refused (code "unsupported").
+*/
+
+import OpenAI from "openai";
+import { isLegalMove, legalMoves, isPlayableBoard, isCube, VARIANTS } from "../../game/engine.js";
+import { ProviderError, throwIfAborted, REQUEST_MESSAGES } from "./providerError.js";
+import { toProviderError } from "./openAIErrors.js";
+
+// Text grid of the board, one row per line, '-' for empty cells
+function displayBoard(board) {
+  return board.map(r => r.map(c => c || "-").join("")).join("\n");
+}
+
+// PUBLIC_INTERFACE
+/** Prompt asking the model for the next move of the player to move. */
+export function buildMovePrompt(game) {
+  const size = game.size;
+  const me = game.turn;
+  const opponent = me === "X" ? "O" : "X";
+  // Variants change what a line means; the model is told the rule in a sentence
+  const { label, rule } = VARIANTS[game.variant];
+  const rules = game.variant === "classic" ? "" : `\nThis game uses the ${label} rules: ${rule}`;
+  return `
+You are a perfect Tic Tac Toe player called "AI". You play as "${me}". The board is a ${size}x${size} grid, indexed from 0 (top-left) to ${size - 1} (bottom-right).
+${game.winLength} marks in a row (horizontally, vertically or diagonally) win.${rules}
+Given the board state, output the next best move as a JSON array [row, col] that refers to an empty cell.
+Do not output anything else.
+Board state (${opponent}=opponent, ${me}=you, '-'=empty):
+
+${displayBoard(game.board)}
+
+It is your turn. Output only the next move as JSON array [row, col].
+`;
+}
+
+// Follow-up prompt after an unusable reply
+function buildRepairPrompt(game, problem) {
+  // Wild lists every cell once per mark; the model only picks the cell
+  const cells = legalMoves(game).map(([r, c]) => `[${r},${c}]`);
+  const empty = [...new Set(cells)].join(", ");
+  return `That answer can't be played: ${problem}. The empty cells are: ${empty}. Reply with only one of them, as a JSON array [row, col].`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pull a [row, col] move out of a model reply and check it against the rules.
+ * Returns { move } when usable, else { problem } describing what is wrong.
+ */
+export function parseMoveReply(game, content) {
+  if (typeof content !== "string" || !content.trim()) {
+    return { problem: "the reply was empty" };
+  }
+  // Sometimes model outputs text before the json, try to extract JSON array [row, col]
+  const match = content.match(/\[\s*-?\d+\s*,\s*-?\d+\s*\]/);
+  if (!match) {
+    return { problem: `"${content.trim()}" is not a [row, col] array` };
+  }
+  const move = JSON.parse(match[0]);
+  if (!isLegalMove(game, move)) {
+    const outside = game.board[move[0]]?.[move[1]] === null && !isPlayableBoard(game, move);
+    return { problem: `[${move[0]},${move[1]}] is ${outside ? "outside the small board you must play in" : "taken or off the board"}` };
+  }
+  return { move };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move provider that asks an OpenAI chat model.
+ * Options:
+ *   apiKey, baseURL         credentials and endpoint (baseURL for OpenAI-compatible servers)
+ *   model                   chat model name (default "gpt-3.5-turbo")
+ *   timeoutMs               per-request timeout (default 15000)
+ *   maxRetries              SDK retries on connection errors, 429 and 5xx (default 2)
+ *   repairAttempts          follow-up prompts after an illegal reply (default 1)
+ *   id, label               how the provider names itself in the UI
+ *   dangerouslyAllowBrowser passed to the SDK; only for local experiments
+ *   client                  a prebuilt OpenAI client (tests)
+ */
+export function createOpenAIProvider({
+  apiKey,
+  baseURL,
+  model = "gpt-3.5-turbo",
+  timeoutMs = 15000,
+  maxRetries = 2,
+  repairAttempts = 1,
+  id = "openai",
+  label = "OpenAI",
+  dangerouslyAllowBrowser = false,
+  client
+} = {}) {
+  const openai =
+    client || new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries, dangerouslyAllowBrowser });
+
+  return {
+    id,
+    label,
+    async getMove(game, { signal } = {}) {
+      throwIfAborted(signal, id);
+      if (isCube(game)) {
+        throw new ProviderError("The model is only asked about flat boards", { code: "unsupported", provider: id });
+      }
+      const messages = [{ role: "user", content: buildMovePrompt(game) }];
+      try {
+        for (let attempt = 0; ; attempt++) {
+          const completion = await openai.chat.completions.create(
+            { model, messages, max_tokens: 10, temperature: 0.2 },
+            { signal, timeout: timeoutMs, maxRetries }
+          );
+          const content = completion?.choices?.[0]?.message?.content;
+          const { move, problem } = parseMoveReply(game, content);
+          if (move) return move;
+          if (attempt >= repairAttempts) {
+            throw new ProviderError(`AI gave an invalid move: ${problem}`, { code: "invalid", provider: id });
+          }
+          messages.push(
+            { role: "assistant", content: String(content ?? "") },
+            { role: "user", content: buildRepairPrompt(game, problem) }
+          );
+        }
+      } catch (e) {
+        throw toProviderError(e, id, REQUEST_MESSAGES.move);
+      }
+    }
+  };
+}
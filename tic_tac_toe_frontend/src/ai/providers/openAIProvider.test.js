@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+// Jest doesn't resolve the SDK's "node" export condition, so pick the Node fetch shim by hand
+import "openai/shims/node";
+import http from "http";
+import { createGame, replayMoves } from "../../game/engine";
+import { createOpenAIProvider, createLocalProvider, withFallback } from "./index";
+
+// Minimal OpenAI-compatible server: each request is answered by the next handler in `replies`
+function startMockServer(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      const reply = replies.shift() || { content: "[0,0]" };
+      if (reply.hang) return; // never answer: lets the client time out or abort
+      if (reply.status) {
+        res.writeHead(reply.status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { message: "mock failure" } }));
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          id: "mock",
+          object: "chat.completion",
+          choices: [{ index: 0, message: { role: "assistant", content: reply.content }, finish_reason: "stop" }]
+        })
+      );
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        baseURL: `http://127.0.0.1:${port}/v1`,
+        requests,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+function providerFor(mock, options = {}) {
+  return createOpenAIProvider({ apiKey: "test-key", baseURL: mock.baseURL, maxRetries: 0, ...options });
+}
+
+test("returns a legal move from the chat completions endpoint", async () => {
+  const mock = await startMockServer([{ content: "Sure! [1, 2]" }]);
+  try {
+    const move = await providerFor(mock).getMove(createGame());
+    expect(move).toEqual([1, 2]);
+    expect(mock.requests[0].url).toBe("/v1/chat/completions");
+    expect(mock.requests[0].body.messages[0].content).toContain('You play as "X"');
+  } finally {
+    await mock.close();
+  }
+});
+
+test("sends a repair prompt after an illegal reply", async () => {
+  const mock = await startMockServer([{ content: "[0,0]" }, { content: "[2,2]" }]);
+  try {
+    const game = replayMoves([[0, 0]]);
+    const move = await providerFor(mock).getMove(game);
+    expect(move).toEqual([2, 2]);
+    const followUp = mock.requests[1].body.messages;
+    expect(followUp).toHaveLength(3);
+    expect(followUp[2].content).toContain("[0,0] is taken or off the board");
+  } finally {
+    await mock.close();
+  }
+});
+
+test("gives up with an 'invalid' error when repairs also fail", async () => {
+  const mock = await startMockServer([{ content: "middle" }, { content: "still no" }]);
+  try {
+    await expect(providerFor(mock).getMove(createGame())).rejects.toMatchObject({ code: "invalid" });
+  } finally {
+    await mock.close();
+  }
+});
+
+test("retries server errors", async () => {
+  const mock = await startMockServer([{ status: 500 }, { content: "[0,1]" }]);
+  try {
+    const move = await providerFor(mock, { maxRetries: 1 }).getMove(createGame());
+    expect(move).toEqual([0, 1]);
+    expect(mock.requests).toHaveLength(2);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("times out a slow endpoint", async () => {
+  const mock = await startMockServer([{ hang: true }]);
+  try {
+    await expect(providerFor(mock, { timeoutMs: 200 }).getMove(createGame())).rejects.toMatchObject({
+      code: "timeout"
+    });
+  } finally {
+    await mock.close();
+  }
+});
+
+test("cancels a pending request when the signal aborts", async () => {
+  const mock = await startMockServer([{ hang: true }]);
+  try {
+    const controller = new AbortController();
+    const pending = providerFor(mock).getMove(createGame(), { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await expect(pending).rejects.toMatchObject({ code: "aborted" });
+  } finally {
+    await mock.close();
+  }
+});
+
+test("withFallback uses the local engine when the endpoint fails, but not when aborted", async () => {
+  const mock = await startMockServer([{ status: 400 }, { hang: true }]);
+  try {
+    const provider = withFallback(providerFor(mock), createLocalProvider());
+    const reasons = [];
+    // X threatens the top row; the perfect local engine must block at (0,2)
+    const game = replayMoves([[0, 0], [1, 1], [0, 1]]);
+    const move = await provider.getMove(game, { onFallback: e => reasons.push(e) });
+    expect(move).toEqual([0, 2]);
+    expect(reasons[0].code).toBe("failed");
+
+    const controller = new AbortController();
+    const pending = provider.getMove(game, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await expect(pending).rejects.toMatchObject({ code: "aborted" });
+  } finally {
+    await mock.close();
+  }
+});
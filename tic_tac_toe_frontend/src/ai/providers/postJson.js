@@ -0,0 +1,71 @@
+/*
+  POST a JSON request to the AI server (server/app.mjs), for the proxy move provider and the
+  proxy coach. Every failure is a ProviderError with the usual codes:
+    - the caller's signal fired: "aborted"; no answer within `timeoutMs`: "timeout"
+    - HTTP 504 (the server's model timed out): "timeout"; any other error status: "failed",
+      with the server's own message when it sent one (429: the client's rate limit)
+    - the server couldn't be reached: "failed"
+*/
+
+import { ProviderError } from "./providerError.js";
+
+// PUBLIC_INTERFACE
+/** Whether the network is up: browsers know when they are offline; anywhere else, assume it is. */
+export function browserOnline() {
+  return !globalThis.navigator || globalThis.navigator.onLine !== false;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * POST `body` as JSON to `url` and return the parsed JSON answer.
+ * Options:
+ *   provider   the caller's provider id, for its errors
+ *   signal     AbortSignal that cancels the request
+ *   timeoutMs  give up after this long
+ *   fetchImpl  fetch implementation (tests)
+ *   messages   { timeout, aborted }: what those errors say, in the caller's words
+ */
+export async function postJson(url, body, { provider, signal, timeoutMs, fetchImpl, messages }) {
+  // One controller for both the caller's cancellation and our own timeout
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener("abort", onAbort);
+
+  try {
+    const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+    const res = await doFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 429) {
+      throw new ProviderError("Too many AI requests, try again in a moment", { provider });
+    }
+    if (!res.ok) {
+      throw new ProviderError(data.error || `AI server error (${res.status})`, {
+        code: res.status === 504 ? "timeout" : "failed",
+        provider
+      });
+    }
+    return data;
+  } catch (e) {
+    if (e instanceof ProviderError) throw e;
+    if (timedOut) {
+      throw new ProviderError(messages.timeout, { code: "timeout", provider, cause: e });
+    }
+    if (controller.signal.aborted) {
+      throw new ProviderError(messages.aborted, { code: "aborted", provider, cause: e });
+    }
+    throw new ProviderError(e?.message || "Could not reach the AI server", { provider, cause: e });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
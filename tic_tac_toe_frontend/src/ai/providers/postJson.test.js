@@ -0,0 +1,31 @@
+import { postJson } from "./postJson";
+import { REQUEST_MESSAGES } from "./providerError";
+
+const options = { provider: "server", timeoutMs: 50, messages: REQUEST_MESSAGES.coach };
+
+test("answers with the server's JSON", async () => {
+  const fetchImpl = async (url, init) => ({ ok: true, status: 200, json: async () => ({ echo: JSON.parse(init.body) }) });
+  expect(await postJson("http://ai.test/api/coach", { kind: "move" }, { ...options, fetchImpl })).toEqual({
+    echo: { kind: "move" }
+  });
+});
+
+test("gives up after timeoutMs, in the caller's words", async () => {
+  const hangingFetch = (url, init) =>
+    new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  await expect(postJson("http://ai.test/api/coach", {}, { ...options, fetchImpl: hangingFetch })).rejects.toMatchObject({
+    code: "timeout",
+    message: "The coach took too long to answer"
+  });
+});
+
+test("an unreachable server is a failure", async () => {
+  const failingFetch = async () => {
+    throw new TypeError("Failed to fetch");
+  };
+  await expect(postJson("http://ai.test/api/move", {}, { ...options, fetchImpl: failingFetch })).rejects.toMatchObject({
+    code: "failed",
+    message: "Failed to fetch",
+    provider: "server"
+  });
+});
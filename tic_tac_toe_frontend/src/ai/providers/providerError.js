@@ -0,0 +1,33 @@
+/*
+  Error thrown by every move provider, and by the coach (src/ai/coach).
+  `code` tells callers what went wrong without parsing messages:
+    - "aborted": the caller cancelled (e.g. the user reset mid-think); nothing should be shown
+    - "timeout": the provider did not answer in time
+    - "invalid": the provider answered, but not with a legal move
+    - "unsupported": the provider can't play this game's rule variant
+    - "offline": the provider needs the network and the device is offline
+    - "failed":  anything else (network, HTTP status, no moves left)
+*/
+
+export class ProviderError extends Error {
+  constructor(message, { code = "failed", provider, cause } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.code = code;
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+// What cancelled and timed-out requests say: for moves, and for the coach's explanations
+export const REQUEST_MESSAGES = {
+  move: { aborted: "Move request was cancelled", timeout: "AI took too long to answer" },
+  coach: { aborted: "Explanation request was cancelled", timeout: "The coach took too long to answer" }
+};
+
+// Throws an "aborted" ProviderError if the signal has already fired
+export function throwIfAborted(signal, provider, messages = REQUEST_MESSAGES.move) {
+  if (signal && signal.aborted) {
+    throw new ProviderError(messages.aborted, { code: "aborted", provider });
+  }
+}
@@ -0,0 +1,46 @@
+/*
+  Move provider that asks the AI move server (server/app.mjs) over HTTP.
+  The OpenAI key lives on that server; the browser only ever sends the board.
+  The server only knows the classic rules, so other variants are refused up front
+  (code "unsupported") and a fallback provider plays them. So is every game while the
+  device is offline (code "offline"), without waiting for the request to fail.
+*/
+
+import { isLegalMove } from "../../game/engine.js";
+import { ProviderError, throwIfAborted, REQUEST_MESSAGES } from "./providerError.js";
+import { postJson, browserOnline } from "./postJson.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Options:
+ *   baseURL    where the move server runs, e.g. "http://localhost:3001" ("" for same origin)
+ *   timeoutMs  give up after this long (default 20000, a little above the server's own timeout)
+ *   fetchImpl  fetch implementation (tests)
+ *   isOnline   () => whether the network is up (default: navigator.onLine where there is one)
+ */
+export function createProxyProvider({ baseURL = "", timeoutMs = 20000, fetchImpl, isOnline = browserOnline } = {}) {
+  const id = "server";
+
+  return {
+    id,
+    label: "OpenAI (via server)",
+    async getMove(game, { signal } = {}) {
+      throwIfAborted(signal, id);
+      if (game.variant !== "classic") {
+        throw new ProviderError("The AI server only plays classic rules", { code: "unsupported", provider: id });
+      }
+      if (!isOnline()) {
+        throw new ProviderError("You are offline", { code: "offline", provider: id });
+      }
+      const data = await postJson(
+        `${baseURL}/api/move`,
+        { board: game.board, winLength: game.winLength },
+        { provider: id, signal, timeoutMs, fetchImpl, messages: REQUEST_MESSAGES.move }
+      );
+      if (!isLegalMove(game, data.move)) {
+        throw new ProviderError("AI gave an invalid move", { code: "invalid", provider: id });
+      }
+      return data.move;
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { createGame } from "../../game/engine";
+import { createProxyProvider } from "./proxyProvider";
+
+// Fake fetch answering with a fixed status and JSON body, recording what was sent
+function fakeFetch(status, body, calls = []) {
+  return async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+}
+
+test("posts the board to /api/move and returns the server's move", async () => {
+  const calls = [];
+  const provider = createProxyProvider({ baseURL: "http://ai.test", fetchImpl: fakeFetch(200, { move: [2, 1] }, calls) });
+  expect(await provider.getMove(createGame())).toEqual([2, 1]);
+  expect(calls[0].url).toBe("http://ai.test/api/move");
+  expect(calls[0].body).toEqual({ board: createGame().board, winLength: 3 });
+});
+
+test("maps server answers to provider error codes", async () => {
+  const game = createGame();
+  await expect(
+    createProxyProvider({ fetchImpl: fakeFetch(200, { move: [9, 9] }) }).getMove(game)
+  ).rejects.toMatchObject({ code: "invalid" });
+  await expect(
+    createProxyProvider({ fetchImpl: fakeFetch(504, { error: "slow" }) }).getMove(game)
+  ).rejects.toMatchObject({ code: "timeout" });
+  await expect(
+    createProxyProvider({ fetchImpl: fakeFetch(429, { error: "busy" }) }).getMove(game)
+  ).rejects.toMatchObject({ code: "failed", message: "Too many AI requests, try again in a moment" });
+});
+
+test("cancels when the caller aborts", async () => {
+  // Never resolves on its own; rejects once its signal fires, like real fetch
+  const hangingFetch = (url, init) =>
+    new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  const controller = new AbortController();
+  const pending = createProxyProvider({ fetchImpl: hangingFetch }).getMove(createGame(), { signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ code: "aborted" });
+});
+
+test("refuses up front while offline, without a request", async () => {
+  const calls = [];
+  const provider = createProxyProvider({ fetchImpl: fakeFetch(200, { move: [0, 0] }, calls), isOnline: () => false });
+  await expect(provider.getMove(createGame())).rejects.toMatchObject({ code: "offline" });
+  expect(calls).toHaveLength(0);
+});
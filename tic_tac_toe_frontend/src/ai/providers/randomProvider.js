@@ -0,0 +1,22 @@
+import { legalMoves } from "../../game/engine.js";
+import { ProviderError, throwIfAborted } from "./providerError.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Move provider that plays any empty cell, uniformly at random. A baseline for comparing bots.
+ * Options: { random = Math.random }
+ */
+export function createRandomProvider({ random = Math.random } = {}) {
+  return {
+    id: "random",
+    label: "Random",
+    async getMove(game, { signal } = {}) {
+      throwIfAborted(signal, "random");
+      const moves = game.result ? [] : legalMoves(game);
+      if (moves.length === 0) {
+        throw new ProviderError("No moves available for AI.", { provider: "random" });
+      }
+      return moves[Math.floor(random() * moves.length)];
+    }
+  };
+}
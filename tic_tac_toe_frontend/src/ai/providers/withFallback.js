@@ -0,0 +1,21 @@
+// PUBLIC_INTERFACE
+/**
+ * Provider that asks `primary` first and falls back to `fallback` if it fails.
+ * Cancellation is not a failure: an "aborted" error is passed straight through.
+ * Pass `onFallback(error)` per call to learn why the fallback was used.
+ */
+export function withFallback(primary, fallback) {
+  return {
+    id: primary.id,
+    label: primary.label,
+    async getMove(game, options = {}) {
+      try {
+        return await primary.getMove(game, options);
+      } catch (e) {
+        if (e.code === "aborted") throw e;
+        if (options.onFallback) options.onFallback(e);
+        return fallback.getMove(game, options);
+      }
+    }
+  };
+}
@@ -0,0 +1,91 @@
+/*
+  BOT TOURNAMENT
+  --------------
+
+  - Plays games between two move providers with no UI and no delays, and keeps score: wins,
+    draws, losses and how long each provider took per move.
+  - The two providers swap sides every game, so each plays X (and moves first) in half of them.
+  - A provider that fails or answers with an illegal move forfeits the game: it counts as a
+    loss, and the error is kept in the game record. Forfeits are counted separately too.
+  - No React and no Node-only APIs: runs in the browser, in Jest and from
+    scripts/tournament.mjs.
+*/
+
+import { createGame, applyMove, isLegalMove, otherPlayer } from "../game/engine.js";
+
+// PUBLIC_INTERFACE
+/**
+ * Play one game between `players` ({ X, O } providers).
+ * Resolves to { result: "X" | "O" | "draw", moves, forfeit: "X" | "O" | null, error, timings: { X, O } }
+ * where timings are each side's move times in ms.
+ */
+export async function playGame(players, { boardOptions, now = () => Date.now() } = {}) {
+  let game = createGame(boardOptions);
+  const timings = { X: [], O: [] };
+  while (!game.result) {
+    const player = game.turn;
+    const start = now();
+    let move;
+    try {
+      move = await players[player].getMove(game);
+    } catch (error) {
+      return { result: otherPlayer(player), moves: game.moves, forfeit: player, error, timings };
+    }
+    timings[player].push(now() - start);
+    if (!isLegalMove(game, move)) {
+      const error = new Error(`${players[player].label} played an illegal move: ${JSON.stringify(move)}`);
+      return { result: otherPlayer(player), moves: game.moves, forfeit: player, error, timings };
+    }
+    game = applyMove(game, move);
+  }
+  return { result: game.result.winner || "draw", moves: game.moves, forfeit: null, error: null, timings };
+}
+
+// Running totals for one side of a tournament
+function emptyStats(provider) {
+  return { id: provider.id, label: provider.label, wins: 0, draws: 0, losses: 0, forfeits: 0, moves: 0, totalMs: 0 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Play `games` games between two providers, `first` playing X in the first game.
+ * Options: { games = 100, boardOptions, now, onGame(game, index) } where `game` is a playGame()
+ * result plus firstSide, the side `first` played.
+ * Resolves to { games, first, second } where first/second are
+ *   { id, label, wins, draws, losses, forfeits, moves, totalMs, averageMs }.
+ */
+export async function runTournament(first, second, { games = 100, boardOptions, now, onGame } = {}) {
+  const stats = [emptyStats(first), emptyStats(second)];
+  for (let i = 0; i < games; i++) {
+    // Even games: first plays X. Odd games: second does.
+    const seats = i % 2 === 0 ? { X: 0, O: 1 } : { X: 1, O: 0 };
+    const game = await playGame({ X: [first, second][seats.X], O: [first, second][seats.O] }, { boardOptions, now });
+    ["X", "O"].forEach((side) => {
+      const s = stats[seats[side]];
+      if (game.result === "draw") s.draws += 1;
+      else if (game.result === side) s.wins += 1;
+      else s.losses += 1;
+      if (game.forfeit === side) s.forfeits += 1;
+      s.moves += game.timings[side].length;
+      s.totalMs += game.timings[side].reduce((sum, ms) => sum + ms, 0);
+    });
+    if (onGame) onGame({ ...game, firstSide: seats.X === 0 ? "X" : "O" }, i);
+  }
+  const [a, b] = stats.map((s) => ({ ...s, averageMs: s.moves ? s.totalMs / s.moves : 0 }));
+  return { games, first: a, second: b };
+}
+
+// PUBLIC_INTERFACE
+/** Plain-text summary of a runTournament() report, one line per provider. */
+export function formatReport({ games, first, second }) {
+  const percent = (n) => `${((100 * n) / Math.max(games, 1)).toFixed(1)}%`;
+  const width = Math.max(first.label.length, second.label.length);
+  const lines = [first, second].map(
+    (s) =>
+      `${s.label.padEnd(width)}  W ${String(s.wins).padStart(4)} (${percent(s.wins)})` +
+      `  D ${String(s.draws).padStart(4)} (${percent(s.draws)})` +
+      `  L ${String(s.losses).padStart(4)} (${percent(s.losses)})` +
+      `${s.forfeits ? `  forfeits ${s.forfeits}` : ""}  avg move ${s.averageMs.toFixed(1)} ms`
+  );
+  return [`${games} game${games === 1 ? "" : "s"}, sides alternating`, ...lines].join("\n");
+}
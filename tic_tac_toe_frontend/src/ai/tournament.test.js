@@ -0,0 +1,71 @@
+import { createGame, replayMoves } from "../game/engine";
+import { BOTS, createBot } from "./bots";
+import { playGame, runTournament, formatReport } from "./tournament";
+
+// Fake clock that moves 5 ms every time it is read
+function steppingClock() {
+  let t = 0;
+  return () => (t += 5);
+}
+
+test("every bot plays a legal move and refuses finished games", async () => {
+  const game = replayMoves([[0, 0], [1, 1]]);
+  for (const id of Object.keys(BOTS)) {
+    const bot = createBot(id, { random: () => 0.5 });
+    const [row, col] = await bot.getMove(game);
+    expect(game.board[row][col]).toBeNull();
+  }
+  expect(await createBot("first-empty").getMove(game)).toEqual([0, 1]);
+  const won = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+  await expect(createBot("random").getMove(won)).rejects.toMatchObject({ code: "failed" });
+  expect(() => createBot("nobody")).toThrow(/Unknown bot "nobody"/);
+});
+
+test("plays a game to the end and times each side", async () => {
+  const game = await playGame({ X: createBot("first-empty"), O: createBot("first-empty") }, { now: steppingClock() });
+  // Both fill the board row by row, which gives X the c1-b2-a3 diagonal
+  expect(game.result).toBe("X");
+  expect(game.forfeit).toBeNull();
+  expect(game.timings.X).toEqual(game.timings.X.map(() => 5));
+  expect(game.timings.X.length + game.timings.O.length).toBe(game.moves.length);
+});
+
+test("a failing or cheating provider forfeits", async () => {
+  const broken = { id: "broken", label: "Broken", getMove: async () => Promise.reject(new Error("down")) };
+  const cheat = { id: "cheat", label: "Cheat", getMove: async () => [0, 0] };
+  let game = await playGame({ X: broken, O: createBot("random") });
+  expect(game).toMatchObject({ result: "O", forfeit: "X", moves: [] });
+  expect(game.error.message).toBe("down");
+  game = await playGame({ X: createBot("first-empty"), O: cheat });
+  expect(game).toMatchObject({ result: "X", forfeit: "O", moves: [[0, 0]] });
+});
+
+test("a tournament alternates sides and adds up the results", async () => {
+  const games = [];
+  const report = await runTournament(createBot("minimax"), createBot("random"), {
+    games: 6,
+    now: steppingClock(),
+    onGame: (game) => games.push(game)
+  });
+  expect(games.map((g) => g.firstSide)).toEqual(["X", "O", "X", "O", "X", "O"]);
+  // Perfect play never loses
+  expect(report.first.losses).toBe(0);
+  expect(report.first.wins + report.first.draws).toBe(6);
+  expect(report.second.wins).toBe(0);
+  expect(report.first.averageMs).toBe(5);
+  expect(report.first.moves + report.second.moves).toBe(games.reduce((n, g) => n + g.moves.length, 0));
+
+  const text = formatReport(report);
+  expect(text.split("\n")[0]).toBe("6 games, sides alternating");
+  expect(text).toContain("Minimax (Perfect)  W");
+  expect(text).toContain("avg move 5.0 ms");
+});
+
+test("larger boards work too", async () => {
+  const report = await runTournament(createBot("first-empty"), createBot("first-empty"), {
+    games: 2,
+    boardOptions: { size: 4, winLength: 4 }
+  });
+  expect(report.first.wins + report.first.draws + report.first.losses).toBe(2);
+  expect(createGame({ size: 4, winLength: 4 }).size).toBe(4);
+});
@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import { filterGames } from "./gameArchive";
+import { VARIANTS } from "../game/engine";
+
+// Modes saved games can have, in the filter's order
+const MODES = ["pvp", "pvc", "cvc", "online"];
+
+// Human-readable result for one archived game
+function describeResult(game, t) {
+  if (!game.result) return t("archive.unfinished");
+  if (game.result === "draw") return t("archive.draw");
+  const values = { player: game.result, name: t.playerName(game.players[game.result]) };
+  return t(game.termination === "time" ? "archive.wonByOnTime" : "archive.wonBy", values);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Browse saved games with filters; each one can be replayed or deleted.
+ * Props: games, colors, t (translator), onReplay(game), onDelete(id), onClose()
+ */
+function ArchiveScreen({ games, colors, t, onReplay, onDelete, onClose }) {
+  const [filters, setFilters] = useState({ mode: "all", result: "all", text: "" });
+  const shown = filterGames(games, filters);
+
+  const fieldStyle = {
+    borderRadius: "6px",
+    border: `1.5px solid ${colors.primary}66`,
+    padding: "5px 10px",
+    color: colors.text,
+    background: colors.surface
+  };
+  const buttonStyle = {
+    background: colors.primary,
+    color: colors.onPrimary,
+    border: "none",
+    fontWeight: 700,
+    borderRadius: "7px",
+    padding: "6px 14px",
+    cursor: "pointer"
+  };
+
+  function setFilter(name) {
+    return (e) => setFilters({ ...filters, [name]: e.target.value });
+  }
+
+  return (
+    <section
+      className="ttt-archive"
+      aria-label={t("archive.label")}
+      style={{ width: "100%", maxWidth: "640px", margin: "0 auto", color: colors.text }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "14px" }}>
+        <h2 style={{ color: colors.primary, margin: 0 }}>{t("archive.title")}</h2>
+        <button type="button" onClick={onClose} style={buttonStyle}>
+          {t("archive.back")}
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", marginBottom: "14px" }}>
+        <select value={filters.mode} onChange={setFilter("mode")} style={fieldStyle} aria-label={t("archive.filterMode")}>
+          <option value="all">{t("archive.allModes")}</option>
+          {MODES.map((value) => (
+            <option key={value} value={value}>
+              {t(`archive.mode.${value}`)}
+            </option>
+          ))}
+        </select>
+        <select value={filters.result} onChange={setFilter("result")} style={fieldStyle} aria-label={t("archive.filterResult")}>
+          <option value="all">{t("archive.allResults")}</option>
+          <option value="X">{t("archive.won", { player: "X" })}</option>
+          <option value="O">{t("archive.won", { player: "O" })}</option>
+          <option value="draw">{t("archive.draw")}</option>
+          <option value="unfinished">{t("archive.unfinished")}</option>
+        </select>
+        <input
+          value={filters.text}
+          onChange={setFilter("text")}
+          placeholder={t("archive.playerPlaceholder")}
+          aria-label={t("archive.filterPlayer")}
+          style={fieldStyle}
+        />
+      </div>
+
+      {shown.length === 0 ? (
+        <p>{t(games.length === 0 ? "archive.none" : "archive.noMatch")}</p>
+      ) : (
+        <ul className="ttt-archive-list" style={{ listStyle: "none", padding: 0, margin: 0 }}>
+          {shown.map((game) => {
+            const date = new Date(game.startedAt).toLocaleString(t.locale);
+            const variant = game.variant && VARIANTS[game.variant];
+            return (
+              <li
+                key={game.id}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: "10px",
+                  padding: "10px 12px",
+                  marginBottom: "8px",
+                  background: colors.surface,
+                  border: `1px solid ${colors.border}`,
+                  borderRadius: "12px"
+                }}
+              >
+                <div>
+                  <div style={{ fontWeight: 600 }}>
+                    {t("archive.players", { X: t.playerName(game.players.X), O: t.playerName(game.players.O) })}
+                  </div>
+                  <div style={{ fontSize: "0.9rem", opacity: 0.8 }}>
+                    {date} · {MODES.includes(game.mode) ? t(`archive.mode.${game.mode}`) : game.mode} ·{" "}
+                    {t(variant && variant.cube ? "controls.size3d" : "controls.size", { size: game.size })}
+                    {variant && game.variant !== "classic" ? ` ${t(`variant.${game.variant}`)}` : ""} ·{" "}
+                    {t("archive.moves", { count: game.moves.length })} · {describeResult(game, t)}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "6px" }}>
+                  <button type="button" onClick={() => onReplay(game)} style={buttonStyle}>
+                    {t("archive.replay")}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDelete(game.id)}
+                    style={{ ...buttonStyle, background: colors.accent }}
+                    aria-label={t("archive.deleteLabel", { date })}
+                  >
+                    {t("archive.delete")}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default ArchiveScreen;
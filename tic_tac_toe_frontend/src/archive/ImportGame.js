@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { parseGame } from "../game/notation";
+
+// PUBLIC_INTERFACE
+/**
+ * Paste or upload a game in text notation (src/game/notation.js).
+ * Props: colors, t (translator), onLoad(record), onCancel()
+ * `record` is the parsed game; illegal or unreadable games show the parser's message instead.
+ * Notation is written left to right in every language.
+ */
+function ImportGame({ colors, t, onLoad, onCancel }) {
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+
+  const buttonStyle = {
+    background: colors.primary,
+    color: colors.onPrimary,
+    border: "none",
+    fontWeight: 700,
+    borderRadius: "7px",
+    padding: "6px 12px",
+    cursor: "pointer"
+  };
+
+  function load(source) {
+    try {
+      onLoad(parseGame(source));
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function handleFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(reader.result);
+      load(reader.result);
+    };
+    reader.onerror = () => setError(t("import.readError"));
+    reader.readAsText(file);
+  }
+
+  return (
+    <div className="ttt-import" style={{ display: "flex", flexDirection: "column", gap: "8px", marginTop: "12px" }}>
+      <textarea
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setError("");
+        }}
+        rows={6}
+        dir="ltr"
+        placeholder={'[Size "3"]\n\n1. b2 a1 2. c3 *'}
+        aria-label={t("import.notation")}
+        style={{
+          fontFamily: "monospace",
+          fontSize: "0.85rem",
+          borderRadius: "6px",
+          border: `1.5px solid ${colors.primary}66`,
+          padding: "6px",
+          background: colors.surface,
+          color: colors.text,
+          resize: "vertical"
+        }}
+      />
+      <input type="file" accept=".txt,.ttt,text/plain" onChange={handleFile} aria-label={t("import.file")} style={{ fontSize: "0.8rem" }} />
+      {error && (
+        <div role="alert" style={{ color: colors.accent, fontSize: "0.9rem" }}>
+          {error}
+        </div>
+      )}
+      <div style={{ display: "flex", gap: "6px" }}>
+        <button type="button" style={buttonStyle} onClick={() => load(text)} disabled={!text.trim()}>
+          {t("import.load")}
+        </button>
+        <button type="button" style={{ ...buttonStyle, background: colors.accent }} onClick={onCancel}>
+          {t("import.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportGame;
@@ -0,0 +1,109 @@
+/*
+  GAME ARCHIVE
+  ------------
+
+  - Finished and unfinished games, kept in localStorage so they survive refreshes and resets.
+  - One record per game, updated in place as moves are played:
+      {
+        id, startedAt, updatedAt     ISO timestamps
+        mode                         "pvp" | "pvc" | "cvc" | "online"
+        players: { X, O }            display names
+        size, winLength              board setup
+        variant                      rules (engine VARIANTS); missing in records from before variants: classic
+        moves: [[row, col]]          [row, col, mark] in Wild
+        result                       "X" | "O" | "draw" | null (unfinished)
+        termination                  "time" when the loser ran out of time (moves don't show it)
+      }
+  - The newest MAX_GAMES are kept; older ones are dropped when a new game is saved.
+  - Storage failures (private mode, quota) never break play: reads fall back to an empty
+    archive and writes are skipped.
+*/
+
+const STORAGE_KEY = "ttt.archive.v1";
+const MAX_GAMES = 200;
+
+// PUBLIC_INTERFACE
+/** New unique id for a game record. */
+export function newGameId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+/** Archive result label for an engine result: "X", "O", "draw" or null. */
+export function resultLabel(result) {
+  if (!result) return null;
+  return result.winner || "draw";
+}
+
+function readAll(storage) {
+  try {
+    const games = JSON.parse(storage.getItem(STORAGE_KEY));
+    return Array.isArray(games) ? games : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeAll(storage, games) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(games));
+  } catch (e) {
+    // Quota exceeded or storage disabled: the archive is a convenience, keep playing
+  }
+}
+
+// PUBLIC_INTERFACE
+/** All saved games, newest first. */
+export function listGames(storage = window.localStorage) {
+  return readAll(storage).sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Insert or update a game by id. `startedAt` is kept from the first save;
+ * `updatedAt` is set to now.
+ */
+export function saveGame(record, storage = window.localStorage, now = new Date()) {
+  const games = readAll(storage);
+  const index = games.findIndex(g => g.id === record.id);
+  const saved = {
+    ...record,
+    startedAt: index >= 0 ? games[index].startedAt : record.startedAt || now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+  if (index >= 0) games[index] = saved;
+  else games.push(saved);
+
+  games.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  writeAll(storage, games.slice(0, MAX_GAMES));
+  return saved;
+}
+
+// PUBLIC_INTERFACE
+/** Remove one game. */
+export function deleteGame(id, storage = window.localStorage) {
+  writeAll(storage, readAll(storage).filter(g => g.id !== id));
+}
+
+// PUBLIC_INTERFACE
+/** Remove every saved game. */
+export function clearArchive(storage = window.localStorage) {
+  writeAll(storage, []);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Filter games for the archive screen.
+ * filters: { mode: "all" | mode, result: "all" | "X" | "O" | "draw" | "unfinished", text }
+ * `text` matches player names, case-insensitively.
+ */
+export function filterGames(games, { mode = "all", result = "all", text = "" } = {}) {
+  const needle = text.trim().toLowerCase();
+  return games.filter(g => {
+    if (mode !== "all" && g.mode !== mode) return false;
+    if (result === "unfinished" && g.result) return false;
+    if (result !== "all" && result !== "unfinished" && g.result !== result) return false;
+    if (needle && !`${g.players.X} ${g.players.O}`.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+}
@@ -0,0 +1,61 @@
+import { saveGame, listGames, deleteGame, filterGames, resultLabel } from "./gameArchive";
+
+function record(id, overrides = {}) {
+  return {
+    id,
+    mode: "pvp",
+    players: { X: "Player X", O: "Player O" },
+    size: 3,
+    winLength: 3,
+    moves: [[0, 0]],
+    result: null,
+    ...overrides
+  };
+}
+
+beforeEach(() => window.localStorage.clear());
+
+test("saves games and lists them newest first", () => {
+  saveGame(record("a"), window.localStorage, new Date("2024-01-01T10:00:00Z"));
+  saveGame(record("b"), window.localStorage, new Date("2024-01-02T10:00:00Z"));
+  expect(listGames().map(g => g.id)).toEqual(["b", "a"]);
+});
+
+test("updating a game keeps its start time", () => {
+  saveGame(record("a"), window.localStorage, new Date("2024-01-01T10:00:00Z"));
+  saveGame(record("a", { moves: [[0, 0], [1, 1]], result: "draw" }), window.localStorage, new Date("2024-01-01T10:05:00Z"));
+  const [game] = listGames();
+  expect(game.startedAt).toBe("2024-01-01T10:00:00.000Z");
+  expect(game.updatedAt).toBe("2024-01-01T10:05:00.000Z");
+  expect(game.moves).toHaveLength(2);
+});
+
+test("deletes a game", () => {
+  saveGame(record("a"));
+  saveGame(record("b"));
+  deleteGame("a");
+  expect(listGames().map(g => g.id)).toEqual(["b"]);
+});
+
+test("survives corrupt storage", () => {
+  window.localStorage.setItem("ttt.archive.v1", "{broken");
+  expect(listGames()).toEqual([]);
+});
+
+test("filters by mode, result and player name", () => {
+  const games = [
+    record("a", { mode: "pvc", players: { X: "You", O: "Computer (Perfect)" }, result: "draw" }),
+    record("b", { result: "X" }),
+    record("c")
+  ];
+  expect(filterGames(games, { mode: "pvc" }).map(g => g.id)).toEqual(["a"]);
+  expect(filterGames(games, { result: "unfinished" }).map(g => g.id)).toEqual(["c"]);
+  expect(filterGames(games, { result: "X" }).map(g => g.id)).toEqual(["b"]);
+  expect(filterGames(games, { text: "perfect" }).map(g => g.id)).toEqual(["a"]);
+});
+
+test("resultLabel maps engine results", () => {
+  expect(resultLabel(null)).toBeNull();
+  expect(resultLabel({ winner: "O", line: [] })).toBe("O");
+  expect(resultLabel({ winner: null, line: null, draw: true })).toBe("draw");
+});
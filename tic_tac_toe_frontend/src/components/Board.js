@@ -0,0 +1,156 @@
+import React, { useRef, useState } from "react";
+import Cell from "./Cell";
+import { nextCell } from "../a11y/gridNavigation";
+import { boardOf, isPlayableBoard, isCube, cellAt } from "../game/engine";
+
+// Where each cell of a cube is shown: rows of [layer, row, col]. The layers sit side by side
+// (one board row holds that row of every layer), or stacked one under the other on phones.
+function cubeRows(size, stacked) {
+  const range = Array.from({ length: size }, (_, i) => i);
+  if (stacked) return range.flatMap(layer => range.map(row => range.map(col => [layer, row, col])));
+  return range.map(row => range.flatMap(layer => range.map(col => [layer, row, col])));
+}
+
+// Same cell, whatever the number of coordinates
+function sameCell(a, b) {
+  return !!a && !!b && a[0] === b[0] && a[1] === b[1] && (a.length < 3 || typeof a[2] !== "number" || a[2] === b[2]);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The board: an ARIA grid with a single tab stop; arrow keys move between cells and
+ * Enter/Space play the focused one (native button click).
+ * In Ultimate the small boards are spaced apart, the ones the player to move may use are
+ * highlighted, and decided ones are tinted in their owner's color.
+ * In 3D the layers are shown side by side, or stacked on phones, with a gap between them; the
+ * arrow keys move across the layers as if they were one board.
+ * The board is laid out left to right in every language, so columns and arrow keys match "a1".
+ * Props: game (engine state shown), colors, t (translator), symbols ({ X, O }), isMobile,
+ *        hintMove ([row, col] or [layer, row, col] | null),
+ *        evaluate(cell) => { outcome, label, title } | null,
+ *        onCellClick(cell), where cell is [row, col], or [layer, row, col] in 3D
+ */
+function Board({ game, colors, t, symbols, isMobile, hintMove, evaluate, onCellClick }) {
+  const [focusCell, setFocusCell] = useState([0, 0]); // the board's single tab stop, as [row, col] shown
+  const cellRefs = useRef({});
+  const winningLine = game.result && game.result.winner ? game.result.line : null;
+  const ultimate = game.variant === "ultimate";
+  const cube = isCube(game);
+  const stacked = cube && isMobile;
+
+  // The cells as shown, row by row
+  const rows = cube ? cubeRows(game.size, stacked) : game.board.map((row, r) => row.map((_, c) => [r, c]));
+  const columns = rows[0].length;
+
+  // Keeps the tab stop on the board after it shrinks
+  const focusRow = Math.min(focusCell[0], rows.length - 1);
+  const focusCol = Math.min(focusCell[1], columns - 1);
+
+  // Boards past 5x5 get wider so cells stay clickable; Ultimate also needs room for its gaps.
+  // Cube layers side by side keep cells at about 40px.
+  const boardWidth = cube
+    ? Math.min(680, columns * 44)
+    : Math.min(560, Math.max(350, game.size * (ultimate ? 50 : 36)));
+  const sizeStyle = isMobile ? { width: "90vw", maxWidth: `${boardWidth}px` } : { width: `${boardWidth}px` };
+  // Marks shrink with the cell size: 2.8rem on 3x3 down to about 0.9rem on 15x15
+  const cellFontScale = 3 / columns;
+  const fontSize = `${Math.max(cube ? 1.1 : 0.9, (isMobile ? 2.2 : 2.8) * cellFontScale)}rem`;
+  const evalFontSize = `${Math.max(0.55, 0.9 * cellFontScale)}rem`;
+
+  function isWinningCell(cell) {
+    return !!winningLine && winningLine.some((c) => sameCell(c, cell));
+  }
+
+  // Gaps between the layers of a cube
+  function layerProps([layer, row, col]) {
+    const last = game.size - 1;
+    return {
+      layer,
+      gapRight: !stacked && col === last && layer < last,
+      gapBelow: stacked && row === last && layer < last
+    };
+  }
+
+  // Small board details for Ultimate cells, layers for cube cells; nothing for other variants
+  function blockProps(cell) {
+    if (cube) return layerProps(cell);
+    if (!ultimate) return {};
+    const [row, col] = cell;
+    const [boardRow, boardCol] = boardOf([row, col]);
+    return {
+      active: !game.result && isPlayableBoard(game, [row, col]),
+      claimedBy: game.boards[boardRow][boardCol],
+      gapRight: col % 3 === 2 && col < game.size - 1,
+      gapBelow: row % 3 === 2 && row < game.size - 1
+    };
+  }
+
+  const rules =
+    game.variant === "classic"
+      ? t("board.classicRules", { count: game.winLength })
+      : t("status.rules", { variant: t(`variant.${game.variant}`), rule: t(`variant.${game.variant}.rule`) });
+  const dimensions = t(cube ? "board.dimensions3d" : "board.dimensions", { size: game.size });
+
+  function handleKeyDown(e, row, col) {
+    const next = nextCell(e.key, [row, col], rows.length, { ctrlKey: e.ctrlKey || e.metaKey, cols: columns });
+    if (!next) return;
+    e.preventDefault();
+    setFocusCell(next);
+    const el = cellRefs.current[`${next[0]}-${next[1]}`];
+    if (el) el.focus();
+  }
+
+  return (
+    <div
+      className="ttt-board"
+      role="grid"
+      dir="ltr"
+      aria-label={t("board.label", { dimensions, rules })}
+      style={{
+        ...sizeStyle,
+        // Square cells: a square board, or in 3D rows as wide as their cells
+        aspectRatio: cube ? `${columns} / ${rows.length}` : "1",
+        background: colors.surface,
+        borderRadius: "18px",
+        boxShadow: `0 4px 16px ${colors.primary}0f`,
+        display: "grid",
+        gridTemplateRows: `repeat(${rows.length}, 1fr)`
+      }}
+    >
+      {rows.map((cells, rIdx) => (
+        <div key={rIdx} role="row" style={{ display: "grid", gridTemplateColumns: `repeat(${columns}, 1fr)` }}>
+          {cells.map((cell, cIdx) => {
+            const value = cellAt(game, cell);
+            return (
+              <Cell
+                key={cell.join("-")}
+                ref={(el) => {
+                  cellRefs.current[`${rIdx}-${cIdx}`] = el;
+                }}
+                row={cell[cell.length - 2]}
+                col={cell[cell.length - 1]}
+                value={value}
+                symbol={value && symbols[value]}
+                colors={colors}
+                t={t}
+                winning={isWinningCell(cell)}
+                hinted={sameCell(hintMove, cell)}
+                evaluation={value ? null : evaluate(cell)}
+                disabled={!!value || !!game.result || !isPlayableBoard(game, cell)}
+                tabbable={rIdx === focusRow && cIdx === focusCol}
+                fontSize={fontSize}
+                evalFontSize={evalFontSize}
+                {...blockProps(cell)}
+                onClick={() => onCellClick(cell)}
+                onKeyDown={(e) => handleKeyDown(e, rIdx, cIdx)}
+                onFocus={() => setFocusCell([rIdx, cIdx])}
+              />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Board;
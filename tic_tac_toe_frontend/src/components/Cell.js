@@ -0,0 +1,115 @@
+import React, { forwardRef } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * One board cell: a gridcell button showing the mark (as the theme's symbol) or, when empty,
+ * the solver's evaluation.
+ * Props: row, col, value ("X" | "O" | null), symbol, colors, t (translator), winning, hinted,
+ *        evaluation ({ outcome, label, title } | null), disabled, tabbable, fontSize, evalFontSize,
+ *        onClick(), onKeyDown(e), onFocus()
+ *        Ultimate only: active (in a small board the player to move may use), claimedBy (its small
+ *        board's owner: "X" | "O" | "draw" | null), gapRight / gapBelow (last column / row of a small board)
+ *        3D only: layer (its layer, from 0), gapRight / gapBelow (last column / row of a layer)
+ * The forwarded ref is the button, so the board can move focus between cells.
+ */
+const Cell = forwardRef(function Cell(
+  {
+    row,
+    col,
+    value,
+    symbol,
+    colors,
+    t,
+    winning,
+    hinted,
+    evaluation,
+    disabled,
+    tabbable,
+    fontSize,
+    evalFontSize,
+    layer = null,
+    active = false,
+    claimedBy = null,
+    gapRight = false,
+    gapBelow = false,
+    onClick,
+    onKeyDown,
+    onFocus
+  },
+  ref
+) {
+  const claim = claimedBy === "draw" ? t("cell.boardDrawn") : claimedBy ? t("cell.boardWonBy", { player: claimedBy }) : "";
+  // Screen readers always hear X and O, whatever symbol is drawn
+  const where = t(layer === null ? "cell.label" : "cell.label3d", {
+    layer: layer + 1,
+    row: row + 1,
+    col: col + 1,
+    value: value || t("cell.empty")
+  });
+  const label = `${where}${winning ? t("cell.winning") : ""}${hinted ? t("cell.hint") : ""}${claim}${
+    evaluation ? `, ${evaluation.title}` : ""
+  }`;
+  // A claimed small board is tinted in its owner's color
+  const claimColor = claimedBy === "X" ? colors.x : claimedBy === "O" ? colors.o : claimedBy ? colors.muted : null;
+
+  return (
+    <button
+      className="ttt-cell"
+      role="gridcell"
+      ref={ref}
+      tabIndex={tabbable ? 0 : -1}
+      onClick={onClick}
+      onKeyDown={onKeyDown}
+      onFocus={onFocus}
+      style={{
+        border: winning
+          ? `2px solid ${colors.accent}`
+          : hinted
+          ? `2px dashed ${colors.secondary}`
+          : `1px solid ${colors.grid}`,
+        color: value === "X" ? colors.x : value === "O" ? colors.o : colors.text,
+        background: winning
+          ? `${colors.accent}11`
+          : hinted
+          ? `${colors.secondary}22`
+          : claimColor
+          ? `${claimColor}22`
+          : active
+          ? colors.highlight
+          : "transparent",
+        // Small boards (and layers in 3D) are set apart by a gap after their last column and row
+        marginRight: gapRight ? "5px" : 0,
+        marginBottom: gapBelow ? "5px" : 0,
+        transition: "background 0.2s, box-shadow 0.2s, color 0.13s",
+        borderRadius: "12px",
+        fontWeight: 700,
+        fontSize,
+        userSelect: "none"
+      }}
+      aria-disabled={disabled}
+      aria-label={label}
+      title={evaluation ? evaluation.title : undefined}
+    >
+      {(value && symbol) ||
+        (evaluation && (
+          <span
+            className="ttt-cell-eval"
+            style={{
+              fontSize: evalFontSize,
+              fontWeight: 600,
+              color:
+                evaluation.outcome === "win"
+                  ? colors.secondary
+                  : evaluation.outcome === "loss"
+                  ? colors.accent
+                  : colors.muted
+            }}
+          >
+            {evaluation.label}
+          </span>
+        ))}
+    </button>
+  );
+});
+
+export default Cell;
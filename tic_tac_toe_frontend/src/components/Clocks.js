@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from "react";
+import { timeLeft, formatClock } from "../game/clock";
+
+// How often a running clock redraws (ms); fine enough for the tenths shown under ten seconds
+const TICK_MS = 100;
+
+// PUBLIC_INTERFACE
+/**
+ * Both players' clocks for a timed game, next to the status bar. The running one is highlighted;
+ * a clock that isn't counting on its owner's turn (the computer's, by default) says "paused".
+ * Props: clock (src/game/clock.js), colors, t (translator), isMobile, names ({ X, O }), paused
+ * (the player to move when their clock isn't counting, else null)
+ */
+function Clocks({ clock, colors, t, isMobile, names, paused }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Only a running clock needs redrawing
+  useEffect(() => {
+    if (!clock.running) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [clock]);
+
+  return (
+    <div
+      className="ttt-clocks"
+      style={{ display: "flex", justifyContent: "center", gap: isMobile ? "10px" : "18px", marginBottom: isMobile ? "12px" : "16px" }}
+    >
+      {["X", "O"].map((player) => {
+        const running = clock.running === player;
+        const left = timeLeft(clock, player, now);
+        return (
+          <div
+            key={player}
+            className={`ttt-clock${running ? " running" : ""}`}
+            role="timer"
+            style={{
+              minWidth: isMobile ? "110px" : "130px",
+              padding: "6px 12px",
+              borderRadius: "8px",
+              background: running ? colors.highlight : colors.surface,
+              border: `1.5px solid ${running ? colors.primary : colors.border}`,
+              color: colors.text,
+              textAlign: "center"
+            }}
+          >
+            <div style={{ fontSize: "0.85rem", color: colors.muted }}>
+              {player} · {t.playerName(names[player])}
+            </div>
+            <div
+              style={{
+                fontWeight: 700,
+                fontSize: isMobile ? "1.2rem" : "1.35rem",
+                fontVariantNumeric: "tabular-nums",
+                color: left < 10000 ? colors.accent : colors.primary
+              }}
+            >
+              {formatClock(left)}
+            </div>
+            {paused === player && <div style={{ fontSize: "0.8rem", color: colors.muted }}>{t("clock.paused")}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Clocks;
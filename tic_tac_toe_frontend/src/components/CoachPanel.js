@@ -0,0 +1,95 @@
+import React from "react";
+import { COACH_MAX_SIZE } from "../ai/coach/facts";
+
+// PUBLIC_INTERFACE
+/**
+ * Coach panel, next to the move history: the coach's explanation of the last move (or, on
+ * request once the game is over, of the whole game), and where it came from.
+ * Props:
+ *   colors, t (translator), isMobile
+ *   enabled, onEnabledChange(on)   the coach's switch
+ *   coach          useCoach's result, or null when there is nothing to explain yet (its facts are
+ *                  null while the solver works them out, or on a board too big for it)
+ *   canReview      the game is over, so it can be reviewed
+ *   review, onReviewChange(on)     whether the whole game is explained instead of a move
+ */
+function CoachPanel({ colors, t, isMobile, enabled, onEnabledChange, coach, canReview, review, onReviewChange }) {
+  const note = !coach
+    ? null
+    : coach.unavailable
+    ? t("coach.unavailable", { size: COACH_MAX_SIZE })
+    : !coach.facts
+    ? t("coach.working")
+    : coach.pending
+    ? t("coach.pending")
+    : coach.error
+    ? t("coach.modelFailed", { reason: coach.error })
+    : t(coach.source === "model" ? "coach.fromModel" : "coach.fromTemplate");
+
+  return (
+    <aside
+      className="ttt-coach"
+      aria-labelledby="ttt-coach-title"
+      style={{
+        width: isMobile ? "94vw" : "210px",
+        maxWidth: isMobile ? "94vw" : "210px",
+        background: colors.surface,
+        border: `1px solid ${colors.border}`,
+        boxShadow: `0 1px 8px ${colors.primary}07`,
+        borderRadius: "18px",
+        marginBlock: isMobile ? "20px 0" : "18px 0",
+        marginInline: isMobile ? "auto" : "44px 0",
+        padding: isMobile ? "16px 8px" : "16px 10px",
+        textAlign: "start"
+      }}
+    >
+      <div
+        id="ttt-coach-title"
+        style={{ fontWeight: 600, color: colors.primary, fontSize: isMobile ? "1.07rem" : "1.13rem", marginBottom: "9px" }}
+      >
+        {t("coach.title")}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "0.95rem", color: colors.text, marginBottom: "8px" }}>
+        <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} />
+        {t("coach.enable")}
+      </label>
+      {enabled && (
+        <>
+          {coach && !coach.facts ? (
+            <div className="ttt-coach-source" style={{ fontSize: "0.8rem", color: colors.muted }}>
+              {note}
+            </div>
+          ) : coach ? (
+            <>
+              <div style={{ fontWeight: 600, fontSize: "0.95rem", color: colors.text }}>
+                {coach.kind === "review"
+                  ? t("coach.reviewHeading")
+                  : t("coach.moveHeading", { n: coach.facts.number, player: coach.facts.player, cell: coach.facts.cell })}
+              </div>
+              <p className="ttt-coach-text" style={{ margin: "6px 0", fontSize: "0.95rem", lineHeight: 1.45, color: colors.text }}>
+                {coach.text}
+              </p>
+              <div className="ttt-coach-source" style={{ fontSize: "0.8rem", color: colors.muted }}>
+                {note}
+              </div>
+            </>
+          ) : (
+            <p style={{ margin: "6px 0", fontSize: "0.95rem", color: colors.muted }}>{t("coach.empty")}</p>
+          )}
+          {canReview && (
+            <button
+              type="button"
+              className="move-history-btn"
+              onClick={() => onReviewChange(!review)}
+              style={{ marginTop: "10px" }}
+            >
+              {t(review ? "coach.backToMoves" : "coach.reviewGame")}
+            </button>
+          )}
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default CoachPanel;
@@ -0,0 +1,434 @@
+import React, { useState } from "react";
+import { MIN_SIZE, MAX_SIZE, VARIANTS } from "../game/engine";
+import { DIFFICULTIES } from "../ai/minimax";
+import { BOTS, SERVER_BOT } from "../ai/bots";
+import { TIME_CONTROLS } from "../game/clock";
+import ThemePicker from "../theme/ThemePicker";
+
+// Match lengths offered; null is an open-ended series
+const MATCH_LENGTHS = [null, 3, 5, 7];
+
+// AI vs AI speeds offered
+const BOT_SPEEDS = [0.5, 1, 2, 4];
+
+// PUBLIC_INTERFACE
+/**
+ * Game setup and actions under the board.
+ * Props:
+ *   colors, t (translator), isMobile, theme (from useTheme, for the appearance picker)
+ *   mode, onlineAvailable, serverBotAvailable (the AI move server can play AI vs AI), boardOptions, boardLocked (online room open), bestOf,
+ *   humanSide ("X" | "O"), difficulty, bots ([id, id]), botSpeed, botsPaused, timeControl (null | TIME_CONTROLS entry), countComputerTime,
+ *   profiles ([{ id, name }]), seatProfiles ([id | null, id | null] for player 1 and 2),
+ *   canUndo, canRedo, canHint, resetLabel
+ *   onModeChange(mode), onBoardChange({ size, winLength, variant }), onMatchLengthChange(bestOf | null),
+ *   onHumanSideChange(side), onDifficultyChange(level), onBotsChange(bots), onBotSpeedChange(speed),
+ *   onBotsPausedChange(paused), onTimeControlChange(timeControl | null),
+ *   onCountComputerTimeChange(on), onSeatProfileChange(seat, id | null), onUndo(), onRedo(),
+ *   onReset(), onHint(), onOpenArchive(), onOpenProfiles()
+ */
+function Controls({
+  colors,
+  t,
+  isMobile,
+  theme,
+  mode,
+  onlineAvailable,
+  serverBotAvailable,
+  boardOptions,
+  boardLocked,
+  bestOf,
+  humanSide,
+  difficulty,
+  bots,
+  botSpeed,
+  botsPaused,
+  timeControl,
+  countComputerTime,
+  profiles,
+  seatProfiles,
+  canUndo,
+  canRedo,
+  canHint,
+  resetLabel,
+  onModeChange,
+  onBoardChange,
+  onMatchLengthChange,
+  onHumanSideChange,
+  onDifficultyChange,
+  onBotsChange,
+  onBotSpeedChange,
+  onBotsPausedChange,
+  onTimeControlChange,
+  onCountComputerTimeChange,
+  onSeatProfileChange,
+  onUndo,
+  onRedo,
+  onReset,
+  onHint,
+  onOpenArchive,
+  onOpenProfiles
+}) {
+  const [showThemePicker, setShowThemePicker] = useState(false);
+
+  // Shared look for every <select> in the controls row
+  const selectStyle = {
+    fontWeight: 700,
+    fontSize: isMobile ? "1rem" : "1.13rem",
+    borderRadius: "6px",
+    background: colors.surface,
+    border: `1.5px solid ${colors.border}`,
+    color: colors.primary,
+    padding: "6px 14px",
+    outline: "none"
+  };
+  const labelStyle = { fontWeight: 500, color: colors.text };
+  // Outlined secondary buttons, dimmed while they can't be used
+  function buttonStyle(enabled = true, color = colors.primary) {
+    return {
+      background: colors.surface,
+      color,
+      border: `1.5px solid ${color === colors.primary ? colors.border : color}`,
+      fontWeight: 700,
+      fontSize: isMobile ? "1rem" : "1.08rem",
+      borderRadius: "7px",
+      padding: isMobile ? "9px 18px" : "11px 22px",
+      cursor: enabled ? "pointer" : "default",
+      opacity: enabled ? 1 : 0.5
+    };
+  }
+
+  const { variant } = boardOptions;
+  // Ultimate is always 9x9 with three in a row, 3D and Qubic are 3x3x3 and 4x4x4
+  const fixedBoard = !!VARIANTS[variant].fixedBoard;
+  const cube = !!VARIANTS[variant].cube;
+
+  function handleBoardSizeChange(e) {
+    // A new size gets its usual win length: 3x3 needs 3, 4x4 needs 4, 5x5 and up need 5
+    const size = Number(e.target.value);
+    onBoardChange({ ...boardOptions, size, winLength: Math.min(size, 5) });
+  }
+
+  function handleVariantChange(e) {
+    const next = e.target.value;
+    // A fixed board comes with its variant; leaving one goes back to the usual 3x3
+    const board = VARIANTS[next].fixedBoard || (fixedBoard ? { size: 3, winLength: 3 } : boardOptions);
+    onBoardChange({ ...board, variant: next });
+  }
+
+  return (
+    <div
+      className="ttt-controls"
+      style={{
+        marginTop: isMobile ? "7vw" : "34px",
+        display: "flex",
+        flexDirection: isMobile ? "column" : "row",
+        flexWrap: "wrap",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: isMobile ? "12px" : "26px",
+        maxWidth: isMobile ? "90vw" : "560px"
+      }}
+    >
+      <label style={labelStyle}>
+        <span style={{ paddingInlineEnd: "7px" }}>{t("controls.mode")}</span>
+        <select
+          className="ttt-mode-select"
+          onChange={(e) => onModeChange(e.target.value)}
+          value={mode}
+          style={selectStyle}
+          aria-label={t("controls.modeSelect")}
+          aria-keyshortcuts="M"
+        >
+          <option value="pvp">{t("mode.pvp")}</option>
+          <option value="pvc">{t("mode.pvc")}</option>
+          <option value="cvc">{t("mode.cvc")}</option>
+          <option value="puzzle">{t("mode.puzzle")}</option>
+          {onlineAvailable && <option value="online">{t("mode.online")}</option>}
+        </select>
+      </label>
+      {mode !== "online" && mode !== "puzzle" && (
+        <label style={labelStyle}>
+          <span style={{ paddingInlineEnd: "7px" }}>{t("controls.rules")}</span>
+          <select
+            className="ttt-variant-select"
+            onChange={handleVariantChange}
+            value={variant}
+            title={t(`variant.${variant}.rule`)}
+            style={selectStyle}
+            aria-label={t("controls.rulesSelect")}
+          >
+            {Object.keys(VARIANTS).map((id) => (
+              <option key={id} value={id}>
+                {t(`variant.${id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {mode !== "puzzle" && (
+        <>
+          <label style={labelStyle}>
+            <span style={{ paddingInlineEnd: "7px" }}>{t("controls.board")}</span>
+            <select
+              className="ttt-size-select"
+              onChange={handleBoardSizeChange}
+              value={boardOptions.size}
+              disabled={boardLocked || fixedBoard}
+              style={selectStyle}
+              aria-label={t("controls.boardSelect")}
+            >
+              {Array.from({ length: MAX_SIZE - MIN_SIZE + 1 }, (_, i) => MIN_SIZE + i).map(size => (
+                <option key={size} value={size}>
+                  {t(cube ? "controls.size3d" : "controls.size", { size })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={labelStyle}>
+            <span style={{ paddingInlineEnd: "7px" }}>{t("controls.inARow")}</span>
+            <select
+              className="ttt-win-length-select"
+              onChange={(e) => onBoardChange({ ...boardOptions, winLength: Number(e.target.value) })}
+              value={boardOptions.winLength}
+              disabled={boardLocked || fixedBoard}
+              style={selectStyle}
+              aria-label={t("controls.inARowSelect")}
+            >
+              {Array.from({ length: boardOptions.size - 2 }, (_, i) => 3 + i).map(k => (
+                <option key={k} value={k}>
+                  {t.number(k)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+      {(mode === "pvp" || mode === "pvc") &&
+        (mode === "pvp" ? [0, 1] : [0]).map((seat) => {
+          const name = mode === "pvp" ? t("controls.playerN", { n: seat + 1 }) : t("controls.player");
+          return (
+            <label key={seat} style={labelStyle}>
+              <span style={{ paddingInlineEnd: "7px" }}>{t("controls.seat", { name })}</span>
+              <select
+                className="ttt-profile-select"
+                onChange={(e) => onSeatProfileChange(seat, e.target.value || null)}
+                value={seatProfiles[seat] || ""}
+                style={selectStyle}
+                aria-label={t("controls.profileSelect", { name })}
+              >
+                <option value="">{t("controls.guest")}</option>
+                {profiles.map(({ id, name: profileName }) => (
+                  <option key={id} value={id}>
+                    {profileName}
+                  </option>
+                ))}
+              </select>
+            </label>
+          );
+        })}
+      {mode !== "online" && mode !== "puzzle" && (
+        <label style={labelStyle}>
+          <span style={{ paddingInlineEnd: "7px" }}>{t("controls.match")}</span>
+          <select
+            className="ttt-match-select"
+            onChange={(e) => onMatchLengthChange(e.target.value ? Number(e.target.value) : null)}
+            value={bestOf || ""}
+            style={selectStyle}
+            aria-label={t("controls.matchSelect")}
+          >
+            {MATCH_LENGTHS.map(length => (
+              <option key={length || "open"} value={length || ""}>
+                {length ? t("controls.bestOf", { count: length }) : t("controls.openSeries")}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {mode === "pvc" && (
+        <label style={labelStyle}>
+          <span style={{ paddingInlineEnd: "7px" }}>{t("controls.youPlay")}</span>
+          <select
+            className="ttt-side-select"
+            onChange={(e) => onHumanSideChange(e.target.value)}
+            value={humanSide}
+            style={selectStyle}
+            aria-label={t("controls.sideSelect")}
+          >
+            <option value="X">{t("controls.sideX")}</option>
+            <option value="O">{t("controls.sideO")}</option>
+          </select>
+        </label>
+      )}
+      {mode === "pvc" && (
+        <label style={labelStyle}>
+          <span style={{ paddingInlineEnd: "7px" }}>{t("controls.difficulty")}</span>
+          <select
+            className="ttt-difficulty-select"
+            onChange={(e) => onDifficultyChange(e.target.value)}
+            value={difficulty}
+            style={selectStyle}
+            aria-label={t("controls.difficultySelect")}
+          >
+            {Object.keys(DIFFICULTIES).map((value) => (
+              <option key={value} value={value}>
+                {t(`difficulty.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {mode === "cvc" &&
+        bots.map((bot, seat) => (
+          <label key={seat} style={labelStyle}>
+            <span style={{ paddingInlineEnd: "7px" }}>{t("controls.computerN", { n: seat + 1 })}</span>
+            <select
+              className="ttt-bot-select"
+              onChange={(e) => onBotsChange(bots.map((b, i) => (i === seat ? e.target.value : b)))}
+              value={bot}
+              style={selectStyle}
+              aria-label={t("controls.computerSelect", { n: seat + 1 })}
+            >
+              {Object.entries(BOTS).map(([id, { difficulty: level }]) => (
+                <option key={id} value={id}>
+                  {level ? t("bot.minimax", { level: t(`difficulty.${level}`) }) : t(`bot.${id}`)}
+                </option>
+              ))}
+              {serverBotAvailable && <option value={SERVER_BOT.id}>{t(`bot.${SERVER_BOT.id}`)}</option>}
+            </select>
+          </label>
+        ))}
+      {mode === "cvc" && (
+        <label style={labelStyle}>
+          <span style={{ paddingInlineEnd: "7px" }}>{t("controls.speed")}</span>
+          <select
+            className="ttt-bot-speed-select"
+            onChange={(e) => onBotSpeedChange(Number(e.target.value))}
+            value={botSpeed}
+            style={selectStyle}
+            aria-label={t("controls.speedSelect")}
+          >
+            {BOT_SPEEDS.map((speed) => (
+              <option key={speed} value={speed}>
+                {t("controls.speedOption", { speed })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {mode === "cvc" && (
+        <button
+          type="button"
+          className="ttt-bot-pause-btn"
+          onClick={() => onBotsPausedChange(!botsPaused)}
+          aria-pressed={botsPaused}
+          style={buttonStyle()}
+        >
+          {t(botsPaused ? "controls.resume" : "controls.pause")}
+        </button>
+      )}
+      {(mode === "pvp" || mode === "pvc") && (
+        <label style={labelStyle}>
+          <span style={{ paddingInlineEnd: "7px" }}>{t("controls.clock")}</span>
+          <select
+            className="ttt-clock-select"
+            onChange={(e) => onTimeControlChange(TIME_CONTROLS.find(({ id }) => id === e.target.value) || null)}
+            value={timeControl ? timeControl.id : ""}
+            style={selectStyle}
+            aria-label={t("controls.clockSelect")}
+          >
+            <option value="">{t("controls.untimed")}</option>
+            {TIME_CONTROLS.map(({ id }) => (
+              <option key={id} value={id}>
+                {t(`timeControl.${id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {mode === "pvc" && timeControl && (
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={countComputerTime}
+            onChange={(e) => onCountComputerTimeChange(e.target.checked)}
+            style={{ marginInlineEnd: "6px" }}
+          />
+          {t("controls.countComputerTime")}
+        </label>
+      )}
+      <button
+        type="button"
+        className="ttt-undo-btn"
+        onClick={onUndo}
+        disabled={!canUndo}
+        aria-keyshortcuts="U Control+Z"
+        style={buttonStyle(canUndo)}
+      >
+        {t("controls.undo")}
+      </button>
+      <button
+        type="button"
+        className="ttt-redo-btn"
+        onClick={onRedo}
+        disabled={!canRedo}
+        aria-keyshortcuts="Y Control+Y Control+Shift+Z"
+        style={buttonStyle(canRedo)}
+      >
+        {t("controls.redo")}
+      </button>
+      <button
+        type="button"
+        className="ttt-reset-btn"
+        onClick={onReset}
+        aria-keyshortcuts="R"
+        style={{
+          background: colors.primary,
+          color: colors.onPrimary,
+          border: "none",
+          fontWeight: 700,
+          fontSize: isMobile ? "1.07rem" : "1.16rem",
+          borderRadius: "7px",
+          padding: isMobile ? "10px 20px" : "12px 32px",
+          minWidth: isMobile ? "90px" : "110px",
+          cursor: "pointer",
+          boxShadow: `0 2px 8px ${colors.primary}19`,
+          transition: "all 0.18s"
+        }}
+      >
+        {resetLabel}
+      </button>
+      <button
+        type="button"
+        className="ttt-hint-btn"
+        onClick={onHint}
+        disabled={!canHint}
+        aria-keyshortcuts="H"
+        title={t("controls.hintTitle")}
+        style={buttonStyle(canHint, colors.secondary)}
+      >
+        {t("controls.hint")}
+      </button>
+      <button type="button" className="ttt-archive-btn" onClick={onOpenArchive} style={buttonStyle()}>
+        {t("controls.savedGames")}
+      </button>
+      <button type="button" className="ttt-profiles-btn" onClick={onOpenProfiles} style={buttonStyle()}>
+        {t("controls.players")}
+      </button>
+      <button
+        type="button"
+        className="ttt-theme-btn"
+        onClick={() => setShowThemePicker(!showThemePicker)}
+        aria-expanded={showThemePicker}
+        style={buttonStyle()}
+      >
+        {t("controls.appearance")}
+      </button>
+      {showThemePicker && <ThemePicker colors={colors} t={t} settings={theme.settings} onChange={theme.update} />}
+      <p className="ttt-shortcuts" style={{ width: "100%", margin: 0, textAlign: "center", fontSize: "0.85rem", color: colors.muted }}>
+        {t("controls.keys")}
+      </p>
+    </div>
+  );
+}
+
+export default Controls;
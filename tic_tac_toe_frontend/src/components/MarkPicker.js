@@ -0,0 +1,46 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Wild rules: the mark the next move places, as two toggle buttons drawn with the theme's symbols.
+ * Props: mark ("X" | "O"), colors, t (translator), symbols ({ X, O }), isMobile, onChange(mark)
+ */
+function MarkPicker({ mark, colors, t, symbols, isMobile, onChange }) {
+  return (
+    <div
+      className="ttt-mark-picker"
+      role="group"
+      aria-label={t("markPicker.label")}
+      style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: isMobile ? "12px" : "16px", color: colors.text }}
+    >
+      <span style={{ fontWeight: 500 }}>{t("markPicker.place")}</span>
+      {["X", "O"].map((option) => {
+        const selected = mark === option;
+        return (
+          <button
+            key={option}
+            type="button"
+            onClick={() => onChange(option)}
+            aria-pressed={selected}
+            aria-label={t("markPicker.placeMark", { mark: option })}
+            style={{
+              minWidth: "44px",
+              padding: "4px 12px",
+              borderRadius: "7px",
+              fontWeight: 700,
+              fontSize: "1.2rem",
+              cursor: "pointer",
+              background: selected ? colors.highlight : colors.surface,
+              border: `1.5px solid ${selected ? colors.primary : colors.border}`,
+              color: option === "X" ? colors.x : colors.o
+            }}
+          >
+            {symbols[option]}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default MarkPicker;
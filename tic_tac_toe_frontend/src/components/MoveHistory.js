@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from "react";
+import { MOVE_TAGS, ANALYSIS_MAX_SIZE } from "../ai/analysis";
+import { lineLength } from "../game/gameTree";
+import { formatSpent } from "../game/clock";
+import ImportGame from "../archive/ImportGame";
+import { movedBy, isCube, cellAt } from "../game/engine";
+
+// "X at (2,3)" for the move that led to `state`, with the mark placed when it isn't the
+// player's own (Wild and Notakto); "X at (1,2,3)" by layer, row and column in 3D
+function describeMove(state, t) {
+  const cell = state.lastMove.slice(0, isCube(state) ? 3 : 2);
+  const player = movedBy(state);
+  const mark = cellAt(state, cell);
+  return t(mark !== player ? "history.moveAtMark" : "history.moveAt", { player, mark, cell: cell.map((n) => n + 1).join(",") });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move history panel: the moves of the line on the board (click one to go back to it), the time
+ * each took, their analysis tags, alternate branches, the analysis/variation switches, export/import
+ * and copying a link to the position.
+ * Props:
+ *   colors, t (translator), isMobile, tree, line (nodes of the line shown), step
+ *   analysis       analyzeGame output, or null when it is off or the board is too big to analyse
+ *   showAnalysis, keepVariations, onShowAnalysisChange(on), onKeepVariationsChange(on)
+ *   onJump(step), onGoTo(nodeId), onExport(), onImport(record)
+ *   onCopyLink() -> Promise, or null when the position has no link
+ */
+function MoveHistory({
+  colors,
+  t,
+  isMobile,
+  tree,
+  line,
+  step,
+  analysis,
+  showAnalysis,
+  keepVariations,
+  onShowAnalysisChange,
+  onKeepVariationsChange,
+  onJump,
+  onGoTo,
+  onExport,
+  onImport,
+  onCopyLink
+}) {
+  const [importing, setImporting] = useState(false); // notation import form open
+  const [copyStatus, setCopyStatus] = useState(null); // message id for how the last "Copy link" went
+
+  // The message is about the link to the position it was copied from
+  useEffect(() => setCopyStatus(null), [line, step]);
+
+  function handleCopyLink() {
+    onCopyLink().then(
+      () => setCopyStatus("history.linkCopied"),
+      () => setCopyStatus("history.linkFailed")
+    );
+  }
+  const tagColors = { best: colors.secondary, inaccuracy: colors.warning, blunder: colors.accent };
+  const switchStyle = { display: "flex", alignItems: "center", gap: "6px", fontSize: "0.95rem", color: colors.text, marginBottom: "8px" };
+
+  // Alternate branches from the position before move `idx`, listed under that move
+  function renderVariations(idx) {
+    const others = line[idx - 1].children.filter((id) => id !== line[idx].id);
+    if (others.length === 0) return null;
+    return (
+      <ul className="move-variations" aria-label={t("history.variations", { n: idx })} style={{ listStyle: "none", margin: "0 0 4px 0", paddingInlineStart: "14px" }}>
+        {others.map((id) => {
+          const state = tree.nodes[id].state;
+          const more = lineLength(tree, id);
+          return (
+            <li key={id}>
+              <button
+                type="button"
+                className="move-history-btn move-variation-btn"
+                onClick={() => onGoTo(id)}
+                style={{ fontSize: "0.9rem", fontStyle: "italic" }}
+              >
+                {t(more > 0 ? "history.variationMore" : "history.variation", { n: idx, move: describeMove(state, t), count: more })}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  return (
+    <aside
+      className="ttt-move-history"
+      style={{
+        width: isMobile ? "94vw" : "210px",
+        maxWidth: isMobile ? "94vw" : "210px",
+        minHeight: isMobile ? "60px" : "134px",
+        background: colors.surface,
+        border: `1px solid ${colors.border}`,
+        boxShadow: `0 1px 8px ${colors.primary}07`,
+        borderRadius: "18px",
+        marginBlock: isMobile ? "32px 0" : 0,
+        marginInline: isMobile ? "auto" : "44px 0",
+        padding: isMobile ? "16px 8px" : "16px 10px",
+        textAlign: "start",
+        overflowX: "auto",
+        zIndex: 1
+      }}
+    >
+      <div style={{ fontWeight: 600, color: colors.primary, fontSize: isMobile ? "1.07rem" : "1.13rem", marginBottom: "9px" }}>
+        {t("history.title")}
+      </div>
+      <label style={switchStyle}>
+        <input type="checkbox" checked={showAnalysis} onChange={(e) => onShowAnalysisChange(e.target.checked)} />
+        {t("history.showAnalysis")}
+      </label>
+      {showAnalysis && !analysis && (
+        <div className="ttt-not-analysed" style={{ fontSize: "0.8rem", color: colors.muted, marginBottom: "8px" }}>
+          {t("history.notAnalysed", { size: ANALYSIS_MAX_SIZE })}
+        </div>
+      )}
+      <label style={switchStyle}>
+        <input type="checkbox" checked={keepVariations} onChange={(e) => onKeepVariationsChange(e.target.checked)} />
+        {t("history.keepVariations")}
+      </label>
+      <ol className="move-history-list">
+        {line.map(({ state: item, spentMs }, idx) => {
+          const desc = idx === 0 ? t("history.start") : t("history.move", { n: idx, move: describeMove(item, t) });
+          const tagName = analysis && analysis[idx].tag;
+          const tag = tagName && MOVE_TAGS[tagName];
+          return (
+            <li key={idx}>
+              <button
+                className={`move-history-btn${idx === step ? " selected" : ""}`}
+                onClick={() => onJump(idx)}
+                aria-label={t(tag ? `history.goTo.${tagName}` : "history.goTo", { n: idx })}
+              >
+                {desc}
+                {spentMs !== undefined && (
+                  <span className="move-time" style={{ marginInlineStart: "6px", fontSize: "0.85rem", color: colors.muted }}>
+                    {formatSpent(spentMs)}
+                  </span>
+                )}
+                {tag && (
+                  <span
+                    className={`move-tag move-tag-${tagName}`}
+                    title={t(`tag.${tagName}`)}
+                    style={{ marginInlineStart: "6px", fontWeight: 700, color: tagColors[tagName] }}
+                  >
+                    {tag.symbol}
+                  </span>
+                )}
+              </button>
+              {idx > 0 && renderVariations(idx)}
+            </li>
+          );
+        })}
+      </ol>
+      <div style={{ display: "flex", gap: "6px", marginTop: "10px" }}>
+        <button
+          type="button"
+          className="move-history-btn"
+          onClick={onExport}
+          disabled={line.length < 2}
+          title={t("history.exportTitle")}
+        >
+          {t("history.export")}
+        </button>
+        <button
+          type="button"
+          className="move-history-btn"
+          onClick={() => setImporting(!importing)}
+          aria-expanded={importing}
+          title={t("history.importTitle")}
+        >
+          {t("history.import")}
+        </button>
+        {onCopyLink && (
+          <button type="button" className="move-history-btn" onClick={handleCopyLink} title={t("history.copyLinkTitle")}>
+            {t("history.copyLink")}
+          </button>
+        )}
+      </div>
+      {copyStatus && (
+        <div role="status" style={{ fontSize: "0.9rem", marginTop: "6px", color: colors.muted }}>
+          {t(copyStatus)}
+        </div>
+      )}
+      {importing && (
+        <ImportGame
+          colors={colors}
+          t={t}
+          onLoad={(record) => {
+            setImporting(false);
+            onImport(record);
+          }}
+          onCancel={() => setImporting(false)}
+        />
+      )}
+    </aside>
+  );
+}
+
+export default MoveHistory;
@@ -0,0 +1,98 @@
+import React from "react";
+
+// Replay speeds offered, as multiples of one move per second
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// PUBLIC_INTERFACE
+/**
+ * Replay transport: step, play/pause and speed. Laid out left to right in every language, like
+ * the board, so the arrows point the way the moves go.
+ * Props: colors, t (translator), isMobile, replay ({ playing, speed }), step, lastStep,
+ *        onJump(step), onChange({ playing, speed }), onExit()
+ */
+function ReplayControls({ colors, t, isMobile, replay, step, lastStep, onJump, onChange, onExit }) {
+  const buttonStyle = {
+    background: colors.primary,
+    color: colors.onPrimary,
+    border: "none",
+    fontWeight: 700,
+    fontSize: "1.05rem",
+    borderRadius: "7px",
+    padding: "8px 14px",
+    minWidth: "44px",
+    cursor: "pointer"
+  };
+  // Manual stepping pauses playback so the viewer stays where they put it
+  function stepTo(stepIdx) {
+    onChange({ playing: false });
+    onJump(Math.max(0, Math.min(lastStep, stepIdx)));
+  }
+  function togglePlay() {
+    if (!replay.playing && step >= lastStep) {
+      // Playing from the end starts over
+      onJump(0);
+    }
+    onChange({ playing: !replay.playing });
+  }
+
+  return (
+    <div
+      className="ttt-replay-controls"
+      dir="ltr"
+      style={{
+        marginTop: isMobile ? "7vw" : "34px",
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: "8px"
+      }}
+    >
+      <button type="button" style={buttonStyle} onClick={() => stepTo(0)} aria-label={t("replay.first")}>
+        ⏮
+      </button>
+      <button type="button" style={buttonStyle} onClick={() => stepTo(step - 1)} aria-label={t("replay.previous")}>
+        ◀
+      </button>
+      <button type="button" style={buttonStyle} onClick={togglePlay} aria-label={t(replay.playing ? "replay.pause" : "replay.play")}>
+        {replay.playing ? "⏸" : "▶"}
+      </button>
+      <button type="button" style={buttonStyle} onClick={() => stepTo(step + 1)} aria-label={t("replay.next")}>
+        ▶▶
+      </button>
+      <button type="button" style={buttonStyle} onClick={() => stepTo(lastStep)} aria-label={t("replay.last")}>
+        ⏭
+      </button>
+      <label style={{ fontWeight: 500, color: colors.text }}>
+        <span style={{ paddingInlineEnd: "7px" }}>{t("replay.speed")}</span>
+        <select
+          value={replay.speed}
+          onChange={(e) => onChange({ speed: Number(e.target.value) })}
+          aria-label={t("replay.speedSelect")}
+          style={{
+            fontWeight: 700,
+            borderRadius: "6px",
+            border: `1.5px solid ${colors.border}`,
+            color: colors.primary,
+            background: colors.surface,
+            padding: "6px 10px"
+          }}
+        >
+          {REPLAY_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>
+              {t("controls.speedOption", { speed })}
+            </option>
+          ))}
+        </select>
+      </label>
+      <span style={{ color: colors.text, fontWeight: 500 }}>
+        {t("replay.position", { step, last: lastStep })}
+      </span>
+      <button type="button" style={{ ...buttonStyle, background: colors.accent }} onClick={onExit}>
+        {t("replay.exit")}
+      </button>
+    </div>
+  );
+}
+
+export default ReplayControls;
@@ -0,0 +1,66 @@
+import React from "react";
+import { scoreboard, matchStatus } from "../game/match";
+import { HUMAN } from "../state/gameReducer";
+
+// PUBLIC_INTERFACE
+/**
+ * Running score for local matches: who has which side this game, and wins/losses/draws.
+ * Props: colors, t (translator), isMobile, match (finished games), liveMatch (with the game on
+ * the board counted once it is over), seats ({ X, O } for the game on the board)
+ */
+function Scoreboard({ colors, t, isMobile, match, liveMatch, seats }) {
+  const scores = scoreboard(liveMatch);
+  const { over, winner } = matchStatus(liveMatch);
+  const gameNumber = match.results.length + 1;
+  const cellStyle = { padding: "3px 10px", textAlign: "center" };
+  let caption = match.bestOf ? t("score.gameOfBestOf", { n: gameNumber, count: match.bestOf }) : t("score.game", { n: gameNumber });
+  if (over) {
+    caption = !winner
+      ? t("score.tied")
+      : winner === HUMAN
+      ? t("score.youWinMatch")
+      : t("score.winsMatch", { name: t.playerName(winner) });
+  }
+
+  return (
+    <div
+      className="ttt-scoreboard"
+      style={{
+        marginBottom: isMobile ? "14px" : "18px",
+        color: colors.text,
+        textAlign: "center"
+      }}
+    >
+      <div
+        style={{ fontWeight: 600, color: over ? colors.secondary : colors.primary, marginBottom: "4px" }}
+        aria-live="polite"
+      >
+        {caption}
+      </div>
+      <table style={{ borderCollapse: "collapse", margin: "0 auto", fontSize: "0.95rem" }} aria-label={t("score.label")}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, textAlign: "start" }}>{t("score.player")}</th>
+            <th style={cellStyle}>{t("score.side")}</th>
+            <th style={cellStyle} title={t("score.wins")}>{t("score.winsShort")}</th>
+            <th style={cellStyle} title={t("score.losses")}>{t("score.lossesShort")}</th>
+            <th style={cellStyle} title={t("score.draws")}>{t("score.drawsShort")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {match.players.map(name => (
+            <tr key={name}>
+              <td style={{ ...cellStyle, textAlign: "start", fontWeight: 600 }}>{t.playerName(name)}</td>
+              <td style={cellStyle}>{seats.X === name ? "X" : "O"}</td>
+              <td style={cellStyle}>{scores[name].wins}</td>
+              <td style={cellStyle}>{scores[name].losses}</td>
+              <td style={cellStyle}>{scores[name].draws}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default Scoreboard;
@@ -0,0 +1,58 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Whose turn it is or how the game ended, the "AI Thinking..." note, the rules of a variant,
+ * error messages, whether the device is offline, and the polite live region screen readers follow
+ * the game through.
+ * Props: status, tone ("win" | "draw" | null, how the status is colored), colors, t (translator),
+ * isMobile, thinking, rules (null for classic games), offline, narration, error, onlineError
+ */
+function StatusBar({ status, tone, colors, t, isMobile, thinking, rules, offline, narration, error, onlineError }) {
+  const messageStyle = { color: colors.accent, fontWeight: 500, fontSize: isMobile ? "1rem" : "1.07rem" };
+  return (
+    <>
+      <div
+        className="ttt-status"
+        style={{
+          textAlign: "center",
+          margin: isMobile ? "14px 0 2vw 0" : "18px 0 20px 0",
+          minHeight: "1.5rem",
+          fontWeight: 600,
+          color: tone === "draw" ? colors.accent : tone === "win" ? colors.secondary : colors.primary,
+          fontSize: isMobile ? "1.22rem" : "1.39rem",
+          letterSpacing: "0.3px"
+        }}
+      >
+        {status}
+        {thinking ? (
+          <span style={{ marginInlineStart: 12, color: colors.accent, fontSize: "1rem" }}>
+            {t("status.thinking")}
+          </span>
+        ) : null}
+      </div>
+      {rules && (
+        <div className="ttt-rules" style={{ textAlign: "center", color: colors.muted, fontSize: "0.95rem", margin: "-8px 0 12px 0" }}>
+          {rules}
+        </div>
+      )}
+      {offline && (
+        <div className="ttt-offline" style={{ textAlign: "center", color: colors.warning, fontSize: "0.95rem", margin: "-8px 0 12px 0" }}>
+          {t("status.offline")}
+        </div>
+      )}
+      {/* Screen readers hear each move and the result here; the status above is for sighted users */}
+      <div className="ttt-sr-only" role="status" aria-live="polite">
+        {narration}
+      </div>
+      {error && (
+        <div role="alert" style={messageStyle}>
+          {error}
+        </div>
+      )}
+      {onlineError && <div style={messageStyle}>{onlineError}</div>}
+    </>
+  );
+}
+
+export default StatusBar;
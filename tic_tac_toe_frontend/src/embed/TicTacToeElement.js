@@ -0,0 +1,92 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import App from "../App";
+import { LinkError } from "../game/gameLink";
+import { EMBED_ATTRIBUTES, linkFromAttributes, linkFromPosition } from "./embedApi";
+
+// PUBLIC_INTERFACE
+/**
+ * <tic-tac-toe>: the whole app as a custom element, for embedding in other pages. Attributes
+ * and event details are described in embedApi.js; App's side is useEmbed.js.
+ *   - Changing an attribute opens a new game from all of them; a bad configuration is shown
+ *     in the status bar and reported as an "error" event.
+ *   - loadPosition(position) opens a game link (a URL or its hash), throwing a LinkError if it
+ *     isn't one; reset() starts the next game, as the Reset button does.
+ *   - Events bubble, and cross shadow roots, so a host can listen on any ancestor.
+ * The app renders into the element itself (no shadow root), so the page's CSS can reach it.
+ */
+export class TicTacToeElement extends HTMLElement {
+  static get observedAttributes() {
+    return EMBED_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this.root = null;
+    this.command = null; // the last { action } sent to App
+    this.emit = (type, detail) => this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  connectedCallback() {
+    // A position loaded before the element was added wins over its attributes
+    if (!this.command) this.command = { action: this.attributeAction() };
+    this.root = ReactDOM.createRoot(this);
+    this.renderApp();
+  }
+
+  disconnectedCallback() {
+    this.root.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Attributes present at creation are read when the element is added
+    if (this.root && oldValue !== newValue) this.send(this.attributeAction());
+  }
+
+  // PUBLIC_INTERFACE
+  /** Open the position of a game link; throws a LinkError, leaving the game alone, if it isn't one. */
+  loadPosition(position) {
+    this.send({ type: "openLink", link: linkFromPosition(position) });
+  }
+
+  // PUBLIC_INTERFACE
+  /** Start the next game of the match. */
+  reset() {
+    this.send({ type: "reset" });
+  }
+
+  // The game action for the attributes: open their position, or show what is wrong with them
+  attributeAction() {
+    const attributes = {};
+    EMBED_ATTRIBUTES.forEach((name) => {
+      attributes[name] = this.getAttribute(name);
+    });
+    try {
+      return { type: "openLink", link: linkFromAttributes(attributes) };
+    } catch (e) {
+      if (!(e instanceof LinkError)) throw e;
+      return { type: "error", message: { id: "error.link", values: { reason: e.message } } };
+    }
+  }
+
+  send(action) {
+    this.command = { action };
+    if (this.root) this.renderApp();
+  }
+
+  renderApp() {
+    this.root.render(
+      <React.StrictMode>
+        <App embed={{ command: this.command, onEvent: this.emit }} />
+      </React.StrictMode>
+    );
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Register the element under `name` (once; later calls are no-ops). Returns its class. */
+export function defineTicTacToeElement(name = "tic-tac-toe") {
+  if (!window.customElements.get(name)) window.customElements.define(name, TicTacToeElement);
+  return window.customElements.get(name);
+}
@@ -0,0 +1,122 @@
+import { act, screen, fireEvent, waitFor } from "@testing-library/react";
+import { defineTicTacToeElement } from "./TicTacToeElement";
+import { connectBridge } from "./postMessageBridge";
+import { LinkError } from "../game/gameLink";
+import { cell } from "../testUtils";
+
+defineTicTacToeElement();
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/host-page");
+});
+afterEach(() => act(() => document.body.replaceChildren()));
+
+// An element with `attributes`, added to the page; `events` collects what bubbles up to its container
+function mount(attributes = {}) {
+  const host = document.createElement("div");
+  const element = document.createElement("tic-tac-toe");
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  const events = [];
+  ["move", "gameover", "aithinking", "error"].forEach((type) =>
+    host.addEventListener(type, (e) => events.push([type, e.detail]))
+  );
+  host.appendChild(element);
+  act(() => {
+    document.body.appendChild(host);
+  });
+  return { element, events };
+}
+
+test("attributes set up the game; moves and the result are reported, and the host page is left alone", () => {
+  const { events } = mount({ size: "3", moves: "b2.a1" });
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: X/);
+  expect(events).toEqual([]);
+
+  fireEvent.click(cell(2, 1));
+  fireEvent.click(cell(3, 3));
+  fireEvent.click(cell(2, 3));
+  expect(events[0]).toEqual([
+    "move",
+    { move: "a2", player: "X", moves: ["b2", "a1", "a2"], position: "#mode=pvp&size=3&win=3&moves=b2.a1.a2" }
+  ]);
+  expect(events.map(([type]) => type)).toEqual(["move", "move", "move", "gameover"]);
+  expect(events[3][1]).toEqual({ result: "X", line: ["a2", "b2", "c2"], timeout: null, moves: ["b2", "a1", "a2", "c3", "c2"] });
+
+  expect(window.location.pathname + window.location.hash).toBe("/host-page");
+  expect(document.documentElement).not.toHaveAttribute("lang");
+  // The game went to the archive, but not the host page's storage
+  expect(window.localStorage).toHaveLength(0);
+  // Shortcuts only work inside the game
+  fireEvent.keyDown(document.body, { key: "r" });
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: X/);
+  fireEvent.keyDown(cell(1, 1), { key: "r" });
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: empty/);
+});
+
+test("the computer's thinking is reported around its moves", async () => {
+  const { events } = mount({ mode: "pvc", side: "O" });
+  await waitFor(() => expect(events.map(([type]) => type)).toEqual(["aithinking", "move", "aithinking"]));
+  expect(events[0][1]).toEqual({ thinking: true });
+  expect(events[1][1]).toMatchObject({ player: "X", position: expect.stringMatching(/^#mode=pvc&side=O&size=3&win=3&moves=\w\d$/) });
+  expect(events[2][1]).toEqual({ thinking: false });
+});
+
+test("positions are loaded and reset by the host; a bad one is refused", () => {
+  const { element, events } = mount();
+  act(() => element.loadPosition("https://example.com/#mode=pvp&size=4&win=3&moves=a1.d4"));
+  expect(screen.getByRole("grid")).toHaveAccessibleName(/^Board, 4 by 4/);
+  expect(cell(4, 4)).toHaveAccessibleName(/^Row 4, column 4: O/);
+
+  expect(() => element.loadPosition("#mode=pvp&moves=a1.a1")).toThrow(LinkError);
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: X/);
+
+  act(() => element.reset());
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: empty/);
+  expect(events).toEqual([]);
+});
+
+test("a bad attribute is shown and reported as an error; fixing it opens the game", () => {
+  const { element, events } = mount({ size: "3" });
+  act(() => element.setAttribute("moves", "b2.b2"));
+  expect(screen.getByRole("alert")).toHaveTextContent(/^Couldn't open the link: Move 2 \(b2\) is illegal/);
+  expect(events).toEqual([["error", { message: expect.stringMatching(/^Couldn't open the link/) }]]);
+
+  act(() => element.setAttribute("moves", "b2"));
+  expect(cell(2, 2)).toHaveAccessibleName(/^Row 2, column 2: X/);
+});
+
+test("in an iframe, the bridge passes events out and commands in", () => {
+  const parent = { postMessage: jest.fn() };
+  const { element } = mount();
+  const disconnect = connectBridge(element, { target: parent, targetOrigin: "https://host.example" });
+  expect(parent.postMessage).toHaveBeenLastCalledWith({ source: "tic-tac-toe", type: "ready", detail: {} }, "https://host.example");
+
+  fireEvent.click(cell(2, 2));
+  expect(parent.postMessage).toHaveBeenLastCalledWith(
+    { source: "tic-tac-toe", type: "move", detail: expect.objectContaining({ move: "b2" }) },
+    "https://host.example"
+  );
+
+  const send = (data, from = { source: parent, origin: "https://host.example" }) =>
+    act(() => window.dispatchEvent(new MessageEvent("message", { data, ...from })));
+  send({ target: "tic-tac-toe", type: "loadPosition", position: "#mode=pvp&moves=a1" });
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: X/);
+  // Only the parent page, from its origin, is listened to
+  send({ target: "tic-tac-toe", type: "reset" }, { source: parent, origin: "https://other.example" });
+  send({ target: "tic-tac-toe", type: "reset" }, { source: window, origin: "https://host.example" });
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: X/);
+
+  send({ target: "tic-tac-toe", type: "loadPosition", position: "nonsense" });
+  expect(parent.postMessage).toHaveBeenLastCalledWith(
+    { source: "tic-tac-toe", type: "error", detail: { message: 'Not a game link: "nonsense"' } },
+    "https://host.example"
+  );
+  send({ target: "tic-tac-toe", type: "reset" });
+  expect(cell(1, 1)).toHaveAccessibleName(/^Row 1, column 1: empty/);
+
+  disconnect();
+  const calls = parent.postMessage.mock.calls.length;
+  fireEvent.click(cell(2, 2));
+  expect(parent.postMessage).toHaveBeenCalledTimes(calls);
+});
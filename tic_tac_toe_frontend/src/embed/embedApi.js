@@ -0,0 +1,87 @@
+/*
+  EMBEDDING API
+  -------------
+
+  What a host page sees of the <tic-tac-toe> element (src/embed/TicTacToeElement.js), as plain
+  functions with no DOM:
+
+  - Attributes configure the game, like a game link's parameters (src/game/gameLink.js):
+      mode          "pvp" | "pvc" | "cvc" (default "pvp")
+      size          board size (default 3)
+      win-length    marks in a row to win (default 3)
+      rules         the variant, e.g. "misere" (default classic)
+      side          the human's side against the computer, "X" or "O" (default X)
+      moves         moves already played, in notation cells separated by dots: "b2.a1"
+    A bad configuration throws a LinkError saying what.
+  - Positions are loaded from game links: a full URL, or just its hash ("#mode=pvc&moves=b2").
+  - Event details, all plain data (cells in notation):
+      move        { move: "b2", player: "X", moves: ["b2"], position: "#mode=pvp&size=3&win=3&moves=b2" | null }
+      gameover    { result: "X" | "O" | "draw", line: ["a1", "b2", "c3"] | null, timeout: "O" | null, moves }
+      aithinking  { thinking: true | false }
+      error       { message }
+*/
+
+import { movedBy } from "../game/engine.js";
+import { formatLink, parseLink, LinkError } from "../game/gameLink.js";
+import { cellName } from "../game/notation.js";
+
+// PUBLIC_INTERFACE
+/** Attributes the element reads, in link parameter order; changing one reloads the game. */
+export const EMBED_ATTRIBUTES = ["mode", "size", "win-length", "rules", "side", "moves"];
+
+// PUBLIC_INTERFACE
+/** Events the element dispatches (and the iframe bridge passes on). */
+export const EMBED_EVENTS = ["move", "gameover", "aithinking", "error"];
+
+// Link parameter for each attribute
+const LINK_PARAMS = { mode: "mode", size: "size", "win-length": "win", rules: "rules", side: "side", moves: "moves" };
+
+// PUBLIC_INTERFACE
+/**
+ * The position an element's attributes describe, in parseLink's shape. `attributes` maps names
+ * to values, null (or missing) for attributes not set.
+ */
+export function linkFromAttributes(attributes) {
+  const params = new URLSearchParams();
+  params.set("mode", attributes.mode || "pvp");
+  EMBED_ATTRIBUTES.forEach(name => {
+    if (name !== "mode" && attributes[name] != null) params.set(LINK_PARAMS[name], attributes[name]);
+  });
+  return parseLink(params.toString());
+}
+
+// PUBLIC_INTERFACE
+/** The position of a game link (a URL or its hash), in parseLink's shape; throws LinkError if it has none. */
+export function linkFromPosition(position) {
+  const text = String(position || "");
+  const link = parseLink(text.includes("#") ? text.slice(text.indexOf("#")) : text);
+  if (!link) throw new LinkError(`Not a game link: "${text}"`);
+  return link;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Detail of a "move" event, for the last move of `game`. `link` is the game's setup in
+ * formatLink's shape, or null where it has no link (puzzles, online games).
+ */
+export function moveDetail(game, link) {
+  const moves = game.moves.map(cellName);
+  return {
+    move: moves[moves.length - 1],
+    player: movedBy(game),
+    moves,
+    position: link ? formatLink({ ...link, moves: game.moves, step: undefined }) : null
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Detail of a "gameover" event, for a finished `game`. */
+export function gameOverDetail(game) {
+  const { winner, line, timeout } = game.result;
+  return {
+    result: winner || "draw",
+    line: line ? line.map(cellName) : null,
+    timeout: timeout || null,
+    moves: game.moves.map(cellName)
+  };
+}
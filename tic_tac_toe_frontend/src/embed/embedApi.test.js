@@ -0,0 +1,37 @@
+import { linkFromAttributes, linkFromPosition, moveDetail, gameOverDetail } from "./embedApi";
+import { replayMoves, loseOnTime } from "../game/engine";
+import { formatLink, LinkError } from "../game/gameLink";
+
+test("attributes read like a game link, with the link's defaults", () => {
+  const link = linkFromAttributes({ mode: "pvc", size: "4", "win-length": "3", side: "O", moves: "b2.a1", rules: null });
+  expect(formatLink(link)).toBe("#mode=pvc&side=O&size=4&win=3&moves=b2.a1");
+  expect(formatLink(linkFromAttributes({}))).toBe("#mode=pvp&size=3&win=3");
+  expect(() => linkFromAttributes({ size: "3", moves: "b2.b2" })).toThrow(LinkError);
+});
+
+test("positions are game links, as a full URL or just the hash", () => {
+  const link = linkFromPosition("https://example.com/ttt/#mode=pvp&size=3&win=3&moves=b2");
+  expect(formatLink(link)).toBe("#mode=pvp&size=3&win=3&moves=b2");
+  expect(formatLink(linkFromPosition("#mode=pvc&rules=misere"))).toBe("#mode=pvc&side=X&size=3&win=3&rules=misere");
+  // A link names its mode
+  expect(() => linkFromPosition("#rules=misere")).toThrow(LinkError);
+  expect(() => linkFromPosition("https://example.com/")).toThrow(LinkError);
+  expect(() => linkFromPosition(null)).toThrow(LinkError);
+});
+
+test("event details are plain data in notation", () => {
+  const options = { size: 3, winLength: 3 };
+  const won = replayMoves([[1, 1], [0, 0], [0, 1], [2, 2], [2, 1]], options);
+  const setup = { mode: "pvp", humanSide: "X", boardOptions: options, step: 2 };
+  expect(moveDetail(won, setup)).toEqual({
+    move: "b3",
+    player: "X",
+    moves: ["b2", "a1", "b1", "c3", "b3"],
+    position: "#mode=pvp&size=3&win=3&moves=b2.a1.b1.c3.b3"
+  });
+  expect(moveDetail(won, null).position).toBeNull();
+  expect(gameOverDetail(won)).toEqual({ result: "X", line: ["b1", "b2", "b3"], timeout: null, moves: ["b2", "a1", "b1", "c3", "b3"] });
+
+  const flagged = loseOnTime(replayMoves([[1, 1]], options));
+  expect(gameOverDetail(flagged)).toEqual({ result: "X", line: null, timeout: "O", moves: ["b2"] });
+});
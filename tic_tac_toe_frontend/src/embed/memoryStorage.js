@@ -0,0 +1,15 @@
+// PUBLIC_INTERFACE
+/**
+ * Storage kept in memory, with the calls the app's stores make (getItem, setItem, removeItem).
+ * An embedded app keeps its saved game, profiles, archive, puzzle progress, theme and language
+ * here for as long as the element lives: the host page's localStorage isn't the app's to write,
+ * and elements on one page would share its keys.
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
@@ -0,0 +1,62 @@
+import { EMBED_ATTRIBUTES, EMBED_EVENTS } from "./embedApi";
+
+// PUBLIC_INTERFACE
+/** Tag on every bridge message: `source` on the frame's, `target` on the host's. */
+export const MESSAGE_TAG = "tic-tac-toe";
+
+// PUBLIC_INTERFACE
+/**
+ * Connect a <tic-tac-toe> element in an iframe to the page around it, through postMessage:
+ *   - Out: "ready" once connected, then every element event, as
+ *     { source: "tic-tac-toe", type, detail }.
+ *   - In: { target: "tic-tac-toe", type: "loadPosition", position } or { ..., type: "reset" },
+ *     only from `target`, and from `targetOrigin` unless that is "*". A command that fails
+ *     is answered with an "error" message.
+ * Options: target (default the parent window), targetOrigin (the host page's origin, default "*").
+ * Returns a function that disconnects the bridge.
+ */
+export function connectBridge(element, { target = window.parent, targetOrigin = "*" } = {}) {
+  const post = (type, detail) => target.postMessage({ source: MESSAGE_TAG, type, detail }, targetOrigin);
+  const forward = (event) => post(event.type, event.detail);
+
+  function receive(event) {
+    const { data } = event;
+    if (event.source !== target || (targetOrigin !== "*" && event.origin !== targetOrigin)) return;
+    if (!data || data.target !== MESSAGE_TAG) return;
+    try {
+      if (data.type === "loadPosition") element.loadPosition(data.position);
+      else if (data.type === "reset") element.reset();
+      else throw new Error(`Unknown command "${data.type}"`);
+    } catch (e) {
+      post("error", { message: e.message });
+    }
+  }
+
+  EMBED_EVENTS.forEach((type) => element.addEventListener(type, forward));
+  window.addEventListener("message", receive);
+  post("ready", {});
+  return () => {
+    EMBED_EVENTS.forEach((type) => element.removeEventListener(type, forward));
+    window.removeEventListener("message", receive);
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The embed build's page opened in an iframe (index.html?mode=pvc&size=4&origin=https://host.example):
+ * fill its #root with one element, configured by the query's attributes and bridged to the
+ * parent page, which receives messages only if its origin matches `origin`, when given.
+ * Does nothing outside a frame or on a page without #root. Returns the element, or null.
+ */
+export function mountInFrame() {
+  const root = document.getElementById("root");
+  if (!root || window.parent === window) return null;
+  const params = new URLSearchParams(window.location.search);
+  const element = document.createElement("tic-tac-toe");
+  EMBED_ATTRIBUTES.forEach((name) => {
+    if (params.has(name)) element.setAttribute(name, params.get(name));
+  });
+  connectBridge(element, { targetOrigin: params.get("origin") || "*" });
+  root.appendChild(element);
+  return element;
+}
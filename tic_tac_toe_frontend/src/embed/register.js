@@ -0,0 +1,8 @@
+import { defineTicTacToeElement } from "./TicTacToeElement";
+import { mountInFrame } from "./postMessageBridge";
+
+// The embed build's entry: define <tic-tac-toe> for the page that loads it, and when its own
+// index.html is opened in an iframe, show one bridged to the parent page. No service worker:
+// the host page decides how it is cached.
+defineTicTacToeElement();
+mountInFrame();
@@ -0,0 +1,64 @@
+import { useEffect, useRef } from "react";
+import { sameMove } from "../game/engine";
+import { moveDetail, gameOverDetail } from "./embedApi";
+
+// The shown position `game` is `before` plus one move
+function advancedByOne(before, game) {
+  return game.moves.length === before.moves.length + 1 && before.moves.every((move, i) => sameMove(move, game.moves[i]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * App's side of the <tic-tac-toe> element (TicTacToeElement.js). Runs the host's commands and
+ * reports what happens on the board as events (details in embedApi.js):
+ *   move        the position shown advanced by one move in the same game: a move played, or redone
+ *   gameover    the position shown is finished: by that move, or by a clock running out
+ *   aithinking  the computer started or stopped thinking
+ *   error       a new error was shown in the status bar
+ * Opening a game (reset, a new position) reports nothing for the moves it starts with.
+ * Options:
+ *   embed       { command, onEvent(type, detail) } from the element, or null outside it. Each
+ *               command is a new { action } object; the one App started with is already applied.
+ *   dispatch, gameId, game, replay, aiThinking, error   from useGame
+ *   errorText   the error as shown
+ *   link        the game's setup in formatLink's shape, or null (puzzles, online, replays)
+ */
+export function useEmbed({ embed, dispatch, gameId, game, replay, aiThinking, error, errorText, link }) {
+  const command = embed && embed.command;
+  const applied = useRef(command);
+  useEffect(() => {
+    if (!command || command === applied.current) return;
+    applied.current = command;
+    dispatch(command.action);
+  }, [command, dispatch]);
+
+  // The latest handler, so events never go to an element's stale callback
+  const onEvent = useRef(null);
+  onEvent.current = embed && embed.onEvent;
+  // The game's link as it is when a move is reported; it is a new object on every render
+  const latestLink = useRef(link);
+  latestLink.current = link;
+
+  const shown = useRef({ gameId, game });
+  useEffect(() => {
+    const before = shown.current;
+    shown.current = { gameId, game };
+    if (!onEvent.current || replay || before.gameId !== gameId || before.game === game) return;
+    if (advancedByOne(before.game, game)) onEvent.current("move", moveDetail(game, latestLink.current));
+    if (game.result && !before.game.result) onEvent.current("gameover", gameOverDetail(game));
+  }, [gameId, game, replay]);
+
+  const thinking = useRef(false);
+  useEffect(() => {
+    if (!onEvent.current || thinking.current === aiThinking) return;
+    thinking.current = aiThinking;
+    onEvent.current("aithinking", { thinking: aiThinking });
+  }, [aiThinking]);
+
+  const reported = useRef(null);
+  useEffect(() => {
+    if (!onEvent.current || !error || error === reported.current) return;
+    reported.current = error;
+    onEvent.current("error", { message: errorText });
+  }, [error, errorText]);
+}
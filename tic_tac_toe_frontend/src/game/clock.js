@@ -0,0 +1,103 @@
+/*
+  CHESS CLOCK
+  -----------
+
+  - Each player has a countdown. Only the running side's clock goes down; finishing a move
+    stops it and adds the increment to that player's time.
+  - Everything is in milliseconds, and every function takes `now` instead of reading the time,
+    so the clock is plain data that can live in reducer state and be tested without timers.
+  - A player whose clock reaches zero has lost on time (see flagged()); the engine's
+    loseOnTime() records the result.
+  - The clock doesn't know whose turn it is: callers start it for the player to move, or leave
+    it stopped, e.g. while a computer player's time isn't counted.
+
+  Clock shape:
+    {
+      initialMs, incrementMs     the time control
+      remaining: { X, O }        time left when the running clock was last started/stopped
+      running:   "X" | "O" | null
+      since:     ms | null       when the running clock was started
+    }
+*/
+
+// PUBLIC_INTERFACE
+/** Time controls offered: starting time and increment per move. */
+export const TIME_CONTROLS = [
+  { id: "15+2", label: "15 s + 2 s", initialMs: 15000, incrementMs: 2000 },
+  { id: "1+1", label: "1 min + 1 s", initialMs: 60000, incrementMs: 1000 },
+  { id: "3+2", label: "3 min + 2 s", initialMs: 180000, incrementMs: 2000 },
+  { id: "5+0", label: "5 min", initialMs: 300000, incrementMs: 0 }
+];
+
+// PUBLIC_INTERFACE
+/** Both clocks full and stopped. */
+export function createClock({ initialMs, incrementMs = 0 }) {
+  if (!(initialMs > 0) || !(incrementMs >= 0)) {
+    throw new RangeError("A time control needs a positive starting time and a non-negative increment");
+  }
+  return { initialMs, incrementMs, remaining: { X: initialMs, O: initialMs }, running: null, since: null };
+}
+
+// PUBLIC_INTERFACE
+/** Milliseconds `player` has left at `now`, never below zero. */
+export function timeLeft(clock, player, now) {
+  const elapsed = clock.running === player ? now - clock.since : 0;
+  return Math.max(0, clock.remaining[player] - elapsed);
+}
+
+// PUBLIC_INTERFACE
+/** Stop whichever clock is running, keeping the time it used. */
+export function stopClock(clock, now) {
+  if (!clock.running) return clock;
+  return {
+    ...clock,
+    remaining: { ...clock.remaining, [clock.running]: timeLeft(clock, clock.running, now) },
+    running: null,
+    since: null
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Start `player`'s clock (stopping the other one first). */
+export function startClock(clock, player, now) {
+  return { ...stopClock(clock, now), running: player, since: now };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * `player` has moved: stop their clock and add the increment. The next player's clock is
+ * not started. Returns { clock, chargedMs }, the time taken off `player`'s clock
+ * (0 if it wasn't running, e.g. the first move or an uncounted computer move).
+ */
+export function completeMove(clock, player, now) {
+  const chargedMs = clock.running === player ? clock.remaining[player] - timeLeft(clock, player, now) : 0;
+  const stopped = stopClock(clock, now);
+  return {
+    clock: { ...stopped, remaining: { ...stopped.remaining, [player]: stopped.remaining[player] + clock.incrementMs } },
+    chargedMs
+  };
+}
+
+// PUBLIC_INTERFACE
+/** The player whose running clock has reached zero at `now`, or null. */
+export function flagged(clock, now) {
+  return clock.running && timeLeft(clock, clock.running, now) <= 0 ? clock.running : null;
+}
+
+// PUBLIC_INTERFACE
+/** Time spent on one move: "3.2s" under a minute, "1m 05s" from there. */
+export function formatSpent(ms) {
+  if (ms < 60000) return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+// PUBLIC_INTERFACE
+/** Clock display: "m:ss", with tenths ("0:07.3") under ten seconds. */
+export function formatClock(ms) {
+  const tenths = Math.floor(Math.max(0, ms) / 100);
+  const seconds = Math.floor(tenths / 10);
+  const minutes = Math.floor(seconds / 60);
+  const text = `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+  return ms < 10000 ? `${text}.${tenths % 10}` : text;
+}
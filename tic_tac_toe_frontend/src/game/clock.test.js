@@ -0,0 +1,43 @@
+import { createClock, timeLeft, startClock, stopClock, completeMove, flagged, formatClock, formatSpent } from "./clock";
+
+test("only the running clock goes down, and a move adds the increment", () => {
+  let clock = createClock({ initialMs: 60000, incrementMs: 1000 });
+  clock = startClock(clock, "X", 0);
+  expect(timeLeft(clock, "X", 4000)).toBe(56000);
+  expect(timeLeft(clock, "O", 4000)).toBe(60000);
+
+  const { clock: moved, chargedMs } = completeMove(clock, "X", 4000);
+  expect(chargedMs).toBe(4000);
+  expect(moved.running).toBe(null);
+  expect(moved.remaining).toEqual({ X: 57000, O: 60000 });
+  expect(timeLeft(startClock(moved, "O", 4000), "X", 90000)).toBe(57000);
+});
+
+test("a stopped clock keeps its time and charges nothing", () => {
+  const clock = stopClock(startClock(createClock({ initialMs: 5000 }), "O", 100), 1100);
+  expect(clock.remaining.O).toBe(4000);
+  expect(timeLeft(clock, "O", 99999)).toBe(4000);
+  expect(completeMove(clock, "O", 5000)).toEqual({ clock, chargedMs: 0 });
+});
+
+test("the running player flags at zero, never below", () => {
+  const clock = startClock(createClock({ initialMs: 3000 }), "X", 0);
+  expect(flagged(clock, 2999)).toBe(null);
+  expect(flagged(clock, 3000)).toBe("X");
+  expect(timeLeft(clock, "X", 10000)).toBe(0);
+  expect(flagged(createClock({ initialMs: 3000 }), 10000)).toBe(null);
+});
+
+test("rejects time controls without a starting time", () => {
+  expect(() => createClock({ initialMs: 0 })).toThrow(RangeError);
+  expect(() => createClock({ initialMs: 1000, incrementMs: -1 })).toThrow(RangeError);
+});
+
+test("formats clocks and move times", () => {
+  expect(formatClock(180000)).toBe("3:00");
+  expect(formatClock(65400)).toBe("1:05");
+  expect(formatClock(7340)).toBe("0:07.3");
+  expect(formatClock(-5)).toBe("0:00.0");
+  expect(formatSpent(3240)).toBe("3.2s");
+  expect(formatSpent(65000)).toBe("1m 05s");
+});
@@ -0,0 +1,666 @@
+/*
+  TIC TAC TOE GAME ENGINE
+  -----------------------
+
+  - Pure rules of the game, free of React and the DOM, so bots, replays and
+    server-side checks can share exactly what the UI plays by.
+  - A game is an immutable (frozen) state object. Every operation returns a new
+    state and never touches the one it was given.
+  - Illegal moves throw IllegalMoveError; callers that only want to ask use isLegalMove.
+
+  Game state shape:
+    {
+      size:      number      board is size x size, 3 to 15
+      winLength: number      stones in a row needed to win (k), 3 to size
+      variant:   string      rules played, a key of VARIANTS ("classic" unless chosen)
+      board:    [[cell]]     rows of "X" | "O" | null (in 3D, layers of rows: board[layer][row][col])
+      turn:     "X" | "O"    player to move next
+      moves:    [[row,col]]  every move played so far, in order; [row,col,mark] in Wild,
+                             [layer,row,col] in 3D
+      lastMove: [row,col] | null   (with the mark in Wild)
+      result:   null | { winner, line } | { winner: null, line: null, draw: true }
+                | { winner, line: null, timeout: loser }   (a clock ran out: loseOnTime)
+      Ultimate only:
+      boards:   [[owner]]    the 3x3 small boards: "X" | "O" (won), "draw" (full), null (open)
+      nextBoard: [row,col] | null   small board the player to move must play in (null: any open one)
+      3D (cube, qubic): size layers of size x size. Cells are [layer,row,col] everywhere: moves,
+      lastMove and the winning line.
+    }
+
+  Variants:
+    classic   k in a row wins
+    misere    k in a row loses: `winner` is the player who did NOT complete `line`
+    wild      every move places X or O, the player's choice; a line of either wins for whoever made it
+    notakto   both players place X; whoever completes a line loses
+    ultimate  nine 3x3 boards in a 3x3 grid (always 9x9, three in a row). Winning a small board
+              claims it; three claimed boards in a row win, and `line` is every cell of them.
+              The cell played picks the small board the opponent must play in next; if that
+              board is already decided they may play in any open one.
+    cube      3x3x3, three in a row along any straight line: in a layer, straight through the
+              layers, or diagonally across them (corner to corner through the centre included)
+    qubic     the same on 4x4x4, four in a row
+*/
+
+export const PLAYERS = ["X", "O"];
+
+export const MIN_SIZE = 3;
+export const MAX_SIZE = 15;
+
+// Bumped whenever the serialized layout changes
+const SERIALIZE_VERSION = 3;
+
+// Directions a line can run in: horizontal, vertical, both diagonals
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+// Directions a line can run in through a cube: one of each opposite pair of the 26 neighbours
+const CUBE_DIRECTIONS = [-1, 0, 1]
+  .flatMap(dl => [-1, 0, 1].flatMap(dr => [-1, 0, 1].map(dc => [dl, dr, dc])))
+  .filter(step => step.find(d => d !== 0) === 1);
+
+// Side of an Ultimate small board, and of the grid of small boards
+const BLOCK = 3;
+
+// PUBLIC_INTERFACE
+/**
+ * Rule variants: { label, rule } for the UI, plus what sets each apart:
+ *   lineLoses   completing a line loses instead of winning
+ *   chooseMark  the player picks which mark to place (moves are [row, col, mark])
+ *   fixedBoard  board options the variant always uses
+ *   cube        played on size layers of size x size: cells are [layer, row, col]
+ */
+export const VARIANTS = {
+  classic: { label: "Classic", rule: "Complete a line of your marks to win." },
+  misere: { label: "Misère", rule: "Whoever completes a line of their marks loses.", lineLoses: true },
+  wild: {
+    label: "Wild",
+    rule: "Place X or O on every turn; whoever completes a line of either wins.",
+    chooseMark: true
+  },
+  notakto: { label: "Notakto", rule: "Both players place X; whoever completes a line loses.", lineLoses: true },
+  ultimate: {
+    label: "Ultimate",
+    rule: "Win small boards to claim them; three in a row wins. Your cell picks your opponent's next board.",
+    fixedBoard: { size: BLOCK * BLOCK, winLength: BLOCK }
+  },
+  cube: {
+    label: "3D",
+    rule: "Three layers of 3x3: three in a row wins along any straight line, across the layers too.",
+    fixedBoard: { size: 3, winLength: 3 },
+    cube: true
+  },
+  qubic: {
+    label: "Qubic",
+    rule: "Four layers of 4x4: four in a row wins along any straight line, across the layers too.",
+    fixedBoard: { size: 4, winLength: 4 },
+    cube: true
+  }
+};
+
+// Thrown when a move is not allowed by the rules
+export class IllegalMoveError extends Error {
+  constructor(message, move) {
+    super(message);
+    this.name = "IllegalMoveError";
+    this.move = move;
+  }
+}
+
+// Thrown when a board handed in from outside can't arise in a real game
+export class InvalidPositionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidPositionError";
+  }
+}
+
+// Returns a size x size grid for initializing the board state
+export function createEmptyBoard(size = 3) {
+  return Array(size)
+    .fill(null)
+    .map(() => Array(size).fill(null));
+}
+
+// Returns the run of same-player cells through [row, col] that is at least
+// winLength long, or null. Only the four lines through that cell are checked.
+export function findLineThrough(board, [row, col], winLength) {
+  const player = board[row][col];
+  if (!player) return null;
+  const size = board.length;
+  for (const [dr, dc] of DIRECTIONS) {
+    const line = [[row, col]];
+    for (const sign of [-1, 1]) {
+      let r = row + dr * sign;
+      let c = col + dc * sign;
+      while (r >= 0 && r < size && c >= 0 && c < size && board[r][c] === player) {
+        if (sign < 0) line.unshift([r, c]);
+        else line.push([r, c]);
+        r += dr * sign;
+        c += dc * sign;
+      }
+    }
+    if (line.length >= winLength) return line;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * 3D findLineThrough: the run of same-player cells through [layer, row, col] of a cube that is
+ * at least winLength long, or null. All 13 lines through the cell are checked.
+ */
+export function findCubeLineThrough(board, [layer, row, col], winLength) {
+  const player = board[layer][row][col];
+  if (!player) return null;
+  const size = board.length;
+  const inside = n => n >= 0 && n < size;
+  for (const [dl, dr, dc] of CUBE_DIRECTIONS) {
+    const line = [[layer, row, col]];
+    for (const sign of [-1, 1]) {
+      let l = layer + dl * sign;
+      let r = row + dr * sign;
+      let c = col + dc * sign;
+      while (inside(l) && inside(r) && inside(c) && board[l][r][c] === player) {
+        if (sign < 0) line.unshift([l, r, c]);
+        else line.push([l, r, c]);
+        l += dl * sign;
+        r += dr * sign;
+        c += dc * sign;
+      }
+    }
+    if (line.length >= winLength) return line;
+  }
+  return null;
+}
+
+// Checks if a player has won and returns info.
+// Scans the whole board; applyMove uses the cheaper last-move check instead.
+export function calculateWinner(board, winLength = 3) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      const line = findLineThrough(board, [r, c], winLength);
+      if (line) {
+        return {winner: board[r][c], line};
+      }
+    }
+  }
+  // Check for a draw
+  if (board.every(row => row.every(cell => cell))) {
+    return {winner: null, line: null, draw: true};
+  }
+  return null;
+}
+
+// Result after `move` was played on an otherwise undecided board; `winner` takes any line it made
+function resultAfterMove(board, move, winLength, winner) {
+  const line = findLineThrough(board, move, winLength);
+  if (line) {
+    return {winner, line};
+  }
+  if (board.every(row => row.every(cell => cell))) {
+    return {winner: null, line: null, draw: true};
+  }
+  return null;
+}
+
+// Result after `player` played `move` on an otherwise undecided cube
+function cubeResultAfterMove(board, move, winLength, player) {
+  const line = findCubeLineThrough(board, move, winLength);
+  if (line) {
+    return {winner: player, line};
+  }
+  if (board.every(layer => layer.every(row => row.every(cell => cell)))) {
+    return {winner: null, line: null, draw: true};
+  }
+  return null;
+}
+
+// Returns the other player
+export function otherPlayer(player) {
+  return player === "X" ? "O" : "X";
+}
+
+// PUBLIC_INTERFACE
+/** Whether two moves are the same cell (and, in Wild, the same mark). */
+export function sameMove(a, b) {
+  return !!a && !!b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+// PUBLIC_INTERFACE
+/** Whether a game (or board options) is played on a cube, with [layer, row, col] cells. */
+export function isCube({ variant = "classic" }) {
+  return !!VARIANTS[variant].cube;
+}
+
+// PUBLIC_INTERFACE
+/** The mark on a cell: [row, col], or [layer, row, col] in 3D. */
+export function cellAt(game, cell) {
+  return isCube(game) ? game.board[cell[0]][cell[1]][cell[2]] : game.board[cell[0]][cell[1]];
+}
+
+// Freezes a state and its board rows so callers can't mutate shared data
+function freezeGame(game) {
+  // A cube is frozen layer by layer, then as a whole
+  const grids = isCube(game) ? [...game.board] : [game.board, game.boards];
+  grids.forEach(grid => {
+    if (!grid) return;
+    grid.forEach(row => Object.freeze(row));
+    Object.freeze(grid);
+  });
+  Object.freeze(game.board);
+  Object.freeze(game.moves);
+  return Object.freeze(game);
+}
+
+// Validates board options and fills in defaults; a variant with a fixed board ignores size and winLength
+function normalizeOptions({ size = 3, winLength = Math.min(size, 5), variant = "classic" } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(VARIANTS, variant)) {
+    throw new RangeError(`Unknown rules variant "${variant}"`);
+  }
+  if (VARIANTS[variant].fixedBoard) {
+    return { ...VARIANTS[variant].fixedBoard, variant };
+  }
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    throw new RangeError(`Board size must be an integer from ${MIN_SIZE} to ${MAX_SIZE}`);
+  }
+  if (!Number.isInteger(winLength) || winLength < 3 || winLength > size) {
+    throw new RangeError(`Win length must be an integer from 3 to ${size}`);
+  }
+  return { size, winLength, variant };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Create a fresh game: empty board, X to move.
+ * Options: { size = 3, winLength = min(size, 5), variant = "classic" },
+ * e.g. { size: 15, winLength: 5 } for Gomoku, { variant: "ultimate" } or { variant: "qubic" }.
+ */
+export function createGame(options) {
+  const { size, winLength, variant } = normalizeOptions(options);
+  const game = {
+    size,
+    winLength,
+    variant,
+    board: VARIANTS[variant].cube
+      ? Array.from({ length: size }, () => createEmptyBoard(size))
+      : createEmptyBoard(size),
+    turn: "X",
+    moves: [],
+    lastMove: null,
+    result: null
+  };
+  if (variant === "ultimate") {
+    game.boards = createEmptyBoard(BLOCK);
+    game.nextBoard = null;
+  }
+  return freezeGame(game);
+}
+
+// PUBLIC_INTERFACE
+/** The Ultimate small board holding [row, col], as [boardRow, boardCol]. */
+export function boardOf([row, col]) {
+  return [Math.floor(row / BLOCK), Math.floor(col / BLOCK)];
+}
+
+// PUBLIC_INTERFACE
+/** Cells of Ultimate small board [boardRow, boardCol] as a 3x3 grid, e.g. to look for lines in it. */
+export function smallBoard(board, [boardRow, boardCol]) {
+  return board
+    .slice(boardRow * BLOCK, (boardRow + 1) * BLOCK)
+    .map(row => row.slice(boardCol * BLOCK, (boardCol + 1) * BLOCK));
+}
+
+// Every cell of an Ultimate small board, in reading order
+function cellsOf([boardRow, boardCol]) {
+  const cells = [];
+  for (let r = 0; r < BLOCK; r++) {
+    for (let c = 0; c < BLOCK; c++) cells.push([boardRow * BLOCK + r, boardCol * BLOCK + c]);
+  }
+  return cells;
+}
+
+// PUBLIC_INTERFACE
+/** Whether [row, col] is in a small board the player to move may use (always true outside Ultimate). */
+export function isPlayableBoard(game, move) {
+  if (game.variant !== "ultimate") return true;
+  const [boardRow, boardCol] = boardOf(move);
+  if (game.boards[boardRow][boardCol]) return false;
+  return !game.nextBoard || (game.nextBoard[0] === boardRow && game.nextBoard[1] === boardCol);
+}
+
+// Small boards, next board and result once `player` played [row, col] on `board` in Ultimate
+function ultimateAfterMove(game, board, [row, col], player) {
+  const [boardRow, boardCol] = boardOf([row, col]);
+  const local = [row - boardRow * BLOCK, col - boardCol * BLOCK];
+  const cells = smallBoard(board, [boardRow, boardCol]);
+  let owner = null;
+  if (findLineThrough(cells, local, BLOCK)) owner = player;
+  else if (cells.every(r => r.every(cell => cell))) owner = "draw";
+  const boards = game.boards.map((r, i) => r.map((o, j) => (i === boardRow && j === boardCol ? owner : o)));
+
+  let result = null;
+  // A drawn small board counts for nobody
+  const claimed = boards.map(r => r.map(o => (o === "draw" ? null : o)));
+  const line = owner === player ? findLineThrough(claimed, [boardRow, boardCol], BLOCK) : null;
+  if (line) {
+    result = { winner: player, line: line.flatMap(cellsOf) };
+  } else if (boards.every(r => r.every(o => o))) {
+    result = { winner: null, line: null, draw: true };
+  }
+  // The opponent is sent to the small board matching the cell played, unless it is decided
+  const nextBoard = result || boards[local[0]][local[1]] ? null : local;
+  return { boards, nextBoard, result };
+}
+
+// PUBLIC_INTERFACE
+/** Player whose turn it is, or null once the game is over. */
+export function currentPlayer(game) {
+  return game.result ? null : game.turn;
+}
+
+// PUBLIC_INTERFACE
+/** Player who made the last move (not always the mark it placed, e.g. in Notakto), or null at the start. */
+export function movedBy(game) {
+  return game.lastMove ? otherPlayer(game.turn) : null;
+}
+
+// PUBLIC_INTERFACE
+/** Result of the game: null while in progress, else { winner, line } or { draw: true }. */
+export function getResult(game) {
+  return game.result;
+}
+
+// PUBLIC_INTERFACE
+/** True once someone has won or the board is full. */
+export function isGameOver(game) {
+  return !!game.result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * All legal moves as [row, col], in reading order: the empty cells (in Ultimate, only those in
+ * the small boards allowed). In Wild each cell comes twice, as [row, col, "X"] and [row, col, "O"].
+ * In 3D they are [layer, row, col], layer by layer. Empty once the game is over.
+ */
+export function legalMoves(game) {
+  if (game.result) return [];
+  if (isCube(game)) {
+    const moves = [];
+    game.board.forEach((layer, l) =>
+      layer.forEach((row, r) =>
+        row.forEach((cell, c) => {
+          if (!cell) moves.push([l, r, c]);
+        })
+      )
+    );
+    return moves;
+  }
+  const chooseMark = VARIANTS[game.variant].chooseMark;
+  const moves = [];
+  game.board.forEach((row, r) =>
+    row.forEach((cell, c) => {
+      if (cell || !isPlayableBoard(game, [r, c])) return;
+      if (chooseMark) moves.push([r, c, "X"], [r, c, "O"]);
+      else moves.push([r, c]);
+    })
+  );
+  return moves;
+}
+
+// PUBLIC_INTERFACE
+/** Whether [row, col] (or [row, col, mark] in Wild, [layer, row, col] in 3D) may be played now. Never throws. */
+export function isLegalMove(game, move) {
+  return explainIllegalMove(game, move) === null;
+}
+
+// Returns why a move is illegal, or null if it is fine
+function explainIllegalMove(game, move) {
+  if (isCube(game)) return explainIllegalCubeMove(game, move);
+  const chooseMark = VARIANTS[game.variant].chooseMark;
+  if (!Array.isArray(move) || !(move.length === 2 || (chooseMark && move.length === 3))) {
+    return chooseMark ? "Move must be [row, col] or [row, col, mark]" : "Move must be a [row, col] pair";
+  }
+  const [row, col] = move;
+  if (!Number.isInteger(row) || !Number.isInteger(col)) {
+    return "Row and column must be integers";
+  }
+  if (move.length === 3 && !PLAYERS.includes(move[2])) {
+    return 'Mark must be "X" or "O"';
+  }
+  if (row < 0 || row >= game.board.length || col < 0 || col >= game.board[row].length) {
+    return `Cell (${row},${col}) is off the board`;
+  }
+  if (game.result) {
+    return "The game is already over";
+  }
+  if (game.board[row][col]) {
+    return `Cell (${row},${col}) is already taken`;
+  }
+  if (!isPlayableBoard(game, move)) {
+    const [boardRow, boardCol] = boardOf(move);
+    return game.boards[boardRow][boardCol]
+      ? `Small board (${boardRow},${boardCol}) is already decided`
+      : `This move must be in small board (${game.nextBoard[0]},${game.nextBoard[1]})`;
+  }
+  return null;
+}
+
+// explainIllegalMove for 3D games
+function explainIllegalCubeMove(game, move) {
+  if (!Array.isArray(move) || move.length !== 3) {
+    return "Move must be a [layer, row, col] triple";
+  }
+  if (!move.every(Number.isInteger)) {
+    return "Layer, row and column must be integers";
+  }
+  if (move.some(n => n < 0 || n >= game.size)) {
+    return `Cell (${move.join(",")}) is off the board`;
+  }
+  if (game.result) {
+    return "The game is already over";
+  }
+  if (cellAt(game, move)) {
+    return `Cell (${move.join(",")}) is already taken`;
+  }
+  return null;
+}
+
+// Board with `mark` placed on the cell `move` names; rows (and layers) it doesn't touch are shared
+function boardWith(game, move, mark) {
+  const place = (grid, [row, col]) =>
+    grid.map((r, i) => (i === row ? r.map((cell, j) => (j === col ? mark : cell)) : r.slice()));
+  if (isCube(game)) {
+    return game.board.map((layer, l) => (l === move[0] ? place(layer, move.slice(1)) : layer));
+  }
+  return place(game.board, move);
+}
+
+// Mark a move puts on the board: the player's own, X for both in Notakto, either in Wild
+function placedMark(game, move) {
+  if (game.variant === "notakto") return "X";
+  return (VARIANTS[game.variant].chooseMark && move[2]) || game.turn;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Play [row, col] for the player to move and return the new state. In Wild, [row, col, mark]
+ * picks the mark; without one the player places their own. In 3D the move is [layer, row, col].
+ * Throws IllegalMoveError if the move breaks the rules.
+ */
+export function applyMove(game, move) {
+  const reason = explainIllegalMove(game, move);
+  if (reason) {
+    throw new IllegalMoveError(reason, move);
+  }
+  const [row, col] = move;
+  const player = game.turn;
+  const mark = placedMark(game, move);
+  const played = isCube(game) ? move.slice() : VARIANTS[game.variant].chooseMark ? [row, col, mark] : [row, col];
+  const board = boardWith(game, move, mark);
+  const next = {
+    size: game.size,
+    winLength: game.winLength,
+    variant: game.variant,
+    board,
+    turn: otherPlayer(player),
+    moves: game.moves.concat([played]),
+    lastMove: played
+  };
+  if (game.variant === "ultimate") {
+    return freezeGame({ ...next, ...ultimateAfterMove(game, board, [row, col], player) });
+  }
+  if (isCube(game)) {
+    return freezeGame({ ...next, result: cubeResultAfterMove(board, move, game.winLength, player) });
+  }
+  const winner = VARIANTS[game.variant].lineLoses ? otherPlayer(player) : player;
+  return freezeGame({ ...next, result: resultAfterMove(board, [row, col], game.winLength, winner) });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * End the game because `player` (by default the player to move) ran out of time: the other
+ * player wins. The board and moves are unchanged. Throws IllegalMoveError if the game is already over.
+ */
+export function loseOnTime(game, player = game.turn) {
+  if (game.result) {
+    throw new IllegalMoveError("The game is already over", null);
+  }
+  return freezeGame({
+    ...game,
+    board: game.board.map(row => row.slice()),
+    moves: game.moves.slice(),
+    result: { winner: otherPlayer(player), line: null, timeout: player }
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Replay a list of [row, col] moves from a fresh game. Throws on the first illegal one. */
+export function replayMoves(moves, options) {
+  return moves.reduce((game, move) => applyMove(game, move), createGame(options));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Every state along a move list, starting with the empty board: [start, after move 1, ...].
+ * This is the shape the UI keeps as its move history. Throws on the first illegal move.
+ */
+export function gameHistory(moves, options) {
+  const states = [createGame(options)];
+  moves.forEach(move => states.push(applyMove(states[states.length - 1], move)));
+  return states;
+}
+
+// Whether `player` has winLength in a row anywhere on the board
+function hasLine(board, player, winLength) {
+  return board.some((row, r) =>
+    row.some((cell, c) => cell === player && !!findLineThrough(board, [r, c], winLength))
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build a classic game state from a bare board, e.g. one received over the network.
+ * Checks the board could occur in a real game (X moves first, at most one winner).
+ * The real move order is unknown, so `moves` lists X and O stones alternately in
+ * reading order and `lastMove` is null. Throws InvalidPositionError otherwise.
+ */
+export function gameFromBoard(board, { winLength } = {}) {
+  const size = Array.isArray(board) ? board.length : 0;
+  if (!size || !board.every(row => Array.isArray(row) && row.length === size)) {
+    throw new InvalidPositionError("Board must be a square grid of rows");
+  }
+  let options;
+  try {
+    options = normalizeOptions({ size, winLength: winLength === undefined ? Math.min(size, 5) : winLength });
+  } catch (e) {
+    throw new InvalidPositionError(e.message);
+  }
+
+  const xs = [];
+  const os = [];
+  const cells = board.map((row, r) =>
+    row.map((cell, c) => {
+      if (cell === "X") xs.push([r, c]);
+      else if (cell === "O") os.push([r, c]);
+      else if (cell !== null && cell !== "") {
+        throw new InvalidPositionError(`Cell (${r},${c}) must be "X", "O" or empty`);
+      }
+      return cell || null;
+    })
+  );
+  if (xs.length !== os.length && xs.length !== os.length + 1) {
+    throw new InvalidPositionError("X moves first, so X must have as many marks as O or one more");
+  }
+
+  const xWon = hasLine(cells, "X", options.winLength);
+  const oWon = hasLine(cells, "O", options.winLength);
+  if ((xWon && oWon) || (xWon && xs.length === os.length) || (oWon && xs.length > os.length)) {
+    throw new InvalidPositionError("Play would have stopped at the first win");
+  }
+
+  const moves = [];
+  xs.forEach((x, i) => {
+    moves.push(x);
+    if (os[i]) moves.push(os[i]);
+  });
+  return freezeGame({
+    ...options,
+    board: cells,
+    turn: xs.length > os.length ? "O" : "X",
+    moves,
+    lastMove: null,
+    result: calculateWinner(cells, options.winLength)
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Compact JSON text describing the game. Only board options and moves are stored; everything else is replayed. */
+export function serializeGame(game) {
+  return JSON.stringify({
+    v: SERIALIZE_VERSION,
+    size: game.size,
+    winLength: game.winLength,
+    variant: game.variant,
+    moves: game.moves
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Rebuild a game from serializeGame() output.
+ * Every move is replayed through applyMove, so tampered input throws IllegalMoveError.
+ */
+export function deserializeGame(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Saved game is not valid JSON");
+  }
+  if (!data || !Array.isArray(data.moves)) {
+    throw new Error("Unsupported saved game format");
+  }
+  if (data.v === 1) {
+    // Version 1 predates configurable boards: always 3x3, three in a row
+    return replayMoves(data.moves);
+  }
+  if (data.v === 2) {
+    // Version 2 predates rule variants: always classic
+    return replayMoves(data.moves, { size: data.size, winLength: data.winLength });
+  }
+  if (data.v !== SERIALIZE_VERSION) {
+    throw new Error("Unsupported saved game format");
+  }
+  return replayMoves(data.moves, { size: data.size, winLength: data.winLength, variant: data.variant });
+}
+
+// Picks the first available cell (easy AI)
+export function findBestMove(board) {
+  for (let i=0;i<board.length;i++) {
+    for (let j=0;j<board[i].length;j++) {
+      if (!board[i][j]) {
+        return [i,j];
+      }
+    }
+  }
+  return null;
+}
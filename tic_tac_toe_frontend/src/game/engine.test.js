@@ -0,0 +1,225 @@
+import {
+  createGame,
+  applyMove,
+  legalMoves,
+  currentPlayer,
+  getResult,
+  isLegalMove,
+  replayMoves,
+  serializeGame,
+  deserializeGame,
+  gameFromBoard,
+  loseOnTime,
+  movedBy,
+  IllegalMoveError,
+  InvalidPositionError
+} from "./engine";
+
+test("new game starts empty with X to move", () => {
+  const game = createGame();
+  expect(currentPlayer(game)).toBe("X");
+  expect(legalMoves(game)).toHaveLength(9);
+  expect(getResult(game)).toBeNull();
+});
+
+test("applyMove returns a new state and leaves the old one untouched", () => {
+  const start = createGame();
+  const next = applyMove(start, [1, 1]);
+  expect(start.board[1][1]).toBeNull();
+  expect(next.board[1][1]).toBe("X");
+  expect(currentPlayer(next)).toBe("O");
+  expect(next.lastMove).toEqual([1, 1]);
+  expect(Object.isFrozen(next.board[1])).toBe(true);
+});
+
+test("illegal moves throw IllegalMoveError", () => {
+  const game = applyMove(createGame(), [0, 0]);
+  expect(() => applyMove(game, [0, 0])).toThrow(IllegalMoveError);
+  expect(() => applyMove(game, [3, 0])).toThrow(IllegalMoveError);
+  expect(isLegalMove(game, [0, 0])).toBe(false);
+  expect(isLegalMove(game, [2, 2])).toBe(true);
+});
+
+test("detects a win and stops accepting moves", () => {
+  const game = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+  expect(getResult(game)).toEqual({ winner: "X", line: [[0, 0], [0, 1], [0, 2]] });
+  expect(currentPlayer(game)).toBeNull();
+  expect(legalMoves(game)).toEqual([]);
+  expect(() => applyMove(game, [2, 2])).toThrow(IllegalMoveError);
+});
+
+test("detects a draw", () => {
+  const game = replayMoves([
+    [0, 0], [0, 1], [0, 2],
+    [1, 1], [1, 0], [1, 2],
+    [2, 1], [2, 0], [2, 2]
+  ]);
+  expect(getResult(game)).toEqual({ winner: null, line: null, draw: true });
+});
+
+test("a player who runs out of time loses, but only in a game still going", () => {
+  const game = replayMoves([[1, 1], [0, 0]]);
+  expect(getResult(loseOnTime(game))).toEqual({ winner: "O", line: null, timeout: "X" });
+  expect(getResult(loseOnTime(game, "O")).winner).toBe("X");
+  expect(game.result).toBeNull();
+  expect(() => loseOnTime(loseOnTime(game))).toThrow(IllegalMoveError);
+});
+
+test("serialize and deserialize round-trip", () => {
+  const game = replayMoves([[1, 1], [0, 0], [2, 2]]);
+  const restored = deserializeGame(serializeGame(game));
+  expect(restored.board).toEqual(game.board);
+  expect(restored.moves).toEqual(game.moves);
+  expect(currentPlayer(restored)).toBe("O");
+});
+
+test("deserialize rejects tampered move lists", () => {
+  expect(() => deserializeGame('{"v":1,"moves":[[0,0],[0,0]]}')).toThrow(IllegalMoveError);
+  expect(() => deserializeGame("not json")).toThrow("Saved game is not valid JSON");
+});
+
+test("supports larger boards with a configurable win length", () => {
+  const game = createGame({ size: 15, winLength: 5 });
+  expect(game.board).toHaveLength(15);
+  expect(legalMoves(game)).toHaveLength(225);
+  expect(() => createGame({ size: 16 })).toThrow(RangeError);
+  expect(() => createGame({ size: 4, winLength: 5 })).toThrow(RangeError);
+});
+
+test("win on a big board is found from the last move, including the whole run", () => {
+  // X builds a diagonal from (2,2) to (6,6); O plays along the top row
+  const moves = [];
+  for (let i = 0; i < 5; i++) {
+    moves.push([2 + i, 2 + i]);
+    if (i < 4) moves.push([0, i]);
+  }
+  const game = replayMoves(moves, { size: 9, winLength: 5 });
+  expect(getResult(game)).toEqual({
+    winner: "X",
+    line: [[2, 2], [3, 3], [4, 4], [5, 5], [6, 6]]
+  });
+});
+
+test("four in a row is not enough when five are needed", () => {
+  const game = replayMoves([[0, 0], [5, 4], [0, 1], [5, 5], [0, 2], [5, 6], [0, 3]], { size: 7, winLength: 5 });
+  expect(getResult(game)).toBeNull();
+});
+
+test("serialize keeps the board setup", () => {
+  const game = replayMoves([[3, 3]], { size: 6, winLength: 4 });
+  const restored = deserializeGame(serializeGame(game));
+  expect(restored.size).toBe(6);
+  expect(restored.winLength).toBe(4);
+  expect(restored.board[3][3]).toBe("X");
+});
+
+test("gameFromBoard rebuilds a position from a bare board", () => {
+  const game = gameFromBoard([
+    ["X", null, null],
+    [null, "O", null],
+    [null, null, "X"]
+  ]);
+  expect(currentPlayer(game)).toBe("O");
+  expect(game.moves).toHaveLength(3);
+  expect(legalMoves(game)).toHaveLength(6);
+});
+
+test("gameFromBoard rejects boards no real game can reach", () => {
+  expect(() => gameFromBoard([["X", "X", null], [null, null, null], [null, null, null]])).toThrow(InvalidPositionError);
+  expect(() => gameFromBoard([["X", "X"], [null, null]])).toThrow(InvalidPositionError);
+  expect(() => gameFromBoard([["Q", null, null], [null, null, null], [null, null, null]])).toThrow(InvalidPositionError);
+  expect(gameFromBoard([["X", "X", "X"], ["O", "O", null], [null, null, null]]).result.winner).toBe("X");
+  // O can't still be playing after X completed a row
+  expect(() => gameFromBoard([["X", "X", "X"], ["O", "O", "O"], [null, null, null]])).toThrow(InvalidPositionError);
+});
+
+test("misère: completing a line loses", () => {
+  const game = replayMoves([[0, 0], [1, 0], [0, 1], [1, 1], [2, 2], [2, 0], [0, 2]], { variant: "misere" });
+  expect(getResult(game)).toEqual({ winner: "O", line: [[0, 0], [0, 1], [0, 2]] });
+  expect(movedBy(game)).toBe("X");
+});
+
+test("Notakto: both players place X and the one who completes a line loses", () => {
+  let game = replayMoves([[0, 0], [0, 1]], { variant: "notakto" });
+  expect(game.board[0]).toEqual(["X", "X", null]);
+  expect(game.turn).toBe("X");
+  game = applyMove(applyMove(game, [2, 0]), [0, 2]);
+  // O played the third X of the top row
+  expect(getResult(game).winner).toBe("X");
+});
+
+test("Wild: the player picks the mark and wins with a line of either", () => {
+  let game = createGame({ variant: "wild" });
+  expect(legalMoves(game)).toHaveLength(18);
+  game = replayMoves([[0, 0, "O"], [2, 2, "X"], [0, 1, "O"]], { variant: "wild" });
+  expect(game.moves[2]).toEqual([0, 1, "O"]);
+  // A bare [row, col] places the player's own mark
+  game = applyMove(game, [1, 1]);
+  expect(game.board[1][1]).toBe("O");
+  game = applyMove(game, [0, 2, "O"]);
+  expect(getResult(game).winner).toBe("X");
+  expect(isLegalMove(createGame({ variant: "wild" }), [0, 0, "Q"])).toBe(false);
+  expect(isLegalMove(createGame(), [0, 0, "X"])).toBe(false);
+});
+
+test("Ultimate: the cell played picks the opponent's small board", () => {
+  let game = createGame({ variant: "ultimate", size: 3 });
+  expect([game.size, game.winLength]).toEqual([9, 3]);
+  expect(legalMoves(game)).toHaveLength(81);
+  game = applyMove(game, [0, 5]); // small board (0,1), cell (0,2) -> O plays in board (0,2)
+  expect(game.nextBoard).toEqual([0, 2]);
+  expect(legalMoves(game)).toHaveLength(9);
+  expect(() => applyMove(game, [4, 4])).toThrow("This move must be in small board (0,2)");
+
+  // O keeps sending X back to the top-left board, and X takes it with its last move there,
+  // which would send O to that same board: O may play in any open one instead
+  game = replayMoves([[0, 1], [0, 3], [0, 2], [0, 6], [0, 0]], { variant: "ultimate" });
+  expect(game.boards[0][0]).toBe("X");
+  expect(game.nextBoard).toBeNull();
+  // Neither the claimed board nor the two cells O took are open
+  expect(legalMoves(game)).toHaveLength(81 - 9 - 2);
+  expect(() => applyMove(game, [1, 1])).toThrow("Small board (0,0) is already decided");
+});
+
+test("Ultimate: three small boards in a row win", () => {
+  // Both sides play the first cell they may: X ends up with the middle row of boards
+  let game = createGame({ variant: "ultimate" });
+  while (!game.result) game = applyMove(game, legalMoves(game)[0]);
+  expect(game.result.winner).toBe("X");
+  expect(game.boards[1]).toEqual(["X", "X", "X"]);
+  // The whole of each winning board is highlighted
+  expect(game.result.line).toHaveLength(27);
+  expect(game.result.line[0]).toEqual([3, 0]);
+  expect(serializeGame(deserializeGame(serializeGame(game)))).toBe(serializeGame(game));
+});
+
+test("3D: lines run through the layers, and moves are [layer, row, col]", () => {
+  let game = createGame({ variant: "cube" });
+  expect([game.size, game.winLength]).toEqual([3, 3]);
+  expect(legalMoves(game)).toHaveLength(27);
+  expect(legalMoves(game)[3]).toEqual([0, 1, 0]);
+  expect(() => applyMove(game, [1, 1])).toThrow("Move must be a [layer, row, col] triple");
+  expect(() => applyMove(game, [3, 0, 0])).toThrow("Cell (3,0,0) is off the board");
+
+  // X takes the space diagonal from corner to corner through the centre
+  game = replayMoves([[0, 0, 0], [0, 0, 1], [1, 1, 1], [0, 0, 2], [2, 2, 2]], { variant: "cube" });
+  expect(game.board[1][1][1]).toBe("X");
+  expect(game.lastMove).toEqual([2, 2, 2]);
+  expect(getResult(game)).toEqual({ winner: "X", line: [[0, 0, 0], [1, 1, 1], [2, 2, 2]] });
+  expect(serializeGame(deserializeGame(serializeGame(game)))).toBe(serializeGame(game));
+  expect(() => applyMove(replayMoves([[1, 1, 1]], { variant: "cube" }), [1, 1, 1])).toThrow(
+    "Cell (1,1,1) is already taken"
+  );
+});
+
+test("Qubic: four in a row straight down through the layers", () => {
+  let game = createGame({ variant: "qubic" });
+  expect(legalMoves(game)).toHaveLength(64);
+  for (let layer = 0; layer < 4; layer++) {
+    game = applyMove(game, [layer, 2, 1]);
+    if (layer < 3) game = applyMove(game, [layer, 0, 0]);
+  }
+  expect(game.result.winner).toBe("X");
+  expect(game.result.line).toEqual([[0, 2, 1], [1, 2, 1], [2, 2, 1], [3, 2, 1]]);
+  expect(Object.isFrozen(game.board[0][2])).toBe(true);
+});
@@ -0,0 +1,118 @@
+/*
+  GAME LINKS
+  ----------
+
+  A position written into the URL hash, so it can be bookmarked or sent to someone:
+
+    #mode=pvc&side=O&size=3&win=3&moves=b2.a1.c3&step=2
+
+  - mode   "pvp" | "pvc" | "cvc"; online games and replays have no link
+  - side   the human's side against the computer (pvc only, default X)
+  - size, win   board size and win length (default 3 and 3); ignored by variants with their own board
+  - rules  the variant (see VARIANTS), left out for classic
+  - moves  the whole line in notation cells (src/game/notation.js), separated by dots; Wild
+           moves keep their mark: "b2=O", 3D ones start with their layer: "2b2"
+  - step   the position shown, counted in moves from the start; left out at the end of the line
+  - Reading replays every move through the engine, so a link can only open a legal game.
+    Anything wrong throws a LinkError saying what.
+*/
+
+import { createGame, applyMove, sameMove, IllegalMoveError } from "./engine.js";
+import { cellName, parseCell } from "./notation.js";
+
+// Modes a link can open
+const LINK_MODES = ["pvp", "pvc", "cvc"];
+
+// PUBLIC_INTERFACE
+/** Thrown for a link that doesn't describe a game this app can open, with a message for the user. */
+export class LinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LinkError";
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The URL hash for a position:
+ *   { mode, humanSide?, boardOptions: { size, winLength, variant }, moves, step? }
+ * `moves` is the whole line; without `step` the link opens on its last position.
+ */
+export function formatLink({ mode, humanSide, boardOptions, moves, step }) {
+  const { size, winLength, variant = "classic" } = boardOptions;
+  const params = [`mode=${mode}`];
+  if (mode === "pvc") params.push(`side=${humanSide || "X"}`);
+  params.push(`size=${size}`, `win=${winLength}`);
+  if (variant !== "classic") params.push(`rules=${variant}`);
+  if (moves.length > 0) params.push(`moves=${moves.map(cellName).join(".")}`);
+  if (step !== undefined && step !== moves.length) params.push(`step=${step}`);
+  return `#${params.join("&")}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether `link` is a position on `other`'s line: same mode, side and board, and its moves start
+ * `other`'s (which may go on further). Such a link can be shown by moving along `other`'s line.
+ */
+export function onLine(link, other) {
+  const setup = (position) => formatLink({ ...position, moves: [], step: undefined });
+  return (
+    setup(link) === setup(other) &&
+    link.moves.length <= other.moves.length &&
+    link.moves.every((move, i) => sameMove(move, other.moves[i]))
+  );
+}
+
+// A whole number from a parameter, or `fallback` if it's missing
+function readNumber(params, name, fallback) {
+  const text = params.get(name);
+  if (text === null) return fallback;
+  if (!/^\d+$/.test(text)) throw new LinkError(`"${text}" is not a number (${name})`);
+  return Number(text);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The position in a URL hash (with or without its "#"), in the shape formatLink takes, with
+ * `step` always set. Null for a hash that isn't a game link; throws LinkError for a broken one.
+ */
+export function parseLink(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!params.has("mode")) return null;
+
+  const mode = params.get("mode");
+  if (!LINK_MODES.includes(mode)) throw new LinkError(`Unknown mode "${mode}"`);
+  const humanSide = params.get("side") || "X";
+  if (humanSide !== "X" && humanSide !== "O") throw new LinkError(`Side must be X or O, not "${humanSide}"`);
+
+  const tokens = params.get("moves") ? params.get("moves").split(".") : [];
+  const moves = tokens.map((token, i) => {
+    const move = parseCell(token);
+    if (!move) throw new LinkError(`Move ${i + 1} "${token}" is not a cell (expected something like b2)`);
+    return move;
+  });
+
+  let game;
+  try {
+    game = createGame({
+      size: readNumber(params, "size", 3),
+      winLength: readNumber(params, "win", 3),
+      variant: params.get("rules") || "classic"
+    });
+  } catch (e) {
+    throw new LinkError(e instanceof LinkError ? e.message : `Bad board setup: ${e.message}`);
+  }
+  const boardOptions = { size: game.size, winLength: game.winLength, variant: game.variant };
+  moves.forEach((move, i) => {
+    try {
+      game = applyMove(game, move);
+    } catch (e) {
+      if (!(e instanceof IllegalMoveError)) throw e;
+      throw new LinkError(`Move ${i + 1} (${tokens[i]}) is illegal: ${e.message}`);
+    }
+  });
+
+  const step = readNumber(params, "step", moves.length);
+  if (step > moves.length) throw new LinkError(`Step ${step} is past the last move (${moves.length})`);
+  return { mode, humanSide, boardOptions, moves, step };
+}
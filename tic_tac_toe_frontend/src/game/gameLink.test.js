@@ -0,0 +1,42 @@
+import { formatLink, parseLink, onLine, LinkError } from "./gameLink";
+
+const CLASSIC = { size: 3, winLength: 3, variant: "classic" };
+
+test("a link names the mode, board, moves and the step shown", () => {
+  const link = { mode: "pvc", humanSide: "O", boardOptions: CLASSIC, moves: [[1, 1], [0, 0], [2, 2]], step: 2 };
+  const hash = formatLink(link);
+  expect(hash).toBe("#mode=pvc&side=O&size=3&win=3&moves=b2.a1.c3&step=2");
+  expect(parseLink(hash)).toEqual(link);
+  // At the end of the line the step is left out, and reading puts it back
+  expect(formatLink({ ...link, mode: "pvp", step: 3 })).toBe("#mode=pvp&size=3&win=3&moves=b2.a1.c3");
+  expect(parseLink("mode=pvp").step).toBe(0);
+});
+
+test("variants keep their rules, and Wild moves their marks", () => {
+  const wild = { mode: "pvp", humanSide: "X", boardOptions: { ...CLASSIC, variant: "wild" }, moves: [[1, 1, "O"], [0, 0, "X"]], step: 2 };
+  expect(formatLink(wild)).toBe("#mode=pvp&size=3&win=3&rules=wild&moves=b2=O.a1=X");
+  expect(parseLink(formatLink(wild))).toEqual(wild);
+  // Ultimate always has its own board
+  expect(parseLink("#mode=pvp&size=4&rules=ultimate").boardOptions).toEqual({ size: 9, winLength: 3, variant: "ultimate" });
+});
+
+test("hashes that aren't links are null; broken links say what is wrong", () => {
+  expect(parseLink("")).toBeNull();
+  expect(parseLink("#section")).toBeNull();
+  expect(() => parseLink("#mode=online")).toThrow(new LinkError('Unknown mode "online"'));
+  expect(() => parseLink("#mode=pvp&size=big")).toThrow('"big" is not a number (size)');
+  expect(() => parseLink("#mode=pvp&size=2")).toThrow(/^Bad board setup: Board size/);
+  expect(() => parseLink("#mode=pvp&moves=b2.zz")).toThrow('Move 2 "zz" is not a cell');
+  expect(() => parseLink("#mode=pvp&moves=b2.b2")).toThrow(/^Move 2 \(b2\) is illegal: /);
+  expect(() => parseLink("#mode=pvp&moves=b2&step=2")).toThrow("Step 2 is past the last move (1)");
+});
+
+test("a link is on another's line if that game started with its moves", () => {
+  const game = { mode: "pvp", humanSide: "X", boardOptions: CLASSIC, moves: [[1, 1], [0, 0], [2, 2]], step: 3 };
+  expect(onLine({ ...game, moves: [[1, 1], [0, 0]], step: 1 }, game)).toBe(true);
+  expect(onLine({ ...game, moves: [[1, 1], [0, 1]] }, game)).toBe(false);
+  expect(onLine(game, { ...game, moves: [[1, 1]] })).toBe(false);
+  expect(onLine({ ...game, mode: "pvc" }, game)).toBe(false);
+  // The side only matters against the computer
+  expect(onLine({ ...game, humanSide: "O" }, game)).toBe(true);
+});
@@ -0,0 +1,134 @@
+/*
+  GAME TREE: undo, redo and variations
+  ------------------------------------
+
+  - Every position reached is a node holding an engine state. A node's children are the
+    different moves tried from it; the first line played is simply the first child.
+  - Each node remembers its `active` child, the one redo follows. Following active children
+    from the root gives the line shown on the board and in the move history; the current
+    node is always on that line.
+  - Playing a move from the current node:
+      - the same move as an existing child just goes there, keeping what follows (redo stack)
+      - a new move replaces the other children, unless `keepVariations` is set, in which
+        case they stay as alternate branches
+  - A node played through playMove can carry `spentMs`, how long the player took over that move.
+  - Trees are treated as immutable: every operation returns a new tree and leaves the old
+    one alone. Operations that only move `current` along the line reuse `nodes`, so the line
+    can be memoized on it.
+
+  Tree shape:
+    {
+      nodes:   { [id]: { id, parent, children: [id], active: id | null, state, spentMs? } }
+      root:    id
+      current: id
+      nextId:  number
+    }
+*/
+
+import { sameMove } from "./engine.js";
+
+// PUBLIC_INTERFACE
+/** Tree holding one line of states (start position first), with `index` as the current one. */
+export function createTree(states, index = states.length - 1) {
+  const nodes = {};
+  states.forEach((state, i) => {
+    const next = i < states.length - 1 ? i + 1 : null;
+    nodes[i] = { id: i, parent: i > 0 ? i - 1 : null, children: next === null ? [] : [next], active: next, state };
+  });
+  return { nodes, root: 0, current: index, nextId: states.length };
+}
+
+// PUBLIC_INTERFACE
+/** The current node. */
+export function currentNode(tree) {
+  return tree.nodes[tree.current];
+}
+
+// PUBLIC_INTERFACE
+/** Nodes of the active line, from the root to its last position. */
+export function lineOf(tree) {
+  const line = [];
+  for (let node = tree.nodes[tree.root]; node; node = node.active === null ? null : tree.nodes[node.active]) {
+    line.push(node);
+  }
+  return line;
+}
+
+// PUBLIC_INTERFACE
+/** Make node `id` current, switching the active line to pass through it if needed. */
+export function goTo(tree, id) {
+  let nodes = tree.nodes;
+  let child = id;
+  for (let parent = nodes[id].parent; parent !== null; parent = nodes[parent].parent) {
+    if (nodes[parent].active !== child) {
+      if (nodes === tree.nodes) nodes = { ...nodes };
+      nodes[parent] = { ...nodes[parent], active: child };
+    }
+    child = parent;
+  }
+  return { ...tree, nodes, current: id };
+}
+
+function removeSubtree(nodes, id) {
+  nodes[id].children.forEach(child => removeSubtree(nodes, child));
+  delete nodes[id];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Add the position after a move (`state`, from applyMove on the current state) and make it current.
+ * Options: { keepVariations = false } keep the other continuations as alternate branches,
+ *          { spentMs } time taken over the move, stored on the new node.
+ */
+export function playMove(tree, state, { keepVariations = false, spentMs } = {}) {
+  const parent = currentNode(tree);
+  const existing = parent.children.find(id => sameMove(tree.nodes[id].state.lastMove, state.lastMove));
+  if (existing !== undefined) return goTo(tree, existing);
+
+  const nodes = { ...tree.nodes };
+  if (!keepVariations) parent.children.forEach(child => removeSubtree(nodes, child));
+  const id = tree.nextId;
+  nodes[id] = { id, parent: parent.id, children: [], active: null, state };
+  if (spentMs !== undefined) nodes[id].spentMs = spentMs;
+  nodes[parent.id] = { ...parent, children: (keepVariations ? parent.children : []).concat([id]), active: id };
+  return { ...tree, nodes, current: id, nextId: id + 1 };
+}
+
+// PUBLIC_INTERFACE
+/** Swap the state of node `id`, e.g. for a game ended on time in that position. */
+export function replaceState(tree, id, state) {
+  return { ...tree, nodes: { ...tree.nodes, [id]: { ...tree.nodes[id], state } } };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Step back to the parent, and on past every position where skip(state) is true
+ * (e.g. the computer's turn, so one undo takes back a human+computer pair).
+ * Returns the same tree if there is nothing to undo to.
+ */
+export function undo(tree, skip = () => false) {
+  let id = currentNode(tree).parent;
+  while (id !== null && skip(tree.nodes[id].state)) id = tree.nodes[id].parent;
+  return id === null ? tree : { ...tree, current: id };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Step forward along the active line, and on past every position where skip(state) is true.
+ * Stops at the end of the line. Returns the same tree if there is nothing to redo.
+ */
+export function redo(tree, skip = () => false) {
+  let node = currentNode(tree);
+  if (node.active === null) return tree;
+  node = tree.nodes[node.active];
+  while (skip(node.state) && node.active !== null) node = tree.nodes[node.active];
+  return { ...tree, current: node.id };
+}
+
+// PUBLIC_INTERFACE
+/** Number of positions in the subtree below `id` along its active line (for "+3 moves" labels). */
+export function lineLength(tree, id) {
+  let length = 0;
+  for (let node = tree.nodes[id]; node.active !== null; node = tree.nodes[node.active]) length++;
+  return length;
+}
@@ -0,0 +1,65 @@
+import { createGame, applyMove, gameHistory } from "./engine";
+import { createTree, currentNode, lineOf, goTo, playMove, undo, redo, lineLength } from "./gameTree";
+
+function play(tree, move, options) {
+  return playMove(tree, applyMove(currentNode(tree).state, move), options);
+}
+
+function lineMoves(tree) {
+  return lineOf(tree).slice(1).map(node => node.state.lastMove);
+}
+
+test("builds a line from states and moves along it without touching the nodes", () => {
+  const tree = createTree(gameHistory([[0, 0], [1, 1], [2, 2]]));
+  expect(lineOf(tree)).toHaveLength(4);
+  expect(currentNode(tree).state.moves).toHaveLength(3);
+  const back = goTo(tree, lineOf(tree)[1].id);
+  expect(back.nodes).toBe(tree.nodes);
+  expect(currentNode(back).state.lastMove).toEqual([0, 0]);
+});
+
+test("undo and redo walk the line; a new move clears the redo stack", () => {
+  let tree = createTree([createGame()]);
+  tree = play(tree, [0, 0]);
+  tree = play(tree, [1, 1]);
+  tree = undo(tree);
+  expect(currentNode(tree).state.moves).toEqual([[0, 0]]);
+  tree = redo(tree);
+  expect(currentNode(tree).state.lastMove).toEqual([1, 1]);
+  expect(redo(tree)).toBe(tree);
+
+  tree = undo(tree);
+  // Playing the move that was undone keeps the rest of the line
+  expect(lineMoves(play(tree, [1, 1]))).toEqual([[0, 0], [1, 1]]);
+  tree = play(tree, [2, 2]);
+  expect(lineMoves(tree)).toEqual([[0, 0], [2, 2]]);
+  expect(Object.keys(tree.nodes)).toHaveLength(3);
+  expect(undo(undo(tree))).toEqual(expect.objectContaining({ current: tree.root }));
+  const atStart = goTo(tree, tree.root);
+  expect(undo(atStart)).toBe(atStart);
+});
+
+test("undo and redo can skip positions, e.g. the computer's turns", () => {
+  const computerIsO = state => state.turn === "O";
+  let tree = createTree(gameHistory([[0, 0], [1, 1], [0, 1], [0, 2]]));
+  tree = undo(tree, computerIsO);
+  expect(currentNode(tree).state.moves).toHaveLength(2);
+  tree = undo(tree, computerIsO);
+  expect(currentNode(tree).state.moves).toHaveLength(0);
+  expect(undo(tree, computerIsO)).toBe(tree);
+  tree = redo(tree, computerIsO);
+  expect(currentNode(tree).state.moves).toHaveLength(2);
+});
+
+test("variations keep alternate branches and switching to one changes the line", () => {
+  let tree = createTree(gameHistory([[0, 0], [1, 1], [2, 2]]), 1);
+  const firstReply = lineOf(tree)[2].id;
+  tree = play(tree, [0, 1], { keepVariations: true });
+  expect(lineMoves(tree)).toEqual([[0, 0], [0, 1]]);
+  const branchPoint = tree.nodes[lineOf(tree)[1].id];
+  expect(branchPoint.children).toHaveLength(2);
+
+  tree = goTo(tree, firstReply);
+  expect(lineMoves(tree)).toEqual([[0, 0], [1, 1], [2, 2]]);
+  expect(lineLength(tree, firstReply)).toBe(1);
+});
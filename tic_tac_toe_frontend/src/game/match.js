@@ -0,0 +1,86 @@
+/*
+  MATCHES
+  -------
+
+  - A match is a series of games between the same two players, optionally best-of-N.
+  - X always moves first, so the first move alternates by swapping sides: the player
+    who was X in one game is O in the next.
+  - Only finished games count. A game abandoned halfway is replayed with the same sides.
+  - Like the engine, a match is an immutable value; recordResult returns a new one.
+
+  Match shape:
+    {
+      players:  [name, name]       players[firstX] is X in the first game
+      firstX:   0 | 1
+      bestOf:   number | null      null: open-ended series, never "over"
+      results:  [{ X, O, winner }] one per finished game; X/O are player names,
+                                   winner is a player name or null for a draw
+    }
+*/
+
+// PUBLIC_INTERFACE
+/** New match with no games played. */
+export function createMatch({ players, bestOf = null, firstX = 0 }) {
+  if (!Array.isArray(players) || players.length !== 2 || players[0] === players[1]) {
+    throw new RangeError("A match needs two players with different names");
+  }
+  if (bestOf !== null && !(Number.isInteger(bestOf) && bestOf > 0 && bestOf % 2 === 1)) {
+    throw new RangeError("Best-of must be an odd number of games");
+  }
+  return Object.freeze({ players: players.slice(), firstX, bestOf, results: [] });
+}
+
+// PUBLIC_INTERFACE
+/** Who plays X and O in game `gameIndex` (0-based), by default the next game to be played. */
+export function seatsFor(match, gameIndex = match.results.length) {
+  const x = (match.firstX + gameIndex) % 2;
+  return { X: match.players[x], O: match.players[1 - x] };
+}
+
+// PUBLIC_INTERFACE
+/** Add the result ("X" | "O" | "draw") of the current game and return the new match. */
+export function recordResult(match, result) {
+  if (!["X", "O", "draw"].includes(result)) {
+    throw new RangeError(`Unknown game result: ${result}`);
+  }
+  if (matchStatus(match).over) {
+    throw new RangeError("The match is already over");
+  }
+  const seats = seatsFor(match);
+  const entry = { ...seats, winner: result === "draw" ? null : seats[result] };
+  return Object.freeze({ ...match, results: match.results.concat([entry]) });
+}
+
+// PUBLIC_INTERFACE
+/** Wins, losses and draws for each player: { [name]: { wins, losses, draws } }. */
+export function scoreboard(match) {
+  const scores = {};
+  match.players.forEach(name => {
+    scores[name] = { wins: 0, losses: 0, draws: 0 };
+  });
+  match.results.forEach(({ X, O, winner }) => {
+    if (!winner) {
+      scores[X].draws++;
+      scores[O].draws++;
+    } else {
+      scores[winner].wins++;
+      scores[winner === X ? O : X].losses++;
+    }
+  });
+  return scores;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Where the match stands: { over, winner }.
+ * A best-of-N match is over once N games are played or one player can no longer be caught;
+ * `winner` is the player with more wins then, or null for a tied match.
+ */
+export function matchStatus(match) {
+  if (match.bestOf === null) return { over: false, winner: null };
+  const scores = scoreboard(match);
+  const [a, b] = match.players.map(name => scores[name].wins);
+  const remaining = match.bestOf - match.results.length;
+  const over = remaining <= 0 || Math.abs(a - b) > remaining;
+  return { over, winner: over && a !== b ? match.players[a > b ? 0 : 1] : null };
+}
@@ -0,0 +1,47 @@
+import { createMatch, seatsFor, recordResult, scoreboard, matchStatus } from "./match";
+
+test("sides swap every game so the first move alternates", () => {
+  const match = createMatch({ players: ["You", "Computer"], firstX: 1 });
+  expect(seatsFor(match)).toEqual({ X: "Computer", O: "You" });
+  const next = recordResult(match, "draw");
+  expect(seatsFor(next)).toEqual({ X: "You", O: "Computer" });
+  expect(seatsFor(next, 2)).toEqual({ X: "Computer", O: "You" });
+});
+
+test("scoreboard counts wins, losses and draws per player, not per mark", () => {
+  let match = createMatch({ players: ["Ann", "Bo"] });
+  match = recordResult(match, "X"); // Ann is X
+  match = recordResult(match, "X"); // Bo is X
+  match = recordResult(match, "draw");
+  expect(scoreboard(match)).toEqual({
+    Ann: { wins: 1, losses: 1, draws: 1 },
+    Bo: { wins: 1, losses: 1, draws: 1 }
+  });
+  expect(match.results[1]).toEqual({ X: "Bo", O: "Ann", winner: "Bo" });
+});
+
+test("best-of-3 ends as soon as one player can't be caught", () => {
+  let match = createMatch({ players: ["Ann", "Bo"], bestOf: 3 });
+  match = recordResult(match, "X"); // Ann
+  expect(matchStatus(match)).toEqual({ over: false, winner: null });
+  match = recordResult(match, "O"); // Ann again, playing O
+  expect(matchStatus(match)).toEqual({ over: true, winner: "Ann" });
+  expect(() => recordResult(match, "X")).toThrow("already over");
+});
+
+test("a best-of-N match with draws can end tied", () => {
+  let match = createMatch({ players: ["Ann", "Bo"], bestOf: 3 });
+  // Ann wins game 1, game 2 is drawn, Bo wins game 3 as O
+  ["X", "draw", "O"].forEach(result => {
+    match = recordResult(match, result);
+  });
+  expect(matchStatus(match)).toEqual({ over: true, winner: null });
+});
+
+test("open-ended series never end and bad setups are refused", () => {
+  let match = createMatch({ players: ["Ann", "Bo"] });
+  for (let i = 0; i < 10; i++) match = recordResult(match, "X");
+  expect(matchStatus(match).over).toBe(false);
+  expect(() => createMatch({ players: ["Ann", "Ann"] })).toThrow(RangeError);
+  expect(() => createMatch({ players: ["Ann", "Bo"], bestOf: 4 })).toThrow(RangeError);
+});
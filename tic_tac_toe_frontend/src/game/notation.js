@@ -0,0 +1,277 @@
+/*
+  GAME NOTATION
+  -------------
+
+  Plain-text record of a game, modelled on chess PGN, for sharing games outside the browser.
+
+    [Game "Tic Tac Toe"]
+    [Date "2026.10.19"]
+    [Mode "pvc"]
+    [X "You"]
+    [O "Computer (Perfect)"]
+    [Size "3"]
+    [WinLength "3"]
+    [Result "1-0"]
+
+    1. b2 a1 2. c3 a3 3. a2 c2 4. b1 b3 5. c1 1-0
+
+  - Headers are [Name "value"] lines. Size and WinLength default to 3; all others are optional.
+    Unknown headers are kept as they are.
+  - [Variant "misere"] (or wild, notakto, ultimate, cube, qubic) names the rules; without it
+    they are classic.
+  - Cells are a column letter (a = left) and a row number (1 = top): "b2" is the centre of 3x3.
+    Wild moves add the mark placed: "b2=O". 3D cells start with the layer number (1 = top):
+    "2b2" is the centre of the 3x3x3 cube.
+  - Move numbers ("3.") count X+O pairs, like chess, and are optional when reading.
+  - Results: "1-0" X won, "0-1" O won, "1/2-1/2" draw, "*" unfinished. The result may close
+    the move list and must match the Result header and the moves themselves.
+  - [Termination "time forfeit"] records a game lost on time: the player to move after the last
+    move lost, so the result is a win for the other player although the board has no line.
+  - {Comments in braces} are ignored when reading.
+  - Reading replays every move through the engine; the first illegal move stops the import
+    with a NotationError giving its line and move number.
+*/
+
+import { createGame, applyMove, replayMoves, loseOnTime, isCube, cellAt, IllegalMoveError } from "./engine.js";
+
+const COLUMNS = "abcdefghijklmnopqrstuvwxyz";
+
+// Termination header value for a game lost on time
+const TIME_FORFEIT = "time forfeit";
+
+// Notation result <-> archive result ("X" | "O" | "draw" | null)
+const RESULT_TOKENS = { "1-0": "X", "0-1": "O", "1/2-1/2": "draw", "*": null };
+
+// Keeps the move list readable in a plain text editor
+const LINE_WIDTH = 80;
+
+// Thrown for text that isn't a valid game; `line` is 1-based, `moveNumber` counts single moves
+export class NotationError extends Error {
+  constructor(message, { line = null, moveNumber = null } = {}) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = "NotationError";
+    this.line = line;
+    this.moveNumber = moveNumber;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Notation name of a cell, e.g. [1, 1] -> "b2", of a Wild move, e.g. [1, 1, "O"] -> "b2=O",
+ * or of a 3D cell, e.g. [0, 1, 1] -> "1b2".
+ */
+export function cellName(move) {
+  if (typeof move[2] === "number") {
+    const [layer, row, col] = move;
+    return `${layer + 1}${cellName([row, col])}`;
+  }
+  const [row, col, mark] = move;
+  return `${COLUMNS[col]}${row + 1}${mark ? `=${mark}` : ""}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * [row, col] for a cell name like "b2" ([row, col, mark] for "b2=O", [layer, row, col] for
+ * "1b2"), or null if it isn't one. Board bounds are not checked.
+ */
+export function parseCell(text) {
+  const match = /^(\d{1,2})?([a-z])(\d{1,2})(?:=([XO]))?$/i.exec(text);
+  if (!match || (match[1] && match[4])) return null;
+  const row = Number(match[3]) - 1;
+  const layer = match[1] ? Number(match[1]) - 1 : null;
+  if (row < 0 || (layer !== null && layer < 0)) return null;
+  const cell = [row, COLUMNS.indexOf(match[2].toLowerCase())];
+  if (layer !== null) return [layer, ...cell];
+  return match[4] ? [...cell, match[4].toUpperCase()] : cell;
+}
+
+function resultToken(result) {
+  return Object.keys(RESULT_TOKENS).find(token => RESULT_TOKENS[token] === result) || "*";
+}
+
+function describeResult(result) {
+  if (result === "draw") return "a draw";
+  return result ? `a win for ${result}` : "an unfinished game";
+}
+
+// Archive-style result label of an engine state
+function resultOf(game) {
+  if (!game.result) return null;
+  return game.result.winner || "draw";
+}
+
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Write a game as notation text.
+ * Takes an archive-style record:
+ *   { size, winLength, variant?, moves, mode?, players?: { X, O }, startedAt?, termination? }.
+ * The result is worked out from the moves (and termination "time"). Throws IllegalMoveError if they aren't a legal game.
+ */
+export function formatGame({ size, winLength, variant, moves, mode, players, startedAt, termination }) {
+  let game = replayMoves(moves, { size, winLength, variant });
+  if (termination === "time" && !game.result) game = loseOnTime(game);
+  const result = resultToken(resultOf(game));
+  const headers = [["Game", "Tic Tac Toe"], ["Date", formatDate(startedAt ? new Date(startedAt) : new Date())]];
+  if (mode) headers.push(["Mode", mode]);
+  if (players) headers.push(["X", players.X], ["O", players.O]);
+  if (game.variant !== "classic") headers.push(["Variant", game.variant]);
+  headers.push(["Size", game.size], ["WinLength", game.winLength], ["Result", result]);
+  if (game.result && game.result.timeout) headers.push(["Termination", TIME_FORFEIT]);
+
+  const tokens = [];
+  moves.forEach((move, i) => {
+    if (i % 2 === 0) tokens.push(`${i / 2 + 1}.`);
+    tokens.push(cellName(move));
+  });
+  tokens.push(result);
+
+  const lines = [""];
+  tokens.forEach(token => {
+    const last = lines.length - 1;
+    if (lines[last] && lines[last].length + token.length + 1 > LINE_WIDTH) lines.push(token);
+    else lines[last] = lines[last] ? `${lines[last]} ${token}` : token;
+  });
+
+  const headerLines = headers.map(([name, value]) => `[${name} "${String(value).replace(/["\\]/g, "\\$&")}"]`);
+  return `${headerLines.join("\n")}\n\n${lines.join("\n")}\n`;
+}
+
+function readHeader(text, lineNumber) {
+  const match = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(text);
+  if (!match) throw new NotationError(`Can't read header ${text}`, { line: lineNumber });
+  return [match[1], match[2].replace(/\\(.)/g, "$1")];
+}
+
+function readBoardOption(headers, name, fallback) {
+  if (headers[name] === undefined) return fallback;
+  const value = Number(headers[name]);
+  if (!Number.isInteger(value)) throw new NotationError(`${name} must be a whole number, not "${headers[name]}"`);
+  return value;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read notation text into an archive-style record:
+ *   { headers, mode, players: { X, O }, size, winLength, variant, moves, result, termination, game }
+ * where `game` is the final engine state. Throws NotationError for anything that is not a legal game.
+ */
+export function parseGame(text) {
+  const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const headers = {};
+  let index = 0;
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line) continue;
+    if (!line.startsWith("[")) break;
+    const [name, value] = readHeader(line, index + 1);
+    headers[name] = value;
+  }
+
+  let game;
+  try {
+    game = createGame({
+      size: readBoardOption(headers, "Size", 3),
+      winLength: readBoardOption(headers, "WinLength", 3),
+      variant: headers.Variant || "classic"
+    });
+  } catch (e) {
+    throw new NotationError(e instanceof NotationError ? e.message : `Bad board setup: ${e.message}`);
+  }
+  if (headers.Result !== undefined && !(headers.Result in RESULT_TOKENS)) {
+    throw new NotationError(`Unknown result "${headers.Result}"`);
+  }
+
+  // Moves: strip comments line by line so errors can point at the right line
+  let closingResult;
+  let inComment = false;
+  for (; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    let line = lines[index];
+    if (inComment) {
+      const end = line.indexOf("}");
+      if (end < 0) continue;
+      line = line.slice(end + 1);
+      inComment = false;
+    }
+    line = line.replace(/\{[^}]*\}/g, " ");
+    if (line.includes("{")) {
+      line = line.slice(0, line.indexOf("{"));
+      inComment = true;
+    }
+
+    for (const rawToken of line.trim().split(/\s+/).filter(Boolean)) {
+      // Move numbers may be glued to the move: "1.b2"
+      const token = rawToken.replace(/^\d+\.+/, "");
+      if (!token) continue;
+      if (closingResult !== undefined) {
+        throw new NotationError(`Unexpected "${token}" after the result`, { line: lineNumber });
+      }
+      if (token in RESULT_TOKENS) {
+        closingResult = token;
+        continue;
+      }
+
+      const moveNumber = game.moves.length + 1;
+      const where = { line: lineNumber, moveNumber };
+      const move = parseCell(token);
+      // 3D games need the layer, flat ones can't have one
+      const cube = isCube(game);
+      if (!move || (typeof move[2] === "number") !== cube) {
+        throw new NotationError(`"${token}" is not a cell (expected something like ${cube ? "1b2" : "b2"})`, where);
+      }
+      const label = `Move ${moveNumber} (${game.turn} ${token})`;
+      const { size } = game;
+      if (move.some(n => typeof n === "number" && n >= size)) {
+        const dimensions = `${size}x${size}${cube ? `x${size}` : ""}`;
+        throw new NotationError(`${label} is off the ${dimensions} board`, where);
+      }
+      if (game.result) {
+        throw new NotationError(`${label} comes after the game is already over`, where);
+      }
+      if (cellAt(game, move)) {
+        throw new NotationError(`${label} is illegal: ${token} is already taken`, where);
+      }
+      try {
+        game = applyMove(game, move);
+      } catch (e) {
+        // Variant rules: a mark outside Wild, or a small board Ultimate doesn't allow
+        if (!(e instanceof IllegalMoveError)) throw e;
+        throw new NotationError(`${label} is illegal: ${e.message}`, where);
+      }
+    }
+  }
+  if (inComment) throw new NotationError("Comment is missing its closing }");
+
+  const termination = headers.Termination === TIME_FORFEIT ? "time" : undefined;
+  if (termination && game.result) {
+    throw new NotationError("Termination says time forfeit, but the moves already finish the game");
+  }
+  if (termination) game = loseOnTime(game);
+
+  // Whatever result is claimed must be what the moves actually produce
+  const result = resultOf(game);
+  [headers.Result, closingResult].forEach(token => {
+    if (token === undefined || token === "*") return;
+    if (RESULT_TOKENS[token] !== result) {
+      throw new NotationError(`Result ${token} says ${describeResult(RESULT_TOKENS[token])}, but the moves give ${describeResult(result)}`);
+    }
+  });
+
+  return {
+    headers,
+    mode: headers.Mode || null,
+    players: { X: headers.X || "Player X", O: headers.O || "Player O" },
+    size: game.size,
+    winLength: game.winLength,
+    variant: game.variant,
+    moves: game.moves,
+    result,
+    termination,
+    game
+  };
+}
@@ -0,0 +1,135 @@
+import { formatGame, parseGame, cellName, parseCell, NotationError } from "./notation";
+
+// X takes the top row
+const X_WINS = [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]];
+
+test("cell names use a column letter and a row number from the top", () => {
+  expect(cellName([0, 0])).toBe("a1");
+  expect(cellName([1, 2])).toBe("c2");
+  expect(parseCell("C2")).toEqual([1, 2]);
+  expect(parseCell("k11")).toEqual([10, 10]);
+  expect(parseCell("a0")).toBeNull();
+  expect(parseCell("2b")).toBeNull();
+});
+
+test("exports headers and numbered moves", () => {
+  const text = formatGame({
+    size: 3,
+    winLength: 3,
+    moves: [[1, 1], [0, 0], [2, 2]],
+    mode: "pvc",
+    players: { X: "You", O: "Computer \"Perfect\"" },
+    startedAt: new Date(2024, 2, 5, 12)
+  });
+  expect(text).toBe(
+    [
+      '[Game "Tic Tac Toe"]',
+      '[Date "2024.03.05"]',
+      '[Mode "pvc"]',
+      '[X "You"]',
+      '[O "Computer \\"Perfect\\""]',
+      '[Size "3"]',
+      '[WinLength "3"]',
+      '[Result "*"]',
+      "",
+      "1. b2 a1 2. c3 *",
+      ""
+    ].join("\n")
+  );
+});
+
+test("export and import round-trip a finished game", () => {
+  const record = { size: 3, winLength: 3, moves: X_WINS, mode: "pvp", players: { X: "Ann", O: "Bo" } };
+  const text = formatGame(record);
+  expect(text).toContain('[Result "1-0"]');
+  const parsed = parseGame(text);
+  expect(parsed.moves).toEqual(X_WINS);
+  expect(parsed.result).toBe("X");
+  expect(parsed.players).toEqual({ X: "Ann", O: "Bo" });
+  expect(parsed.mode).toBe("pvp");
+  expect(parsed.game.result.winner).toBe("X");
+});
+
+test("long games wrap and still read back on larger boards", () => {
+  // Alternating stones spread over four rows: no five in a row anywhere
+  const moves = Array.from({ length: 30 }, (_, i) => [(i % 2) + (i >= 15 ? 4 : 0), i % 15]);
+  const text = formatGame({ size: 15, winLength: 5, moves });
+  text.split("\n").forEach(line => expect(line.length).toBeLessThanOrEqual(80));
+  expect(parseGame(text).moves).toEqual(moves);
+});
+
+test("reads hand-written games: defaults, comments, glued move numbers", () => {
+  const parsed = parseGame("1.b2 {centre} a1\n2. c3 { a long\ncomment } a3");
+  expect(parsed.size).toBe(3);
+  expect(parsed.moves).toEqual([[1, 1], [0, 0], [2, 2], [2, 0]]);
+  expect(parsed.result).toBeNull();
+  expect(parsed.players).toEqual({ X: "Player X", O: "Player O" });
+});
+
+test("rejects illegal moves and says where", () => {
+  const text = '[Size "3"]\n\n1. b2 a1\n2. b2 c3';
+  let error;
+  try {
+    parseGame(text);
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(NotationError);
+  expect(error.line).toBe(4);
+  expect(error.moveNumber).toBe(3);
+  expect(error.message).toBe("Line 4: Move 3 (X b2) is illegal: b2 is already taken");
+
+  expect(() => parseGame("1. d1")).toThrow("Move 1 (X d1) is off the 3x3 board");
+  expect(() => parseGame("1. a1 b1 2. a2 b2 3. a3 c3")).toThrow("comes after the game is already over");
+  expect(() => parseGame("1. b2 zz")).toThrow('"zz" is not a cell');
+});
+
+test("games lost on time keep their result through the termination header", () => {
+  const text = formatGame({ size: 3, winLength: 3, moves: [[1, 1], [0, 0], [2, 2]], termination: "time" });
+  expect(text).toContain('[Result "1-0"]');
+  expect(text).toContain('[Termination "time forfeit"]');
+  const parsed = parseGame(text);
+  expect(parsed.result).toBe("X");
+  expect(parsed.termination).toBe("time");
+  expect(parsed.game.result).toEqual({ winner: "X", line: null, timeout: "O" });
+  expect(() => parseGame(`[Termination "time forfeit"]\n1. a1 b1 2. a2 b2 3. a3`)).toThrow(/already finish the game/);
+});
+
+test("rejects bad headers and results that don't match the moves", () => {
+  expect(() => parseGame('[Size "20"]')).toThrow(/Bad board setup/);
+  expect(() => parseGame("[Size 3]")).toThrow("Line 1: Can't read header");
+  expect(() => parseGame('[Result "1-0"]\n1. b2 a1')).toThrow("says a win for X, but the moves give an unfinished game");
+  expect(() => parseGame("1. b2 a1 0-1")).toThrow(NotationError);
+  expect(() => parseGame("1. b2 * a1")).toThrow('Unexpected "a1" after the result');
+});
+
+test("variants are kept in a header, with the mark of Wild moves", () => {
+  const text = formatGame({ size: 3, winLength: 3, variant: "wild", moves: [[1, 1, "O"], [0, 0, "X"]] });
+  expect(text).toContain('[Variant "wild"]');
+  expect(text).toContain("1. b2=O a1=X *");
+  const record = parseGame(text);
+  expect(record.variant).toBe("wild");
+  expect(record.moves).toEqual([[1, 1, "O"], [0, 0, "X"]]);
+
+  expect(formatGame({ size: 3, winLength: 3, moves: [[1, 1]] })).not.toContain("Variant");
+  expect(parseGame("1. b2").variant).toBe("classic");
+  // Ultimate sends O to the top-left board after X's a1, so i9 can't be played
+  expect(() => parseGame('[Variant "ultimate"]\n\n1. a1 i9')).toThrow(
+    "Line 3: Move 2 (O i9) is illegal: This move must be in small board (0,0)"
+  );
+  expect(() => parseGame('[Variant "chess"]\n\n1. a1')).toThrow(NotationError);
+});
+
+test("3D moves lead with their layer", () => {
+  expect(cellName([0, 1, 2])).toBe("1c2");
+  expect(parseCell("3a1")).toEqual([2, 0, 0]);
+  expect(parseCell("1a1=X")).toBeNull();
+  const moves = [[1, 1, 1], [0, 0, 0], [0, 0, 1], [2, 2, 1], [0, 1, 1], [0, 2, 1], [2, 1, 1]];
+  const text = formatGame({ size: 3, winLength: 3, variant: "cube", moves });
+  expect(text).toContain("1. 2b2 1a1 2. 1b1 3b3 3. 1b2 1b3 4. 3b2 1-0");
+  expect(parseGame(text).moves).toEqual(moves);
+
+  expect(() => parseGame('[Variant "cube"]\n\n1. b2')).toThrow('"b2" is not a cell (expected something like 1b2)');
+  expect(() => parseGame("1. 2b2")).toThrow('"2b2" is not a cell (expected something like b2)');
+  expect(() => parseGame('[Variant "cube"]\n\n1. 4b2')).toThrow("Move 1 (X 4b2) is off the 3x3x3 board");
+});
@@ -0,0 +1,37 @@
+import React from "react";
+import { LOCALES } from "./i18n";
+
+// PUBLIC_INTERFACE
+/**
+ * Language picker for the header. Each language is named in its own language, so anyone can
+ * find theirs whatever the app is showing.
+ * Props: colors, t, locale, onChange(locale)
+ */
+function LanguagePicker({ colors, t, locale, onChange }) {
+  return (
+    <label style={{ display: "flex", alignItems: "center", gap: "6px", marginTop: "10px", fontSize: "0.95rem", color: colors.text }}>
+      {t("language.label")}
+      <select
+        value={locale}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={t("language.select")}
+        style={{
+          borderRadius: "6px",
+          border: `1.5px solid ${colors.border}`,
+          padding: "4px 8px",
+          color: colors.primary,
+          background: colors.surface,
+          fontWeight: 600
+        }}
+      >
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguagePicker;
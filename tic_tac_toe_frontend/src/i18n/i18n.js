@@ -0,0 +1,120 @@
+/*
+  TRANSLATIONS
+  ------------
+
+  - Everything the app shows comes from a message catalog (src/i18n/messages): English,
+    Spanish, German and Arabic. Components get a translator `t` as a prop and call e.g.
+    t("status.next", { player: "X" }).
+  - Messages are text with {name} placeholders. Numbers filled in are formatted for the locale
+    (Intl.NumberFormat). A message that depends on a number is an object of plural forms,
+    picked by its `count` value with Intl.PluralRules, `other` when a form is missing:
+      "archive.moves": { one: "{count} move", other: "{count} moves" }
+    Arabic has all six forms: zero, one, two, few, many, other.
+  - A message missing from a catalog falls back to English, then to its id.
+  - Arabic is written right to left: its `dir` is "rtl" and the layout is mirrored. The board
+    and the replay timeline stay left to right, so cell names like "a1", the columns counted in
+    screen reader labels and the arrow keys mean the same in every language.
+  - The marks stay "X" and "O". Game notation, links, saved games and player names are data,
+    not text, and are never translated; the app's own player names ("You", "Computer",
+    "Player 1"...) are shown translated (t.playerName). Messages from the notation parser and
+    the servers are in English.
+  - The locale picked is saved in localStorage; until one is picked the browser's languages
+    choose. Storage failures fall back to the browser's choice and never break play.
+*/
+
+import { messages as en } from "./messages/en.js";
+import { messages as es } from "./messages/es.js";
+import { messages as de } from "./messages/de.js";
+import { messages as ar } from "./messages/ar.js";
+
+const STORAGE_KEY = "ttt.locale.v1";
+
+// PUBLIC_INTERFACE
+/** Locales shipped, by language code: { label (in its own language), dir, messages }. */
+export const LOCALES = {
+  en: { label: "English", dir: "ltr", messages: en },
+  es: { label: "Español", dir: "ltr", messages: es },
+  de: { label: "Deutsch", dir: "ltr", messages: de },
+  ar: { label: "العربية", dir: "rtl", messages: ar }
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_LOCALE = "en";
+
+// PUBLIC_INTERFACE
+/** The first shipped locale among the browser's languages (e.g. ["de-AT", "en"]), else English. */
+export function matchLocale(languages = []) {
+  for (const language of languages) {
+    const code = String(language).toLowerCase().split("-")[0];
+    if (LOCALES[code]) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// PUBLIC_INTERFACE
+/** The locale saved by the language picker, or null if none (or it can't be read). */
+export function loadLocale(storage = window.localStorage) {
+  try {
+    const saved = storage.getItem(STORAGE_KEY);
+    return LOCALES[saved] ? saved : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Remember a locale for the next visit. Returns it. */
+export function saveLocale(locale, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, locale);
+  } catch (e) {
+    // Storage disabled or full: the choice lasts until the page is closed
+  }
+  return locale;
+}
+
+// Fills the {name} placeholders of a message; numbers are written the locale's way
+function fill(text, values, numbers) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) return placeholder;
+    const value = values[name];
+    return typeof value === "number" ? numbers.format(value) : String(value);
+  });
+}
+
+// Translators by locale, so every render gets the same function
+const translators = new Map();
+
+// PUBLIC_INTERFACE
+/**
+ * The translator for a locale: t(id, values) returns the message, filled in. It also has:
+ *   t.locale, t.dir          the locale ("en") and its direction ("ltr" | "rtl")
+ *   t.number(n, options)     n formatted for the locale (Intl.NumberFormat options)
+ *   t.playerName(name)       the app's own player names translated, any other name as it is
+ */
+export function translator(locale = DEFAULT_LOCALE) {
+  const code = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  if (translators.has(code)) return translators.get(code);
+
+  const { messages, dir } = LOCALES[code];
+  const numbers = new Intl.NumberFormat(code);
+  const plurals = new Intl.PluralRules(code);
+
+  const t = (id, values = {}) => {
+    const message = messages[id] ?? en[id];
+    if (message === undefined) return id;
+    if (typeof message === "string") return fill(message, values, numbers);
+    const form = message[plurals.select(values.count)] ?? message.other;
+    return fill(form, values, numbers);
+  };
+  t.locale = code;
+  t.dir = dir;
+  t.number = (n, options) => (options ? new Intl.NumberFormat(code, options) : numbers).format(n);
+  t.playerName = (name) => {
+    const id = `name.${name}`;
+    return id in en ? t(id) : name;
+  };
+
+  translators.set(code, t);
+  return t;
+}
@@ -0,0 +1,88 @@
+import { LOCALES, translator, matchLocale, loadLocale, saveLocale } from "./i18n";
+import { messages as en } from "./messages/en";
+
+beforeEach(() => window.localStorage.clear());
+
+test("every catalog translates every English message, with the same placeholders", () => {
+  const placeholders = (message) => JSON.stringify(message).match(/\{\w+\}/g) || [];
+  Object.entries(LOCALES).forEach(([code, { messages }]) => {
+    expect([code, Object.keys(messages).sort()]).toEqual([code, Object.keys(en).sort()]);
+    Object.entries(en).forEach(([id, message]) => {
+      const theirs = placeholders(messages[id]);
+      placeholders(message).forEach((name) => {
+        // A plural form may spell its count out ("one move")
+        if (name === "{count}" && typeof message !== "string") return;
+        expect(`${code} ${id} ${name}: ${theirs.includes(name)}`).toBe(`${code} ${id} ${name}: true`);
+      });
+    });
+  });
+});
+
+test("placeholders are filled in, numbers the locale's way", () => {
+  const t = translator("de");
+  expect(t("status.next", { player: "X" })).toBe("Am Zug: X");
+  expect(t("profiles.rateOf", { rate: "50 %", count: 1234 })).toBe("50 % von 1.234");
+  // German puts a no-break space before the percent sign
+  expect(t.number(0.5, { style: "percent" })).toBe("50\u00a0%");
+  expect(translator("en")("profiles.rateOf", { rate: "50%", count: 1234 })).toBe("50% of 1,234");
+});
+
+test("plural messages pick the locale's form for the count", () => {
+  expect(translator("en")("archive.moves", { count: 1 })).toBe("1 move");
+  expect(translator("en")("archive.moves", { count: 5 })).toBe("5 moves");
+  expect(translator("es")("archive.moves", { count: 2 })).toBe("2 jugadas");
+  const ar = translator("ar");
+  expect(ar("archive.moves", { count: 1 })).toBe("نقلة واحدة");
+  expect(ar("archive.moves", { count: 2 })).toBe("نقلتان");
+  expect(ar("archive.moves", { count: 3 })).toBe(`${ar.number(3)} نقلات`);
+  expect(ar("archive.moves", { count: 11 })).toBe(`${ar.number(11)} نقلة`);
+});
+
+test("a missing message falls back to English, then to its id", () => {
+  const { messages } = LOCALES.es;
+  const saved = messages["status.draw"];
+  delete messages["status.draw"];
+  try {
+    expect(translator("es")("status.draw")).toBe("Draw!");
+  } finally {
+    messages["status.draw"] = saved;
+  }
+  expect(translator("es")("no.such.message")).toBe("no.such.message");
+  // Unknown locales are English
+  expect(translator("fr")).toBe(translator("en"));
+});
+
+test("the app's own player names are translated, anyone else's name is kept", () => {
+  const t = translator("es");
+  expect(t.playerName("Computer")).toBe("Ordenador");
+  expect(t.playerName("Player 2")).toBe("Jugador 2");
+  expect(t.playerName("Ann")).toBe("Ann");
+  expect(translator("ar").dir).toBe("rtl");
+  expect(t.dir).toBe("ltr");
+});
+
+test("the browser's languages pick the first shipped locale", () => {
+  expect(matchLocale(["fr-FR", "de-AT", "en"])).toBe("de");
+  expect(matchLocale(["AR"])).toBe("ar");
+  expect(matchLocale(["fr"])).toBe("en");
+  expect(matchLocale([])).toBe("en");
+});
+
+test("the locale picked is remembered; storage failures are harmless", () => {
+  expect(loadLocale()).toBeNull();
+  saveLocale("es");
+  expect(loadLocale()).toBe("es");
+  window.localStorage.setItem("ttt.locale.v1", "xx");
+  expect(loadLocale()).toBeNull();
+
+  const broken = {
+    getItem: () => {
+      throw new Error("denied");
+    },
+    setItem: () => {
+      throw new Error("full");
+    }
+  };
+  expect(saveLocale("de", broken)).toBe("de");
+  expect(loadLocale(broken)).toBeNull();
+});
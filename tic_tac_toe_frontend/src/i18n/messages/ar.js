@@ -0,0 +1,477 @@
+// Arabic (written right to left; counts take all six plural forms)
+export const messages = {
+  // Header
+  "app.title": "إكس أو",
+  "app.mode.pvp": "وضع لاعبَين",
+  "app.mode.pvc": "وضع لاعب ضد الحاسوب",
+  "app.mode.cvc": "وضع ذكاء اصطناعي ضد ذكاء اصطناعي",
+  "app.mode.puzzle": "وضع الألغاز",
+  "app.mode.online": "وضع اللعب عبر الإنترنت",
+  "app.replay": "إعادة: {X} ضد {O}",
+  "app.install": "تثبيت التطبيق",
+  "language.label": "اللغة:",
+  "language.select": "اختيار اللغة",
+
+  // The app's own player names
+  "name.You": "أنت",
+  "name.Computer": "الحاسوب",
+  "name.Opponent": "الخصم",
+  "name.Player 1": "اللاعب 1",
+  "name.Player 2": "اللاعب 2",
+
+  // Status bar
+  "status.next": "الدور: {player}",
+  "status.winner": "الفائز: {player}",
+  "status.winnerOnTime": "الفائز: {player} (انتهى وقت {loser})",
+  "status.winnerLineLoses": "الفائز: {player} (أكمل {loser} صفًا)",
+  "status.draw": "تعادل!",
+  "status.thinking": "الذكاء الاصطناعي يفكر...",
+  "status.offline": "غير متصل: يلعب الحاسوب بالمحرك المحلي",
+  "status.rules": "{variant}: {rule}",
+  "status.puzzle": "اللغز: {goal}",
+
+  // The computer's move provider falling back to the local engine, or giving up
+  "error.aiInvalid": "قدّم الذكاء الاصطناعي نقلة غير صالحة، يُستخدم البديل.",
+  "error.aiTimeout": "استغرق الذكاء الاصطناعي وقتًا طويلًا، يُستخدم البديل.",
+  "error.aiFailed": "فشلت نقلة الذكاء الاصطناعي، يُستخدم البديل. ({reason})",
+  "error.aiStopped": "تعذّر على الحاسوب اللعب: {reason}",
+  "error.unknown": "خطأ غير معروف",
+  "error.noMoves": "لا توجد نقلات بديلة للذكاء الاصطناعي.",
+  "error.link": "تعذّر فتح الرابط: {reason}",
+
+  // Rule variants
+  "variant.classic": "كلاسيكي",
+  "variant.classic.rule": "أكمل صفًا من علاماتك لتفوز.",
+  "variant.misere": "ميزير",
+  "variant.misere.rule": "من يُكمل صفًا من علاماته يخسر.",
+  "variant.wild": "حر",
+  "variant.wild.rule": "ضع X أو O في كل دور؛ من يُكمل صفًا من أيٍّ منهما يفوز.",
+  "variant.notakto": "نوتاكتو",
+  "variant.notakto.rule": "يضع اللاعبان X؛ من يُكمل صفًا يخسر.",
+  "variant.ultimate": "ألتيميت",
+  "variant.ultimate.rule": "اربح اللوحات الصغيرة لتمتلكها؛ ثلاث في صف تفوز. خانتك تحدد لوحة خصمك التالية.",
+  "variant.cube": "ثلاثي الأبعاد",
+  "variant.cube.rule": "ثلاث طبقات من 3x3: ثلاث في أي خط مستقيم تفوز، عبر الطبقات أيضًا.",
+  "variant.qubic": "كيوبك",
+  "variant.qubic.rule": "أربع طبقات من 4x4: أربع في أي خط مستقيم تفوز، عبر الطبقات أيضًا.",
+
+  // Computer and puzzle difficulty
+  "difficulty.easy": "سهل",
+  "difficulty.medium": "متوسط",
+  "difficulty.hard": "صعب",
+  "difficulty.perfect": "مثالي",
+
+  // AI vs AI bots
+  "bot.random": "عشوائي",
+  "bot.first-empty": "أول خانة فارغة",
+  "bot.minimax": "ميني ماكس ({level})",
+  "bot.server": "OpenAI (عبر الخادم)",
+
+  // Time controls
+  "timeControl.15+2": "15 ث + 2 ث",
+  "timeControl.1+1": "1 د + 1 ث",
+  "timeControl.3+2": "3 د + 2 ث",
+  "timeControl.5+0": "5 د",
+
+  // Game modes
+  "mode.pvp": "لاعبان",
+  "mode.pvc": "لاعب ضد الحاسوب",
+  "mode.cvc": "ذكاء اصطناعي ضد ذكاء اصطناعي",
+  "mode.puzzle": "ألغاز",
+  "mode.online": "عبر الإنترنت",
+
+  // Controls under the board
+  "controls.mode": "الوضع:",
+  "controls.modeSelect": "اختيار وضع اللعب",
+  "controls.rules": "القواعد:",
+  "controls.rulesSelect": "اختيار نوع القواعد",
+  "controls.board": "اللوحة:",
+  "controls.boardSelect": "اختيار حجم اللوحة",
+  "controls.size": "{size}x{size}",
+  "controls.size3d": "{size}x{size}x{size}",
+  "controls.inARow": "في صف:",
+  "controls.inARowSelect": "اختيار طول الصف",
+  "controls.player": "اللاعب",
+  "controls.playerN": "اللاعب {n}",
+  "controls.seat": "{name}:",
+  "controls.profileSelect": "اختيار ملف {name}",
+  "controls.guest": "ضيف",
+  "controls.match": "المباراة:",
+  "controls.matchSelect": "اختيار طول المباراة",
+  "controls.bestOf": "الأفضل من {count}",
+  "controls.openSeries": "سلسلة مفتوحة",
+  "controls.youPlay": "تلعب بـ:",
+  "controls.sideSelect": "اختيار جانبك",
+  "controls.sideX": "X (أولًا)",
+  "controls.sideO": "O (ثانيًا)",
+  "controls.difficulty": "الصعوبة:",
+  "controls.difficultySelect": "اختيار صعوبة الحاسوب",
+  "controls.computerN": "الحاسوب {n}:",
+  "controls.computerSelect": "اختيار الحاسوب {n}",
+  "controls.speed": "السرعة:",
+  "controls.speedSelect": "اختيار سرعة الذكاء الاصطناعي ضد الذكاء الاصطناعي",
+  "controls.speedOption": "{speed}x",
+  "controls.pause": "إيقاف مؤقت",
+  "controls.resume": "متابعة",
+  "controls.clock": "الساعة:",
+  "controls.clockSelect": "اختيار ضبط الوقت",
+  "controls.untimed": "بلا وقت",
+  "controls.countComputerTime": "احتساب وقت الحاسوب",
+  "controls.undo": "تراجع",
+  "controls.redo": "إعادة",
+  "controls.reset": "بدء من جديد",
+  "controls.tryAgain": "حاول مجددًا",
+  "controls.newMatch": "مباراة جديدة",
+  "controls.nextGame": "الجولة التالية",
+  "controls.hint": "تلميح",
+  "controls.hintTitle": "إبراز أقوى نقلة للاعب صاحب الدور",
+  "controls.savedGames": "الألعاب المحفوظة",
+  "controls.players": "اللاعبون",
+  "controls.appearance": "المظهر",
+  "controls.keys":
+    "المفاتيح: الأسهم للتنقل في اللوحة، Enter للعب، U تراجع، Y إعادة، R بدء من جديد، M الوضع، H تلميح",
+
+  // Appearance
+  "theme.legend": "المظهر",
+  "theme.theme": "السمة:",
+  "theme.select": "اختيار السمة",
+  "theme.system": "مثل النظام",
+  "theme.light": "فاتح",
+  "theme.dark": "داكن",
+  "theme.contrast": "تباين عالٍ",
+  "theme.symbolLabel": "رمز {mark}:",
+  "theme.symbol": "رمز {mark}",
+  "theme.custom": "ألوان مخصصة",
+  "theme.color": "لون {token}",
+  "theme.token.primary": "الرئيسي",
+  "theme.token.secondary": "الأخبار الجيدة",
+  "theme.token.accent": "الأخبار السيئة",
+  "theme.token.x": "علامات X",
+  "theme.token.o": "علامات O",
+  "theme.token.bg": "الصفحة",
+  "theme.token.surface": "اللوحة",
+  "theme.token.text": "النص",
+  "theme.reset": "إعادة ضبط المظهر",
+
+  // Board and cells, as screen readers hear them
+  "board.label": "اللوحة، {dimensions}، {rules}",
+  "board.dimensions": "{size} في {size}",
+  "board.dimensions3d": "{size} في {size} في {size}",
+  "board.classicRules": "{count} في صف تفوز",
+  "cell.label": "الصف {row}، العمود {col}: {value}",
+  "cell.label3d": "الطبقة {layer}، الصف {row}، العمود {col}: {value}",
+  "cell.empty": "فارغة",
+  "cell.winning": "، خط الفوز",
+  "cell.hint": "، تلميح",
+  "cell.boardDrawn": "، لوحة متعادلة",
+  "cell.boardWonBy": "، لوحة فاز بها {player}",
+  "markPicker.label": "العلامة التي توضع",
+  "markPicker.place": "ضع:",
+  "markPicker.placeMark": "ضع {mark}",
+
+  // Solver evaluation of an empty cell: a short label and its tooltip
+  "eval.winLabel": "ف{count}",
+  "eval.lossLabel": "خ{count}",
+  "eval.drawLabel": "ت",
+  "eval.unknownLabel": "؟",
+  "eval.win": {
+    zero: "يفوز {player}، تنتهي اللعبة بلا نقلات",
+    one: "يفوز {player}، تنتهي اللعبة بعد نقلة واحدة",
+    two: "يفوز {player}، تنتهي اللعبة بعد نقلتين",
+    few: "يفوز {player}، تنتهي اللعبة بعد {count} نقلات",
+    many: "يفوز {player}، تنتهي اللعبة بعد {count} نقلة",
+    other: "يفوز {player}، تنتهي اللعبة بعد {count} نقلة"
+  },
+  "eval.loss": {
+    zero: "يخسر {player}، تنتهي اللعبة بلا نقلات",
+    one: "يخسر {player}، تنتهي اللعبة بعد نقلة واحدة",
+    two: "يخسر {player}، تنتهي اللعبة بعد نقلتين",
+    few: "يخسر {player}، تنتهي اللعبة بعد {count} نقلات",
+    many: "يخسر {player}، تنتهي اللعبة بعد {count} نقلة",
+    other: "يخسر {player}، تنتهي اللعبة بعد {count} نقلة"
+  },
+  "eval.draw": {
+    zero: "تعادل مع أفضل لعب، تنتهي اللعبة بلا نقلات",
+    one: "تعادل مع أفضل لعب، تنتهي اللعبة بعد نقلة واحدة",
+    two: "تعادل مع أفضل لعب، تنتهي اللعبة بعد نقلتين",
+    few: "تعادل مع أفضل لعب، تنتهي اللعبة بعد {count} نقلات",
+    many: "تعادل مع أفضل لعب، تنتهي اللعبة بعد {count} نقلة",
+    other: "تعادل مع أفضل لعب، تنتهي اللعبة بعد {count} نقلة"
+  },
+  "eval.unknown": "أبعد من أن يُعرف",
+
+  // Screen reader narration
+  "narration.who": "{name} ({mark})",
+  "narration.reviewing": "النقلة {step} من {last}.",
+  "narration.start": "لعبة جديدة على لوحة {dimensions}، {count} في صف تفوز.",
+  "narration.startVariant": "لعبة {variant} جديدة على لوحة {dimensions}، {count} في صف. {rule}",
+  "narration.played": "لعب {who} {cell}.",
+  "narration.playedMark": "وضع {who} {mark} في {cell}.",
+  "narration.next": "الدور: {who}.",
+  "narration.nextBoard": "الدور: {who}، في اللوحة الصغيرة عند {cell}.",
+  "narration.ranOut": "انتهى وقت {who}.",
+  "narration.wins": "فاز {who}.",
+  "narration.youWin": "فزت {who}.",
+  "narration.winsLine": "فاز {who}: {count} في صف من {from} إلى {to}.",
+  "narration.youWinLine": "فزت {who}: {count} في صف من {from} إلى {to}.",
+  "narration.winsBoards": "فاز {who}: ثلاث لوحات صغيرة في صف.",
+  "narration.youWinBoards": "فزت {who}: ثلاث لوحات صغيرة في صف.",
+  "narration.completesLine": "أكمل {who} {count} في صف من {from} إلى {to} وخسر.",
+  "narration.youCompleteLine": "أكملت {who} {count} في صف من {from} إلى {to} وخسرت.",
+  "narration.draw": "تعادل، امتلأت اللوحة.",
+  "narration.drawBoards": "تعادل، حُسمت كل اللوحات الصغيرة.",
+  "narration.cell": "الصف {row}، العمود {col}",
+  "narration.cell3d": "الطبقة {layer}، الصف {row}، العمود {col}",
+
+  // Scoreboard
+  "score.game": "الجولة {n}",
+  "score.gameOfBestOf": "الجولة {n} من الأفضل من {count}",
+  "score.youWinMatch": "فزت بالمباراة!",
+  "score.winsMatch": "فاز {name} بالمباراة!",
+  "score.tied": "انتهت المباراة بالتعادل!",
+  "score.label": "لوحة النتائج",
+  "score.player": "اللاعب",
+  "score.side": "الجانب",
+  "score.wins": "الانتصارات",
+  "score.losses": "الهزائم",
+  "score.draws": "التعادلات",
+  "score.winsShort": "ف",
+  "score.lossesShort": "خ",
+  "score.drawsShort": "ت",
+
+  // Clocks
+  "clock.paused": "متوقفة",
+
+  // Move history
+  "history.title": "سجل النقلات",
+  "history.showAnalysis": "إظهار التحليل",
+  "history.notAnalysed": "بلا تحليل: لا يحلّل المحلّل إلا اللوحات حتى {size}x{size}.",
+  "history.keepVariations": "الاحتفاظ بالبدائل",
+  "history.start": "بداية اللعبة",
+  "history.move": "#{n}: اللاعب {move}",
+  "history.variation": "↳ #{n}: {move}",
+  "history.variationMore": "↳ #{n}: {move} +{count}",
+  "history.variations": "بدائل النقلة {n}",
+  "history.goTo": "الانتقال إلى النقلة {n}",
+  "history.goTo.best": "الانتقال إلى النقلة {n}، أفضل نقلة",
+  "history.goTo.inaccuracy": "الانتقال إلى النقلة {n}، نقلة غير دقيقة",
+  "history.goTo.blunder": "الانتقال إلى النقلة {n}، خطأ فادح",
+  "history.moveAt": "{player} في ({cell})",
+  "history.moveAtMark": "{player} ({mark}) في ({cell})",
+  "history.export": "تصدير",
+  "history.exportTitle": "تنزيل هذه اللعبة بصيغة نصية",
+  "history.import": "استيراد",
+  "history.importTitle": "تحميل لعبة من صيغة نصية",
+  "history.copyLink": "نسخ الرابط",
+  "history.copyLinkTitle": "نسخ رابط إلى هذا الوضع",
+  "history.linkCopied": "تم نسخ الرابط",
+  "history.linkFailed": "تعذّر نسخ الرابط؛ انسخه من شريط العنوان",
+  "tag.best": "أفضل نقلة",
+  "tag.inaccuracy": "نقلة غير دقيقة",
+  "tag.blunder": "خطأ فادح",
+
+  // Coach: explanations of moves and games (src/ai/coach)
+  "coach.title": "المدرب",
+  "coach.enable": "شرح النقلات",
+  "coach.empty": "العب نقلة وسيشرحها المدرب.",
+  "coach.moveHeading": "النقلة {n}: {player} في ({cell})",
+  "coach.reviewHeading": "مراجعة اللعبة",
+  "coach.reviewGame": "راجِع اللعبة",
+  "coach.backToMoves": "العودة إلى النقلات",
+  "coach.working": "المحلّل يدرس الموقف…",
+  "coach.unavailable": "لا يحلّل المحلّل إلا اللوحات حتى {size}x{size}، لذا لا يستطيع المدرب شرح هذه المباراة.",
+  "coach.pending": "جارٍ سؤال مدرب الذكاء الاصطناعي…",
+  "coach.fromModel": "شرحه مدرب الذكاء الاصطناعي بناءً على تحليل المحلّل",
+  "coach.fromTemplate": "من تحليل المحلّل",
+  "coach.modelFailed": "تعذّر على مدرب الذكاء الاصطناعي الرد ({reason})؛ هذا تحليل المحلّل.",
+  "coach.won": "يكمل {player} صفًا في ({cell}) ويفوز.",
+  "coach.lineLoses": "يكمل {player} صفًا في ({cell})، وهذا يخسر بهذه القواعد: يفوز {winner}.",
+  "coach.draw": "كانت ({cell}) النقلة الأخيرة: تنتهي اللعبة بالتعادل.",
+  "coach.best": "({cell}) هي أفضل نقلة هنا.",
+  "coach.inaccuracy": "({cell}) نقلة غير دقيقة: كانت ({best}) أقوى.",
+  "coach.blunder.win": "({cell}) خطأ فادح: كانت ({best}) تحافظ على فوز مضمون.",
+  "coach.blunder.draw": "({cell}) خطأ فادح: كانت ({best}) تحافظ على التعادل.",
+  "coach.missedWin": "كان بإمكان {player} الفوز فورًا في ({cell}).",
+  "coach.blocked": "تمنع فوزًا لـ{opponent}.",
+  "coach.fork": "إنها شوكة: يهدد {player} بالفوز في {cells}، ولا يستطيع {opponent} صد إلا تهديد واحد.",
+  "coach.threat": "يهدد {player} بالفوز في {cells}.",
+  "coach.allows": "تترك لـ{opponent} نقلة فائزة في {cells}.",
+  "coach.outlook.win": {
+    zero: "مع أفضل لعب يفوز {player}، تنتهي اللعبة بلا نقلات.",
+    one: "مع أفضل لعب يفوز {player}، تنتهي اللعبة بعد نقلة واحدة.",
+    two: "مع أفضل لعب يفوز {player}، تنتهي اللعبة بعد نقلتين.",
+    few: "مع أفضل لعب يفوز {player}، تنتهي اللعبة بعد {count} نقلات.",
+    many: "مع أفضل لعب يفوز {player}، تنتهي اللعبة بعد {count} نقلة.",
+    other: "مع أفضل لعب يفوز {player}، تنتهي اللعبة بعد {count} نقلة."
+  },
+  "coach.outlook.loss": {
+    zero: "مع أفضل لعب يفوز {opponent}، تنتهي اللعبة بلا نقلات.",
+    one: "مع أفضل لعب يفوز {opponent}، تنتهي اللعبة بعد نقلة واحدة.",
+    two: "مع أفضل لعب يفوز {opponent}، تنتهي اللعبة بعد نقلتين.",
+    few: "مع أفضل لعب يفوز {opponent}، تنتهي اللعبة بعد {count} نقلات.",
+    many: "مع أفضل لعب يفوز {opponent}، تنتهي اللعبة بعد {count} نقلة.",
+    other: "مع أفضل لعب يفوز {opponent}، تنتهي اللعبة بعد {count} نقلة."
+  },
+  "coach.outlook.draw": "مع أفضل لعب من هنا، تنتهي اللعبة بالتعادل.",
+  "coach.review.won": {
+    zero: "فاز {winner} بلا نقلات.",
+    one: "فاز {winner} بعد نقلة واحدة.",
+    two: "فاز {winner} بعد نقلتين.",
+    few: "فاز {winner} بعد {count} نقلات.",
+    many: "فاز {winner} بعد {count} نقلة.",
+    other: "فاز {winner} بعد {count} نقلة."
+  },
+  "coach.review.wonOnTime": {
+    zero: "فاز {winner} بالوقت بلا نقلات.",
+    one: "فاز {winner} بالوقت بعد نقلة واحدة.",
+    two: "فاز {winner} بالوقت بعد نقلتين.",
+    few: "فاز {winner} بالوقت بعد {count} نقلات.",
+    many: "فاز {winner} بالوقت بعد {count} نقلة.",
+    other: "فاز {winner} بالوقت بعد {count} نقلة."
+  },
+  "coach.review.draw": {
+    zero: "تعادل بلا نقلات.",
+    one: "تعادل بعد نقلة واحدة.",
+    two: "تعادل بعد نقلتين.",
+    few: "تعادل بعد {count} نقلات.",
+    many: "تعادل بعد {count} نقلة.",
+    other: "تعادل بعد {count} نقلة."
+  },
+  "coach.review.unfinished": {
+    zero: "لم تُلعب أي نقلة بعد.",
+    one: "نقلة واحدة حتى الآن.",
+    two: "نقلتان حتى الآن.",
+    few: "{count} نقلات حتى الآن.",
+    many: "{count} نقلة حتى الآن.",
+    other: "{count} نقلة حتى الآن."
+  },
+  "coach.review.clean": "لم يرتكب أي من اللاعبين خطأً استطاع المحلّل إيجاده.",
+  "coach.review.turningPoint.win": "كانت نقطة التحول النقلة {number}: لعب {player} في ({cell})، بينما كانت ({best}) تحافظ على فوز مضمون.",
+  "coach.review.turningPoint.draw": "كانت نقطة التحول النقلة {number}: لعب {player} في ({cell})، بينما كانت ({best}) تحافظ على التعادل.",
+  "coach.review.moreMistakes": {
+    zero: "نقلات أخرى للمراجعة: {moves}.",
+    one: "نقلة أخرى للمراجعة: {moves}.",
+    two: "نقلتان أخريان للمراجعة: {moves}.",
+    few: "{count} نقلات أخرى للمراجعة: {moves}.",
+    many: "{count} نقلة أخرى للمراجعة: {moves}.",
+    other: "{count} نقلة أخرى للمراجعة: {moves}."
+  },
+  "coach.review.moveRef": "{number}. {player} ({cell})",
+  "coach.review.fork": "مهّد {player} للفوز بشوكة في ({cell}) في النقلة {number}.",
+
+  // Importing notation
+  "import.notation": "تدوين اللعبة",
+  "import.file": "ملف اللعبة",
+  "import.readError": "تعذّرت قراءة هذا الملف",
+  "import.load": "تحميل اللعبة",
+  "import.cancel": "إلغاء",
+
+  // Replay
+  "replay.first": "النقلة الأولى",
+  "replay.previous": "النقلة السابقة",
+  "replay.play": "تشغيل",
+  "replay.pause": "إيقاف مؤقت",
+  "replay.next": "النقلة التالية",
+  "replay.last": "النقلة الأخيرة",
+  "replay.speed": "السرعة:",
+  "replay.speedSelect": "سرعة الإعادة",
+  "replay.position": "النقلة {step} / {last}",
+  "replay.exit": "الخروج من الإعادة",
+
+  // Saved games
+  "archive.label": "الألعاب المحفوظة",
+  "archive.title": "الألعاب المحفوظة",
+  "archive.back": "العودة إلى اللعبة",
+  "archive.mode.pvp": "لاعبان",
+  "archive.mode.pvc": "ضد الحاسوب",
+  "archive.mode.cvc": "ذكاء اصطناعي ضد ذكاء اصطناعي",
+  "archive.mode.online": "عبر الإنترنت",
+  "archive.filterMode": "التصفية حسب الوضع",
+  "archive.allModes": "كل الأوضاع",
+  "archive.filterResult": "التصفية حسب النتيجة",
+  "archive.allResults": "كل النتائج",
+  "archive.won": "فاز {player}",
+  "archive.draw": "تعادل",
+  "archive.unfinished": "غير منتهية",
+  "archive.playerPlaceholder": "اسم اللاعب",
+  "archive.filterPlayer": "التصفية حسب اللاعب",
+  "archive.none": "لا توجد ألعاب محفوظة بعد. تظهر هنا الألعاب المنتهية وغير المنتهية.",
+  "archive.noMatch": "لا توجد ألعاب تطابق عوامل التصفية هذه.",
+  "archive.players": "{X} ضد {O}",
+  "archive.moves": {
+    zero: "بلا نقلات",
+    one: "نقلة واحدة",
+    two: "نقلتان",
+    few: "{count} نقلات",
+    many: "{count} نقلة",
+    other: "{count} نقلة"
+  },
+  "archive.wonBy": "فاز {player} ({name})",
+  "archive.wonByOnTime": "فاز {player} ({name}) بالوقت",
+  "archive.replay": "إعادة",
+  "archive.delete": "حذف",
+  "archive.deleteLabel": "حذف لعبة {date}",
+
+  // Players
+  "profiles.title": "اللاعبون",
+  "profiles.back": "العودة إلى اللعبة",
+  "profiles.namePlaceholder": "الاسم",
+  "profiles.newName": "اسم اللاعب الجديد",
+  "profiles.add": "إضافة لاعب",
+  "profiles.none": "لا يوجد لاعبون بعد. أضف لاعبًا ثم اختره تحت اللوحة لتُحتسب ألعابك.",
+  "profiles.leaderboard": "لوحة الصدارة",
+  "profiles.player": "اللاعب",
+  "profiles.rating": "التقييم",
+  "profiles.games": "الألعاب",
+  "profiles.winRate": "نسبة الفوز",
+  "profiles.statsFor": "إحصاءات {name}",
+  "profiles.stats": "إحصاءات {name}",
+  "profiles.record": "فوز / تعادل / خسارة",
+  "profiles.winRateAs": "نسبة الفوز بـ {mark}",
+  "profiles.rateOf": "{rate} من {count}",
+  "profiles.longestStreak": "أطول سلسلة انتصارات",
+  "profiles.currentStreak": "السلسلة الحالية",
+  "profiles.playerName": "اسم اللاعب",
+  "profiles.save": "حفظ",
+  "profiles.rename": "إعادة التسمية",
+  "profiles.delete": "حذف اللاعب",
+  "profiles.vsComputer": "السجل ضد الحاسوب",
+  "profiles.computer": "الحاسوب",
+  "profiles.wdl": "ف-ت-خ",
+  "profiles.error.empty": "أدخل اسمًا",
+  "profiles.error.tooLong": "لا يزيد الاسم على {count} حرفًا",
+  "profiles.error.reserved": "اللعبة نفسها تستخدم «{name}»",
+  "profiles.error.taken": "يوجد لاعب باسم «{name}» بالفعل",
+
+  // Puzzles
+  "puzzle.label": "لغز",
+  "puzzle.title": "اللغز {n} · {level}",
+  "puzzle.progress": "حُلّ {solved} من {tried} ({level}) · السلسلة {streak} (الأفضل {best})",
+  "puzzle.difficultySelect": "اختيار صعوبة الألغاز",
+  "puzzle.next": "اللغز التالي",
+  "puzzle.goalWin": {
+    zero: "يلعب {player} ويفوز",
+    one: "يلعب {player} ويفوز في نقلة واحدة",
+    two: "يلعب {player} ويفوز في نقلتين",
+    few: "يلعب {player} ويفوز في {count} نقلات",
+    many: "يلعب {player} ويفوز في {count} نقلة",
+    other: "يلعب {player} ويفوز في {count} نقلة"
+  },
+  "puzzle.goalDraw": "يلعب {player} ويحافظ على التعادل",
+  "puzzle.solved": "تم الحل!",
+  "puzzle.failedWin": "لم يُحل: يستطيع {player} الإفلات الآن",
+  "puzzle.failedDraw": "لم يُحل: يستطيع {player} فرض الفوز الآن",
+
+  // Online play
+  "online.connecting": "جارٍ الاتصال بالخادم...",
+  "online.reconnecting": "انقطع الاتصال، جارٍ إعادة الاتصال...",
+  "online.opponentConnected": "الخصم متصل",
+  "online.opponentDisconnected": "انقطع اتصال الخصم، في انتظار عودته...",
+  "online.waiting": "في انتظار انضمام خصم...",
+  "online.code": "رمز اللعبة:",
+  "online.youAre": "أنت {player}",
+  "online.leave": "مغادرة اللعبة",
+  "online.create": "إنشاء لعبة",
+  "online.codeField": "رمز اللعبة",
+  "online.join": "انضمام"
+};
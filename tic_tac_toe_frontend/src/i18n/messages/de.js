@@ -0,0 +1,400 @@
+// German
+export const messages = {
+  // Header
+  "app.title": "Tic Tac Toe",
+  "app.mode.pvp": "Zwei Spieler",
+  "app.mode.pvc": "Spieler gegen Computer",
+  "app.mode.cvc": "KI gegen KI",
+  "app.mode.puzzle": "Rätselmodus",
+  "app.mode.online": "Online-Modus",
+  "app.replay": "Wiederholung: {X} gegen {O}",
+  "app.install": "App installieren",
+  "language.label": "Sprache:",
+  "language.select": "Sprachauswahl",
+
+  // The app's own player names
+  "name.You": "Du",
+  "name.Computer": "Computer",
+  "name.Opponent": "Gegner",
+  "name.Player 1": "Spieler 1",
+  "name.Player 2": "Spieler 2",
+
+  // Status bar
+  "status.next": "Am Zug: {player}",
+  "status.winner": "Sieger: {player}",
+  "status.winnerOnTime": "Sieger: {player} ({loser} hat die Zeit überschritten)",
+  "status.winnerLineLoses": "Sieger: {player} ({loser} hat eine Reihe vollendet)",
+  "status.draw": "Unentschieden!",
+  "status.thinking": "Die KI denkt nach...",
+  "status.offline": "Offline: Der Computer spielt mit der lokalen Engine",
+  "status.rules": "{variant}: {rule}",
+  "status.puzzle": "Rätsel: {goal}",
+
+  // The computer's move provider falling back to the local engine, or giving up
+  "error.aiInvalid": "Die KI hat einen ungültigen Zug geliefert, Ersatz wird verwendet.",
+  "error.aiTimeout": "Die KI hat zu lange gebraucht, Ersatz wird verwendet.",
+  "error.aiFailed": "Der KI-Zug ist fehlgeschlagen, Ersatz wird verwendet. ({reason})",
+  "error.aiStopped": "Der Computer konnte nicht ziehen: {reason}",
+  "error.unknown": "Unbekannter Fehler",
+  "error.noMoves": "Für die KI sind keine Ersatzzüge verfügbar.",
+  "error.link": "Der Link konnte nicht geöffnet werden: {reason}",
+
+  // Rule variants
+  "variant.classic": "Klassisch",
+  "variant.classic.rule": "Vollende eine Reihe deiner Zeichen, um zu gewinnen.",
+  "variant.misere": "Misère",
+  "variant.misere.rule": "Wer eine Reihe seiner Zeichen vollendet, verliert.",
+  "variant.wild": "Wild",
+  "variant.wild.rule": "Setze in jedem Zug X oder O; wer eine Reihe von einem der beiden vollendet, gewinnt.",
+  "variant.notakto": "Notakto",
+  "variant.notakto.rule": "Beide setzen X; wer eine Reihe vollendet, verliert.",
+  "variant.ultimate": "Ultimate",
+  "variant.ultimate.rule":
+    "Gewinne kleine Felder, um sie zu besetzen; drei in einer Reihe gewinnen. Dein Feld bestimmt das nächste Brett des Gegners.",
+  "variant.cube": "3D",
+  "variant.cube.rule": "Drei Ebenen zu 3x3: Drei in einer geraden Linie gewinnen, auch über die Ebenen hinweg.",
+  "variant.qubic": "Qubic",
+  "variant.qubic.rule": "Vier Ebenen zu 4x4: Vier in einer geraden Linie gewinnen, auch über die Ebenen hinweg.",
+
+  // Computer and puzzle difficulty
+  "difficulty.easy": "Leicht",
+  "difficulty.medium": "Mittel",
+  "difficulty.hard": "Schwer",
+  "difficulty.perfect": "Perfekt",
+
+  // AI vs AI bots
+  "bot.random": "Zufällig",
+  "bot.first-empty": "Erstes freies Feld",
+  "bot.minimax": "Minimax ({level})",
+  "bot.server": "OpenAI (über den Server)",
+
+  // Time controls
+  "timeControl.15+2": "15 s + 2 s",
+  "timeControl.1+1": "1 min + 1 s",
+  "timeControl.3+2": "3 min + 2 s",
+  "timeControl.5+0": "5 min",
+
+  // Game modes
+  "mode.pvp": "Zwei Spieler",
+  "mode.pvc": "Spieler gegen Computer",
+  "mode.cvc": "KI gegen KI",
+  "mode.puzzle": "Rätsel",
+  "mode.online": "Online",
+
+  // Controls under the board
+  "controls.mode": "Modus:",
+  "controls.modeSelect": "Spielmodus auswählen",
+  "controls.rules": "Regeln:",
+  "controls.rulesSelect": "Regelvariante auswählen",
+  "controls.board": "Brett:",
+  "controls.boardSelect": "Brettgröße auswählen",
+  "controls.size": "{size}x{size}",
+  "controls.size3d": "{size}x{size}x{size}",
+  "controls.inARow": "In einer Reihe:",
+  "controls.inARowSelect": "Reihenlänge auswählen",
+  "controls.player": "Spieler",
+  "controls.playerN": "Spieler {n}",
+  "controls.seat": "{name}:",
+  "controls.profileSelect": "Profil für {name} auswählen",
+  "controls.guest": "Gast",
+  "controls.match": "Match:",
+  "controls.matchSelect": "Matchlänge auswählen",
+  "controls.bestOf": "Best of {count}",
+  "controls.openSeries": "Offene Serie",
+  "controls.youPlay": "Du spielst:",
+  "controls.sideSelect": "Deine Seite auswählen",
+  "controls.sideX": "X (beginnt)",
+  "controls.sideO": "O (als Zweiter)",
+  "controls.difficulty": "Schwierigkeit:",
+  "controls.difficultySelect": "Schwierigkeit des Computers auswählen",
+  "controls.computerN": "Computer {n}:",
+  "controls.computerSelect": "Computer {n} auswählen",
+  "controls.speed": "Tempo:",
+  "controls.speedSelect": "Tempo für KI gegen KI auswählen",
+  "controls.speedOption": "{speed}x",
+  "controls.pause": "Pause",
+  "controls.resume": "Weiter",
+  "controls.clock": "Uhr:",
+  "controls.clockSelect": "Bedenkzeit auswählen",
+  "controls.untimed": "Ohne Uhr",
+  "controls.countComputerTime": "Zeit des Computers zählen",
+  "controls.undo": "Rückgängig",
+  "controls.redo": "Wiederholen",
+  "controls.reset": "Neustart",
+  "controls.tryAgain": "Noch einmal",
+  "controls.newMatch": "Neues Match",
+  "controls.nextGame": "Nächste Partie",
+  "controls.hint": "Tipp",
+  "controls.hintTitle": "Den stärksten Zug für den Spieler am Zug hervorheben",
+  "controls.savedGames": "Gespeicherte Partien",
+  "controls.players": "Spieler",
+  "controls.appearance": "Darstellung",
+  "controls.keys":
+    "Tasten: Pfeile bewegen sich über das Brett, Enter zieht, U rückgängig, Y wiederholen, R Neustart, M Modus, H Tipp",
+
+  // Appearance
+  "theme.legend": "Darstellung",
+  "theme.theme": "Design:",
+  "theme.select": "Design auswählen",
+  "theme.system": "Wie das System",
+  "theme.light": "Hell",
+  "theme.dark": "Dunkel",
+  "theme.contrast": "Hoher Kontrast",
+  "theme.symbolLabel": "Symbol für {mark}:",
+  "theme.symbol": "Symbol für {mark}",
+  "theme.custom": "Eigene Farben",
+  "theme.color": "Farbe: {token}",
+  "theme.token.primary": "Hauptfarbe",
+  "theme.token.secondary": "Gute Nachricht",
+  "theme.token.accent": "Schlechte Nachricht",
+  "theme.token.x": "X-Zeichen",
+  "theme.token.o": "O-Zeichen",
+  "theme.token.bg": "Seite",
+  "theme.token.surface": "Brett",
+  "theme.token.text": "Text",
+  "theme.reset": "Darstellung zurücksetzen",
+
+  // Board and cells, as screen readers hear them
+  "board.label": "Brett, {dimensions}, {rules}",
+  "board.dimensions": "{size} mal {size}",
+  "board.dimensions3d": "{size} mal {size} mal {size}",
+  "board.classicRules": "{count} in einer Reihe gewinnen",
+  "cell.label": "Zeile {row}, Spalte {col}: {value}",
+  "cell.label3d": "Ebene {layer}, Zeile {row}, Spalte {col}: {value}",
+  "cell.empty": "leer",
+  "cell.winning": ", Gewinnreihe",
+  "cell.hint": ", Tipp",
+  "cell.boardDrawn": ", Brett unentschieden",
+  "cell.boardWonBy": ", Brett gewonnen von {player}",
+  "markPicker.label": "Zu setzendes Zeichen",
+  "markPicker.place": "Setzen:",
+  "markPicker.placeMark": "{mark} setzen",
+
+  // Solver evaluation of an empty cell: a short label and its tooltip
+  "eval.winLabel": "S{count}",
+  "eval.lossLabel": "N{count}",
+  "eval.drawLabel": "U",
+  "eval.unknownLabel": "?",
+  "eval.win": { one: "{player} gewinnt, Ende nach {count} Zug", other: "{player} gewinnt, Ende nach {count} Zügen" },
+  "eval.loss": { one: "{player} verliert, Ende nach {count} Zug", other: "{player} verliert, Ende nach {count} Zügen" },
+  "eval.draw": {
+    one: "Unentschieden bei bestem Spiel, Ende nach {count} Zug",
+    other: "Unentschieden bei bestem Spiel, Ende nach {count} Zügen"
+  },
+  "eval.unknown": "Zu weit voraus, um es zu sagen",
+
+  // Screen reader narration
+  "narration.who": "{name} ({mark})",
+  "narration.reviewing": "Zug {step} von {last}.",
+  "narration.start": "Neue Partie auf einem Brett {dimensions}, {count} in einer Reihe gewinnen.",
+  "narration.startVariant": "Neue Partie {variant} auf einem Brett {dimensions}, {count} in einer Reihe. {rule}",
+  "narration.played": "{who} zog auf {cell}.",
+  "narration.playedMark": "{who} setzte ein {mark} auf {cell}.",
+  "narration.next": "Am Zug: {who}.",
+  "narration.nextBoard": "Am Zug: {who}, im kleinen Brett bei {cell}.",
+  "narration.ranOut": "{who} hat die Zeit überschritten.",
+  "narration.wins": "{who} gewinnt.",
+  "narration.youWin": "{who} gewinnst.",
+  "narration.winsLine": "{who} gewinnt: {count} in einer Reihe von {from} bis {to}.",
+  "narration.youWinLine": "{who} gewinnst: {count} in einer Reihe von {from} bis {to}.",
+  "narration.winsBoards": "{who} gewinnt: drei kleine Bretter in einer Reihe.",
+  "narration.youWinBoards": "{who} gewinnst: drei kleine Bretter in einer Reihe.",
+  "narration.completesLine": "{who} vollendet {count} in einer Reihe von {from} bis {to} und verliert.",
+  "narration.youCompleteLine": "{who} vollendest {count} in einer Reihe von {from} bis {to} und verlierst.",
+  "narration.draw": "Unentschieden, das Brett ist voll.",
+  "narration.drawBoards": "Unentschieden, alle kleinen Bretter sind entschieden.",
+  "narration.cell": "Zeile {row}, Spalte {col}",
+  "narration.cell3d": "Ebene {layer}, Zeile {row}, Spalte {col}",
+
+  // Scoreboard
+  "score.game": "Partie {n}",
+  "score.gameOfBestOf": "Partie {n}, Best of {count}",
+  "score.youWinMatch": "Du gewinnst das Match!",
+  "score.winsMatch": "{name} gewinnt das Match!",
+  "score.tied": "Das Match endet unentschieden!",
+  "score.label": "Punktestand",
+  "score.player": "Spieler",
+  "score.side": "Seite",
+  "score.wins": "Siege",
+  "score.losses": "Niederlagen",
+  "score.draws": "Unentschieden",
+  "score.winsShort": "S",
+  "score.lossesShort": "N",
+  "score.drawsShort": "U",
+
+  // Clocks
+  "clock.paused": "angehalten",
+
+  // Move history
+  "history.title": "Zugliste",
+  "history.showAnalysis": "Analyse anzeigen",
+  "history.notAnalysed": "Nicht analysiert: Der Löser analysiert nur Bretter bis {size}x{size}.",
+  "history.keepVariations": "Varianten behalten",
+  "history.start": "Spielbeginn",
+  "history.move": "#{n}: Spieler {move}",
+  "history.variation": "↳ #{n}: {move}",
+  "history.variationMore": "↳ #{n}: {move} +{count}",
+  "history.variations": "Varianten zu Zug {n}",
+  "history.goTo": "Zu Zug {n}",
+  "history.goTo.best": "Zu Zug {n}, bester Zug",
+  "history.goTo.inaccuracy": "Zu Zug {n}, Ungenauigkeit",
+  "history.goTo.blunder": "Zu Zug {n}, grober Fehler",
+  "history.moveAt": "{player} auf ({cell})",
+  "history.moveAtMark": "{player} ({mark}) auf ({cell})",
+  "history.export": "Exportieren",
+  "history.exportTitle": "Diese Partie als Textnotation herunterladen",
+  "history.import": "Importieren",
+  "history.importTitle": "Eine Partie aus Textnotation laden",
+  "history.copyLink": "Link kopieren",
+  "history.copyLinkTitle": "Einen Link zu dieser Stellung kopieren",
+  "history.linkCopied": "Link kopiert",
+  "history.linkFailed": "Der Link konnte nicht kopiert werden; kopiere ihn aus der Adresszeile",
+  "tag.best": "Bester Zug",
+  "tag.inaccuracy": "Ungenauigkeit",
+  "tag.blunder": "Grober Fehler",
+
+  // Coach: explanations of moves and games (src/ai/coach)
+  "coach.title": "Trainer",
+  "coach.enable": "Züge erklären",
+  "coach.empty": "Mach einen Zug, und der Trainer erklärt ihn.",
+  "coach.moveHeading": "Zug {n}: {player} auf ({cell})",
+  "coach.reviewHeading": "Partieanalyse",
+  "coach.reviewGame": "Partie analysieren",
+  "coach.backToMoves": "Zurück zu den Zügen",
+  "coach.working": "Der Löser sieht es sich an …",
+  "coach.unavailable": "Der Löser analysiert nur Bretter bis {size}x{size}, daher kann der Trainer diese Partie nicht erklären.",
+  "coach.pending": "KI-Trainer wird gefragt …",
+  "coach.fromModel": "Vom KI-Trainer erklärt, nach der Analyse des Lösers",
+  "coach.fromTemplate": "Nach der Analyse des Lösers",
+  "coach.modelFailed": "Der KI-Trainer konnte nicht antworten ({reason}); dies ist die Analyse des Lösers.",
+  "coach.won": "{player} vervollständigt auf ({cell}) eine Reihe und gewinnt.",
+  "coach.lineLoses": "{player} vervollständigt auf ({cell}) eine Reihe, und das verliert nach diesen Regeln: {winner} gewinnt.",
+  "coach.draw": "({cell}) war der letzte Zug: Die Partie endet unentschieden.",
+  "coach.best": "({cell}) ist hier der beste Zug.",
+  "coach.inaccuracy": "({cell}) ist eine Ungenauigkeit: ({best}) war stärker.",
+  "coach.blunder.win": "({cell}) ist ein grober Fehler: ({best}) hätte einen erzwungenen Sieg gehalten.",
+  "coach.blunder.draw": "({cell}) ist ein grober Fehler: ({best}) hätte das Unentschieden gehalten.",
+  "coach.missedWin": "{player} hätte auf ({cell}) sofort gewinnen können.",
+  "coach.blocked": "Der Zug verhindert einen Sieg von {opponent}.",
+  "coach.fork": "Eine Gabel: {player} droht auf {cells} zu gewinnen, und {opponent} kann nur eine Drohung abwehren.",
+  "coach.threat": "{player} droht auf {cells} zu gewinnen.",
+  "coach.allows": "Der Zug lässt {opponent} einen Gewinnzug auf {cells}.",
+  "coach.outlook.win": { one: "Bei bestem Spiel gewinnt {player}, die Partie endet in {count} Zug.", other: "Bei bestem Spiel gewinnt {player}, die Partie endet in {count} Zügen." },
+  "coach.outlook.loss": { one: "Bei bestem Spiel gewinnt {opponent}, die Partie endet in {count} Zug.", other: "Bei bestem Spiel gewinnt {opponent}, die Partie endet in {count} Zügen." },
+  "coach.outlook.draw": "Bei bestem Spiel endet die Partie von hier aus unentschieden.",
+  "coach.review.won": { one: "{winner} hat nach {count} Zug gewonnen.", other: "{winner} hat nach {count} Zügen gewonnen." },
+  "coach.review.wonOnTime": { one: "{winner} hat nach {count} Zug auf Zeit gewonnen.", other: "{winner} hat nach {count} Zügen auf Zeit gewonnen." },
+  "coach.review.draw": { one: "Unentschieden nach {count} Zug.", other: "Unentschieden nach {count} Zügen." },
+  "coach.review.unfinished": { one: "Bisher {count} Zug gespielt.", other: "Bisher {count} Züge gespielt." },
+  "coach.review.clean": "Keine Seite hat einen Fehler gemacht, den der Löser finden konnte.",
+  "coach.review.turningPoint.win": "Der Wendepunkt war Zug {number}: {player} spielte ({cell}), wo ({best}) einen erzwungenen Sieg gehalten hätte.",
+  "coach.review.turningPoint.draw": "Der Wendepunkt war Zug {number}: {player} spielte ({cell}), wo ({best}) das Unentschieden gehalten hätte.",
+  "coach.review.moreMistakes": { one: "Noch ein Zug zum Nachsehen: {moves}.", other: "Noch {count} Züge zum Nachsehen: {moves}." },
+  "coach.review.moveRef": "{number}. {player} ({cell})",
+  "coach.review.fork": "{player} hat den Sieg in Zug {number} mit einer Gabel auf ({cell}) vorbereitet.",
+
+  // Importing notation
+  "import.notation": "Partienotation",
+  "import.file": "Partiedatei",
+  "import.readError": "Die Datei konnte nicht gelesen werden",
+  "import.load": "Partie laden",
+  "import.cancel": "Abbrechen",
+
+  // Replay
+  "replay.first": "Erster Zug",
+  "replay.previous": "Vorheriger Zug",
+  "replay.play": "Abspielen",
+  "replay.pause": "Pause",
+  "replay.next": "Nächster Zug",
+  "replay.last": "Letzter Zug",
+  "replay.speed": "Tempo:",
+  "replay.speedSelect": "Abspieltempo",
+  "replay.position": "Zug {step} / {last}",
+  "replay.exit": "Wiederholung beenden",
+
+  // Saved games
+  "archive.label": "Gespeicherte Partien",
+  "archive.title": "Gespeicherte Partien",
+  "archive.back": "Zurück zum Spiel",
+  "archive.mode.pvp": "Zwei Spieler",
+  "archive.mode.pvc": "Gegen Computer",
+  "archive.mode.cvc": "KI gegen KI",
+  "archive.mode.online": "Online",
+  "archive.filterMode": "Nach Modus filtern",
+  "archive.allModes": "Alle Modi",
+  "archive.filterResult": "Nach Ergebnis filtern",
+  "archive.allResults": "Alle Ergebnisse",
+  "archive.won": "{player} hat gewonnen",
+  "archive.draw": "Unentschieden",
+  "archive.unfinished": "Nicht beendet",
+  "archive.playerPlaceholder": "Spielername",
+  "archive.filterPlayer": "Nach Spieler filtern",
+  "archive.none": "Noch keine gespeicherten Partien. Beendete und unbeendete Partien erscheinen hier.",
+  "archive.noMatch": "Keine Partie passt zu diesen Filtern.",
+  "archive.players": "{X} gegen {O}",
+  "archive.moves": { one: "{count} Zug", other: "{count} Züge" },
+  "archive.wonBy": "{player} hat gewonnen ({name})",
+  "archive.wonByOnTime": "{player} hat auf Zeit gewonnen ({name})",
+  "archive.replay": "Wiederholen",
+  "archive.delete": "Löschen",
+  "archive.deleteLabel": "Partie vom {date} löschen",
+
+  // Players
+  "profiles.title": "Spieler",
+  "profiles.back": "Zurück zum Spiel",
+  "profiles.namePlaceholder": "Name",
+  "profiles.newName": "Name des neuen Spielers",
+  "profiles.add": "Spieler hinzufügen",
+  "profiles.none": "Noch keine Spieler. Lege einen an und wähle ihn unter dem Brett, damit deine Partien zählen.",
+  "profiles.leaderboard": "Rangliste",
+  "profiles.player": "Spieler",
+  "profiles.rating": "Wertung",
+  "profiles.games": "Partien",
+  "profiles.winRate": "Siegquote",
+  "profiles.statsFor": "Statistik für {name}",
+  "profiles.stats": "Statistik von {name}",
+  "profiles.record": "Gewonnen / remis / verloren",
+  "profiles.winRateAs": "Siegquote als {mark}",
+  "profiles.rateOf": "{rate} von {count}",
+  "profiles.longestStreak": "Längste Siegesserie",
+  "profiles.currentStreak": "Aktuelle Serie",
+  "profiles.playerName": "Spielername",
+  "profiles.save": "Speichern",
+  "profiles.rename": "Umbenennen",
+  "profiles.delete": "Spieler löschen",
+  "profiles.vsComputer": "Bilanz gegen den Computer",
+  "profiles.computer": "Computer",
+  "profiles.wdl": "S-U-N",
+  "profiles.error.empty": "Gib einen Namen ein",
+  "profiles.error.tooLong": "Namen dürfen höchstens {count} Zeichen lang sein",
+  "profiles.error.reserved": "„{name}“ verwendet das Spiel selbst",
+  "profiles.error.taken": "Es gibt schon einen Spieler namens „{name}“",
+
+  // Puzzles
+  "puzzle.label": "Rätsel",
+  "puzzle.title": "Rätsel {n} · {level}",
+  "puzzle.progress": "{solved} von {tried} gelöst ({level}) · Serie {streak} (beste {best})",
+  "puzzle.difficultySelect": "Schwierigkeit der Rätsel auswählen",
+  "puzzle.next": "Nächstes Rätsel",
+  "puzzle.goalWin": {
+    one: "{player} am Zug gewinnt in {count} Zug",
+    other: "{player} am Zug gewinnt in {count} Zügen"
+  },
+  "puzzle.goalDraw": "{player} am Zug hält das Unentschieden",
+  "puzzle.solved": "Gelöst!",
+  "puzzle.failedWin": "Nicht gelöst: {player} kann jetzt entkommen",
+  "puzzle.failedDraw": "Nicht gelöst: {player} kann jetzt den Sieg erzwingen",
+
+  // Online play
+  "online.connecting": "Verbindung zum Server wird hergestellt...",
+  "online.reconnecting": "Verbindung getrennt, neuer Versuch...",
+  "online.opponentConnected": "Gegner verbunden",
+  "online.opponentDisconnected": "Gegner getrennt, warte auf seine Rückkehr...",
+  "online.waiting": "Warte auf einen Gegner...",
+  "online.code": "Spielcode:",
+  "online.youAre": "Du bist {player}",
+  "online.leave": "Spiel verlassen",
+  "online.create": "Spiel erstellen",
+  "online.codeField": "Spielcode",
+  "online.join": "Beitreten"
+};
@@ -0,0 +1,393 @@
+// English: the reference catalog. Every id used by the app is here; the other catalogs
+// translate these (see src/i18n/i18n.js for placeholders and plural forms).
+export const messages = {
+  // Header
+  "app.title": "Tic Tac Toe",
+  "app.mode.pvp": "Two Player Mode",
+  "app.mode.pvc": "Player vs Computer Mode",
+  "app.mode.cvc": "AI vs AI Mode",
+  "app.mode.puzzle": "Puzzle Mode",
+  "app.mode.online": "Online Mode",
+  "app.replay": "Replay: {X} vs {O}",
+  "app.install": "Install app",
+  "language.label": "Language:",
+  "language.select": "Language select",
+
+  // The app's own player names
+  "name.You": "You",
+  "name.Computer": "Computer",
+  "name.Opponent": "Opponent",
+  "name.Player 1": "Player 1",
+  "name.Player 2": "Player 2",
+
+  // Status bar
+  "status.next": "Next: {player}",
+  "status.winner": "Winner: {player}",
+  "status.winnerOnTime": "Winner: {player} ({loser} ran out of time)",
+  "status.winnerLineLoses": "Winner: {player} ({loser} completed a line)",
+  "status.draw": "Draw!",
+  "status.thinking": "AI Thinking...",
+  "status.offline": "Offline: the computer plays with the local engine",
+  "status.rules": "{variant}: {rule}",
+  "status.puzzle": "Puzzle: {goal}",
+
+  // The computer's move provider falling back to the local engine, or giving up
+  "error.aiInvalid": "AI gave an invalid move, using fallback.",
+  "error.aiTimeout": "AI took too long, using fallback.",
+  "error.aiFailed": "AI move failed, using fallback. ({reason})",
+  "error.aiStopped": "The computer couldn't move: {reason}",
+  "error.unknown": "Unknown error",
+  "error.noMoves": "No fallback moves available for AI.",
+  "error.link": "Couldn't open the link: {reason}",
+
+  // Rule variants
+  "variant.classic": "Classic",
+  "variant.classic.rule": "Complete a line of your marks to win.",
+  "variant.misere": "Misère",
+  "variant.misere.rule": "Whoever completes a line of their marks loses.",
+  "variant.wild": "Wild",
+  "variant.wild.rule": "Place X or O on every turn; whoever completes a line of either wins.",
+  "variant.notakto": "Notakto",
+  "variant.notakto.rule": "Both players place X; whoever completes a line loses.",
+  "variant.ultimate": "Ultimate",
+  "variant.ultimate.rule": "Win small boards to claim them; three in a row wins. Your cell picks your opponent's next board.",
+  "variant.cube": "3D",
+  "variant.cube.rule": "Three layers of 3x3: three in a row wins along any straight line, across the layers too.",
+  "variant.qubic": "Qubic",
+  "variant.qubic.rule": "Four layers of 4x4: four in a row wins along any straight line, across the layers too.",
+
+  // Computer and puzzle difficulty
+  "difficulty.easy": "Easy",
+  "difficulty.medium": "Medium",
+  "difficulty.hard": "Hard",
+  "difficulty.perfect": "Perfect",
+
+  // AI vs AI bots
+  "bot.random": "Random",
+  "bot.first-empty": "First empty cell",
+  "bot.minimax": "Minimax ({level})",
+  "bot.server": "OpenAI (via server)",
+
+  // Time controls
+  "timeControl.15+2": "15 s + 2 s",
+  "timeControl.1+1": "1 min + 1 s",
+  "timeControl.3+2": "3 min + 2 s",
+  "timeControl.5+0": "5 min",
+
+  // Game modes
+  "mode.pvp": "Two Player",
+  "mode.pvc": "Player vs Computer",
+  "mode.cvc": "AI vs AI",
+  "mode.puzzle": "Puzzles",
+  "mode.online": "Online",
+
+  // Controls under the board
+  "controls.mode": "Mode:",
+  "controls.modeSelect": "Game mode select",
+  "controls.rules": "Rules:",
+  "controls.rulesSelect": "Rules variant select",
+  "controls.board": "Board:",
+  "controls.boardSelect": "Board size select",
+  "controls.size": "{size}x{size}",
+  "controls.size3d": "{size}x{size}x{size}",
+  "controls.inARow": "In a row:",
+  "controls.inARowSelect": "Win length select",
+  "controls.player": "Player",
+  "controls.playerN": "Player {n}",
+  "controls.seat": "{name}:",
+  "controls.profileSelect": "{name} profile select",
+  "controls.guest": "Guest",
+  "controls.match": "Match:",
+  "controls.matchSelect": "Match length select",
+  "controls.bestOf": "Best of {count}",
+  "controls.openSeries": "Open series",
+  "controls.youPlay": "You play:",
+  "controls.sideSelect": "Your side select",
+  "controls.sideX": "X (first)",
+  "controls.sideO": "O (second)",
+  "controls.difficulty": "Difficulty:",
+  "controls.difficultySelect": "Computer difficulty select",
+  "controls.computerN": "Computer {n}:",
+  "controls.computerSelect": "Computer {n} select",
+  "controls.speed": "Speed:",
+  "controls.speedSelect": "AI vs AI speed select",
+  "controls.speedOption": "{speed}x",
+  "controls.pause": "Pause",
+  "controls.resume": "Resume",
+  "controls.clock": "Clock:",
+  "controls.clockSelect": "Time control select",
+  "controls.untimed": "Untimed",
+  "controls.countComputerTime": "Count computer time",
+  "controls.undo": "Undo",
+  "controls.redo": "Redo",
+  "controls.reset": "Reset",
+  "controls.tryAgain": "Try again",
+  "controls.newMatch": "New match",
+  "controls.nextGame": "Next game",
+  "controls.hint": "Hint",
+  "controls.hintTitle": "Highlight the strongest move for the player to move",
+  "controls.savedGames": "Saved games",
+  "controls.players": "Players",
+  "controls.appearance": "Appearance",
+  "controls.keys": "Keys: arrows move on the board, Enter plays, U undo, Y redo, R reset, M mode, H hint",
+
+  // Appearance
+  "theme.legend": "Appearance",
+  "theme.theme": "Theme:",
+  "theme.select": "Theme select",
+  "theme.system": "Match system",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.contrast": "High contrast",
+  "theme.symbolLabel": "{mark} symbol:",
+  "theme.symbol": "{mark} symbol",
+  "theme.custom": "Custom colors",
+  "theme.color": "{token} color",
+  "theme.token.primary": "Main",
+  "theme.token.secondary": "Good news",
+  "theme.token.accent": "Bad news",
+  "theme.token.x": "X marks",
+  "theme.token.o": "O marks",
+  "theme.token.bg": "Page",
+  "theme.token.surface": "Board",
+  "theme.token.text": "Text",
+  "theme.reset": "Reset appearance",
+
+  // Board and cells, as screen readers hear them
+  "board.label": "Board, {dimensions}, {rules}",
+  "board.dimensions": "{size} by {size}",
+  "board.dimensions3d": "{size} by {size} by {size}",
+  "board.classicRules": "{count} in a row wins",
+  "cell.label": "Row {row}, column {col}: {value}",
+  "cell.label3d": "Layer {layer}, row {row}, column {col}: {value}",
+  "cell.empty": "empty",
+  "cell.winning": ", winning line",
+  "cell.hint": ", hint",
+  "cell.boardDrawn": ", board drawn",
+  "cell.boardWonBy": ", board won by {player}",
+  "markPicker.label": "Mark to place",
+  "markPicker.place": "Place:",
+  "markPicker.placeMark": "Place {mark}",
+
+  // Solver evaluation of an empty cell: a short label and its tooltip
+  "eval.winLabel": "W{count}",
+  "eval.lossLabel": "L{count}",
+  "eval.drawLabel": "D",
+  "eval.unknownLabel": "?",
+  "eval.win": { one: "{player} wins, game over in {count} move", other: "{player} wins, game over in {count} moves" },
+  "eval.loss": { one: "{player} loses, game over in {count} move", other: "{player} loses, game over in {count} moves" },
+  "eval.draw": { one: "Draw with best play, game over in {count} move", other: "Draw with best play, game over in {count} moves" },
+  "eval.unknown": "Too far ahead to tell",
+
+  // Screen reader narration
+  "narration.who": "{name} ({mark})",
+  "narration.reviewing": "Move {step} of {last}.",
+  "narration.start": "New game on a {dimensions} board, {count} in a row wins.",
+  "narration.startVariant": "New {variant} game on a {dimensions} board, {count} in a row. {rule}",
+  "narration.played": "{who} played {cell}.",
+  "narration.playedMark": "{who} played an {mark} at {cell}.",
+  "narration.next": "Next: {who}.",
+  "narration.nextBoard": "Next: {who}, in the small board at {cell}.",
+  "narration.ranOut": "{who} ran out of time.",
+  "narration.wins": "{who} wins.",
+  "narration.youWin": "{who} win.",
+  "narration.winsLine": "{who} wins: {count} in a row from {from} to {to}.",
+  "narration.youWinLine": "{who} win: {count} in a row from {from} to {to}.",
+  "narration.winsBoards": "{who} wins: three small boards in a row.",
+  "narration.youWinBoards": "{who} win: three small boards in a row.",
+  "narration.completesLine": "{who} completes {count} in a row from {from} to {to} and loses.",
+  "narration.youCompleteLine": "{who} complete {count} in a row from {from} to {to} and lose.",
+  "narration.draw": "Draw, the board is full.",
+  "narration.drawBoards": "Draw, every small board is decided.",
+  "narration.cell": "row {row}, column {col}",
+  "narration.cell3d": "layer {layer}, row {row}, column {col}",
+
+  // Scoreboard
+  "score.game": "Game {n}",
+  "score.gameOfBestOf": "Game {n} of best of {count}",
+  "score.youWinMatch": "You win the match!",
+  "score.winsMatch": "{name} wins the match!",
+  "score.tied": "The match is tied!",
+  "score.label": "Scoreboard",
+  "score.player": "Player",
+  "score.side": "Side",
+  "score.wins": "Wins",
+  "score.losses": "Losses",
+  "score.draws": "Draws",
+  "score.winsShort": "W",
+  "score.lossesShort": "L",
+  "score.drawsShort": "D",
+
+  // Clocks
+  "clock.paused": "paused",
+
+  // Move history
+  "history.title": "Move History",
+  "history.showAnalysis": "Show analysis",
+  "history.notAnalysed": "Not analysed: the solver only analyses boards up to {size}x{size}.",
+  "history.keepVariations": "Keep variations",
+  "history.start": "Game start",
+  "history.move": "#{n}: Player {move}",
+  "history.variation": "↳ #{n}: {move}",
+  "history.variationMore": "↳ #{n}: {move} +{count}",
+  "history.variations": "Variations for move {n}",
+  "history.goTo": "Go to move {n}",
+  "history.goTo.best": "Go to move {n}, best move",
+  "history.goTo.inaccuracy": "Go to move {n}, inaccuracy",
+  "history.goTo.blunder": "Go to move {n}, blunder",
+  "history.moveAt": "{player} at ({cell})",
+  "history.moveAtMark": "{player} ({mark}) at ({cell})",
+  "history.export": "Export",
+  "history.exportTitle": "Download this game as text notation",
+  "history.import": "Import",
+  "history.importTitle": "Load a game from text notation",
+  "history.copyLink": "Copy link",
+  "history.copyLinkTitle": "Copy a link to this position",
+  "history.linkCopied": "Link copied",
+  "history.linkFailed": "Couldn't copy the link; copy it from the address bar instead",
+  "tag.best": "Best move",
+  "tag.inaccuracy": "Inaccuracy",
+  "tag.blunder": "Blunder",
+
+  // Coach: explanations of moves and games (src/ai/coach)
+  "coach.title": "Coach",
+  "coach.enable": "Explain moves",
+  "coach.empty": "Play a move and the coach explains it.",
+  "coach.moveHeading": "Move {n}: {player} at ({cell})",
+  "coach.reviewHeading": "Game review",
+  "coach.reviewGame": "Review the game",
+  "coach.backToMoves": "Back to the moves",
+  "coach.working": "The solver is looking at it…",
+  "coach.unavailable": "The solver only analyses boards up to {size}x{size}, so the coach can't explain this game.",
+  "coach.pending": "Asking the AI coach…",
+  "coach.fromModel": "Explained by the AI coach from the solver's analysis",
+  "coach.fromTemplate": "From the solver's analysis",
+  "coach.modelFailed": "The AI coach couldn't answer ({reason}); this is the solver's analysis.",
+  "coach.won": "{player} completes a line at ({cell}) and wins.",
+  "coach.lineLoses": "{player} completes a line at ({cell}), which loses under these rules: {winner} wins.",
+  "coach.draw": "({cell}) was the last move: the game is a draw.",
+  "coach.best": "({cell}) is the best move here.",
+  "coach.inaccuracy": "({cell}) is an inaccuracy: ({best}) was stronger.",
+  "coach.blunder.win": "({cell}) is a blunder: ({best}) kept a forced win.",
+  "coach.blunder.draw": "({cell}) is a blunder: ({best}) held the draw.",
+  "coach.missedWin": "{player} could have won at once at ({cell}).",
+  "coach.blocked": "It blocks a win for {opponent}.",
+  "coach.fork": "It's a fork: {player} threatens to win at {cells}, and {opponent} can only block one.",
+  "coach.threat": "{player} threatens to win at {cells}.",
+  "coach.allows": "It leaves {opponent} a winning move at {cells}.",
+  "coach.outlook.win": { one: "With best play {player} wins, game over in {count} move.", other: "With best play {player} wins, game over in {count} moves." },
+  "coach.outlook.loss": { one: "With best play {opponent} wins, game over in {count} move.", other: "With best play {opponent} wins, game over in {count} moves." },
+  "coach.outlook.draw": "With best play from here, it's a draw.",
+  "coach.review.won": { one: "{winner} won after {count} move.", other: "{winner} won after {count} moves." },
+  "coach.review.wonOnTime": { one: "{winner} won on time after {count} move.", other: "{winner} won on time after {count} moves." },
+  "coach.review.draw": { one: "A draw after {count} move.", other: "A draw after {count} moves." },
+  "coach.review.unfinished": { one: "{count} move played so far.", other: "{count} moves played so far." },
+  "coach.review.clean": "Neither side made a mistake the solver could find.",
+  "coach.review.turningPoint.win": "The turning point was move {number}: {player} played ({cell}), where ({best}) kept a forced win.",
+  "coach.review.turningPoint.draw": "The turning point was move {number}: {player} played ({cell}), where ({best}) held the draw.",
+  "coach.review.moreMistakes": { one: "One more move to look at again: {moves}.", other: "{count} more moves to look at again: {moves}." },
+  "coach.review.moveRef": "{number}. {player} ({cell})",
+  "coach.review.fork": "{player} set up the win with a fork at ({cell}) on move {number}.",
+
+  // Importing notation
+  "import.notation": "Game notation",
+  "import.file": "Game file",
+  "import.readError": "Couldn't read that file",
+  "import.load": "Load game",
+  "import.cancel": "Cancel",
+
+  // Replay
+  "replay.first": "First move",
+  "replay.previous": "Previous move",
+  "replay.play": "Play",
+  "replay.pause": "Pause",
+  "replay.next": "Next move",
+  "replay.last": "Last move",
+  "replay.speed": "Speed:",
+  "replay.speedSelect": "Replay speed",
+  "replay.position": "Move {step} / {last}",
+  "replay.exit": "Exit replay",
+
+  // Saved games
+  "archive.label": "Saved games",
+  "archive.title": "Saved Games",
+  "archive.back": "Back to game",
+  "archive.mode.pvp": "Two Player",
+  "archive.mode.pvc": "Vs Computer",
+  "archive.mode.cvc": "AI vs AI",
+  "archive.mode.online": "Online",
+  "archive.filterMode": "Filter by mode",
+  "archive.allModes": "All modes",
+  "archive.filterResult": "Filter by result",
+  "archive.allResults": "All results",
+  "archive.won": "{player} won",
+  "archive.draw": "Draw",
+  "archive.unfinished": "Unfinished",
+  "archive.playerPlaceholder": "Player name",
+  "archive.filterPlayer": "Filter by player",
+  "archive.none": "No saved games yet. Finished and unfinished games show up here.",
+  "archive.noMatch": "No games match these filters.",
+  "archive.players": "{X} vs {O}",
+  "archive.moves": { one: "{count} move", other: "{count} moves" },
+  "archive.wonBy": "{player} won ({name})",
+  "archive.wonByOnTime": "{player} won ({name}) on time",
+  "archive.replay": "Replay",
+  "archive.delete": "Delete",
+  "archive.deleteLabel": "Delete game from {date}",
+
+  // Players
+  "profiles.title": "Players",
+  "profiles.back": "Back to game",
+  "profiles.namePlaceholder": "Name",
+  "profiles.newName": "New player name",
+  "profiles.add": "Add player",
+  "profiles.none": "No players yet. Add one, then pick it under the board to have your games counted.",
+  "profiles.leaderboard": "Leaderboard",
+  "profiles.player": "Player",
+  "profiles.rating": "Rating",
+  "profiles.games": "Games",
+  "profiles.winRate": "Win rate",
+  "profiles.statsFor": "Statistics for {name}",
+  "profiles.stats": "{name} statistics",
+  "profiles.record": "Won / drawn / lost",
+  "profiles.winRateAs": "Win rate as {mark}",
+  "profiles.rateOf": "{rate} of {count}",
+  "profiles.longestStreak": "Longest winning streak",
+  "profiles.currentStreak": "Current streak",
+  "profiles.playerName": "Player name",
+  "profiles.save": "Save",
+  "profiles.rename": "Rename",
+  "profiles.delete": "Delete player",
+  "profiles.vsComputer": "Record against the computer",
+  "profiles.computer": "Computer",
+  "profiles.wdl": "W-D-L",
+  "profiles.error.empty": "Enter a name",
+  "profiles.error.tooLong": "Names can be at most {count} characters",
+  "profiles.error.reserved": "\"{name}\" is used by the game itself",
+  "profiles.error.taken": "There is already a player called \"{name}\"",
+
+  // Puzzles
+  "puzzle.label": "Puzzle",
+  "puzzle.title": "Puzzle {n} · {level}",
+  "puzzle.progress": "{solved} of {tried} {level} solved · streak {streak} (best {best})",
+  "puzzle.difficultySelect": "Puzzle difficulty select",
+  "puzzle.next": "Next puzzle",
+  "puzzle.goalWin": { one: "{player} to play and win in {count} move", other: "{player} to play and win in {count} moves" },
+  "puzzle.goalDraw": "{player} to play and hold the draw",
+  "puzzle.solved": "Solved!",
+  "puzzle.failedWin": "Not solved: {player} can escape now",
+  "puzzle.failedDraw": "Not solved: {player} can force a win now",
+
+  // Online play
+  "online.connecting": "Connecting to server...",
+  "online.reconnecting": "Disconnected, reconnecting...",
+  "online.opponentConnected": "Opponent connected",
+  "online.opponentDisconnected": "Opponent disconnected, waiting for them to come back...",
+  "online.waiting": "Waiting for an opponent to join...",
+  "online.code": "Game code:",
+  "online.youAre": "You are {player}",
+  "online.leave": "Leave game",
+  "online.create": "Create game",
+  "online.codeField": "Game code",
+  "online.join": "Join"
+};
@@ -0,0 +1,400 @@
+// Spanish
+export const messages = {
+  // Header
+  "app.title": "Tres en raya",
+  "app.mode.pvp": "Modo dos jugadores",
+  "app.mode.pvc": "Modo jugador contra ordenador",
+  "app.mode.cvc": "Modo IA contra IA",
+  "app.mode.puzzle": "Modo problemas",
+  "app.mode.online": "Modo en línea",
+  "app.replay": "Repetición: {X} contra {O}",
+  "app.install": "Instalar la app",
+  "language.label": "Idioma:",
+  "language.select": "Selector de idioma",
+
+  // The app's own player names
+  "name.You": "Tú",
+  "name.Computer": "Ordenador",
+  "name.Opponent": "Rival",
+  "name.Player 1": "Jugador 1",
+  "name.Player 2": "Jugador 2",
+
+  // Status bar
+  "status.next": "Turno: {player}",
+  "status.winner": "Gana: {player}",
+  "status.winnerOnTime": "Gana: {player} ({loser} se quedó sin tiempo)",
+  "status.winnerLineLoses": "Gana: {player} ({loser} completó una línea)",
+  "status.draw": "¡Empate!",
+  "status.thinking": "La IA está pensando...",
+  "status.offline": "Sin conexión: el ordenador juega con el motor local",
+  "status.rules": "{variant}: {rule}",
+  "status.puzzle": "Problema: {goal}",
+
+  // The computer's move provider falling back to the local engine, or giving up
+  "error.aiInvalid": "La IA dio una jugada no válida; se usa la alternativa.",
+  "error.aiTimeout": "La IA tardó demasiado; se usa la alternativa.",
+  "error.aiFailed": "Falló la jugada de la IA; se usa la alternativa. ({reason})",
+  "error.aiStopped": "El ordenador no pudo jugar: {reason}",
+  "error.unknown": "Error desconocido",
+  "error.noMoves": "La IA no tiene jugadas alternativas.",
+  "error.link": "No se pudo abrir el enlace: {reason}",
+
+  // Rule variants
+  "variant.classic": "Clásico",
+  "variant.classic.rule": "Completa una línea con tus fichas para ganar.",
+  "variant.misere": "Misère",
+  "variant.misere.rule": "Quien completa una línea con sus fichas pierde.",
+  "variant.wild": "Libre",
+  "variant.wild.rule": "En cada turno pon X u O; gana quien complete una línea de cualquiera de las dos.",
+  "variant.notakto": "Notakto",
+  "variant.notakto.rule": "Los dos jugadores ponen X; quien complete una línea pierde.",
+  "variant.ultimate": "Ultimate",
+  "variant.ultimate.rule":
+    "Gana tableros pequeños para quedártelos; tres en raya gana. Tu casilla elige el próximo tablero del rival.",
+  "variant.cube": "3D",
+  "variant.cube.rule": "Tres capas de 3x3: tres en raya gana en cualquier línea recta, también entre capas.",
+  "variant.qubic": "Qubic",
+  "variant.qubic.rule": "Cuatro capas de 4x4: cuatro en raya gana en cualquier línea recta, también entre capas.",
+
+  // Computer and puzzle difficulty
+  "difficulty.easy": "Fácil",
+  "difficulty.medium": "Media",
+  "difficulty.hard": "Difícil",
+  "difficulty.perfect": "Perfecta",
+
+  // AI vs AI bots
+  "bot.random": "Al azar",
+  "bot.first-empty": "Primera casilla libre",
+  "bot.minimax": "Minimax ({level})",
+  "bot.server": "OpenAI (por el servidor)",
+
+  // Time controls
+  "timeControl.15+2": "15 s + 2 s",
+  "timeControl.1+1": "1 min + 1 s",
+  "timeControl.3+2": "3 min + 2 s",
+  "timeControl.5+0": "5 min",
+
+  // Game modes
+  "mode.pvp": "Dos jugadores",
+  "mode.pvc": "Jugador contra ordenador",
+  "mode.cvc": "IA contra IA",
+  "mode.puzzle": "Problemas",
+  "mode.online": "En línea",
+
+  // Controls under the board
+  "controls.mode": "Modo:",
+  "controls.modeSelect": "Selector de modo de juego",
+  "controls.rules": "Reglas:",
+  "controls.rulesSelect": "Selector de variante",
+  "controls.board": "Tablero:",
+  "controls.boardSelect": "Selector de tamaño del tablero",
+  "controls.size": "{size}x{size}",
+  "controls.size3d": "{size}x{size}x{size}",
+  "controls.inARow": "En raya:",
+  "controls.inARowSelect": "Selector de longitud de la línea",
+  "controls.player": "Jugador",
+  "controls.playerN": "Jugador {n}",
+  "controls.seat": "{name}:",
+  "controls.profileSelect": "Selector de perfil de {name}",
+  "controls.guest": "Invitado",
+  "controls.match": "Partida:",
+  "controls.matchSelect": "Selector de duración de la partida",
+  "controls.bestOf": "Al mejor de {count}",
+  "controls.openSeries": "Serie abierta",
+  "controls.youPlay": "Juegas con:",
+  "controls.sideSelect": "Selector de tu bando",
+  "controls.sideX": "X (primero)",
+  "controls.sideO": "O (segundo)",
+  "controls.difficulty": "Dificultad:",
+  "controls.difficultySelect": "Selector de dificultad del ordenador",
+  "controls.computerN": "Ordenador {n}:",
+  "controls.computerSelect": "Selector del ordenador {n}",
+  "controls.speed": "Velocidad:",
+  "controls.speedSelect": "Selector de velocidad de IA contra IA",
+  "controls.speedOption": "{speed}x",
+  "controls.pause": "Pausa",
+  "controls.resume": "Seguir",
+  "controls.clock": "Reloj:",
+  "controls.clockSelect": "Selector de control de tiempo",
+  "controls.untimed": "Sin reloj",
+  "controls.countComputerTime": "Contar el tiempo del ordenador",
+  "controls.undo": "Deshacer",
+  "controls.redo": "Rehacer",
+  "controls.reset": "Reiniciar",
+  "controls.tryAgain": "Reintentar",
+  "controls.newMatch": "Nueva partida",
+  "controls.nextGame": "Siguiente juego",
+  "controls.hint": "Pista",
+  "controls.hintTitle": "Resalta la mejor jugada para quien mueve",
+  "controls.savedGames": "Partidas guardadas",
+  "controls.players": "Jugadores",
+  "controls.appearance": "Apariencia",
+  "controls.keys":
+    "Teclas: las flechas se mueven por el tablero, Intro juega, U deshacer, Y rehacer, R reiniciar, M modo, H pista",
+
+  // Appearance
+  "theme.legend": "Apariencia",
+  "theme.theme": "Tema:",
+  "theme.select": "Selector de tema",
+  "theme.system": "Como el sistema",
+  "theme.light": "Claro",
+  "theme.dark": "Oscuro",
+  "theme.contrast": "Alto contraste",
+  "theme.symbolLabel": "Símbolo de {mark}:",
+  "theme.symbol": "Símbolo de {mark}",
+  "theme.custom": "Colores propios",
+  "theme.color": "Color: {token}",
+  "theme.token.primary": "Principal",
+  "theme.token.secondary": "Buenas noticias",
+  "theme.token.accent": "Malas noticias",
+  "theme.token.x": "Fichas X",
+  "theme.token.o": "Fichas O",
+  "theme.token.bg": "Página",
+  "theme.token.surface": "Tablero",
+  "theme.token.text": "Texto",
+  "theme.reset": "Restablecer la apariencia",
+
+  // Board and cells, as screen readers hear them
+  "board.label": "Tablero, {dimensions}, {rules}",
+  "board.dimensions": "{size} por {size}",
+  "board.dimensions3d": "{size} por {size} por {size}",
+  "board.classicRules": "gana {count} en raya",
+  "cell.label": "Fila {row}, columna {col}: {value}",
+  "cell.label3d": "Capa {layer}, fila {row}, columna {col}: {value}",
+  "cell.empty": "vacía",
+  "cell.winning": ", línea ganadora",
+  "cell.hint": ", pista",
+  "cell.boardDrawn": ", tablero empatado",
+  "cell.boardWonBy": ", tablero ganado por {player}",
+  "markPicker.label": "Ficha que se pone",
+  "markPicker.place": "Poner:",
+  "markPicker.placeMark": "Poner {mark}",
+
+  // Solver evaluation of an empty cell: a short label and its tooltip
+  "eval.winLabel": "G{count}",
+  "eval.lossLabel": "P{count}",
+  "eval.drawLabel": "E",
+  "eval.unknownLabel": "?",
+  "eval.win": { one: "{player} gana, fin en {count} jugada", other: "{player} gana, fin en {count} jugadas" },
+  "eval.loss": { one: "{player} pierde, fin en {count} jugada", other: "{player} pierde, fin en {count} jugadas" },
+  "eval.draw": {
+    one: "Empate con juego perfecto, fin en {count} jugada",
+    other: "Empate con juego perfecto, fin en {count} jugadas"
+  },
+  "eval.unknown": "Demasiado lejos para saberlo",
+
+  // Screen reader narration
+  "narration.who": "{name} ({mark})",
+  "narration.reviewing": "Jugada {step} de {last}.",
+  "narration.start": "Nuevo juego en un tablero de {dimensions}, gana {count} en raya.",
+  "narration.startVariant": "Nuevo juego {variant} en un tablero de {dimensions}, {count} en raya. {rule}",
+  "narration.played": "{who} jugó {cell}.",
+  "narration.playedMark": "{who} puso una {mark} en {cell}.",
+  "narration.next": "Turno: {who}.",
+  "narration.nextBoard": "Turno: {who}, en el tablero pequeño de {cell}.",
+  "narration.ranOut": "{who} se quedó sin tiempo.",
+  "narration.wins": "{who} gana.",
+  "narration.youWin": "{who} ganas.",
+  "narration.winsLine": "{who} gana: {count} en raya de {from} a {to}.",
+  "narration.youWinLine": "{who} ganas: {count} en raya de {from} a {to}.",
+  "narration.winsBoards": "{who} gana: tres tableros pequeños en raya.",
+  "narration.youWinBoards": "{who} ganas: tres tableros pequeños en raya.",
+  "narration.completesLine": "{who} completa {count} en raya de {from} a {to} y pierde.",
+  "narration.youCompleteLine": "{who} completas {count} en raya de {from} a {to} y pierdes.",
+  "narration.draw": "Empate, el tablero está lleno.",
+  "narration.drawBoards": "Empate, todos los tableros pequeños están decididos.",
+  "narration.cell": "fila {row}, columna {col}",
+  "narration.cell3d": "capa {layer}, fila {row}, columna {col}",
+
+  // Scoreboard
+  "score.game": "Juego {n}",
+  "score.gameOfBestOf": "Juego {n} al mejor de {count}",
+  "score.youWinMatch": "¡Ganas la partida!",
+  "score.winsMatch": "¡{name} gana la partida!",
+  "score.tied": "¡La partida acaba empatada!",
+  "score.label": "Marcador",
+  "score.player": "Jugador",
+  "score.side": "Bando",
+  "score.wins": "Victorias",
+  "score.losses": "Derrotas",
+  "score.draws": "Empates",
+  "score.winsShort": "V",
+  "score.lossesShort": "D",
+  "score.drawsShort": "E",
+
+  // Clocks
+  "clock.paused": "en pausa",
+
+  // Move history
+  "history.title": "Historial de jugadas",
+  "history.showAnalysis": "Mostrar análisis",
+  "history.notAnalysed": "Sin analizar: el solucionador solo analiza tableros de hasta {size}x{size}.",
+  "history.keepVariations": "Guardar variantes",
+  "history.start": "Inicio del juego",
+  "history.move": "#{n}: Jugador {move}",
+  "history.variation": "↳ #{n}: {move}",
+  "history.variationMore": "↳ #{n}: {move} +{count}",
+  "history.variations": "Variantes de la jugada {n}",
+  "history.goTo": "Ir a la jugada {n}",
+  "history.goTo.best": "Ir a la jugada {n}, mejor jugada",
+  "history.goTo.inaccuracy": "Ir a la jugada {n}, imprecisión",
+  "history.goTo.blunder": "Ir a la jugada {n}, error grave",
+  "history.moveAt": "{player} en ({cell})",
+  "history.moveAtMark": "{player} ({mark}) en ({cell})",
+  "history.export": "Exportar",
+  "history.exportTitle": "Descargar este juego como notación de texto",
+  "history.import": "Importar",
+  "history.importTitle": "Cargar un juego desde notación de texto",
+  "history.copyLink": "Copiar enlace",
+  "history.copyLinkTitle": "Copiar un enlace a esta posición",
+  "history.linkCopied": "Enlace copiado",
+  "history.linkFailed": "No se pudo copiar el enlace; cópialo de la barra de direcciones",
+  "tag.best": "Mejor jugada",
+  "tag.inaccuracy": "Imprecisión",
+  "tag.blunder": "Error grave",
+
+  // Coach: explanations of moves and games (src/ai/coach)
+  "coach.title": "Entrenador",
+  "coach.enable": "Explicar jugadas",
+  "coach.empty": "Haz una jugada y el entrenador te la explica.",
+  "coach.moveHeading": "Jugada {n}: {player} en ({cell})",
+  "coach.reviewHeading": "Análisis de la partida",
+  "coach.reviewGame": "Analizar la partida",
+  "coach.backToMoves": "Volver a las jugadas",
+  "coach.working": "El solucionador lo está analizando…",
+  "coach.unavailable": "El solucionador solo analiza tableros de hasta {size}x{size}, así que el entrenador no puede explicar esta partida.",
+  "coach.pending": "Consultando al entrenador IA…",
+  "coach.fromModel": "Explicado por el entrenador IA a partir del análisis del solucionador",
+  "coach.fromTemplate": "Según el análisis del solucionador",
+  "coach.modelFailed": "El entrenador IA no pudo responder ({reason}); este es el análisis del solucionador.",
+  "coach.won": "{player} completa una línea en ({cell}) y gana.",
+  "coach.lineLoses": "{player} completa una línea en ({cell}), y con estas reglas eso pierde: gana {winner}.",
+  "coach.draw": "({cell}) fue la última jugada: la partida termina en empate.",
+  "coach.best": "({cell}) es la mejor jugada aquí.",
+  "coach.inaccuracy": "({cell}) es una imprecisión: ({best}) era más fuerte.",
+  "coach.blunder.win": "({cell}) es un error grave: ({best}) mantenía una victoria forzada.",
+  "coach.blunder.draw": "({cell}) es un error grave: ({best}) aseguraba el empate.",
+  "coach.missedWin": "{player} podía ganar de inmediato en ({cell}).",
+  "coach.blocked": "Bloquea una victoria de {opponent}.",
+  "coach.fork": "Es una doble amenaza: {player} amenaza ganar en {cells} y {opponent} solo puede bloquear una.",
+  "coach.threat": "{player} amenaza ganar en {cells}.",
+  "coach.allows": "Deja a {opponent} una jugada ganadora en {cells}.",
+  "coach.outlook.win": { one: "Con el mejor juego gana {player}; la partida termina en {count} jugada.", other: "Con el mejor juego gana {player}; la partida termina en {count} jugadas." },
+  "coach.outlook.loss": { one: "Con el mejor juego gana {opponent}; la partida termina en {count} jugada.", other: "Con el mejor juego gana {opponent}; la partida termina en {count} jugadas." },
+  "coach.outlook.draw": "Con el mejor juego desde aquí, es empate.",
+  "coach.review.won": { one: "{winner} ganó tras {count} jugada.", other: "{winner} ganó tras {count} jugadas." },
+  "coach.review.wonOnTime": { one: "{winner} ganó por tiempo tras {count} jugada.", other: "{winner} ganó por tiempo tras {count} jugadas." },
+  "coach.review.draw": { one: "Empate tras {count} jugada.", other: "Empate tras {count} jugadas." },
+  "coach.review.unfinished": { one: "{count} jugada hasta ahora.", other: "{count} jugadas hasta ahora." },
+  "coach.review.clean": "Ningún jugador cometió un error que el solucionador pudiera encontrar.",
+  "coach.review.turningPoint.win": "El momento decisivo fue la jugada {number}: {player} jugó en ({cell}), cuando ({best}) mantenía una victoria forzada.",
+  "coach.review.turningPoint.draw": "El momento decisivo fue la jugada {number}: {player} jugó en ({cell}), cuando ({best}) aseguraba el empate.",
+  "coach.review.moreMistakes": { one: "Otra jugada para revisar: {moves}.", other: "Otras {count} jugadas para revisar: {moves}." },
+  "coach.review.moveRef": "{number}. {player} ({cell})",
+  "coach.review.fork": "{player} preparó la victoria con una doble amenaza en ({cell}) en la jugada {number}.",
+
+  // Importing notation
+  "import.notation": "Notación del juego",
+  "import.file": "Archivo del juego",
+  "import.readError": "No se pudo leer ese archivo",
+  "import.load": "Cargar juego",
+  "import.cancel": "Cancelar",
+
+  // Replay
+  "replay.first": "Primera jugada",
+  "replay.previous": "Jugada anterior",
+  "replay.play": "Reproducir",
+  "replay.pause": "Pausa",
+  "replay.next": "Jugada siguiente",
+  "replay.last": "Última jugada",
+  "replay.speed": "Velocidad:",
+  "replay.speedSelect": "Velocidad de la repetición",
+  "replay.position": "Jugada {step} / {last}",
+  "replay.exit": "Salir de la repetición",
+
+  // Saved games
+  "archive.label": "Partidas guardadas",
+  "archive.title": "Partidas guardadas",
+  "archive.back": "Volver al juego",
+  "archive.mode.pvp": "Dos jugadores",
+  "archive.mode.pvc": "Contra el ordenador",
+  "archive.mode.cvc": "IA contra IA",
+  "archive.mode.online": "En línea",
+  "archive.filterMode": "Filtrar por modo",
+  "archive.allModes": "Todos los modos",
+  "archive.filterResult": "Filtrar por resultado",
+  "archive.allResults": "Todos los resultados",
+  "archive.won": "Ganó {player}",
+  "archive.draw": "Empate",
+  "archive.unfinished": "Sin terminar",
+  "archive.playerPlaceholder": "Nombre del jugador",
+  "archive.filterPlayer": "Filtrar por jugador",
+  "archive.none": "Aún no hay partidas guardadas. Aquí aparecen las terminadas y las sin terminar.",
+  "archive.noMatch": "Ninguna partida coincide con estos filtros.",
+  "archive.players": "{X} contra {O}",
+  "archive.moves": { one: "{count} jugada", other: "{count} jugadas" },
+  "archive.wonBy": "Ganó {player} ({name})",
+  "archive.wonByOnTime": "Ganó {player} ({name}) por tiempo",
+  "archive.replay": "Repetir",
+  "archive.delete": "Borrar",
+  "archive.deleteLabel": "Borrar la partida del {date}",
+
+  // Players
+  "profiles.title": "Jugadores",
+  "profiles.back": "Volver al juego",
+  "profiles.namePlaceholder": "Nombre",
+  "profiles.newName": "Nombre del nuevo jugador",
+  "profiles.add": "Añadir jugador",
+  "profiles.none": "Aún no hay jugadores. Añade uno y elígelo bajo el tablero para que cuenten tus partidas.",
+  "profiles.leaderboard": "Clasificación",
+  "profiles.player": "Jugador",
+  "profiles.rating": "Puntuación",
+  "profiles.games": "Partidas",
+  "profiles.winRate": "Victorias",
+  "profiles.statsFor": "Estadísticas de {name}",
+  "profiles.stats": "Estadísticas de {name}",
+  "profiles.record": "Ganadas / empatadas / perdidas",
+  "profiles.winRateAs": "Victorias con {mark}",
+  "profiles.rateOf": "{rate} de {count}",
+  "profiles.longestStreak": "Racha de victorias más larga",
+  "profiles.currentStreak": "Racha actual",
+  "profiles.playerName": "Nombre del jugador",
+  "profiles.save": "Guardar",
+  "profiles.rename": "Renombrar",
+  "profiles.delete": "Borrar jugador",
+  "profiles.vsComputer": "Resultados contra el ordenador",
+  "profiles.computer": "Ordenador",
+  "profiles.wdl": "G-E-P",
+  "profiles.error.empty": "Escribe un nombre",
+  "profiles.error.tooLong": "Los nombres pueden tener como mucho {count} caracteres",
+  "profiles.error.reserved": "El juego ya usa «{name}»",
+  "profiles.error.taken": "Ya hay un jugador llamado «{name}»",
+
+  // Puzzles
+  "puzzle.label": "Problema",
+  "puzzle.title": "Problema {n} · {level}",
+  "puzzle.progress": "{solved} de {tried} resueltos ({level}) · racha {streak} (mejor {best})",
+  "puzzle.difficultySelect": "Selector de dificultad de los problemas",
+  "puzzle.next": "Siguiente problema",
+  "puzzle.goalWin": {
+    one: "Juegan {player} y ganan en {count} jugada",
+    other: "Juegan {player} y ganan en {count} jugadas"
+  },
+  "puzzle.goalDraw": "Juegan {player} y aseguran el empate",
+  "puzzle.solved": "¡Resuelto!",
+  "puzzle.failedWin": "Sin resolver: {player} ya puede escapar",
+  "puzzle.failedDraw": "Sin resolver: {player} ya puede forzar la victoria",
+
+  // Online play
+  "online.connecting": "Conectando con el servidor...",
+  "online.reconnecting": "Desconectado, reconectando...",
+  "online.opponentConnected": "Rival conectado",
+  "online.opponentDisconnected": "El rival se desconectó; esperando a que vuelva...",
+  "online.waiting": "Esperando a que se una un rival...",
+  "online.code": "Código de la partida:",
+  "online.youAre": "Juegas con {player}",
+  "online.leave": "Salir de la partida",
+  "online.create": "Crear partida",
+  "online.codeField": "Código de la partida",
+  "online.join": "Unirse"
+};
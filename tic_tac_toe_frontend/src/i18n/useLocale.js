@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { LOCALES, loadLocale, saveLocale, matchLocale, translator } from "./i18n";
+
+// PUBLIC_INTERFACE
+/**
+ * The locale the app is shown in: the one picked last time, else the browser's languages'.
+ * Keeps the document's lang and dir in step, so the page is read and laid out for it, unless
+ * `applyToDocument` is false (embedded in someone else's page). The choice is saved in `storage`
+ * (default localStorage). Returns:
+ *   locale              "en" | "es" | "de" | "ar"
+ *   setLocale(locale)   switch to a locale and save the choice
+ *   t                   its translator (see i18n.js)
+ */
+export function useLocale({ applyToDocument = true, storage = window.localStorage } = {}) {
+  const [locale, setLocaleState] = useState(() => loadLocale(storage) || matchLocale(window.navigator.languages || []));
+
+  useEffect(() => {
+    if (!applyToDocument) return;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }, [locale, applyToDocument]);
+
+  function setLocale(next) {
+    setLocaleState(saveLocale(next, storage));
+  }
+
+  return { locale, setLocale, t: translator(locale) };
+}
@@ -1,11 +1,9 @@
-import React from 'react';
-import ReactDOM from 'react-dom/client';
-import './index.css';
-import App from './App';
-
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// One entry, two builds: the app's own page ("npm run build"), or the <tic-tac-toe> element
+// for other pages to embed ("npm run build:embed", src/embed). The embed build's target is
+// fixed when bundling, so it includes only its own branch: none of the page's styles or its
+// service worker.
+if (process.env.REACT_APP_BUILD_TARGET === "embed") {
+  require("./embed/register");
+} else {
+  require("./page");
+}
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Online room: create/join before a game, then code, seat and opponent status.
+ * Props: colors, t (translator), isMobile, online (from useOnlineGame), boardOptions (for new rooms)
+ */
+function OnlinePanel({ colors, t, isMobile, online, boardOptions }) {
+  const [joinCode, setJoinCode] = useState("");
+  const buttonStyle = {
+    background: colors.primary,
+    color: colors.onPrimary,
+    border: "none",
+    fontWeight: 700,
+    borderRadius: "7px",
+    padding: "8px 18px",
+    cursor: "pointer"
+  };
+  const opponent = online.player === "X" ? "O" : "X";
+  const opponentState = online.players[opponent];
+  const opponentStatus = t(
+    opponentState === "connected"
+      ? "online.opponentConnected"
+      : opponentState === "disconnected"
+      ? "online.opponentDisconnected"
+      : "online.waiting"
+  );
+
+  return (
+    <div
+      className="ttt-online-panel"
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: "8px",
+        marginBottom: isMobile ? "14px" : "18px",
+        color: colors.text
+      }}
+    >
+      {online.connection !== "open" && (
+        <div style={{ color: colors.accent, fontWeight: 500 }}>
+          {t(online.connection === "connecting" ? "online.connecting" : "online.reconnecting")}
+        </div>
+      )}
+      {online.code ? (
+        <>
+          <div style={{ fontWeight: 600 }}>
+            {t("online.code")} <span style={{ color: colors.primary, letterSpacing: "2px" }}>{online.code}</span>
+            {" "}· {t("online.youAre", { player: online.player })}
+          </div>
+          <div style={{ fontSize: "0.95rem" }}>{opponentStatus}</div>
+          <button type="button" onClick={online.leave} style={{ ...buttonStyle, background: colors.accent }}>
+            {t("online.leave")}
+          </button>
+        </>
+      ) : (
+        <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", justifyContent: "center" }}>
+          {/* Rooms are always classic: the server takes only the board's size and win length */}
+          <button
+            type="button"
+            onClick={() => online.create({ size: boardOptions.size, winLength: boardOptions.winLength })}
+            style={buttonStyle}
+          >
+            {t("online.create")}
+          </button>
+          <input
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder={t("online.codeField")}
+            aria-label={t("online.codeField")}
+            maxLength={5}
+            style={{
+              width: "7em",
+              textTransform: "uppercase",
+              borderRadius: "6px",
+              border: `1.5px solid ${colors.border}`,
+              background: colors.surface,
+              color: colors.text,
+              padding: "6px 10px",
+              fontWeight: 700
+            }}
+          />
+          <button
+            type="button"
+            onClick={() => online.join(joinCode)}
+            disabled={!joinCode.trim()}
+            style={buttonStyle}
+          >
+            {t("online.join")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OnlinePanel;
@@ -0,0 +1,129 @@
+/*
+  ONLINE PLAY CLIENT
+  ------------------
+
+  - Talks to the WebSocket room server (server/onlineServer.mjs); see there for the message protocol.
+  - Remembers the current room code and seat token in storage, so a dropped connection or a
+    page refresh rejoins the same game instead of starting over.
+  - Reconnects by itself with a growing delay (1s, 2s, 4s ... up to 10s) until leave() is called.
+*/
+
+const SESSION_KEY = "ttt.online.session";
+const MAX_RETRY_DELAY_MS = 10000;
+
+// PUBLIC_INTERFACE
+/**
+ * Options:
+ *   url                  WebSocket URL of the room server, e.g. "ws://localhost:3001/ws"
+ *   onMessage(message)   every message from the server ("joined", "state", "error")
+ *   onConnection(state)  "connecting" | "open" | "closed"
+ *   WebSocketImpl        WebSocket constructor (tests)
+ *   storage              where the session is remembered (default window.localStorage)
+ */
+export function createOnlineClient({
+  url,
+  onMessage,
+  onConnection,
+  WebSocketImpl = globalThis.WebSocket,
+  storage = window.localStorage
+}) {
+  let socket = null;
+  let retryDelay = 1000;
+  let retryTimer = null;
+  let stopped = false;
+  // Messages sent while disconnected go out once the socket opens
+  let outbox = [];
+
+  function loadSession() {
+    try {
+      return JSON.parse(storage.getItem(SESSION_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveSession(session) {
+    if (session) storage.setItem(SESSION_KEY, JSON.stringify(session));
+    else storage.removeItem(SESSION_KEY);
+  }
+
+  function connect() {
+    stopped = false;
+    clearTimeout(retryTimer);
+    onConnection("connecting");
+    const current = new WebSocketImpl(url);
+    socket = current;
+
+    // A socket replaced by a newer connection (or closed by close()) has no say any more: its
+    // late events must not drop the new socket or schedule a reconnect
+    current.onopen = () => {
+      if (socket !== current) return;
+      retryDelay = 1000;
+      onConnection("open");
+      const session = loadSession();
+      // Rejoin first so queued moves land in the right game
+      if (session) current.send(JSON.stringify({ type: "rejoin", code: session.code, token: session.token }));
+      outbox.forEach(message => current.send(JSON.stringify(message)));
+      outbox = [];
+    };
+
+    current.onmessage = event => {
+      if (socket !== current) return;
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      if (message.type === "joined") {
+        saveSession({ code: message.code, token: message.token });
+      } else if (message.type === "error" && message.code === "room-gone") {
+        // The remembered game is gone; don't keep trying to rejoin it
+        saveSession(null);
+      }
+      onMessage(message);
+    };
+
+    current.onclose = () => {
+      if (socket !== current) return;
+      socket = null;
+      onConnection("closed");
+      if (!stopped) {
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+      }
+    };
+  }
+
+  function send(message) {
+    if (socket && socket.readyState === 1) socket.send(JSON.stringify(message));
+    else outbox.push(message);
+  }
+
+  return {
+    connect,
+    /** Whether a previous session (code + token) is waiting to be rejoined. */
+    hasSession: () => !!loadSession(),
+    create: options => send({ type: "create", options }),
+    join: code => send({ type: "join", code: String(code).trim().toUpperCase() }),
+    move: move => send({ type: "move", move }),
+    rematch: () => send({ type: "rematch" }),
+    /** Forget the current game and disconnect for good. */
+    leave() {
+      saveSession(null);
+      this.close();
+    },
+    /** Disconnect without forgetting the game (e.g. the component unmounts). */
+    close() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      outbox = [];
+      if (socket) {
+        const closing = socket;
+        socket = null;
+        closing.close();
+        onConnection("closed");
+      }
+    }
+  };
+}
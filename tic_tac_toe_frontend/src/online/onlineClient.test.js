@@ -0,0 +1,96 @@
+import { createOnlineClient } from "./onlineClient";
+
+// Fake WebSocket: opens when told to, closes asynchronously like a real one
+class FakeSocket {
+  static all = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.all.push(this);
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    setTimeout(() => this.onclose(), 0);
+  }
+}
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: key => items.delete(key)
+  };
+}
+
+beforeEach(() => {
+  FakeSocket.all = [];
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+function openSockets() {
+  return FakeSocket.all.filter(s => s.readyState !== 3);
+}
+
+test("leaving and reconnecting keeps exactly one socket, however late the old one closes", () => {
+  const connections = [];
+  const client = createOnlineClient({
+    url: "ws://rooms.test/ws",
+    onMessage: () => {},
+    onConnection: state => connections.push(state),
+    WebSocketImpl: FakeSocket,
+    storage: memoryStorage()
+  });
+  client.connect();
+  FakeSocket.all[0].open();
+
+  // What useOnlineGame's leave() does
+  client.leave();
+  client.connect();
+  FakeSocket.all[1].open();
+  jest.runAllTimers(); // the old socket's close event arrives now
+
+  expect(FakeSocket.all).toHaveLength(2);
+  expect(openSockets()).toEqual([FakeSocket.all[1]]);
+  expect(connections[connections.length - 1]).toBe("open");
+
+  // The new socket is the one in use
+  client.join("abcd");
+  expect(FakeSocket.all[1].sent).toEqual([{ type: "join", code: "ABCD" }]);
+});
+
+test("a dropped connection reconnects once, and not after close()", () => {
+  const client = createOnlineClient({
+    url: "ws://rooms.test/ws",
+    onMessage: () => {},
+    onConnection: () => {},
+    WebSocketImpl: FakeSocket,
+    storage: memoryStorage()
+  });
+  client.connect();
+  FakeSocket.all[0].open();
+  FakeSocket.all[0].close(); // the server went away
+  jest.advanceTimersByTime(1000);
+  expect(FakeSocket.all).toHaveLength(2);
+
+  client.close();
+  jest.runAllTimers();
+  expect(FakeSocket.all).toHaveLength(2);
+  expect(openSockets()).toEqual([]);
+});
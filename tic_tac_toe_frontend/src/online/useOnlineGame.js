@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from "react";
+import { replayMoves } from "../game/engine";
+import { createOnlineClient } from "./onlineClient";
+
+// PUBLIC_INTERFACE
+/**
+ * React state for online play. Connects while `enabled` and `url` are set; the room is remembered
+ * in `storage` (default localStorage), to rejoin it after a dropped connection.
+ * Returns:
+ *   connection  "connecting" | "open" | "closed"
+ *   code        room code, once in a room
+ *   player      "X" | "O", our seat
+ *   game        the server's copy of the game (engine state), or null
+ *   players     { X, O }: "connected" | "disconnected" | null
+ *   error       last error message from the server
+ *   create(options), join(code), move([row, col]), rematch(), leave()
+ */
+export function useOnlineGame({ url, enabled, storage = window.localStorage }) {
+  const clientRef = useRef(null);
+  const [connection, setConnection] = useState("closed");
+  const [room, setRoom] = useState({ code: null, player: null });
+  const [game, setGame] = useState(null);
+  const [players, setPlayers] = useState({ X: null, O: null });
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!enabled || !url) return undefined;
+
+    const client = createOnlineClient({
+      url,
+      storage,
+      onConnection: setConnection,
+      onMessage(message) {
+        if (message.type === "joined") {
+          setRoom({ code: message.code, player: message.player });
+          setError("");
+        } else if (message.type === "state") {
+          // The server validated every move, so replaying them can't fail
+          setGame(replayMoves(message.game.moves, { size: message.game.size, winLength: message.game.winLength }));
+          setPlayers(message.players);
+        } else if (message.type === "error") {
+          setError(message.message);
+        }
+      }
+    });
+    clientRef.current = client;
+    client.connect();
+
+    return () => {
+      client.close();
+      clientRef.current = null;
+    };
+  }, [url, enabled, storage]);
+
+  function resetRoom() {
+    setRoom({ code: null, player: null });
+    setGame(null);
+    setPlayers({ X: null, O: null });
+    setError("");
+  }
+
+  return {
+    connection,
+    code: room.code,
+    player: room.player,
+    game,
+    players,
+    error,
+    create: options => clientRef.current && clientRef.current.create(options),
+    join: code => clientRef.current && clientRef.current.join(code),
+    move: move => clientRef.current && clientRef.current.move(move),
+    rematch: () => clientRef.current && clientRef.current.rematch(),
+    leave() {
+      if (clientRef.current) {
+        // Forget the seat, then reconnect fresh so a new game can be created or joined
+        clientRef.current.leave();
+        clientRef.current.connect();
+      }
+      resetRoom();
+    }
+  };
+}
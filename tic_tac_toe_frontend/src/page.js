@@ -0,0 +1,16 @@
+// The app's own page (see index.js): the app in #root, with its page styles and the service worker
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import './index.css';
+import App from './App';
+import { registerServiceWorker } from './pwa/registerServiceWorker';
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
+
+// Offline play and installing the app (production builds only)
+registerServiceWorker();
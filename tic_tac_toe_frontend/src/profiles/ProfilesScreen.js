@@ -0,0 +1,228 @@
+import React, { useState } from "react";
+import { DIFFICULTIES } from "../ai/minimax";
+import { leaderboard, profileStats } from "./profiles";
+
+function percent(rate, t) {
+  return t.number(rate, { style: "percent", maximumFractionDigits: 0 });
+}
+
+function recordText({ wins, draws, losses }, t) {
+  return [wins, draws, losses].map(n => t.number(n)).join("-");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Players screen: the leaderboard, adding players, and one player's statistics page
+ * (open it from the leaderboard) where they can also be renamed or deleted.
+ * Props: profiles (from useProfiles), colors, t (translator), onClose()
+ */
+function ProfilesScreen({ profiles, colors, t, onClose }) {
+  const [selected, setSelected] = useState(null); // profile id whose stats are shown
+  const [newName, setNewName] = useState("");
+  const [rename, setRename] = useState(null); // draft name while renaming
+  const [error, setError] = useState(null); // the last name rejected (a ProfileError)
+  const profile = profiles.profiles.find((p) => p.id === selected);
+
+  const fieldStyle = {
+    borderRadius: "6px",
+    border: `1.5px solid ${colors.primary}66`,
+    padding: "5px 10px",
+    color: colors.text,
+    background: colors.surface
+  };
+  const buttonStyle = {
+    background: colors.primary,
+    color: colors.onPrimary,
+    border: "none",
+    fontWeight: 700,
+    borderRadius: "7px",
+    padding: "6px 14px",
+    cursor: "pointer"
+  };
+  const cellStyle = { padding: "5px 10px", textAlign: "center", borderBottom: `1px solid ${colors.border}` };
+
+  // Runs a profile change, showing a rejected name instead of throwing
+  function attempt(change) {
+    try {
+      change();
+      setError(null);
+      return true;
+    } catch (e) {
+      setError(e);
+      return false;
+    }
+  }
+
+  function handleAdd(e) {
+    e.preventDefault();
+    if (attempt(() => profiles.create(newName))) setNewName("");
+  }
+
+  function handleRename(e) {
+    e.preventDefault();
+    if (attempt(() => profiles.rename(profile.id, rename))) setRename(null);
+  }
+
+  function renderLeaderboard() {
+    const rows = leaderboard(profiles);
+    return (
+      <>
+        <form onSubmit={handleAdd} style={{ display: "flex", gap: "8px", marginBottom: "14px" }}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t("profiles.namePlaceholder")}
+            aria-label={t("profiles.newName")}
+            style={fieldStyle}
+          />
+          <button type="submit" style={buttonStyle}>
+            {t("profiles.add")}
+          </button>
+        </form>
+        {rows.length === 0 ? (
+          <p>{t("profiles.none")}</p>
+        ) : (
+          <table aria-label={t("profiles.leaderboard")} style={{ borderCollapse: "collapse", width: "100%" }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>#</th>
+                <th style={{ ...cellStyle, textAlign: "start" }}>{t("profiles.player")}</th>
+                <th style={cellStyle}>{t("profiles.rating")}</th>
+                <th style={cellStyle}>{t("profiles.games")}</th>
+                <th style={cellStyle}>{t("profiles.winRate")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, i) => (
+                <tr key={row.id}>
+                  <td style={cellStyle}>{t.number(i + 1)}</td>
+                  <td style={{ ...cellStyle, textAlign: "start" }}>
+                    <button
+                      type="button"
+                      className="move-history-btn"
+                      onClick={() => {
+                        setSelected(row.id);
+                        setError(null);
+                      }}
+                      aria-label={t("profiles.statsFor", { name: row.name })}
+                    >
+                      {row.name}
+                    </button>
+                  </td>
+                  <td style={cellStyle}>{t.number(row.rating, { useGrouping: false })}</td>
+                  <td style={cellStyle}>{t.number(row.games)}</td>
+                  <td style={cellStyle}>{percent(row.winRate, t)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </>
+    );
+  }
+
+  function renderStats() {
+    const stats = profileStats(profiles, profile.id);
+    const facts = [
+      [t("profiles.rating"), t.number(stats.rating, { useGrouping: false })],
+      [t("profiles.games"), t.number(stats.games)],
+      [t("profiles.record"), recordText(stats, t)],
+      [t("profiles.winRate"), percent(stats.winRate, t)],
+      [t("profiles.winRateAs", { mark: "X" }), t("profiles.rateOf", { rate: percent(stats.asX.winRate, t), count: stats.asX.games })],
+      [t("profiles.winRateAs", { mark: "O" }), t("profiles.rateOf", { rate: percent(stats.asO.winRate, t), count: stats.asO.games })],
+      [t("profiles.longestStreak"), t.number(stats.longestStreak)],
+      [t("profiles.currentStreak"), t.number(stats.currentStreak)]
+    ];
+    return (
+      <section aria-label={t("profiles.stats", { name: profile.name })}>
+        <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "12px", flexWrap: "wrap" }}>
+          {rename === null ? (
+            <h3 style={{ margin: 0, color: colors.secondary }}>{profile.name}</h3>
+          ) : (
+            <form onSubmit={handleRename} style={{ display: "flex", gap: "8px" }}>
+              <input value={rename} onChange={(e) => setRename(e.target.value)} aria-label={t("profiles.playerName")} style={fieldStyle} />
+              <button type="submit" style={buttonStyle}>
+                {t("profiles.save")}
+              </button>
+            </form>
+          )}
+          {rename === null && (
+            <button type="button" onClick={() => setRename(profile.name)} style={buttonStyle}>
+              {t("profiles.rename")}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => {
+              profiles.remove(profile.id);
+              setSelected(null);
+            }}
+            style={{ ...buttonStyle, background: colors.accent }}
+          >
+            {t("profiles.delete")}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setSelected(null);
+              setRename(null);
+              setError(null);
+            }}
+            style={buttonStyle}
+          >
+            {t("profiles.leaderboard")}
+          </button>
+        </div>
+        <dl style={{ display: "grid", gridTemplateColumns: "max-content auto", gap: "4px 16px", margin: "0 0 16px 0" }}>
+          {facts.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt style={{ color: colors.muted }}>{label}</dt>
+              <dd style={{ margin: 0, fontWeight: 600 }}>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <table aria-label={t("profiles.vsComputer")} style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, textAlign: "start" }}>{t("profiles.computer")}</th>
+              <th style={cellStyle}>{t("profiles.games")}</th>
+              <th style={cellStyle}>{t("profiles.wdl")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(DIFFICULTIES).map((level) => (
+              <tr key={level}>
+                <td style={{ ...cellStyle, textAlign: "start" }}>{t(`difficulty.${level}`)}</td>
+                <td style={cellStyle}>{t.number(stats.vsAI[level].games)}</td>
+                <td style={cellStyle}>{recordText(stats.vsAI[level], t)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    );
+  }
+
+  return (
+    <section
+      className="ttt-profiles"
+      aria-label={t("profiles.title")}
+      style={{ width: "100%", maxWidth: "640px", margin: "0 auto", color: colors.text }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "14px" }}>
+        <h2 style={{ color: colors.primary, margin: 0 }}>{t("profiles.title")}</h2>
+        <button type="button" onClick={onClose} style={buttonStyle}>
+          {t("profiles.back")}
+        </button>
+      </div>
+      {error && (
+        <div role="alert" style={{ color: colors.accent, marginBottom: "10px" }}>
+          {error.code ? t(`profiles.error.${error.code}`, error.values) : error.message}
+        </div>
+      )}
+      {profile ? renderStats() : renderLeaderboard()}
+    </section>
+  );
+}
+
+export default ProfilesScreen;
@@ -0,0 +1,236 @@
+/*
+  PLAYER PROFILES
+  ---------------
+
+  - Named players kept in localStorage, with every rated game they played. Statistics and
+    ratings are never stored: they are worked out from the results, so they can't drift apart.
+  - Stored data:
+      {
+        profiles: [{ id, name, createdAt }]
+        results:  [{ gameId, at, mode, X, O, result }]   oldest first
+                  X / O: { profile: id } | { ai: difficulty } | null (a guest)
+                  result: "X" | "O" | "draw"
+        seats:    [id | null, id | null]                 who sits as player 1 and player 2
+      }
+  - A game is recorded once (by gameId) when it ends, if at least one side is a profile.
+    Online and AI vs AI games are not recorded.
+  - Ratings are Elo: everyone starts at START_RATING; after each game both profiles move by
+    K_FACTOR times (score - expected score). The computer has a fixed rating per difficulty,
+    and games against guests are counted in the statistics but not rated.
+  - Deleting a profile keeps its games; they count as a guest's from then on.
+  - Storage failures never break play: reads fall back to no profiles and writes are skipped.
+*/
+
+import { DIFFICULTIES } from "../ai/minimax";
+
+const STORAGE_KEY = "ttt.profiles.v1";
+const MAX_NAME_LENGTH = 24;
+
+// PUBLIC_INTERFACE
+export const START_RATING = 1200;
+export const K_FACTOR = 32;
+/** Fixed ratings of the local computer opponent, by difficulty. */
+export const AI_RATINGS = { easy: 800, medium: 1100, hard: 1500, perfect: 1900 };
+/** Match player names the app uses itself, which profiles can't take. */
+export const RESERVED_NAMES = ["You", "Computer", "Opponent", "Player 1", "Player 2"];
+
+// PUBLIC_INTERFACE
+/**
+ * Thrown for a profile name that can't be used, with a message for the user. `code` and
+ * `values` say why for the message catalogs (src/i18n: "profiles.error.<code>"):
+ * "empty", "tooLong" ({ count }), "reserved" ({ name }) or "taken" ({ name }).
+ */
+export class ProfileError extends Error {
+  constructor(message, { code, values = {} } = {}) {
+    super(message);
+    this.name = "ProfileError";
+    this.code = code;
+    this.values = values;
+  }
+}
+
+function emptyData() {
+  return { profiles: [], results: [], seats: [null, null] };
+}
+
+function readAll(storage) {
+  try {
+    const data = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (!data || !Array.isArray(data.profiles) || !Array.isArray(data.results)) return emptyData();
+    const seats = Array.isArray(data.seats) ? data.seats : [];
+    return { profiles: data.profiles, results: data.results, seats: [seats[0] || null, seats[1] || null] };
+  } catch (e) {
+    return emptyData();
+  }
+}
+
+function writeAll(storage, data) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+  } catch (e) {
+    // Storage disabled or full: profiles are a convenience, keep playing
+  }
+  return data;
+}
+
+function newProfileId() {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// A usable name, or a ProfileError saying why not
+function checkName(data, name, id = null) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw new ProfileError("Enter a name", { code: "empty" });
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new ProfileError(`Names can be at most ${MAX_NAME_LENGTH} characters`, {
+      code: "tooLong",
+      values: { count: MAX_NAME_LENGTH }
+    });
+  }
+  const lower = trimmed.toLowerCase();
+  if (RESERVED_NAMES.some((reserved) => reserved.toLowerCase() === lower)) {
+    throw new ProfileError(`"${trimmed}" is used by the game itself`, { code: "reserved", values: { name: trimmed } });
+  }
+  if (data.profiles.some((p) => p.id !== id && p.name.toLowerCase() === lower)) {
+    throw new ProfileError(`There is already a player called "${trimmed}"`, { code: "taken", values: { name: trimmed } });
+  }
+  return trimmed;
+}
+
+// PUBLIC_INTERFACE
+/** Everything stored: { profiles, results, seats }. */
+export function loadProfiles(storage = window.localStorage) {
+  return readAll(storage);
+}
+
+// PUBLIC_INTERFACE
+/** Add a profile. Returns the new data; throws ProfileError for a blank, reserved or taken name. */
+export function createProfile(name, storage = window.localStorage, now = new Date()) {
+  const data = readAll(storage);
+  const profile = { id: newProfileId(), name: checkName(data, name), createdAt: now.toISOString() };
+  return writeAll(storage, { ...data, profiles: [...data.profiles, profile] });
+}
+
+// PUBLIC_INTERFACE
+/** Rename a profile; its games and rating stay with it. Throws ProfileError like createProfile. */
+export function renameProfile(id, name, storage = window.localStorage) {
+  const data = readAll(storage);
+  const checked = checkName(data, name, id);
+  return writeAll(storage, { ...data, profiles: data.profiles.map((p) => (p.id === id ? { ...p, name: checked } : p)) });
+}
+
+// PUBLIC_INTERFACE
+/** Remove a profile and free its seat. Its games stay, as a guest's. */
+export function deleteProfile(id, storage = window.localStorage) {
+  const data = readAll(storage);
+  return writeAll(storage, {
+    ...data,
+    profiles: data.profiles.filter((p) => p.id !== id),
+    seats: data.seats.map((seat) => (seat === id ? null : seat))
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Seat a profile (or null for a guest) as player 1 (seat 0) or 2; it leaves any other seat. */
+export function setSeat(seat, id, storage = window.localStorage) {
+  const data = readAll(storage);
+  const seats = data.seats.map((current, i) => (i === seat ? id : current === id ? null : current));
+  return writeAll(storage, { ...data, seats });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Record a finished game: { gameId, mode, X, O, result } (see the header for X / O).
+ * Ignored if that game is already recorded or no profile played it.
+ */
+export function recordResult(entry, storage = window.localStorage, now = new Date()) {
+  const data = readAll(storage);
+  const hasProfile = [entry.X, entry.O].some((side) => side && side.profile);
+  if (!hasProfile || data.results.some((r) => r.gameId === entry.gameId)) return data;
+  return writeAll(storage, { ...data, results: [...data.results, { ...entry, at: now.toISOString() }] });
+}
+
+// Probability of winning (a draw counts half) for a player rated `rating` against `opponent`
+function expectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+// PUBLIC_INTERFACE
+/** Every profile's current rating, { [id]: rating }, from its results in order. */
+export function ratings(data) {
+  const current = Object.fromEntries(data.profiles.map((p) => [p.id, START_RATING]));
+  function ratingOf(side) {
+    if (side && side.profile) return current[side.profile] ?? null;
+    if (side && side.ai) return AI_RATINGS[side.ai] ?? null;
+    return null;
+  }
+  data.results.forEach(({ X, O, result }) => {
+    const x = ratingOf(X);
+    const o = ratingOf(O);
+    // Games against a guest (or a deleted profile) aren't rated
+    if (x === null || o === null) return;
+    const scoreX = result === "X" ? 1 : result === "draw" ? 0.5 : 0;
+    if (X.profile) current[X.profile] = x + K_FACTOR * (scoreX - expectedScore(x, o));
+    if (O.profile) current[O.profile] = o + K_FACTOR * (1 - scoreX - expectedScore(o, x));
+  });
+  return current;
+}
+
+function emptyRecord() {
+  return { games: 0, wins: 0, draws: 0, losses: 0 };
+}
+
+function winRate(record) {
+  return record.games ? record.wins / record.games : 0;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Statistics for one profile:
+ *   { games, wins, draws, losses, winRate, asX, asO, longestStreak, currentStreak, vsAI, rating }
+ * asX / asO: { games, wins, draws, losses, winRate } for each side; vsAI: such a record for
+ * every difficulty; streaks count wins in a row.
+ */
+export function profileStats(data, id) {
+  const total = emptyRecord();
+  const sides = { X: emptyRecord(), O: emptyRecord() };
+  const vsAI = Object.fromEntries(Object.keys(DIFFICULTIES).map((level) => [level, emptyRecord()]));
+  let streak = 0;
+  let longestStreak = 0;
+  data.results.forEach((entry) => {
+    const side = ["X", "O"].find((s) => entry[s] && entry[s].profile === id);
+    if (!side) return;
+    const opponent = entry[side === "X" ? "O" : "X"];
+    const outcome = entry.result === "draw" ? "draws" : entry.result === side ? "wins" : "losses";
+    const records = [total, sides[side]];
+    if (opponent && opponent.ai && vsAI[opponent.ai]) records.push(vsAI[opponent.ai]);
+    records.forEach((record) => {
+      record.games += 1;
+      record[outcome] += 1;
+    });
+    streak = outcome === "wins" ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+  });
+  const withRate = (record) => ({ ...record, winRate: winRate(record) });
+  return {
+    ...withRate(total),
+    asX: withRate(sides.X),
+    asO: withRate(sides.O),
+    longestStreak,
+    currentStreak: streak,
+    vsAI: Object.fromEntries(Object.entries(vsAI).map(([level, record]) => [level, withRate(record)])),
+    rating: Math.round(ratings(data)[id] ?? START_RATING)
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Profiles best first: [{ id, name, rating, games, winRate }], by rating, then games played. */
+export function leaderboard(data) {
+  const current = ratings(data);
+  return data.profiles
+    .map((p) => {
+      const stats = profileStats(data, p.id);
+      return { id: p.id, name: p.name, rating: Math.round(current[p.id]), games: stats.games, winRate: stats.winRate };
+    })
+    .sort((a, b) => b.rating - a.rating || b.games - a.games || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,102 @@
+import {
+  loadProfiles,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+  setSeat,
+  recordResult,
+  ratings,
+  profileStats,
+  leaderboard,
+  ProfileError,
+  START_RATING,
+  AI_RATINGS
+} from "./profiles";
+
+beforeEach(() => window.localStorage.clear());
+
+// Two profiles, Ann and Bo; returns their ids
+function annAndBo() {
+  createProfile("Ann");
+  const { profiles } = createProfile("Bo");
+  return profiles.map((p) => p.id);
+}
+
+let gameNumber = 0;
+function game(X, O, result, mode = "pvp") {
+  gameNumber += 1;
+  return recordResult({ gameId: `g${gameNumber}`, mode, X, O, result });
+}
+
+test("names must be new, not blank and not one the game uses", () => {
+  const [ann] = annAndBo();
+  expect(() => createProfile("  ")).toThrow(ProfileError);
+  expect(() => createProfile("ann")).toThrow('There is already a player called "ann"');
+  expect(() => createProfile("Computer")).toThrow(/used by the game/);
+  // The remote player in online games
+  expect(() => createProfile("opponent")).toThrow(expect.objectContaining({ code: "reserved" }));
+  expect(() => createProfile("x".repeat(25))).toThrow(/at most 24/);
+  expect(renameProfile(ann, " Anna ").profiles[0].name).toBe("Anna");
+  expect(() => renameProfile(ann, "Bo")).toThrow(ProfileError);
+  // The reason comes with a code for translated messages
+  expect(() => createProfile("BO")).toThrow(expect.objectContaining({ code: "taken", values: { name: "BO" } }));
+  // Renaming to the same name is fine
+  expect(renameProfile(ann, "anna").profiles[0].name).toBe("anna");
+});
+
+test("seats hold one profile each, and deleting a profile frees its seat but keeps its games", () => {
+  const [ann, bo] = annAndBo();
+  setSeat(0, ann);
+  expect(setSeat(1, bo).seats).toEqual([ann, bo]);
+  // Moving Ann to seat 2 takes her out of seat 1
+  expect(setSeat(1, ann).seats).toEqual([null, ann]);
+  game({ profile: ann }, { profile: bo }, "X");
+  const data = deleteProfile(ann);
+  expect(data.seats).toEqual([null, null]);
+  expect(data.results).toHaveLength(1);
+  expect(profileStats(data, bo)).toMatchObject({ games: 1, losses: 1, rating: START_RATING });
+});
+
+test("a game is recorded once, and only with a profile in it", () => {
+  const [ann] = annAndBo();
+  recordResult({ gameId: "same", mode: "pvp", X: { profile: ann }, O: null, result: "draw" });
+  recordResult({ gameId: "same", mode: "pvp", X: { profile: ann }, O: null, result: "X" });
+  recordResult({ gameId: "guests", mode: "pvp", X: null, O: null, result: "X" });
+  expect(loadProfiles().results.map((r) => [r.gameId, r.result])).toEqual([["same", "draw"]]);
+});
+
+test("Elo: an even game moves both players by half the K factor, guests aren't rated", () => {
+  const [ann, bo] = annAndBo();
+  let data = game({ profile: ann }, { profile: bo }, "X");
+  expect(ratings(data)).toEqual({ [ann]: START_RATING + 16, [bo]: START_RATING - 16 });
+  data = game({ profile: ann }, null, "O");
+  expect(ratings(data)[ann]).toBe(START_RATING + 16);
+  // Beating the perfect computer is worth almost the whole K factor
+  data = game({ ai: "perfect" }, { profile: bo }, "O", "pvc");
+  expect(ratings(data)[bo]).toBeGreaterThan(START_RATING - 16 + 31);
+  expect(AI_RATINGS.perfect).toBeGreaterThan(AI_RATINGS.easy);
+});
+
+test("statistics: sides, streaks and the record against each difficulty", () => {
+  const [ann, bo] = annAndBo();
+  game({ profile: ann }, { ai: "easy" }, "X", "pvc");
+  game({ ai: "easy" }, { profile: ann }, "O", "pvc");
+  game({ profile: ann }, { ai: "hard" }, "X", "pvc");
+  game({ ai: "perfect" }, { profile: ann }, "draw", "pvc");
+  const data = game({ profile: bo }, { profile: ann }, "O");
+  const stats = profileStats(data, ann);
+  expect(stats).toMatchObject({ games: 5, wins: 4, draws: 1, losses: 0, longestStreak: 3, currentStreak: 1 });
+  expect(stats.asX).toMatchObject({ games: 2, wins: 2, winRate: 1 });
+  expect(stats.asO).toMatchObject({ games: 3, wins: 2, draws: 1 });
+  expect(stats.vsAI.easy).toMatchObject({ games: 2, wins: 2 });
+  expect(stats.vsAI.perfect).toMatchObject({ games: 1, draws: 1 });
+  expect(stats.vsAI.medium.games).toBe(0);
+
+  expect(leaderboard(data).map((row) => [row.name, row.games])).toEqual([["Ann", 5], ["Bo", 1]]);
+  expect(leaderboard(data)[0].winRate).toBe(0.8);
+});
+
+test("unreadable storage means no profiles", () => {
+  window.localStorage.setItem("ttt.profiles.v1", "{oops");
+  expect(loadProfiles()).toEqual({ profiles: [], results: [], seats: [null, null] });
+});
@@ -0,0 +1,22 @@
+import { useState } from "react";
+import { loadProfiles, createProfile, renameProfile, deleteProfile, setSeat, recordResult } from "./profiles";
+
+// PUBLIC_INTERFACE
+/**
+ * Stored profiles (see profiles.js) and the changes the UI makes to them. Every change is
+ * saved at once, in `storage` (default localStorage). Returns:
+ *   profiles, results, seats        as stored
+ *   create(name), rename(id, name)  throw ProfileError for names that can't be used
+ *   remove(id), seat(index, id | null), record(entry)
+ */
+export function useProfiles(storage = window.localStorage) {
+  const [data, setData] = useState(() => loadProfiles(storage));
+  return {
+    ...data,
+    create: (name) => setData(createProfile(name, storage)),
+    rename: (id, name) => setData(renameProfile(id, name, storage)),
+    remove: (id) => setData(deleteProfile(id, storage)),
+    seat: (index, id) => setData(setSeat(index, id, storage)),
+    record: (entry) => setData(recordResult(entry, storage))
+  };
+}
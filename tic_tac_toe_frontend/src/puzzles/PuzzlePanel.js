@@ -0,0 +1,83 @@
+import React from "react";
+import { PUZZLE_DIFFICULTIES } from "./puzzles";
+import { progressSummary } from "./progress";
+
+// PUBLIC_INTERFACE
+/**
+ * Puzzle mode, above the board: which puzzle this is, progress and streaks, the difficulty,
+ * and moving on to the next puzzle. The goal itself is in the status bar.
+ * Props: colors, t (translator), isMobile, puzzle, status ("playing" | "solved" | "failed"), progress (from
+ * usePuzzleProgress), onDifficultyChange(level), onNext()
+ */
+function PuzzlePanel({ colors, t, isMobile, puzzle, status, progress, onDifficultyChange, onNext }) {
+  const { solved, tried } = progressSummary(progress)[puzzle.difficulty];
+  const level = t(`difficulty.${puzzle.difficulty}`);
+
+  return (
+    <section
+      className="ttt-puzzle"
+      aria-label={t("puzzle.label")}
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: "8px 16px",
+        marginBottom: isMobile ? "14px" : "18px",
+        color: colors.text,
+        textAlign: "center"
+      }}
+    >
+      <div>
+        <div style={{ fontWeight: 600, color: status === "solved" ? colors.secondary : colors.primary }}>
+          {t("puzzle.title", { n: puzzle.index + 1, level })}
+        </div>
+        <div style={{ fontSize: "0.95rem", color: colors.muted }}>
+          {t("puzzle.progress", {
+            solved,
+            tried,
+            level: level.toLocaleLowerCase(t.locale),
+            streak: progress.streak,
+            best: progress.bestStreak
+          })}
+        </div>
+      </div>
+      <select
+        value={puzzle.difficulty}
+        onChange={(e) => onDifficultyChange(e.target.value)}
+        aria-label={t("puzzle.difficultySelect")}
+        style={{
+          fontWeight: 600,
+          borderRadius: "6px",
+          background: colors.surface,
+          border: `1.5px solid ${colors.border}`,
+          color: colors.primary,
+          padding: "5px 10px"
+        }}
+      >
+        {Object.keys(PUZZLE_DIFFICULTIES).map((id) => (
+          <option key={id} value={id}>
+            {t(`difficulty.${id}`)}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={onNext}
+        style={{
+          background: status === "solved" ? colors.primary : colors.surface,
+          color: status === "solved" ? colors.onPrimary : colors.primary,
+          border: `1.5px solid ${colors.primary}`,
+          fontWeight: 700,
+          borderRadius: "7px",
+          padding: "6px 14px",
+          cursor: "pointer"
+        }}
+      >
+        {t("puzzle.next")}
+      </button>
+    </section>
+  );
+}
+
+export default PuzzlePanel;
@@ -0,0 +1,78 @@
+/*
+  PUZZLE PROGRESS
+  ---------------
+
+  - Kept in localStorage:
+      {
+        results:    { [puzzle id]: "solved" | "failed" }   a puzzle once solved stays solved
+        streak:     puzzles solved in a row, at the first try or not; a miss starts it over
+        bestStreak
+      }
+  - Storage failures never break play: reads fall back to no progress and writes are skipped.
+*/
+
+import { PUZZLE_DIFFICULTIES } from "./puzzles";
+
+const STORAGE_KEY = "ttt.puzzles.v1";
+
+function emptyProgress() {
+  return { results: {}, streak: 0, bestStreak: 0 };
+}
+
+function readAll(storage) {
+  try {
+    const data = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (!data || typeof data.results !== "object" || data.results === null) return emptyProgress();
+    return { results: data.results, streak: data.streak || 0, bestStreak: data.bestStreak || 0 };
+  } catch (e) {
+    return emptyProgress();
+  }
+}
+
+function writeAll(storage, data) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+  } catch (e) {
+    // Storage disabled or full: progress is a convenience, keep solving
+  }
+  return data;
+}
+
+// PUBLIC_INTERFACE
+/** Everything stored: { results, streak, bestStreak }. */
+export function loadProgress(storage = window.localStorage) {
+  return readAll(storage);
+}
+
+// PUBLIC_INTERFACE
+/** Record one attempt at a puzzle. Returns the new progress. */
+export function recordAttempt(id, solved, storage = window.localStorage) {
+  const data = readAll(storage);
+  const streak = solved ? data.streak + 1 : 0;
+  return writeAll(storage, {
+    results: { ...data.results, [id]: solved || data.results[id] === "solved" ? "solved" : "failed" },
+    streak,
+    bestStreak: Math.max(data.bestStreak, streak)
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Index of the first puzzle of a difficulty not solved yet, after `after` if given. */
+export function nextPuzzleIndex(progress, difficulty, after = -1) {
+  let index = after + 1;
+  while (progress.results[`${difficulty}-${index}`] === "solved") index++;
+  return index;
+}
+
+// PUBLIC_INTERFACE
+/** { solved, tried } puzzles of each difficulty, by difficulty. */
+export function progressSummary(progress) {
+  const summary = Object.fromEntries(Object.keys(PUZZLE_DIFFICULTIES).map(level => [level, { solved: 0, tried: 0 }]));
+  Object.entries(progress.results).forEach(([id, result]) => {
+    const level = summary[id.slice(0, id.lastIndexOf("-"))];
+    if (!level) return;
+    level.tried += 1;
+    if (result === "solved") level.solved += 1;
+  });
+  return summary;
+}
@@ -0,0 +1,41 @@
+import { loadProgress, recordAttempt, nextPuzzleIndex, progressSummary } from "./progress";
+
+beforeEach(() => window.localStorage.clear());
+
+test("attempts are kept with the streak; a solved puzzle stays solved", () => {
+  expect(loadProgress()).toEqual({ results: {}, streak: 0, bestStreak: 0 });
+  recordAttempt("easy-0", true);
+  recordAttempt("easy-1", true);
+  recordAttempt("easy-0", false);
+  const progress = recordAttempt("medium-0", false);
+  expect(progress).toEqual({ results: { "easy-0": "solved", "easy-1": "solved", "medium-0": "failed" }, streak: 0, bestStreak: 2 });
+  expect(loadProgress()).toEqual(progress);
+  expect(recordAttempt("medium-0", true).streak).toBe(1);
+});
+
+test("the next puzzle is the first unsolved one, counting from the one after", () => {
+  const progress = { results: { "easy-0": "solved", "easy-1": "failed", "easy-2": "solved", "hard-0": "solved" }, streak: 0, bestStreak: 0 };
+  expect(nextPuzzleIndex(progress, "easy")).toBe(1);
+  expect(nextPuzzleIndex(progress, "easy", 1)).toBe(3);
+  expect(nextPuzzleIndex(progress, "medium")).toBe(0);
+  expect(nextPuzzleIndex(progress, "hard")).toBe(1);
+  expect(progressSummary(progress)).toEqual({
+    easy: { solved: 2, tried: 3 },
+    medium: { solved: 0, tried: 0 },
+    hard: { solved: 1, tried: 1 }
+  });
+});
+
+test("unreadable or failing storage means no progress, not an error", () => {
+  window.localStorage.setItem("ttt.puzzles.v1", "{not json");
+  expect(loadProgress()).toEqual({ results: {}, streak: 0, bestStreak: 0 });
+  const broken = {
+    getItem: () => {
+      throw new Error("denied");
+    },
+    setItem: () => {
+      throw new Error("full");
+    }
+  };
+  expect(recordAttempt("easy-0", true, broken)).toEqual({ results: { "easy-0": "solved" }, streak: 1, bestStreak: 1 });
+});
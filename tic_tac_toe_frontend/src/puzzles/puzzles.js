@@ -0,0 +1,214 @@
+/*
+  PUZZLES
+  -------
+
+  - A puzzle is a classic position reached by real play, where the player to move must either
+      goal "win"    force a win with at most n moves of their own, or
+      goal "draw"   hold the draw to the end of the game (n: the moves they have left).
+    The computer defends with the best moves there are (see bestDefense).
+  - Shape: { id, difficulty, index, size, winLength, moves, player, goal, n, solutions }
+      moves      played from the empty board to the puzzle position
+      solutions  the first moves that keep the goal within reach
+  - Puzzles are generated, not stored: puzzle `index` of a difficulty comes from a random
+    number generator seeded with its id ("medium-4"), so it is the same on every device and
+    progress can refer to it by id.
+  - Every candidate is checked with the solver (solver.js): the goal is exactly what it says
+    (no quicker win), and at least one first move misses it, or any move would do.
+  - Difficulty comes from a score: 2 per move of a forced win (1 per move left to hold a
+    draw), 2 for a 4x4 board, 1 if only one first move works and 1 for a draw puzzle.
+    Easy scores up to 3, medium 4-5, hard 6 or more.
+*/
+
+import { replayMoves, createGame, applyMove, legalMoves, findLineThrough, otherPlayer } from "../game/engine.js";
+import { throwIfAborted } from "../ai/providers/providerError.js";
+import { canForceWin, winDistance, outcome, emptyCells, place } from "./solver.js";
+import { translator } from "../i18n/i18n.js";
+
+// PUBLIC_INTERFACE
+export const PUZZLE_DIFFICULTIES = {
+  easy: { label: "Easy", minScore: 0, maxScore: 3 },
+  medium: { label: "Medium", minScore: 4, maxScore: 5 },
+  hard: { label: "Hard", minScore: 6, maxScore: Infinity }
+};
+
+// Longest forced win a puzzle asks for (moves of the player's own)
+const MAX_WIN_MOVES = 3;
+
+// Candidate positions tried before giving up on a seed (far more than any difficulty needs)
+const MAX_ATTEMPTS = 5000;
+
+// Boards puzzles are set on: 3x3, and 4x4 with three in a row (4x4 with four has few forced wins)
+const BOARDS = [
+  { size: 3, winLength: 3, setupMoves: [2, 6] },
+  { size: 4, winLength: 3, setupMoves: [3, 8] }
+];
+
+// Small seeded generator (mulberry32), so a puzzle id always gives the same puzzle
+function seededRandom(text) {
+  let seed = 0;
+  for (const ch of text) seed = (Math.imul(seed, 31) + ch.charCodeAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// PUBLIC_INTERFACE
+/** Difficulty score of a puzzle's goal (see the header). */
+export function puzzleScore({ size, goal, n, solutions }) {
+  return (goal === "win" ? 2 * n : n) + (size - 3) * 2 + (solutions.length === 1 ? 1 : 0) + (goal === "draw" ? 1 : 0);
+}
+
+// Moves the player has made since the puzzle position
+function movesMade(puzzle, game) {
+  return Math.ceil((game.moves.length - puzzle.moves.length) / 2);
+}
+
+// First moves from `game` that keep the goal: a forced win within n, or at least a draw
+function firstMoves(game, goal, n, memo) {
+  const { board, turn, winLength } = game;
+  return emptyCells(board).filter(cell => {
+    const next = place(board, cell, turn);
+    if (findLineThrough(next, cell, winLength)) return true;
+    if (goal === "win") return canForceWin(next, otherPlayer(turn), turn, winLength, n - 1, memo);
+    return outcome(next, otherPlayer(turn), winLength, memo) !== "win";
+  });
+}
+
+// The puzzle in `game`, if it is one: { goal, n, solutions }, else null
+function puzzleIn(game, memo) {
+  const { board, turn, winLength, size } = game;
+  const empty = emptyCells(board).length;
+  let goal;
+  let n;
+  if (size === 3) {
+    const best = outcome(board, turn, winLength, memo);
+    if (best === "loss") return null;
+    goal = best;
+    n = best === "win" ? winDistance(board, turn, turn, winLength, MAX_WIN_MOVES, memo) : Math.ceil(empty / 2);
+  } else {
+    goal = "win";
+    n = winDistance(board, turn, turn, winLength, MAX_WIN_MOVES, memo);
+  }
+  // Holding a draw with one move left is no puzzle
+  if (n === null || (goal === "draw" && n < 2)) return null;
+  const solutions = firstMoves(game, goal, n, memo);
+  if (solutions.length === empty) return null;
+  return { goal, n, solutions };
+}
+
+// PUBLIC_INTERFACE
+/** Puzzle number `index` (0-based) of a difficulty ("easy" | "medium" | "hard"); always the same one. */
+export function generatePuzzle(difficulty, index) {
+  const { minScore, maxScore } = PUZZLE_DIFFICULTIES[difficulty];
+  const id = `${difficulty}-${index}`;
+  const random = seededRandom(id);
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const { size, winLength, setupMoves } = pick(BOARDS, random);
+    const count = setupMoves[0] + Math.floor(random() * (setupMoves[1] - setupMoves[0] + 1));
+    let game = createGame({ size, winLength });
+    for (let i = 0; i < count && !game.result; i++) {
+      game = applyMove(game, pick(legalMoves(game), random));
+    }
+    if (game.result) continue;
+    const found = puzzleIn(game, new Map());
+    if (!found) continue;
+    const puzzle = { id, difficulty, index, size, winLength, moves: game.moves, player: game.turn, ...found };
+    const score = puzzleScore(puzzle);
+    if (score >= minScore && score <= maxScore) return puzzle;
+  }
+  throw new Error(`No ${difficulty} puzzle found for ${id}`);
+}
+
+// PUBLIC_INTERFACE
+/** The engine state a puzzle starts from. */
+export function puzzleStart(puzzle) {
+  return replayMoves(puzzle.moves, { size: puzzle.size, winLength: puzzle.winLength });
+}
+
+// PUBLIC_INTERFACE
+/** What the player has to do, e.g. "X to play and win in 2 moves", in the language of `t` (src/i18n). */
+export function puzzleGoal({ player, goal, n }, t = translator()) {
+  if (goal === "draw") return t("puzzle.goalDraw", { player });
+  return t("puzzle.goalWin", { player, count: n });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * How an attempt stands in `game` (the puzzle position with moves played after it):
+ * "solved" | "failed" | "playing". It fails as soon as a move of the player's lets the goal
+ * slip, without waiting for the game to end.
+ */
+export function attemptStatus(puzzle, game, memo = new Map()) {
+  if (game.result) {
+    const { winner } = game.result;
+    return winner === puzzle.player || (puzzle.goal === "draw" && !winner) ? "solved" : "failed";
+  }
+  if (game.turn === puzzle.player) return "playing";
+  if (puzzle.goal === "win") {
+    const left = puzzle.n - movesMade(puzzle, game);
+    return canForceWin(game.board, game.turn, puzzle.player, game.winLength, left, memo) ? "playing" : "failed";
+  }
+  return outcome(game.board, game.turn, game.winLength, memo) === "win" ? "failed" : "playing";
+}
+
+// PUBLIC_INTERFACE
+/** What the status bar says once an attempt is over, in the language of `t`. */
+export function attemptMessage(puzzle, status, t = translator()) {
+  if (status === "solved") return t("puzzle.solved");
+  return t(puzzle.goal === "win" ? "puzzle.failedWin" : "puzzle.failedDraw", { player: otherPlayer(puzzle.player) });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The computer's reply in a puzzle, for the side defending against the player: a line of its
+ * own if one was left open; in a win puzzle the move that puts the player's win furthest off;
+ * in a draw puzzle the move that does best for itself.
+ */
+export function bestDefense(puzzle, game, memo = new Map()) {
+  const { board, turn, winLength } = game;
+  const cells = emptyCells(board);
+  const winning = cells.find(cell => findLineThrough(place(board, cell, turn), cell, winLength));
+  if (winning) return winning;
+
+  const rate = cell => {
+    const next = place(board, cell, turn);
+    if (puzzle.goal === "draw") {
+      // The player's outcome after this reply: the lower, the better for the computer
+      return -["loss", "draw", "win"].indexOf(outcome(next, puzzle.player, winLength, memo));
+    }
+    const left = puzzle.n - movesMade(puzzle, game);
+    const distance = winDistance(next, puzzle.player, puzzle.player, winLength, left, memo);
+    return distance === null ? Infinity : distance;
+  };
+  let best = cells[0];
+  let bestRating = -Infinity;
+  cells.forEach(cell => {
+    const rating = rate(cell);
+    if (rating > bestRating) {
+      best = cell;
+      bestRating = rating;
+    }
+  });
+  return best;
+}
+
+// PUBLIC_INTERFACE
+/** Move provider (src/ai/providers) for the computer's side of a puzzle. */
+export function createPuzzleDefender(puzzle) {
+  const memo = new Map();
+  return {
+    id: "puzzle",
+    label: "Puzzle defense",
+    async getMove(game, { signal } = {}) {
+      throwIfAborted(signal, "puzzle");
+      return bestDefense(puzzle, game, memo);
+    }
+  };
+}
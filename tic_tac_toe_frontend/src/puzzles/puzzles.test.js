@@ -0,0 +1,93 @@
+import { applyMove, otherPlayer } from "../game/engine.js";
+import { canForceWin, winDistance, outcome, emptyCells } from "./solver.js";
+import {
+  PUZZLE_DIFFICULTIES,
+  generatePuzzle,
+  puzzleScore,
+  puzzleStart,
+  puzzleGoal,
+  attemptStatus,
+  attemptMessage,
+  bestDefense
+} from "./puzzles.js";
+
+function board(...rows) {
+  return rows.map((row) => [...row].map((cell) => (cell === "." ? null : cell)));
+}
+
+// The player's move that keeps the attempt going (a winning one first)
+function goodMove(puzzle, game) {
+  const keeps = legal(game).filter((cell) => attemptStatus(puzzle, applyMove(game, cell)) !== "failed");
+  return keeps.find((cell) => applyMove(game, cell).result) || keeps[0];
+}
+
+function legal(game) {
+  return emptyCells(game.board);
+}
+
+function play(puzzle, chooseMove) {
+  let game = puzzleStart(puzzle);
+  let status = "playing";
+  while (status === "playing") {
+    const move = game.turn === puzzle.player ? chooseMove(game) : bestDefense(puzzle, game);
+    game = applyMove(game, move);
+    status = attemptStatus(puzzle, game);
+  }
+  return status;
+}
+
+test("the solver finds forced wins by their length, and full outcomes", () => {
+  // X blocks at the top right, which makes a fork: it wins on whichever line O leaves open
+  const fork = board("X..", ".O.", "O.X");
+  expect(canForceWin(fork, "X", "X", 3, 1)).toBe(false);
+  expect(winDistance(fork, "X", "X", 3, 3)).toBe(2);
+  expect(outcome(fork, "X", 3)).toBe("win");
+  expect(winDistance(board("XX.", "OO.", "..."), "O", "O", 3, 3)).toBe(1);
+  expect(outcome(board("...", "...", "..."), "X", 3)).toBe("draw");
+  expect(winDistance(board("...", "...", "..."), "X", "X", 3, 3)).toBeNull();
+});
+
+test("puzzles are the same for the same id and fit their difficulty", () => {
+  expect(generatePuzzle("medium", 2)).toEqual(generatePuzzle("medium", 2));
+  expect(generatePuzzle("medium", 2)).not.toEqual(generatePuzzle("medium", 3));
+  Object.entries(PUZZLE_DIFFICULTIES).forEach(([difficulty, { minScore, maxScore }]) => {
+    [0, 1, 2].forEach((index) => {
+      const puzzle = generatePuzzle(difficulty, index);
+      expect(puzzle.id).toBe(`${difficulty}-${index}`);
+      expect(puzzleScore(puzzle)).toBeGreaterThanOrEqual(minScore);
+      expect(puzzleScore(puzzle)).toBeLessThanOrEqual(maxScore);
+      const start = puzzleStart(puzzle);
+      expect(start.turn).toBe(puzzle.player);
+      expect(start.result).toBeNull();
+      expect(puzzle.solutions.length).toBeGreaterThan(0);
+      expect(puzzle.solutions.length).toBeLessThan(legal(start).length);
+    });
+  });
+});
+
+test("the goal reads as a challenge", () => {
+  expect(puzzleGoal({ player: "X", goal: "win", n: 1 })).toBe("X to play and win in 1 move");
+  expect(puzzleGoal({ player: "O", goal: "win", n: 3 })).toBe("O to play and win in 3 moves");
+  expect(puzzleGoal({ player: "O", goal: "draw", n: 3 })).toBe("O to play and hold the draw");
+});
+
+test("good moves solve a puzzle against the best defense; a miss fails at once", () => {
+  ["easy-0", "easy-1", "medium-0", "hard-0", "hard-1"].forEach((id) => {
+    const [difficulty, index] = id.split("-");
+    const puzzle = generatePuzzle(difficulty, Number(index));
+    expect(play(puzzle, (game) => goodMove(puzzle, game))).toBe("solved");
+
+    const start = puzzleStart(puzzle);
+    const miss = legal(start).find((cell) => !puzzle.solutions.some(([r, c]) => r === cell[0] && c === cell[1]));
+    const after = applyMove(start, miss);
+    expect(after.turn).toBe(otherPlayer(puzzle.player));
+    expect(attemptStatus(puzzle, after)).toBe("failed");
+  });
+});
+
+test("attempt messages name what went wrong", () => {
+  const win = { player: "X", goal: "win", n: 2 };
+  expect(attemptMessage(win, "solved")).toBe("Solved!");
+  expect(attemptMessage(win, "failed")).toBe("Not solved: O can escape now");
+  expect(attemptMessage({ player: "O", goal: "draw", n: 3 }, "failed")).toBe("Not solved: X can force a win now");
+});
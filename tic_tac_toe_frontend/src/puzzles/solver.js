@@ -0,0 +1,112 @@
+/*
+  PUZZLE SOLVER
+  -------------
+
+  - Exact search over bare boards (rows of "X" | "O" | null) for classic rules: a line is
+    whatever the engine's findLineThrough / calculateWinner rules call one.
+  - Forced wins are bounded: "can X force a win with at most k more moves of its own" looks
+    2k - 1 plies ahead, whatever the board size, and the answer is exact.
+  - Full outcomes (win / draw / loss with best play) search to the end of the game, so they
+    are only asked on boards with few empty cells (3x3 puzzles).
+  - Pass the same memo Map to calls on positions of one puzzle to share the search.
+*/
+
+import { findLineThrough, otherPlayer } from "../game/engine.js";
+
+function key(board, ...rest) {
+  return `${board.map(row => row.map(cell => cell || "-").join("")).join("/")}|${rest.join("|")}`;
+}
+
+// PUBLIC_INTERFACE
+/** Empty cells of a board, in reading order. */
+export function emptyCells(board) {
+  const cells = [];
+  board.forEach((row, r) => row.forEach((cell, c) => {
+    if (!cell) cells.push([r, c]);
+  }));
+  return cells;
+}
+
+// PUBLIC_INTERFACE
+/** A copy of `board` with `player`'s mark on [row, col]. */
+export function place(board, [row, col], player) {
+  return board.map((cells, r) => (r === row ? cells.map((cell, c) => (c === col ? player : cell)) : cells));
+}
+
+// `attacker` to move: wins with at most `moves` more of its own moves, whatever the defence
+function attackerWins(board, attacker, winLength, moves, memo) {
+  if (moves <= 0) return false;
+  const id = key(board, attacker, winLength, moves, "a");
+  if (memo.has(id)) return memo.get(id);
+  const cells = emptyCells(board);
+  // A line now beats anything slower
+  let wins = cells.some(cell => !!findLineThrough(place(board, cell, attacker), cell, winLength));
+  if (!wins && moves > 1) {
+    wins = cells.some(cell => {
+      const next = place(board, cell, attacker);
+      return defenderLoses(next, attacker, winLength, moves - 1, memo);
+    });
+  }
+  memo.set(id, wins);
+  return wins;
+}
+
+// The defender (not `attacker`) to move: every reply still loses within `moves` attacker moves
+function defenderLoses(board, attacker, winLength, moves, memo) {
+  const cells = emptyCells(board);
+  // A full board is a draw
+  if (cells.length === 0) return false;
+  const defender = otherPlayer(attacker);
+  return cells.every(cell => {
+    const next = place(board, cell, defender);
+    if (findLineThrough(next, cell, winLength)) return false;
+    return attackerWins(next, attacker, winLength, moves, memo);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether `attacker` can force a win with at most `moves` more moves of its own, from `board`
+ * with `turn` to move (the attacker, or the defender answering its last move).
+ */
+export function canForceWin(board, turn, attacker, winLength, moves, memo = new Map()) {
+  return turn === attacker
+    ? attackerWins(board, attacker, winLength, moves, memo)
+    : defenderLoses(board, attacker, winLength, moves, memo);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fewest moves of its own `attacker` needs to force a win (at most `maxMoves`), or null if it
+ * can't within that many.
+ */
+export function winDistance(board, turn, attacker, winLength, maxMoves, memo = new Map()) {
+  for (let moves = 1; moves <= maxMoves; moves++) {
+    if (canForceWin(board, turn, attacker, winLength, moves, memo)) return moves;
+  }
+  return null;
+}
+
+const OUTCOMES = ["loss", "draw", "win"];
+
+// PUBLIC_INTERFACE
+/**
+ * What the player to move (`turn`) gets with best play from both sides: "win" | "draw" | "loss".
+ * Searches to the end of the game: keep it to small boards.
+ */
+export function outcome(board, turn, winLength, memo = new Map()) {
+  const id = key(board, turn, winLength, "o");
+  if (memo.has(id)) return memo.get(id);
+  const cells = emptyCells(board);
+  let best = cells.length === 0 ? "draw" : "loss";
+  for (const cell of cells) {
+    const next = place(board, cell, turn);
+    const result = findLineThrough(next, cell, winLength)
+      ? "win"
+      : OUTCOMES[2 - OUTCOMES.indexOf(outcome(next, otherPlayer(turn), winLength, memo))];
+    if (OUTCOMES.indexOf(result) > OUTCOMES.indexOf(best)) best = result;
+    if (best === "win") break;
+  }
+  memo.set(id, best);
+  return best;
+}
@@ -0,0 +1,17 @@
+import { useState } from "react";
+import { loadProgress, recordAttempt } from "./progress";
+
+// PUBLIC_INTERFACE
+/**
+ * Stored puzzle progress (see progress.js), saved in `storage` (default localStorage) on every
+ * change. Returns:
+ *   results, streak, bestStreak   as stored
+ *   record(id, solved)            one attempt at a puzzle
+ */
+export function usePuzzleProgress(storage = window.localStorage) {
+  const [data, setData] = useState(() => loadProgress(storage));
+  return {
+    ...data,
+    record: (id, solved) => setData(recordAttempt(id, solved, storage))
+  };
+}
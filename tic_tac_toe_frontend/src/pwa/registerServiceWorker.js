@@ -0,0 +1,21 @@
+/*
+  SERVICE WORKER REGISTRATION
+  ---------------------------
+
+  - public/service-worker.js caches the app shell so the app starts and plays offline, and
+    makes it installable.
+  - Only production builds register it: in development it would serve stale bundles after
+    every edit.
+  - Registration failures only cost offline support, so they are ignored.
+*/
+
+// PUBLIC_INTERFACE
+/** Register public/service-worker.js once the page has loaded (production builds only). */
+export function registerServiceWorker({ url = `${process.env.PUBLIC_URL}/service-worker.js` } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in window.navigator)) return;
+  window.addEventListener("load", () => {
+    window.navigator.serviceWorker.register(url).catch(() => {
+      // No offline support this time; the app works as before
+    });
+  });
+}
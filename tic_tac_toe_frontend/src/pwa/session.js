@@ -0,0 +1,35 @@
+/*
+  SAVED SESSION
+  -------------
+
+  - The game on the board, kept in localStorage as its game link (src/game/gameLink.js), so a
+    reload or a relaunch of the installed app picks up where the player was even when the URL
+    has no link (an installed app always starts at its start URL).
+  - Only what a link holds comes back: the mode, side, board, moves and position shown. The
+    match score, clocks and variations start fresh.
+  - Storage failures never break play: a session that can't be read or doesn't open is ignored.
+*/
+
+import { formatLink, parseLink } from "../game/gameLink";
+
+const STORAGE_KEY = "ttt.session.v1";
+
+// PUBLIC_INTERFACE
+/** Remember the game on the board: a link in formatLink's shape. */
+export function saveSession(link, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, formatLink(link));
+  } catch (e) {
+    // Storage disabled or full: the game goes on, it just won't come back after a reload
+  }
+}
+
+// PUBLIC_INTERFACE
+/** The game saved by saveSession, as parseLink returns it, or null if there is none that opens. */
+export function loadSession(storage = window.localStorage) {
+  try {
+    return parseLink(storage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,33 @@
+import { saveSession, loadSession } from "./session";
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    }
+  };
+}
+
+test("the game on the board is saved as its link and comes back the same", () => {
+  const storage = memoryStorage();
+  expect(loadSession(storage)).toBeNull();
+  const link = { mode: "pvc", humanSide: "O", boardOptions: { size: 3, winLength: 3, variant: "wild" }, moves: [[1, 1, "O"]], step: 0 };
+  saveSession(link, storage);
+  expect(loadSession(storage)).toEqual(link);
+});
+
+test("a session that doesn't open, or storage that fails, is ignored", () => {
+  expect(loadSession(memoryStorage({ "ttt.session.v1": "#mode=pvp&moves=b2.b2" }))).toBeNull();
+  const broken = {
+    getItem: () => {
+      throw new Error("denied");
+    },
+    setItem: () => {
+      throw new Error("full");
+    }
+  };
+  expect(() => saveSession({ mode: "pvp", boardOptions: { size: 3, winLength: 3 }, moves: [] }, broken)).not.toThrow();
+  expect(loadSession(broken)).toBeNull();
+});
@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * The browser's offer to install the app. Browsers that support it fire beforeinstallprompt
+ * once the app qualifies (manifest and service worker); the event is kept so the prompt can
+ * be shown from our own button instead of the browser's mini-infobar. Returns:
+ *   canInstall   an install prompt is waiting
+ *   install()    show it; resolves once the player has answered
+ */
+export function useInstallPrompt() {
+  const [prompt, setPrompt] = useState(null);
+
+  useEffect(() => {
+    function handlePrompt(e) {
+      e.preventDefault();
+      setPrompt(e);
+    }
+    // Installed from the browser's own menu: nothing left to offer
+    const handleInstalled = () => setPrompt(null);
+    window.addEventListener("beforeinstallprompt", handlePrompt);
+    window.addEventListener("appinstalled", handleInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", handlePrompt);
+      window.removeEventListener("appinstalled", handleInstalled);
+    };
+  }, []);
+
+  async function install() {
+    if (!prompt) return;
+    // A prompt can only be shown once, whatever the answer
+    setPrompt(null);
+    prompt.prompt();
+    await prompt.userChoice;
+  }
+
+  return { canInstall: !!prompt, install };
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react";
+
+// PUBLIC_INTERFACE
+/** Whether the browser says it is offline, following the online/offline events. */
+export function useNetworkStatus() {
+  const [offline, setOffline] = useState(() => window.navigator.onLine === false);
+
+  useEffect(() => {
+    const update = () => setOffline(window.navigator.onLine === false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return offline;
+}
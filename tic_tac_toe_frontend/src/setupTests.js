@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The game on the board lives on in the URL hash and the saved session: every test starts on a
+// page without either (Node-only tests have no page)
+beforeEach(() => {
+  if (typeof window === "undefined") return;
+  window.history.replaceState(null, "", "/");
+  window.localStorage.clear();
+});
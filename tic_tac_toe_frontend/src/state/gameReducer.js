@@ -0,0 +1,427 @@
+/*
+  GAME STATE REDUCER
+  ------------------
+
+  - Everything about the game on the board lives in one state object, changed only by actions:
+      mode              "pvp" | "pvc" | "cvc" (AI vs AI) | "online" | "puzzle"
+      boardOptions      { size, winLength, variant } for new games (variant: the rules, see VARIANTS)
+      match             the current match (src/game/match.js); the game on the board is not in it yet
+      tree              positions played (src/game/gameTree.js); the board shows tree.current
+      keepVariations    moves from earlier positions start a branch instead of replacing the line
+      gameId            archive record of the game on the board
+      replay            { record, source: "archive" | "import", playing, speed } while viewing a saved game
+      aiThinking        the computer has been asked for a move
+      error             last AI error/fallback message, for the catalogs (src/i18n): { id, values } | null
+      hint              { game, move }: shown while that engine state is on the board
+      playerNames       [name | null, name | null]: profile names for player 1 and 2 (null: the default name)
+      bots              [id, id]: the bots (src/ai/bots.js) playing AI vs AI, in match.players order
+      botSpeed          AI vs AI playback speed (1 = one move every BOT_MOVE_MS)
+      botsPaused        AI vs AI games wait while this is set
+      timeControl       null (untimed) | { id, initialMs, incrementMs } for new local games
+      countComputerTime whether the computer's clock runs while it thinks (otherwise it's paused)
+      clock             the running game's chess clock (src/game/clock.js), or null
+      turnStart         when the position on the board became the one to move from (ms)
+      puzzle            { puzzle, status } in puzzle mode (src/puzzles/puzzles.js), else null
+  - Actions that depend on time carry `at` (ms, default Date.now()), so the reducer itself
+    never reads the clock and can be replayed in tests.
+  - Every move records how long it took (`spentMs` on its tree node) from turnStart.
+  - Timed games: the clock starts with the first move. Moves are only played at the end of the
+    line and there is no undo/redo; earlier positions can still be reviewed while the clock runs.
+    A player whose clock runs out loses ("flag"). Online games are never timed; the server
+    doesn't keep a clock. Neither are AI vs AI games, which show each bot's move times instead.
+  - AI vs AI: both sides are bots and take no moves from the board. They swap sides every
+    game like any match, so the scoreboard compares them fairly.
+  - Anything that follows from these (whose turn, the sides this game, whether undo is possible)
+    comes from the selectors below and is never stored.
+  - Setup changes (mode, board, match length, side, players, AI vs AI bots, clock) start a new match
+    and a new game; Reset counts a finished game in the match first. Starting a new game drops
+    any replay, AI request and error.
+  - A game link (src/game/gameLink.js) opens as a new match in its mode, on the position it names,
+    with the whole line after it ready to step through. PvC links keep the human's side.
+  - Puzzles: the board starts from the puzzle position and the computer defends the other side.
+    Each move is graded as it is played (attemptStatus); once the puzzle is solved or missed,
+    the board takes no more moves. Reset tries the same puzzle again. Puzzles are not part of
+    the match, and have no clock, undo or redo.
+  - Online games are driven by the server: local moves are ignored in online mode, and the
+    server's copy arrives through the "sync" action. The server only plays classic rules, so
+    switching to online mode drops any other variant.
+*/
+
+import { createGame, applyMove, gameHistory, isLegalMove, loseOnTime, otherPlayer, VARIANTS } from "../game/engine";
+import { createMatch, seatsFor, recordResult, matchStatus } from "../game/match";
+import { createTree, currentNode, lineOf, goTo, playMove, undo, redo, replaceState } from "../game/gameTree";
+import { createClock, startClock, stopClock, completeMove, flagged } from "../game/clock";
+import { bestMove } from "../ai/analysis";
+import { botLabel } from "../ai/bots";
+import { newGameId, resultLabel } from "../archive/gameArchive";
+import { puzzleStart, attemptStatus } from "../puzzles/puzzles";
+
+// PUBLIC_INTERFACE
+/**
+ * Match player names for the local modes; online seats are decided by the server.
+ * People go by their profile name if they picked one (`names`), else by these defaults.
+ * AI vs AI players are named after their bots (numbered if both are the same bot).
+ */
+export const HUMAN = "You";
+export const COMPUTER = "Computer";
+export function matchPlayers(mode, bots, names = [null, null]) {
+  if (mode === "cvc") {
+    const [first, second] = bots.map(botLabel);
+    return first === second ? [`${first} 1`, `${second} 2`] : [first, second];
+  }
+  return mode === "pvc" ? [names[0] || HUMAN, COMPUTER] : [names[0] || "Player 1", names[1] || "Player 2"];
+}
+
+// PUBLIC_INTERFACE
+/** How long an AI vs AI move waits at 1x speed, so the game can be followed (ms). */
+export const BOT_MOVE_MS = 800;
+
+// PUBLIC_INTERFACE
+/** State for a first visit: two players on 3x3, an open series. */
+export function initialGameState({
+  mode = "pvp",
+  boardOptions = { size: 3, winLength: 3, variant: "classic" },
+  bots = ["minimax", "random"],
+  at = Date.now()
+} = {}) {
+  return {
+    mode,
+    boardOptions,
+    match: createMatch({ players: matchPlayers(mode, bots) }),
+    playerNames: [null, null],
+    tree: createTree([createGame(boardOptions)]),
+    keepVariations: false,
+    gameId: newGameId(),
+    replay: null,
+    aiThinking: false,
+    error: null,
+    hint: null,
+    bots,
+    botSpeed: 1,
+    botsPaused: false,
+    timeControl: null,
+    countComputerTime: false,
+    clock: null,
+    turnStart: at,
+    puzzle: null
+  };
+}
+
+// PUBLIC_INTERFACE
+/** The computer's side in the game on the board ("X" | "O"): in PvC, the defence in a puzzle, else null. */
+export function computerMark(state) {
+  if (state.mode === "puzzle") return otherPlayer(state.puzzle.puzzle.player);
+  if (state.mode !== "pvc") return null;
+  return seatsFor(state.match).X === COMPUTER ? "X" : "O";
+}
+
+// PUBLIC_INTERFACE
+/** Id of the bot playing `mark` in an AI vs AI game, else null. */
+export function botFor(state, mark) {
+  if (state.mode !== "cvc") return null;
+  return state.bots[state.match.players.indexOf(seatsFor(state.match)[mark])];
+}
+
+// Positions undo/redo pass over: the computer's turns, so a human+computer pair goes at once
+function computerTurn(state) {
+  const mark = computerMark(state);
+  return (game) => mark !== null && game.turn === mark;
+}
+
+// PUBLIC_INTERFACE
+/** Last position of the line on the board (not necessarily the one shown). */
+export function latestGame(state) {
+  const line = lineOf(state.tree);
+  return line[line.length - 1].state;
+}
+
+// PUBLIC_INTERFACE
+/** Result ("X" | "O" | "draw") of the game on the board once it counts for the match, else null. */
+export function finishedResult(state) {
+  const latest = latestGame(state);
+  if (state.replay || state.mode === "online" || state.mode === "puzzle" || !latest.result || matchStatus(state.match).over) {
+    return null;
+  }
+  return resultLabel(latest.result);
+}
+
+// PUBLIC_INTERFACE
+/** The match with the game on the board counted, if it is finished: what the scoreboard shows. */
+export function liveMatch(state) {
+  const result = finishedResult(state);
+  return result ? recordResult(state.match, result) : state.match;
+}
+
+// PUBLIC_INTERFACE
+export function canUndo(state) {
+  return canMoveBack(state) && undo(state.tree, computerTurn(state)) !== state.tree;
+}
+
+// PUBLIC_INTERFACE
+export function canRedo(state) {
+  return canMoveBack(state) && redo(state.tree, computerTurn(state)) !== state.tree;
+}
+
+// Undo/redo exist in local, untimed games played by people
+function canMoveBack(state) {
+  return !state.replay && !state.clock && (state.mode === "pvp" || state.mode === "pvc");
+}
+
+// A fresh board with the given size and win length, with full clocks if the game is timed.
+// In puzzle mode, a fresh attempt at the puzzle; `boardOptions` are kept for the other modes.
+function newGame(state, boardOptions, at) {
+  const puzzle = state.mode === "puzzle" ? state.puzzle.puzzle : null;
+  return {
+    ...state,
+    boardOptions,
+    tree: createTree([puzzle ? puzzleStart(puzzle) : createGame(boardOptions)]),
+    gameId: newGameId(),
+    replay: null,
+    aiThinking: false,
+    error: null,
+    clock: state.timeControl && (state.mode === "pvp" || state.mode === "pvc") ? createClock(state.timeControl) : null,
+    turnStart: at,
+    puzzle: puzzle && { puzzle, status: "playing" }
+  };
+}
+
+// Board options for online play: classic rules, and the usual 3x3 if the variant had its own board
+function classicOptions({ size, winLength, variant }) {
+  if (variant && VARIANTS[variant].fixedBoard) return { size: 3, winLength: 3, variant: "classic" };
+  return { size, winLength, variant: "classic" };
+}
+
+// Whether `player`'s clock runs on their turn: always, except the computer's when its time isn't counted
+function clockRunsFor(state, player) {
+  return state.countComputerTime || player !== computerMark(state);
+}
+
+// The clock after `game` was reached by a move: the player to move's clock starts, unless the game is over
+function clockAfterMove(state, clock, game, at) {
+  if (game.result || !clockRunsFor(state, game.turn)) return clock;
+  return startClock(clock, game.turn, at);
+}
+
+// The player whose clock ran out loses, in the last position of the line
+function flag(state, at) {
+  const loser = state.clock && flagged(state.clock, at);
+  if (!loser) {
+    // Woken a little early: a new clock object sets the timer again
+    return state.clock ? { ...state, clock: { ...state.clock } } : state;
+  }
+  const line = lineOf(state.tree);
+  const last = line[line.length - 1];
+  return {
+    ...state,
+    tree: replaceState(state.tree, last.id, loseOnTime(last.state, loser)),
+    clock: stopClock(state.clock, at)
+  };
+}
+
+// Moves the match past the game on the board: a finished game is counted (so sides swap),
+// an unfinished one is dropped (same sides again), and a decided match starts over
+function settleMatch(state) {
+  const match = liveMatch(state);
+  if (matchStatus(match).over) {
+    return createMatch({ players: state.match.players, bestOf: state.match.bestOf, firstX: state.match.firstX });
+  }
+  return match;
+}
+
+// Fresh scoreboard for the current mode and match length, e.g. after the board changes
+function newMatch(state, options) {
+  return createMatch({ players: matchPlayers(state.mode, state.bots, state.playerNames), bestOf: state.match.bestOf, ...options });
+}
+
+function play(state, move, computer, at) {
+  if (state.replay || state.mode === "online" || (state.puzzle && state.puzzle.status !== "playing")) return state;
+  const node = currentNode(state.tree);
+  const game = node.state;
+  if (state.clock) {
+    // Timed games are only played forward, and a move after the flag fell is too late
+    if (node.active !== null) return state;
+    if (flagged(state.clock, at)) return flag(state, at);
+  }
+  // The computer's move only counts on the position it was asked about
+  if (computer && computer !== game) return state;
+  // Block if the engine rejects the move, or if the computer is about to play
+  if (!isLegalMove(game, move) || (!computer && (game.turn === computerMark(state) || state.mode === "cvc"))) return state;
+
+  const next = applyMove(game, move);
+  let tree = playMove(state.tree, next, { keepVariations: state.keepVariations, spentMs: at - state.turnStart });
+  if (!computer && state.mode === "pvc" && currentNode(tree).active !== null) {
+    // The human repeated a move already in the tree: bring back the computer's reply too
+    tree = redo(tree, computerTurn(state));
+  }
+  let clock = state.clock;
+  if (clock) {
+    clock = clockAfterMove(state, completeMove(clock, game.turn, at).clock, next, at);
+  }
+  const puzzle = state.puzzle && { ...state.puzzle, status: attemptStatus(state.puzzle.puzzle, next) };
+  return { ...state, tree, clock, turnStart: at, puzzle };
+}
+
+// Turning "count computer time" on or off mid-game starts or pauses the computer's clock right away
+function setCountComputerTime(state, value, at) {
+  const next = { ...state, countComputerTime: value };
+  const game = latestGame(state);
+  // Nothing runs before the first move or after the last
+  if (!state.clock || game.result || game.moves.length === 0 || game.turn !== computerMark(state)) return next;
+  if (value && !state.clock.running) {
+    return { ...next, clock: startClock(state.clock, game.turn, at) };
+  }
+  if (!value && state.clock.running) return { ...next, clock: stopClock(state.clock, at) };
+  return next;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Actions:
+ *   { type: "play", move, computer }       a move on the position shown; `computer` is the engine
+ *                                          state the computer was asked about, for its moves
+ *   { type: "flag" }                       a clock may have run out: end the game if it has
+ *   { type: "goTo", id }                   show a node of the tree (time travel, variations)
+ *   { type: "undo" } / { type: "redo" }
+ *   { type: "reset" }                      next game of the match (or a new match once it is decided)
+ *   { type: "setMode", mode }              any mode but "puzzle"
+ *   { type: "startPuzzle", puzzle }        puzzle mode, on this puzzle
+ *   { type: "setBoard", options }
+ *   { type: "setMatchLength", bestOf }
+ *   { type: "setHumanSide", side }         the human's side in the first game of a new match
+ *   { type: "setKeepVariations", value }
+ *   { type: "setPlayerNames", names }      [name | null, name | null] from the players' profiles
+ *   { type: "setBots", bots }              [id, id] for AI vs AI
+ *   { type: "setBotSpeed", speed }
+ *   { type: "setBotsPaused", value }
+ *   { type: "setTimeControl", timeControl } null for untimed games
+ *   { type: "setCountComputerTime", value }
+ *   { type: "openLink", link }             a game link's position (parseLink output)
+ *   { type: "startReplay", record, source }
+ *   { type: "updateReplay", changes }      { playing, speed }
+ *   { type: "exitReplay" }
+ *   { type: "sync", game }                 the online server's game: { size, winLength, moves }
+ *   { type: "aiStart" } / { type: "aiDone" } the computer was asked for a move / answered or gave up
+ *   { type: "error", message }             message: { id, values } for the catalogs (src/i18n)
+ *   { type: "hint" }                       find the best move for the position shown
+ */
+export function gameReducer(state, action) {
+  const at = action.at === undefined ? Date.now() : action.at;
+  // Moving around an untimed game restarts the move timer; a timed game's turn goes on while reviewing
+  const moved = (tree) => ({ ...state, tree, turnStart: state.clock ? state.turnStart : at });
+  switch (action.type) {
+    case "play":
+      return play(state, action.move, action.computer, at);
+    case "flag":
+      return flag(state, at);
+    case "goTo":
+      return moved(goTo(state.tree, action.id));
+    case "undo":
+      return canUndo(state) ? moved(undo(state.tree, computerTurn(state))) : state;
+    case "redo":
+      return canRedo(state) ? moved(redo(state.tree, computerTurn(state))) : state;
+    case "reset":
+      return newGame({ ...state, match: settleMatch(state) }, state.boardOptions, at);
+    case "setMode":
+      return newGame(
+        {
+          ...state,
+          mode: action.mode,
+          match: newMatch(state, { players: matchPlayers(action.mode, state.bots, state.playerNames) })
+        },
+        action.mode === "online" ? classicOptions(state.boardOptions) : state.boardOptions,
+        at
+      );
+    case "startPuzzle":
+      return newGame({ ...state, mode: "puzzle", puzzle: { puzzle: action.puzzle } }, state.boardOptions, at);
+    case "setBoard":
+      return newGame({ ...state, match: newMatch(state) }, action.options, at);
+    case "setMatchLength":
+      return newGame({ ...state, match: newMatch(state, { bestOf: action.bestOf }) }, state.boardOptions, at);
+    case "setHumanSide":
+      return newGame({ ...state, match: newMatch(state, { firstX: action.side === "X" ? 0 : 1 }) }, state.boardOptions, at);
+    case "setKeepVariations":
+      return { ...state, keepVariations: action.value };
+    case "setPlayerNames": {
+      const next = { ...state, playerNames: action.names };
+      const players = matchPlayers(state.mode, state.bots, action.names);
+      // Nothing to do if the players in this mode keep their names
+      if (players.every((name, i) => name === state.match.players[i])) return next;
+      return newGame({ ...next, match: newMatch(next) }, state.boardOptions, at);
+    }
+    case "setBots": {
+      const next = { ...state, bots: action.bots };
+      return newGame({ ...next, match: newMatch(next) }, state.boardOptions, at);
+    }
+    case "setBotSpeed":
+      return { ...state, botSpeed: action.speed };
+    case "setBotsPaused":
+      return { ...state, botsPaused: action.value };
+    case "setTimeControl":
+      return newGame({ ...state, timeControl: action.timeControl, match: newMatch(state) }, state.boardOptions, at);
+    case "setCountComputerTime":
+      return setCountComputerTime(state, action.value, at);
+    case "openLink": {
+      const { link } = action;
+      const next = { ...state, mode: link.mode };
+      const match = newMatch(next, {
+        players: matchPlayers(link.mode, state.bots, state.playerNames),
+        firstX: link.humanSide === "O" ? 1 : 0
+      });
+      return {
+        ...newGame({ ...next, match }, link.boardOptions, at),
+        tree: createTree(gameHistory(link.moves, link.boardOptions), link.step)
+      };
+    }
+    case "startReplay": {
+      const { record, source = "archive" } = action;
+      // Records from before rule variants are classic
+      const boardOptions = { size: record.size, winLength: record.winLength, variant: record.variant || "classic" };
+      const states = gameHistory(record.moves, boardOptions);
+      if (record.termination === "time") {
+        states[states.length - 1] = loseOnTime(states[states.length - 1]);
+      }
+      return {
+        ...state,
+        // The game on the board is replaced; count it first if it was finished
+        match: state.replay ? state.match : settleMatch(state),
+        boardOptions,
+        // Archived games play back from the start; imported ones open paused on the final position
+        tree: createTree(states, source === "import" ? states.length - 1 : 0),
+        replay: { record, source, playing: source !== "import", speed: 1 },
+        aiThinking: false,
+        error: null,
+        clock: null
+      };
+    }
+    case "updateReplay":
+      return state.replay ? { ...state, replay: { ...state.replay, ...action.changes } } : state;
+    case "exitReplay":
+      // Online, the live room comes back with the next sync
+      return state.mode === "online" ? { ...state, replay: null } : newGame(state, state.boardOptions, at);
+    case "sync": {
+      if (state.mode !== "online" || state.replay) return state;
+      const { size, winLength, moves } = action.game;
+      return {
+        ...state,
+        boardOptions: { size, winLength, variant: "classic" },
+        tree: createTree(gameHistory(moves, { size, winLength })),
+        clock: null,
+        // A new room or a rematch: archive it as a new game
+        gameId: moves.length === 0 ? newGameId() : state.gameId
+      };
+    }
+    case "aiStart":
+      // The computer's move time starts now, not when the position was reached (AI vs AI waits first)
+      return { ...state, aiThinking: true, error: null, turnStart: at };
+    case "aiDone":
+      return { ...state, aiThinking: false };
+    case "error":
+      return { ...state, error: action.message };
+    case "hint": {
+      const game = currentNode(state.tree).state;
+      return { ...state, hint: { game, move: bestMove(game) } };
+    }
+    default:
+      throw new Error(`Unknown game action: ${action.type}`);
+  }
+}
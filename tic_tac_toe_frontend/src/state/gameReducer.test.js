@@ -0,0 +1,212 @@
+import { gameReducer, initialGameState, computerMark, canUndo, canRedo, liveMatch, latestGame, botFor } from "./gameReducer";
+import { currentNode, lineOf } from "../game/gameTree";
+import { scoreboard, seatsFor } from "../game/match";
+
+function run(state, ...actions) {
+  return actions.reduce(gameReducer, state);
+}
+
+function moves(...cells) {
+  return cells.map((move) => ({ type: "play", move }));
+}
+
+function shown(state) {
+  return currentNode(state.tree).state;
+}
+
+test("moves go to the player to move; illegal ones leave the state alone", () => {
+  const state = run(initialGameState(), ...moves([1, 1], [0, 0]));
+  expect(shown(state).board[1][1]).toBe("X");
+  expect(shown(state).board[0][0]).toBe("O");
+  expect(gameReducer(state, { type: "play", move: [1, 1] })).toBe(state);
+  expect(gameReducer(state, { type: "play", move: [3, 3] })).toBe(state);
+});
+
+test("against the computer the human can't move on its turn, and its late answers are dropped", () => {
+  let state = run(initialGameState(), { type: "setMode", mode: "pvc" }, ...moves([0, 0]));
+  expect(computerMark(state)).toBe("O");
+  const asked = shown(state);
+  expect(gameReducer(state, { type: "play", move: [1, 1] })).toBe(state);
+
+  const answered = gameReducer(state, { type: "play", move: [1, 1], computer: asked });
+  expect(shown(answered).board[1][1]).toBe("O");
+  // The position changed (undo) before the answer arrived
+  state = run(answered, { type: "undo" });
+  expect(shown(state).moves).toEqual([]);
+  expect(gameReducer(state, { type: "play", move: [2, 2], computer: asked })).toBe(state);
+  expect(canRedo(state)).toBe(true);
+  expect(shown(run(state, { type: "redo" })).moves).toHaveLength(2);
+});
+
+test("reset counts a finished game, so the players swap sides", () => {
+  let state = run(initialGameState(), ...moves([0, 0], [1, 0], [0, 1], [1, 1], [0, 2]));
+  expect(latestGame(state).result.winner).toBe("X");
+  expect(scoreboard(liveMatch(state))["Player 1"].wins).toBe(1);
+  state = run(state, { type: "reset" });
+  expect(state.match.results).toHaveLength(1);
+  expect(seatsFor(state.match)).toEqual({ X: "Player 2", O: "Player 1" });
+  expect(shown(state).moves).toEqual([]);
+  // An unfinished game isn't counted
+  state = run(state, ...moves([0, 0]), { type: "reset" });
+  expect(state.match.results).toHaveLength(1);
+  expect(canUndo(state)).toBe(false);
+});
+
+test("setup changes start a new match and a new game", () => {
+  let state = run(initialGameState(), ...moves([0, 0], [1, 0], [0, 1], [1, 1], [0, 2]), { type: "reset" });
+  expect(state.match.results).toHaveLength(1);
+  const { gameId } = state;
+  state = run(state, { type: "setBoard", options: { size: 4, winLength: 4 } });
+  expect(shown(state).size).toBe(4);
+  expect(state.match.results).toEqual([]);
+  expect(state.gameId).not.toBe(gameId);
+
+  state = run(state, { type: "setMode", mode: "pvc" }, { type: "setHumanSide", side: "O" });
+  expect(computerMark(state)).toBe("X");
+  expect(state.match.players).toEqual(["You", "Computer"]);
+});
+
+test("a replay is read-only and exiting it starts a fresh game", () => {
+  const record = { size: 3, winLength: 3, moves: [[0, 0], [1, 1]], players: { X: "A", O: "B" } };
+  let state = run(initialGameState(), { type: "startReplay", record, source: "import" });
+  expect(state.replay).toMatchObject({ source: "import", playing: false });
+  expect(shown(state).moves).toHaveLength(2);
+  expect(gameReducer(state, { type: "play", move: [2, 2] })).toBe(state);
+  expect(canUndo(state)).toBe(false);
+
+  state = run(state, { type: "exitReplay" });
+  expect(state.replay).toBeNull();
+  expect(shown(state).moves).toEqual([]);
+});
+
+test("every move records the time it took", () => {
+  const state = run(
+    initialGameState({ at: 0 }),
+    { type: "play", move: [1, 1], at: 2500 },
+    { type: "play", move: [0, 0], at: 4000 }
+  );
+  expect(lineOf(state.tree).map((node) => node.spentMs)).toEqual([undefined, 2500, 1500]);
+});
+
+test("timed games: clocks start with the first move, gain the increment and flag at zero", () => {
+  const timeControl = { id: "test", initialMs: 10000, incrementMs: 1000 };
+  let state = run(initialGameState({ at: 0 }), { type: "setTimeControl", timeControl, at: 0 });
+  expect(state.clock.running).toBe(null);
+  state = run(state, { type: "play", move: [1, 1], at: 3000 }, { type: "play", move: [0, 0], at: 5000 });
+  expect(state.clock.remaining).toEqual({ X: 11000, O: 9000 });
+  expect(state.clock.running).toBe("X");
+  expect(canUndo(state)).toBe(false);
+
+  // Reviewing is fine, but moves only go on the end of the line
+  const reviewing = run(state, { type: "goTo", id: lineOf(state.tree)[1].id, at: 6000 });
+  expect(gameReducer(reviewing, { type: "play", move: [2, 2], at: 6000 })).toBe(reviewing);
+
+  // Too early to flag; then X's 11 s run out
+  expect(latestGame(run(state, { type: "flag", at: 15000 })).result).toBeNull();
+  state = run(reviewing, { type: "flag", at: 16000 });
+  expect(latestGame(state).result).toEqual({ winner: "O", line: null, timeout: "X" });
+  expect(state.clock.running).toBe(null);
+  expect(scoreboard(liveMatch(state))["Player 2"].wins).toBe(1);
+});
+
+test("the computer's clock is paused while it thinks unless its time is counted", () => {
+  const timeControl = { id: "test", initialMs: 10000, incrementMs: 0 };
+  let state = run(initialGameState({ at: 0 }), { type: "setMode", mode: "pvc", at: 0 }, { type: "setTimeControl", timeControl, at: 0 });
+  state = run(state, { type: "play", move: [1, 1], at: 1000 });
+  expect(state.clock.running).toBe(null);
+  const asked = shown(state);
+  state = run(state, { type: "play", move: [0, 0], computer: asked, at: 60000 });
+  expect(state.clock.remaining.O).toBe(10000);
+  expect(state.clock.running).toBe("X");
+
+  state = run(state, { type: "setCountComputerTime", value: true, at: 61000 }, { type: "play", move: [2, 2], at: 61000 });
+  expect(state.clock.running).toBe("O");
+  state = run(state, { type: "setCountComputerTime", value: false, at: 63000 });
+  expect(state.clock).toMatchObject({ running: null, remaining: { X: 9000, O: 8000 } });
+});
+
+test("a game lost on time replays with its result", () => {
+  const record = { size: 3, winLength: 3, moves: [[0, 0]], players: { X: "A", O: "B" }, termination: "time" };
+  const state = run(initialGameState(), { type: "startReplay", record, source: "import" });
+  expect(shown(state).result).toEqual({ winner: "X", line: null, timeout: "O" });
+  expect(state.clock).toBeNull();
+});
+
+test("AI vs AI: bots take both sides, swap them every game and ignore the board", () => {
+  let state = run(initialGameState(), { type: "setMode", mode: "cvc" });
+  expect(state.match.players).toEqual(["Minimax (Perfect)", "Random"]);
+  expect([botFor(state, "X"), botFor(state, "O")]).toEqual(["minimax", "random"]);
+  expect(gameReducer(state, { type: "play", move: [1, 1] })).toBe(state);
+  state = run(state, { type: "play", move: [1, 1], computer: shown(state) }, { type: "aiStart", at: 100 });
+  expect(shown(state).board[1][1]).toBe("X");
+  expect(state.turnStart).toBe(100);
+  expect(canUndo(state)).toBe(false);
+
+  state = run(state, { type: "setBots", bots: ["random", "random"] });
+  expect(state.match.players).toEqual(["Random 1", "Random 2"]);
+  expect(shown(state).moves).toEqual([]);
+  // A finished game counts, and the bots swap sides
+  for (const move of [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]) {
+    state = run(state, { type: "play", move, computer: shown(state) });
+  }
+  expect(scoreboard(liveMatch(state))["Random 1"].wins).toBe(1);
+  state = run(state, { type: "reset" });
+  expect(seatsFor(state.match)).toEqual({ X: "Random 2", O: "Random 1" });
+});
+
+test("rule variants are board options: new games use them, online play drops them", () => {
+  let state = run(initialGameState(), { type: "setBoard", options: { size: 3, winLength: 3, variant: "wild" } }, ...moves([1, 1, "O"]));
+  expect(shown(state).variant).toBe("wild");
+  expect(shown(state).board[1][1]).toBe("O");
+  state = run(state, { type: "reset" });
+  expect(shown(state).variant).toBe("wild");
+
+  state = run(state, { type: "setBoard", options: { size: 9, winLength: 3, variant: "ultimate" } }, { type: "setMode", mode: "online" });
+  expect(state.boardOptions).toEqual({ size: 3, winLength: 3, variant: "classic" });
+  expect(shown(state).variant).toBe("classic");
+
+  // Archived games keep their rules; older records are classic
+  state = run(initialGameState(), { type: "startReplay", record: { size: 3, winLength: 3, variant: "misere", moves: [[0, 0]] } });
+  expect(shown(state).variant).toBe("misere");
+  state = run(state, { type: "startReplay", record: { size: 3, winLength: 3, moves: [[0, 0]] } });
+  expect(shown(state).variant).toBe("classic");
+});
+
+test("a game link opens its mode, side and position, with the rest of the line ahead", () => {
+  const link = { mode: "pvc", humanSide: "O", boardOptions: { size: 4, winLength: 3, variant: "classic" }, moves: [[1, 1], [0, 0], [2, 2]], step: 1 };
+  const state = run(initialGameState(), ...moves([0, 1]), { type: "openLink", link });
+  expect(state.mode).toBe("pvc");
+  expect(computerMark(state)).toBe("X");
+  expect(state.boardOptions).toEqual(link.boardOptions);
+  expect(shown(state).moves).toEqual([[1, 1]]);
+  expect(lineOf(state.tree)).toHaveLength(4);
+  expect(state.match.results).toEqual([]);
+});
+
+test("a puzzle starts from its position, grades each move and tries again on reset", () => {
+  // X to play and win: the fork at the top right
+  const puzzle = { id: "easy-0", size: 3, winLength: 3, moves: [[0, 0], [1, 1], [2, 2], [2, 0]], player: "X", goal: "win", n: 2 };
+  let state = run(initialGameState(), { type: "setMode", mode: "pvc" }, { type: "startPuzzle", puzzle });
+  expect(state.mode).toBe("puzzle");
+  expect(computerMark(state)).toBe("O");
+  expect(shown(state).moves).toHaveLength(4);
+  expect(state.puzzle.status).toBe("playing");
+
+  state = run(state, ...moves([0, 2]));
+  expect(state.puzzle.status).toBe("playing");
+  expect(gameReducer(state, { type: "play", move: [0, 1] })).toBe(state);
+  state = run(state, { type: "play", move: [0, 1], computer: shown(state) }, ...moves([1, 2]));
+  expect(state.puzzle.status).toBe("solved");
+  expect(canUndo(state)).toBe(false);
+  expect(state.match.results).toEqual([]);
+
+  // A miss fails at once and the board takes no more moves
+  state = run(state, { type: "reset" }, ...moves([0, 1]));
+  expect(shown(state).moves).toHaveLength(5);
+  expect(state.puzzle.status).toBe("failed");
+  expect(gameReducer(state, { type: "play", move: [0, 2] })).toBe(state);
+
+  state = run(state, { type: "setMode", mode: "pvp" });
+  expect(state.puzzle).toBeNull();
+  expect(shown(state).moves).toEqual([]);
+});
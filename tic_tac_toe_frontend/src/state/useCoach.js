@@ -0,0 +1,97 @@
+import { useEffect, useRef, useState } from "react";
+import { movedBy } from "../game/engine";
+import { canCoach, coachFacts } from "../ai/coach/facts";
+import { explainFacts } from "../ai/coach/templates";
+
+// PUBLIC_INTERFACE
+/**
+ * The coach's explanation of the position shown (src/ai/coach): the solver's facts about a move,
+ * or about the whole game, in words. The template text is there at once; with a language model
+ * it replaces that when it answers, and stays if the model fails. Answers are kept per facts and
+ * language, so going back to a move doesn't ask again. The solver works the facts out after the
+ * move is on the screen (it takes a moment on bigger boards), reusing its search along a game;
+ * on boards too big for it (canCoach) it doesn't start, and nothing is explained.
+ * Options:
+ *   enabled      whether to explain anything (the panel's switch)
+ *   history, step   engine states of the line on the board, and the position shown
+ *   humanMark    explain only this player's moves ("X" | "O"; the latest at or before `step`),
+ *                or null for every move
+ *   review       explain the whole game instead, once it is over
+ *   coach        a coach with a language model (src/ai/coach), or null for templates only
+ *   locale, t    the language to explain in, and its translator
+ * Returns null while there is nothing to explain, else:
+ *   kind         "move" | "review"
+ *   facts        what the explanation is built from (facts.js), or null while the solver works
+ *   text, source the explanation, and whether it is the model's ("model") or the template's
+ *                ("template"); null while there are no facts yet
+ *   pending      the solver is working, or the model is being asked
+ *   error        why the model didn't answer, or null (also when offline: that isn't a failure)
+ *   unavailable  the board is too big for the solver: facts stay null, and nothing is pending
+ */
+export function useCoach({ enabled, history, step, humanMark, review, coach, locale, t }) {
+  const over = !!history[history.length - 1].result;
+  const kind = review && over ? "review" : "move";
+  let moveStep = step;
+  while (moveStep > 0 && humanMark && movedBy(history[moveStep]) !== humanMark) moveStep--;
+  const active = enabled && (kind === "review" || moveStep > 0);
+  const states = kind === "review" ? history : history.slice(0, moveStep + 1);
+  // Worked out again only when the move explained (or the game reviewed) changes, not the position shown
+  const target = !active ? null : kind === "review" ? history : history[moveStep];
+  const unavailable = !canCoach(history[0]);
+  // What the effects read when they run: they start again only when target or key changes
+  const latest = useRef();
+  latest.current = { states, kind, locale };
+
+  // One search table per game, so each move's search starts from what the last one found
+  const search = useRef({ start: null, table: null });
+  const [worked, setWorked] = useState({ target: null, facts: null });
+  useEffect(() => {
+    if (!target || unavailable) return undefined;
+    const { states, kind } = latest.current;
+    if (search.current.start !== states[0]) search.current = { start: states[0], table: new Map() };
+    // After the move has been drawn, not while the board waits for it
+    const timer = setTimeout(() => setWorked({ target, facts: coachFacts(states, kind, search.current.table) }), 0);
+    return () => clearTimeout(timer);
+  }, [target, unavailable]);
+  const facts = target && worked.target === target ? worked.facts : null;
+  const game = states[states.length - 1];
+  const key = facts && JSON.stringify([locale, game.variant, game.size, game.winLength, facts]);
+
+  const answers = useRef(new Map()); // key -> the model's text
+  const [answer, setAnswer] = useState({ key: null, text: null, error: null });
+  useEffect(() => {
+    if (!key || !coach) return undefined;
+    if (answers.current.has(key)) {
+      setAnswer({ key, text: answers.current.get(key), error: null });
+      return undefined;
+    }
+    // Dropped when the move explained changes before the model answers
+    const controller = new AbortController();
+    const { states, kind, locale } = latest.current;
+    coach.explain(states, { kind, locale, signal: controller.signal }).then(
+      (text) => {
+        answers.current.set(key, text);
+        setAnswer({ key, text, error: null });
+      },
+      (e) => {
+        // Failures aren't kept: the next look at this move asks again
+        if (e.code !== "aborted") setAnswer({ key, text: null, error: e.code === "offline" ? null : e.message });
+      }
+    );
+    return () => controller.abort();
+  }, [key, coach]);
+
+  if (!target) return null;
+  if (unavailable) return { kind, facts: null, text: null, source: null, pending: false, error: null, unavailable };
+  if (!facts) return { kind, facts: null, text: null, source: null, pending: true, error: null, unavailable };
+  const answered = answer.key === key ? answer : null;
+  return {
+    kind,
+    facts,
+    text: (answered && answered.text) || explainFacts(facts, t),
+    source: answered && answered.text ? "model" : "template",
+    pending: !!coach && !answered,
+    error: answered ? answered.error : null,
+    unavailable
+  };
+}
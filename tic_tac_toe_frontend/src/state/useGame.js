@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useReducer } from "react";
+import { lineOf } from "../game/gameTree";
+import { seatsFor } from "../game/match";
+import { timeLeft } from "../game/clock";
+import { createPuzzleDefender } from "../puzzles/puzzles";
+import {
+  gameReducer,
+  initialGameState,
+  computerMark as computerMarkOf,
+  finishedResult as finishedResultOf,
+  liveMatch as liveMatchOf,
+  canUndo as canUndoOf,
+  canRedo as canRedoOf,
+  botFor,
+  BOT_MOVE_MS
+} from "./gameReducer";
+
+// What the user sees when the computer's move provider falls back to the local engine, as a
+// message for the catalogs (src/i18n): { id, values }. The provider's own reason is English.
+function fallbackMessage(e) {
+  if (e.code === "invalid") return { id: "error.aiInvalid" };
+  if (e.code === "timeout") return { id: "error.aiTimeout" };
+  return { id: "error.aiFailed", values: { reason: e?.message || null } };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Game state (gameReducer) plus what follows from it, and the things that happen on their
+ * own: the computer's moves (PvC, AI vs AI and puzzle defense), replay playback and a clock running out.
+ * Options: moveProvider (the computer in PvC), botProvider(id) (a provider for an AI vs AI bot id),
+ * openWith (an action for the first state, e.g. opening a game link; optional)
+ * Returns the reducer state, `dispatch`, and:
+ *   line, history      nodes and engine states of the line on the board
+ *   step, lastStep     index of the position shown, and of the last one
+ *   game               the engine state shown
+ *   seats              { X, O } player names for this game of the match
+ *   computerMark, finishedResult, liveMatch, canUndo, canRedo, hintMove
+ *   jumpTo(step)       show a position of the line
+ */
+export function useGame({ moveProvider, botProvider, openWith }) {
+  const [state, dispatch] = useReducer(gameReducer, openWith, (action) =>
+    action ? gameReducer(initialGameState(), action) : initialGameState()
+  );
+  const { tree, mode, replay, hint, clock, bots, botSpeed, botsPaused, puzzle } = state;
+  // One provider per AI vs AI seat, kept while the same bots play
+  const botProviders = useMemo(() => bots.map(botProvider), [bots, botProvider]);
+  // The puzzle's defense, kept (with its search) for every attempt at the same puzzle
+  const puzzleSpec = puzzle && puzzle.puzzle;
+  const puzzleDefender = useMemo(() => puzzleSpec && createPuzzleDefender(puzzleSpec), [puzzleSpec]);
+
+  // The line on the board: positions from the start along the active branch, and where we are on it.
+  // Memoized on the nodes, so moving along the line doesn't look like a new game to the effects below.
+  const { nodes, root } = tree;
+  const line = useMemo(() => lineOf({ nodes, root }), [nodes, root]);
+  const history = useMemo(() => line.map((node) => node.state), [line]);
+  const step = line.findIndex((node) => node.id === tree.current);
+  const lastStep = history.length - 1;
+  // Whose turn it is always comes from the engine state, never from the step number
+  const game = history[step];
+  const computerMark = computerMarkOf(state);
+
+  function jumpTo(stepIdx) {
+    dispatch({ type: "goTo", id: line[stepIdx].id });
+  }
+
+  // The provider to ask for the move in the position shown, if the computer plays it
+  const botId = botFor(state, game.turn);
+  const provider =
+    mode === "pvc" && game.turn === computerMark
+      ? moveProvider
+      : mode === "puzzle" && game.turn === computerMark
+      ? puzzleDefender
+      : botId
+      ? botProviders[bots.indexOf(botId)]
+      : null;
+  const puzzleOver = !!puzzle && puzzle.status !== "playing";
+  const atEnd = step === lastStep;
+
+  // In PvC mode the computer plays whichever side the match gave it this game; in AI vs AI both
+  // sides, after a pause set by the speed; in a puzzle the defense, until the puzzle is solved or
+  // missed. Only at the end of the line: reviewing earlier positions never triggers a move.
+  useEffect(() => {
+    if (replay || !provider || game.result || puzzleOver || !atEnd || (mode === "cvc" && botsPaused)) {
+      return undefined;
+    }
+
+    // Aborted by the cleanup below whenever the game changes before the AI answers
+    const controller = new AbortController();
+    function ask() {
+      dispatch({ type: "aiStart" });
+      provider
+        .getMove(game, {
+          signal: controller.signal,
+          // Graceful fallback: if OpenAI fails, the local engine is used, show message.
+          // Being offline isn't a failure: the status bar already says the local engine plays.
+          onFallback: (e) => e.code !== "offline" && dispatch({ type: "error", message: fallbackMessage(e) })
+        })
+        .then((move) => {
+          if (!controller.signal.aborted) {
+            dispatch({ type: "play", move, computer: game });
+          }
+        })
+        .catch((e) => {
+          // Cancellation is expected (reset mid-think); anything else means no move at all
+          if (e.code !== "aborted" && !controller.signal.aborted) {
+            dispatch({
+              type: "error",
+              message: e?.message ? { id: "error.aiStopped", values: { reason: e.message } } : { id: "error.noMoves" }
+            });
+          }
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) {
+            dispatch({ type: "aiDone" });
+          }
+        });
+    }
+    const timer = mode === "cvc" ? setTimeout(ask, BOT_MOVE_MS / botSpeed) : null;
+    if (!timer) ask();
+
+    return () => {
+      // Time travel or a reset while thinking: the answer is dropped, so stop showing "thinking"
+      clearTimeout(timer);
+      controller.abort();
+      dispatch({ type: "aiDone" });
+    };
+  }, [game, provider, mode, replay, botsPaused, botSpeed, puzzleOver, atEnd]);
+
+  // Replay playback: advance one move per tick until the end
+  useEffect(() => {
+    if (!replay || !replay.playing) return undefined;
+    if (step >= lastStep) {
+      dispatch({ type: "updateReplay", changes: { playing: false } });
+      return undefined;
+    }
+    const timer = setTimeout(() => dispatch({ type: "goTo", id: line[step + 1].id }), 1000 / replay.speed);
+    return () => clearTimeout(timer);
+  }, [replay, step, lastStep, line]);
+
+  // Timed games: wake up when the running clock reaches zero. The reducer checks the time again,
+  // so a move made just before this fires still counts.
+  useEffect(() => {
+    if (!clock || !clock.running) return undefined;
+    const timer = setTimeout(() => dispatch({ type: "flag" }), timeLeft(clock, clock.running, Date.now()));
+    return () => clearTimeout(timer);
+  }, [clock]);
+
+  return {
+    ...state,
+    dispatch,
+    line,
+    history,
+    step,
+    lastStep,
+    game,
+    seats: seatsFor(state.match),
+    computerMark,
+    finishedResult: finishedResultOf(state),
+    liveMatch: liveMatchOf(state),
+    canUndo: canUndoOf(state),
+    canRedo: canRedoOf(state),
+    hintMove: hint && hint.game === game ? hint.move : null,
+    jumpTo
+  };
+}
@@ -0,0 +1,69 @@
+import { useEffect, useRef } from "react";
+import { formatLink, parseLink, onLine, LinkError } from "../game/gameLink";
+
+// PUBLIC_INTERFACE
+/**
+ * The game action for a URL hash (by default the page's): "openLink" for a game link, "error"
+ * for a broken one, or null if the hash isn't a link.
+ */
+export function linkAction(hash = window.location.hash) {
+  try {
+    const link = parseLink(hash);
+    return link && { type: "openLink", link };
+  } catch (e) {
+    if (!(e instanceof LinkError)) throw e;
+    return { type: "error", message: { id: "error.link", values: { reason: e.message } } };
+  }
+}
+
+// The link in the page's URL, or null if there is none or it is broken
+function currentLink() {
+  const action = linkAction();
+  return action && action.type === "openLink" ? action.link : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Keeps the URL hash on the position shown (src/game/gameLink.js) and lets the browser's
+ * back/forward buttons move through it:
+ *   - A move or a new game adds a browser history entry; moving along the same line (the move
+ *     list, undo/redo) only rewrites the current one.
+ *   - Back/forward to a position on the line on the board goes there with jumpTo, so the moves
+ *     after it stay; any other link (an earlier game, another mode) is opened.
+ * Options: link (formatLink's shape, or null while nothing should be linked, e.g. online or in
+ * a replay), dispatch (the game's), jumpTo(step).
+ * Returns the full URL of the position shown, or null.
+ */
+export function useGameLink({ link, dispatch, jumpTo }) {
+  const hash = link && formatLink(link);
+  // The link the hash was made from, for the effect below: it runs when the hash changes only
+  const linked = useRef(link);
+  linked.current = link;
+
+  useEffect(() => {
+    if (!hash || window.location.hash === hash) return;
+    // Staying on the line in the URL (the same positions, or fewer) replaces its entry, and so
+    // does the first link on a page that had none
+    const shown = currentLink();
+    const link = linked.current;
+    const replace = !shown || (onLine(shown, link) && link.step <= shown.moves.length);
+    window.history[replace ? "replaceState" : "pushState"](null, "", hash);
+  }, [hash]);
+
+  // The listener is registered once and always calls the latest handler
+  const popHandler = useRef(null);
+  popHandler.current = () => {
+    if (!link) return;
+    const action = linkAction();
+    if (!action) return;
+    if (action.type === "openLink" && onLine(action.link, link)) jumpTo(action.link.step);
+    else dispatch(action);
+  };
+  useEffect(() => {
+    const listener = () => popHandler.current();
+    window.addEventListener("popstate", listener);
+    return () => window.removeEventListener("popstate", listener);
+  }, []);
+
+  return hash && `${window.location.href.split("#")[0]}${hash}`;
+}
@@ -0,0 +1,24 @@
+/*
+  Helpers for tests that play through the UI (App*.test.js, the embedded element). They find
+  cells the way screen readers hear them, so they work with any theme's board symbols.
+*/
+
+import { screen, fireEvent } from "@testing-library/react";
+
+// PUBLIC_INTERFACE
+/** The board cell at `row`, `col` (counted from 1), by its accessible name. */
+export function cell(row, col) {
+  return screen.getByRole("gridcell", { name: new RegExp(`^Row ${row}, column ${col}:`) });
+}
+
+// PUBLIC_INTERFACE
+/** Clicks each [row, col] cell in turn. */
+export function play(...cells) {
+  cells.forEach(([row, col]) => fireEvent.click(cell(row, col)));
+}
+
+// PUBLIC_INTERFACE
+/** How many marks are on the board. */
+export function marks() {
+  return screen.getAllByRole("gridcell").filter((c) => /: [XO]/.test(c.getAttribute("aria-label"))).length;
+}
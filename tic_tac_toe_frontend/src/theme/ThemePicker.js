@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { THEME_CHOICES, CUSTOM_TOKENS, DEFAULT_SYMBOLS, cleanSymbols, defaultThemeSettings } from "./themes";
+
+// PUBLIC_INTERFACE
+/**
+ * Theme, custom palette and board symbol settings.
+ * Props: colors (the current theme's), t (translator), settings ({ theme, custom, symbols }), onChange(changes)
+ */
+function ThemePicker({ colors, t, settings, onChange }) {
+  // Symbols as typed; only usable ones (cleanSymbols) are passed on, so a field can be cleared while typing
+  const [symbols, setSymbols] = useState(settings.symbols);
+
+  const fieldStyle = {
+    borderRadius: "6px",
+    border: `1.5px solid ${colors.border}`,
+    padding: "5px 10px",
+    color: colors.text,
+    background: colors.surface,
+    fontWeight: 600
+  };
+  const labelStyle = { display: "flex", alignItems: "center", gap: "6px", fontSize: "0.95rem" };
+
+  function handleSymbolChange(mark, value) {
+    const next = { ...symbols, [mark]: value };
+    setSymbols(next);
+    onChange({ symbols: cleanSymbols(next) });
+  }
+
+  function handleCustomToggle(e) {
+    // A new palette starts from the colors on screen
+    const start = {};
+    Object.keys(CUSTOM_TOKENS).forEach(token => {
+      start[token] = colors[token];
+    });
+    onChange({ custom: e.target.checked ? start : null });
+  }
+
+  function reset() {
+    setSymbols(DEFAULT_SYMBOLS);
+    onChange(defaultThemeSettings());
+  }
+
+  return (
+    <fieldset
+      className="ttt-theme-picker"
+      style={{
+        width: "100%",
+        boxSizing: "border-box",
+        border: `1px solid ${colors.border}`,
+        borderRadius: "12px",
+        padding: "12px 14px",
+        color: colors.text,
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "12px",
+        alignItems: "center"
+      }}
+    >
+      <legend style={{ fontWeight: 600, color: colors.primary, padding: "0 6px" }}>{t("theme.legend")}</legend>
+      <label style={labelStyle}>
+        {t("theme.theme")}
+        <select
+          value={settings.theme}
+          onChange={(e) => onChange({ theme: e.target.value })}
+          aria-label={t("theme.select")}
+          style={fieldStyle}
+        >
+          {THEME_CHOICES.map(choice => (
+            <option key={choice} value={choice}>
+              {t(`theme.${choice}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        {t("theme.symbolLabel", { mark: "X" })}
+        <input
+          value={symbols.X}
+          onChange={(e) => handleSymbolChange("X", e.target.value)}
+          aria-label={t("theme.symbol", { mark: "X" })}
+          style={{ ...fieldStyle, width: "3.5em", textAlign: "center" }}
+        />
+      </label>
+      <label style={labelStyle}>
+        {t("theme.symbolLabel", { mark: "O" })}
+        <input
+          value={symbols.O}
+          onChange={(e) => handleSymbolChange("O", e.target.value)}
+          aria-label={t("theme.symbol", { mark: "O" })}
+          style={{ ...fieldStyle, width: "3.5em", textAlign: "center" }}
+        />
+      </label>
+      <label style={labelStyle}>
+        <input type="checkbox" checked={!!settings.custom} onChange={handleCustomToggle} />
+        {t("theme.custom")}
+      </label>
+      {settings.custom && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "10px", width: "100%" }}>
+          {Object.keys(CUSTOM_TOKENS).map((token) => (
+            <label key={token} style={{ ...labelStyle, fontSize: "0.9rem" }}>
+              <input
+                type="color"
+                value={colors[token]}
+                onChange={(e) => onChange({ custom: { ...settings.custom, [token]: e.target.value } })}
+                aria-label={t("theme.color", { token: t(`theme.token.${token}`) })}
+                style={{ width: "2.2em", height: "1.8em", padding: 0, border: `1px solid ${colors.border}`, background: colors.surface }}
+              />
+              {t(`theme.token.${token}`)}
+            </label>
+          ))}
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={reset}
+        style={{ ...fieldStyle, color: colors.primary, cursor: "pointer" }}
+      >
+        {t("theme.reset")}
+      </button>
+    </fieldset>
+  );
+}
+
+export default ThemePicker;
@@ -0,0 +1,235 @@
+/*
+  THEMES
+  ------
+
+  - Every color the UI draws with comes from a theme's tokens; components read `colors.<token>`
+    instead of hex values, and App.css reads the same tokens as CSS variables (cssVariables()).
+  - Tokens are all #rrggbb so components can add an alpha suffix, e.g. `${colors.primary}33`.
+      primary, secondary, accent   brand colors: controls, good news, bad news
+      warning                      in-between tags (inaccuracies)
+      x, o                         the marks on the board
+      bg, surface                  page background; board, panels and light buttons
+      text, muted                  body text; secondary text
+      border, grid                 field and panel borders; lines between cells
+      highlight                    selected and hovered rows and cells
+      onPrimary                    text on filled (primary/accent) buttons
+  - Settings, saved per user in localStorage:
+      {
+        theme     "system" | "light" | "dark" | "contrast"
+        custom    null, or { [token]: "#rrggbb" } overriding the chosen theme (CUSTOM_TOKENS)
+        symbols   { X, O }: what the board shows for each mark (1-2 characters)
+      }
+    "system" follows the OS: prefers-contrast: more picks high contrast, otherwise
+    prefers-color-scheme picks light or dark.
+  - The marks stay "X" and "O" everywhere else (status, move history, notation, screen reader
+    labels); custom symbols only change how they are drawn.
+  - Storage failures fall back to the defaults and never break play.
+*/
+
+const STORAGE_KEY = "ttt.theme.v1";
+
+// PUBLIC_INTERFACE
+/** Settings owner when no player profile is chosen. */
+export const DEFAULT_USER = "default";
+
+// PUBLIC_INTERFACE
+export const THEMES = {
+  light: {
+    label: "Light",
+    scheme: "light",
+    colors: {
+      primary: "#3498db",
+      secondary: "#2ecc71",
+      accent: "#e74c3c",
+      warning: "#e67e22",
+      x: "#3498db",
+      o: "#2ecc71",
+      bg: "#f8fafc",
+      surface: "#ffffff",
+      text: "#282c34",
+      muted: "#7b7f86",
+      border: "#aed6f1",
+      grid: "#d6eaf8",
+      highlight: "#e3f1fb",
+      onPrimary: "#ffffff"
+    }
+  },
+  dark: {
+    label: "Dark",
+    scheme: "dark",
+    colors: {
+      primary: "#5dade2",
+      secondary: "#58d68d",
+      accent: "#ec7063",
+      warning: "#f0b27a",
+      x: "#5dade2",
+      o: "#58d68d",
+      bg: "#14181f",
+      surface: "#1e2530",
+      text: "#e6e9ef",
+      muted: "#9aa3b2",
+      border: "#3d5a73",
+      grid: "#2e4052",
+      highlight: "#24384a",
+      onPrimary: "#0e1116"
+    }
+  },
+  contrast: {
+    label: "High contrast",
+    scheme: "dark",
+    colors: {
+      primary: "#ffff00",
+      secondary: "#00ff7f",
+      accent: "#ff6b6b",
+      warning: "#ffa500",
+      x: "#ffff00",
+      o: "#00ffff",
+      bg: "#000000",
+      surface: "#000000",
+      text: "#ffffff",
+      muted: "#ffffff",
+      border: "#ffffff",
+      grid: "#ffffff",
+      highlight: "#333300",
+      onPrimary: "#000000"
+    }
+  }
+};
+
+// PUBLIC_INTERFACE
+/** Choices for the theme picker: "system" plus every theme. */
+export const THEME_CHOICES = ["system", ...Object.keys(THEMES)];
+
+// PUBLIC_INTERFACE
+/** Tokens a custom palette can override, with their picker labels. */
+export const CUSTOM_TOKENS = {
+  primary: "Main",
+  secondary: "Good news",
+  accent: "Bad news",
+  x: "X marks",
+  o: "O marks",
+  bg: "Page",
+  surface: "Board",
+  text: "Text"
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SYMBOLS = { X: "X", O: "O" };
+
+const MAX_SYMBOL_LENGTH = 2;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// PUBLIC_INTERFACE
+/** Settings for a user who never changed anything. */
+export function defaultThemeSettings() {
+  return { theme: "system", custom: null, symbols: { ...DEFAULT_SYMBOLS } };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Usable board symbols from user input: trimmed, at most two characters (emoji count as one).
+ * An empty symbol, or one the other mark already uses, falls back to the default.
+ */
+export function cleanSymbols(symbols = {}) {
+  const clean = {};
+  ["X", "O"].forEach(mark => {
+    const text = typeof symbols[mark] === "string" ? symbols[mark].trim() : "";
+    clean[mark] = text ? Array.from(text).slice(0, MAX_SYMBOL_LENGTH).join("") : DEFAULT_SYMBOLS[mark];
+  });
+  if (clean.X === clean.O) return { ...DEFAULT_SYMBOLS };
+  return clean;
+}
+
+function cleanCustom(custom) {
+  if (!custom || typeof custom !== "object") return null;
+  const clean = {};
+  Object.keys(CUSTOM_TOKENS).forEach(token => {
+    if (HEX_COLOR.test(custom[token])) clean[token] = custom[token].toLowerCase();
+  });
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+// PUBLIC_INTERFACE
+/** Settings with anything unknown or malformed replaced by its default. */
+export function normalizeSettings(settings) {
+  const raw = settings && typeof settings === "object" ? settings : {};
+  return {
+    theme: THEME_CHOICES.includes(raw.theme) ? raw.theme : "system",
+    custom: cleanCustom(raw.custom),
+    symbols: cleanSymbols(raw.symbols)
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Theme name for a choice. `system` is what the OS asks for: { dark, contrast } booleans
+ * from the prefers-color-scheme and prefers-contrast media queries.
+ */
+export function resolveTheme(choice, system = {}) {
+  if (THEMES[choice]) return choice;
+  if (system.contrast) return "contrast";
+  return system.dark ? "dark" : "light";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Everything the UI needs to draw with the given settings:
+ * { name, scheme, colors, symbols }, with the custom palette applied over the theme.
+ */
+export function buildTheme(settings, system = {}) {
+  const { theme, custom, symbols } = normalizeSettings(settings);
+  const name = resolveTheme(theme, system);
+  return {
+    name,
+    scheme: THEMES[name].scheme,
+    colors: { ...THEMES[name].colors, ...(custom || {}) },
+    symbols
+  };
+}
+
+// PUBLIC_INTERFACE
+/** CSS custom properties for App.css, to set on the app's root element. */
+export function cssVariables(colors) {
+  return {
+    "--ttt-primary": colors.primary,
+    "--ttt-secondary": colors.secondary,
+    "--ttt-accent": colors.accent,
+    "--ttt-bg": colors.bg,
+    "--ttt-surface": colors.surface,
+    "--ttt-text": colors.text,
+    "--ttt-board-border": colors.grid,
+    "--ttt-cell-hover-bg": colors.highlight,
+    "--ttt-win-highlight": `${colors.accent}11`,
+    "--ttt-history-bg": colors.surface,
+    "--ttt-history-border": colors.border,
+    "--ttt-highlight": colors.highlight
+  };
+}
+
+function readAll(storage) {
+  try {
+    const all = JSON.parse(storage.getItem(STORAGE_KEY));
+    return all && typeof all === "object" && !Array.isArray(all) ? all : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// PUBLIC_INTERFACE
+/** A user's saved settings, or the defaults. */
+export function loadThemeSettings(user = DEFAULT_USER, storage = window.localStorage) {
+  const saved = readAll(storage)[user];
+  return saved ? normalizeSettings(saved) : defaultThemeSettings();
+}
+
+// PUBLIC_INTERFACE
+/** Save a user's settings; other users' settings are left alone. Returns what was saved. */
+export function saveThemeSettings(settings, user = DEFAULT_USER, storage = window.localStorage) {
+  const saved = normalizeSettings(settings);
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ ...readAll(storage), [user]: saved }));
+  } catch (e) {
+    // Storage disabled or full: the theme still applies for this session
+  }
+  return saved;
+}
@@ -0,0 +1,55 @@
+import {
+  THEMES,
+  buildTheme,
+  resolveTheme,
+  cleanSymbols,
+  normalizeSettings,
+  loadThemeSettings,
+  saveThemeSettings,
+  defaultThemeSettings
+} from "./themes";
+
+beforeEach(() => window.localStorage.clear());
+
+test("the system choice follows the OS color scheme and contrast preference", () => {
+  expect(resolveTheme("system", {})).toBe("light");
+  expect(resolveTheme("system", { dark: true })).toBe("dark");
+  expect(resolveTheme("system", { dark: true, contrast: true })).toBe("contrast");
+  // A picked theme wins over the OS
+  expect(resolveTheme("light", { dark: true })).toBe("light");
+});
+
+test("every theme defines the same tokens, all as #rrggbb", () => {
+  const tokens = Object.keys(THEMES.light.colors).sort();
+  Object.values(THEMES).forEach(theme => {
+    expect(Object.keys(theme.colors).sort()).toEqual(tokens);
+    Object.values(theme.colors).forEach(color => expect(color).toMatch(/^#[0-9a-f]{6}$/));
+  });
+});
+
+test("a custom palette overrides the theme; malformed colors are dropped", () => {
+  const theme = buildTheme({ theme: "dark", custom: { primary: "#FF0000", text: "red", grid: "#000000" } });
+  expect(theme.scheme).toBe("dark");
+  expect(theme.colors.primary).toBe("#ff0000");
+  expect(theme.colors.text).toBe(THEMES.dark.colors.text);
+  // Only CUSTOM_TOKENS can be overridden
+  expect(theme.colors.grid).toBe(THEMES.dark.colors.grid);
+  expect(normalizeSettings({ theme: "neon", custom: { text: "red" } })).toEqual(defaultThemeSettings());
+});
+
+test("symbols are trimmed to two characters and never empty or the same", () => {
+  expect(cleanSymbols({ X: " ❤️ ", O: "Zed" })).toEqual({ X: "❤️", O: "Ze" });
+  expect(cleanSymbols({ X: "", O: "#" })).toEqual({ X: "X", O: "#" });
+  expect(cleanSymbols({ X: "A", O: "A" })).toEqual({ X: "X", O: "O" });
+});
+
+test("settings are saved per user and survive broken storage", () => {
+  saveThemeSettings({ theme: "contrast", symbols: { X: "A", O: "B" } }, "ana");
+  saveThemeSettings({ theme: "dark" }, "ben");
+  expect(loadThemeSettings("ana")).toMatchObject({ theme: "contrast", symbols: { X: "A", O: "B" } });
+  expect(loadThemeSettings("ben").theme).toBe("dark");
+  expect(loadThemeSettings()).toEqual(defaultThemeSettings());
+
+  window.localStorage.setItem("ttt.theme.v1", "{broken");
+  expect(loadThemeSettings("ana")).toEqual(defaultThemeSettings());
+});
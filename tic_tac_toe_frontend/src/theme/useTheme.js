@@ -0,0 +1,57 @@
+import { useEffect, useMemo, useState } from "react";
+import { buildTheme, loadThemeSettings, saveThemeSettings, DEFAULT_USER } from "./themes";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+const CONTRAST_QUERY = "(prefers-contrast: more)";
+
+// matchMedia is missing in some environments (jsdom, old browsers): treat that as no preference
+function mediaQuery(query) {
+  return typeof window.matchMedia === "function" ? window.matchMedia(query) : null;
+}
+
+function readSystemPreference() {
+  const dark = mediaQuery(DARK_QUERY);
+  const contrast = mediaQuery(CONTRAST_QUERY);
+  return { dark: !!(dark && dark.matches), contrast: !!(contrast && contrast.matches) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The current theme for `user` (see themes.js), following OS preference changes while the
+ * "system" theme is chosen. Settings are saved in `storage` (default localStorage). Returns:
+ *   settings                  { theme, custom, symbols } as saved
+ *   update(changes)           merge changes into the settings and save them
+ *   name, scheme, colors, symbols   the resolved theme, from buildTheme()
+ */
+export function useTheme(user = DEFAULT_USER, storage = window.localStorage) {
+  const [settings, setSettings] = useState(() => loadThemeSettings(user, storage));
+  const [system, setSystem] = useState(readSystemPreference);
+
+  // Another user's settings (a different profile) replace these
+  useEffect(() => {
+    setSettings(loadThemeSettings(user, storage));
+  }, [user, storage]);
+
+  useEffect(() => {
+    const queries = [mediaQuery(DARK_QUERY), mediaQuery(CONTRAST_QUERY)].filter(Boolean);
+    const handleChange = () => setSystem(readSystemPreference());
+    queries.forEach(query => {
+      // Safari before 14 only has the older addListener API
+      if (query.addEventListener) query.addEventListener("change", handleChange);
+      else if (query.addListener) query.addListener(handleChange);
+    });
+    return () =>
+      queries.forEach(query => {
+        if (query.removeEventListener) query.removeEventListener("change", handleChange);
+        else if (query.removeListener) query.removeListener(handleChange);
+      });
+  }, []);
+
+  const theme = useMemo(() => buildTheme(settings, system), [settings, system]);
+
+  function update(changes) {
+    setSettings(saveThemeSettings({ ...settings, ...changes }, user, storage));
+  }
+
+  return { settings, update, ...theme };
+}